@@ -15,6 +15,9 @@ import InvestorDashboard from './src/screens/InvestorDashboard';
 import ProfileScreen from './src/screens/ProfileScreen';
 import StartupDetailScreen from './src/screens/StartupDetailScreen';
 import CommunityScreen from './src/screens/CommunityScreen';
+import ForgotPasswordScreen from './src/screens/ForgotPasswordScreen';
+import ResetPasswordScreen from './src/screens/ResetPasswordScreen';
+import TwoFactorScreen from './src/screens/TwoFactorScreen';
 
 // Import contexts
 import { AuthProvider, useAuth } from './src/contexts/AuthContext';
@@ -23,6 +26,16 @@ import { theme } from './src/styles/theme';
 const Tab = createBottomTabNavigator();
 const Stack = createStackNavigator();
 
+// Password reset emails link to /reset-password?token=...
+const linking = {
+  prefixes: ['startuplink://', 'https://startuplink.app'],
+  config: {
+    screens: {
+      ResetPassword: 'reset-password',
+    },
+  },
+};
+
 // Main App Navigation
 function MainApp() {
   const { user } = useAuth();
@@ -152,12 +165,17 @@ function AppNavigation() {
   }
 
   return (
-    <NavigationContainer>
+    <NavigationContainer linking={linking}>
       <Stack.Navigator screenOptions={{ headerShown: false }}>
         {user ? (
           <Stack.Screen name="Main" component={MainApp} />
         ) : (
-          <Stack.Screen name="Auth" component={AuthScreen} />
+          <>
+            <Stack.Screen name="Auth" component={AuthScreen} />
+            <Stack.Screen name="ForgotPassword" component={ForgotPasswordScreen} />
+            <Stack.Screen name="ResetPassword" component={ResetPasswordScreen} />
+            <Stack.Screen name="TwoFactor" component={TwoFactorScreen} />
+          </>
         )}
       </Stack.Navigator>
     </NavigationContainer>
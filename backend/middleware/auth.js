@@ -1,5 +1,9 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const sessionService = require('../services/sessionService');
+
+// How long a code given on a session covers sensitive actions
+const TWO_FACTOR_STEP_UP_MINUTES = Number(process.env.TWO_FACTOR_STEP_UP_MINUTES) || 10;
 
 const auth = async (req, res, next) => {
   try {
@@ -15,6 +19,15 @@ const auth = async (req, res, next) => {
 
     // Verify token
     const decoded = jwt.verify(token, process.env.JWT_SECRET || 'fallback_secret');
+
+    // The token's session must not have been revoked by a logout
+    const session = await sessionService.getActiveSession(decoded.sessionId, decoded.userId);
+    if (!session) {
+      return res.status(401).json({
+        success: false,
+        message: 'Session has expired or been revoked. Please sign in again.'
+      });
+    }
     
     // Get user from database
     const user = await User.findById(decoded.userId).select('-password');
@@ -37,6 +50,7 @@ const auth = async (req, res, next) => {
     // Add user to request object
     req.user = decoded;
     req.userProfile = user;
+    req.authSession = session;
     
     next();
   } catch (error) {
@@ -70,11 +84,13 @@ const optionalAuth = async (req, res, next) => {
     
     if (token) {
       const decoded = jwt.verify(token, process.env.JWT_SECRET || 'fallback_secret');
-      const user = await User.findById(decoded.userId).select('-password');
+      const session = await sessionService.getActiveSession(decoded.sessionId, decoded.userId);
+      const user = session && await User.findById(decoded.userId).select('-password');
       
       if (user && user.status === 'active') {
         req.user = decoded;
         req.userProfile = user;
+        req.authSession = session;
       }
     }
     
@@ -138,9 +154,77 @@ const requireKYC = (req, res, next) => {
   next();
 };
 
+// Verified email middleware
+const requireVerifiedEmail = (req, res, next) => {
+  if (!req.userProfile) {
+    return res.status(401).json({
+      success: false,
+      message: 'Authentication required.'
+    });
+  }
+
+  if (!req.userProfile.isEmailVerified) {
+    return res.status(403).json({
+      success: false,
+      message: 'Please verify your email address to access this feature.'
+    });
+  }
+
+  next();
+};
+
+// Second factor for sensitive actions. Users with two-factor authentication
+// must have given a code on this session recently, at sign-in or through
+// POST /api/auth/2fa/verify.
+const requireTwoFactor = (req, res, next) => {
+  if (!req.userProfile) {
+    return res.status(401).json({
+      success: false,
+      message: 'Authentication required.'
+    });
+  }
+
+  if (!req.userProfile.twoFactorEnabled) {
+    return next();
+  }
+
+  const verifiedAt = req.authSession && req.authSession.twoFactorVerifiedAt;
+  if (verifiedAt && Date.now() - verifiedAt.getTime() < TWO_FACTOR_STEP_UP_MINUTES * 60 * 1000) {
+    return next();
+  }
+
+  res.status(403).json({
+    success: false,
+    message: 'Enter a code from your authenticator app to continue.',
+    twoFactorRequired: true
+  });
+};
+
+// Platform admin middleware
+const requireAdmin = (req, res, next) => {
+  if (!req.userProfile) {
+    return res.status(401).json({
+      success: false,
+      message: 'Authentication required.'
+    });
+  }
+
+  if (!req.userProfile.isAdmin) {
+    return res.status(403).json({
+      success: false,
+      message: 'Access denied. Admin privileges required.'
+    });
+  }
+
+  next();
+};
+
 module.exports = {
   auth,
   optionalAuth,
   requireRole,
-  requireKYC
+  requireKYC,
+  requireVerifiedEmail,
+  requireTwoFactor,
+  requireAdmin
 };
\ No newline at end of file
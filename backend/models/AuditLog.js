@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+
+// Append-only record of account actions an admin took on a user's behalf.
+// Entries are never changed once written.
+const auditLogSchema = new mongoose.Schema({
+  action: {
+    type: String,
+    enum: ['two_factor_reset', 'sign_in_unlock'],
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }, // the account acted on
+  admin: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  reason: String,
+  unlockedIp: String, // address whose lockout was lifted along with the account's
+
+  // Request context
+  ip: String,
+  userAgent: String,
+
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Indexes
+auditLogSchema.index({ user: 1, createdAt: -1 });
+auditLogSchema.index({ admin: 1, createdAt: -1 });
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
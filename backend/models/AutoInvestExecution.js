@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+
+// One scheduled run of an auto-invest rule and what it invested in
+const allocationSchema = new mongoose.Schema({
+  startup: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Startup',
+    required: true
+  },
+  startupName: String,
+  aiScore: Number,
+  amount: {
+    type: Number,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['invested', 'failed'],
+    required: true
+  },
+  investment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Investment'
+  },
+  reason: String
+}, { _id: false });
+
+const autoInvestExecutionSchema = new mongoose.Schema({
+  rule: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AutoInvestRule',
+    required: true
+  },
+  investor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  scheduledFor: {
+    type: Date,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['running', 'completed', 'skipped', 'failed'],
+    default: 'running'
+  },
+  reason: String, // why nothing, or not everything, was invested
+
+  // Amounts
+  currency: String,
+  budget: Number, // what the run set out to invest
+  invested: {
+    type: Number,
+    default: 0
+  },
+  allocations: [allocationSchema],
+
+  // Timestamps
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+  completedAt: Date,
+  notifiedAt: Date
+});
+
+autoInvestExecutionSchema.index({ rule: 1, scheduledFor: 1 }, { unique: true });
+autoInvestExecutionSchema.index({ investor: 1, startedAt: -1 });
+
+module.exports = mongoose.model('AutoInvestExecution', autoInvestExecutionSchema);
@@ -0,0 +1,107 @@
+const mongoose = require('mongoose');
+
+const SECTORS = ['AI', 'Health', 'Climate', 'EdTech', 'FinTech', 'E-commerce', 'Gaming', 'Other'];
+const STAGES = ['idea', 'prototype', 'mvp', 'early-revenue', 'growth', 'expansion'];
+
+// A recurring investment an investor has set up, e.g. "100 USD a month
+// across the top three AI startups by AI score". Executions are paid from
+// the investor's wallet.
+const autoInvestRuleSchema = new mongoose.Schema({
+  investor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    trim: true,
+    maxlength: 100
+  },
+  status: {
+    type: String,
+    enum: ['active', 'paused', 'exhausted', 'cancelled'],
+    default: 'active'
+  },
+
+  // Amount per execution
+  amount: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  currency: {
+    type: String,
+    required: true
+  },
+  frequency: {
+    type: String,
+    enum: ['weekly', 'monthly'],
+    default: 'monthly'
+  },
+
+  // Which startups to invest in
+  criteria: {
+    sectors: [{
+      type: String,
+      enum: SECTORS
+    }], // empty means the investor's preferred sectors
+    stages: [{
+      type: String,
+      enum: STAGES
+    }],
+    minAiScore: {
+      type: Number,
+      min: 0,
+      max: 100
+    },
+    topStartups: {
+      type: Number,
+      min: 1,
+      max: 10,
+      default: 3
+    } // the amount is split evenly across this many startups
+  },
+
+  // Budgets
+  totalBudget: Number, // stop once this much has been invested
+  maxPerStartup: Number, // cap on what the rule puts into any one startup
+  totalInvested: {
+    type: Number,
+    default: 0
+  },
+
+  // The standing instruction the investor accepted, which signs each
+  // execution's subscription agreements on their behalf
+  instruction: {
+    consentText: String,
+    acceptedAt: Date,
+    ip: String,
+    userAgent: String
+  },
+
+  // Scheduling
+  nextRunAt: {
+    type: Date,
+    required: true
+  },
+  lastRunAt: Date,
+  lockedUntil: Date,
+
+  // Timestamps
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+autoInvestRuleSchema.index({ investor: 1, createdAt: -1 });
+autoInvestRuleSchema.index({ status: 1, nextRunAt: 1 });
+
+autoInvestRuleSchema.statics.SECTORS = SECTORS;
+autoInvestRuleSchema.statics.STAGES = STAGES;
+
+module.exports = mongoose.model('AutoInvestRule', autoInvestRuleSchema);
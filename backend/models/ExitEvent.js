@@ -0,0 +1,72 @@
+const mongoose = require('mongoose');
+
+// A liquidity event that ends a startup's life on the platform. Proceeds
+// are split pro rata across every share outstanding; investor shares become
+// Payout records, paid once an admin confirms the money has arrived.
+const exitEventSchema = new mongoose.Schema({
+  startup: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Startup',
+    required: true,
+    unique: true
+  },
+  type: {
+    type: String,
+    enum: ['acquisition', 'ipo', 'shutdown'],
+    required: true
+  },
+  acquirer: String,
+  notes: String,
+
+  // Proceeds
+  proceeds: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  currency: {
+    type: String,
+    default: 'USD'
+  },
+  sharesOutstanding: Number,
+  pricePerShare: Number,
+  investorProceeds: Number, // the investors' share, owed before any payout is made
+  proceedsReceivedAt: Date,
+  proceedsConfirmedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  proceedsReference: String, // bank transfer or gateway reference
+
+  // Distributions
+  investorCount: {
+    type: Number,
+    default: 0
+  },
+  totalDistributed: {
+    type: Number,
+    default: 0
+  },
+  status: {
+    type: String,
+    enum: ['awaiting_proceeds', 'distributing', 'completed'],
+    default: 'distributing'
+  },
+
+  initiatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  effectiveAt: {
+    type: Date,
+    default: Date.now
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  completedAt: Date
+});
+
+module.exports = mongoose.model('ExitEvent', exitEventSchema);
@@ -0,0 +1,91 @@
+const mongoose = require('mongoose');
+
+const ROUND_TYPES = ['pre_seed', 'seed', 'bridge', 'series_a', 'series_b', 'series_c', 'growth', 'other'];
+const INSTRUMENTS = ['equity', 'safe', 'convertible_note'];
+
+// One raise by a startup. The startup's `funding` subdocument holds the live
+// counters of its current round; a round's own figures are written here when
+// the next round opens, so past rounds keep their history.
+const fundingRoundSchema = new mongoose.Schema({
+  startup: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Startup',
+    required: true
+  },
+  sequence: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  roundType: {
+    type: String,
+    enum: ROUND_TYPES,
+    default: 'seed'
+  },
+  instrument: {
+    type: String,
+    enum: INSTRUMENTS,
+    default: 'equity'
+  },
+
+  // Terms
+  targetAmount: {
+    type: Number,
+    required: true
+  },
+  currency: {
+    type: String,
+    default: 'USD'
+  },
+  minimumInvestment: Number,
+  maximumInvestment: Number,
+  equityOffered: Number, // percentage
+  valuation: Number, // pre-money
+  fundingModel: {
+    type: String,
+    enum: ['flexible', 'all_or_nothing'],
+    default: 'flexible'
+  },
+
+  // Dates
+  startDate: Date,
+  deadline: Date,
+  endDate: Date,
+
+  // Outcome
+  status: {
+    type: String,
+    enum: ['draft', 'scheduled', 'active', 'paused', 'funded', 'closed'],
+    default: 'active'
+  },
+  amountRaised: {
+    type: Number,
+    default: 0
+  },
+  investorCount: {
+    type: Number,
+    default: 0
+  },
+  escrowStatus: String,
+
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+fundingRoundSchema.index({ startup: 1, sequence: 1 }, { unique: true });
+
+fundingRoundSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+fundingRoundSchema.statics.ROUND_TYPES = ROUND_TYPES;
+fundingRoundSchema.statics.INSTRUMENTS = INSTRUMENTS;
+
+module.exports = mongoose.model('FundingRound', fundingRoundSchema);
@@ -0,0 +1,260 @@
+const mongoose = require('mongoose');
+const { v4: uuidv4 } = require('uuid');
+
+// Allowed lifecycle transitions for an investment
+const STATUS_TRANSITIONS = {
+  pending: ['confirmed', 'failed'],
+  confirmed: ['refunded', 'exited', 'written_off', 'transferred'],
+  failed: [],
+  refunded: [],
+  exited: [],
+  written_off: [], // the startup shut down with nothing left for this holding
+  transferred: [] // sold in full on the secondary market
+};
+
+// Statuses that represent money actually committed to a startup
+const ACTIVE_STATUSES = ['confirmed', 'exited', 'written_off'];
+
+// How long after confirmation an investor may cancel
+const COOLING_OFF_HOURS = Number(process.env.COOLING_OFF_HOURS) || 48;
+
+const investmentSchema = new mongoose.Schema({
+  // Parties
+  startup: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Startup',
+    required: true
+  },
+  investor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  round: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'FundingRound'
+  },
+  autoInvest: {
+    rule: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'AutoInvestRule'
+    },
+    execution: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'AutoInvestExecution'
+    }
+  }, // set when an auto-invest rule made the investment
+  syndicate: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Syndicate'
+  }, // held by the syndicate's lead on behalf of its followers
+  source: {
+    type: String,
+    enum: ['primary', 'secondary'],
+    default: 'primary'
+  },
+  secondaryTrade: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SecondaryTrade'
+  }, // the trade a secondary holding was bought in
+
+  // Amount
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  currency: {
+    type: String,
+    default: 'USD'
+  },
+  currentValue: Number,
+  shares: Number, // set when the holding is first marked to market
+  lastMarkedAt: Date,
+  costBasis: Number, // what the holder paid when that differs from `amount`, e.g. a secondary purchase
+  soldCostBasis: Number, // cost of the part of the holding sold on the secondary market
+  secondarySales: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SecondaryTrade'
+  }], // trades already taken out of this holding
+
+  // Subscription agreement and receipt
+  signature: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SignatureRecord'
+  },
+  signedAt: Date, // the investor accepted the subscription agreement
+  documentsIssuedAt: Date,
+  documentsLockedUntil: Date,
+
+  // Lifecycle
+  status: {
+    type: String,
+    enum: Object.keys(STATUS_TRANSITIONS),
+    default: 'pending'
+  },
+  failureReason: String,
+  lastPaymentError: String, // latest declined attempt; the investor can retry until expiresAt
+  expiresAt: Date, // pending investments fail if unpaid by this time
+
+  // Payment Details
+  transactionId: {
+    type: String,
+    unique: true,
+    default: () => `INV_${uuidv4()}`
+  },
+  gateway: {
+    type: String,
+    enum: ['razorpay', 'stripe', 'fake', 'wallet', 'syndicate']
+  },
+  gatewayReference: String, // Razorpay order ID or Stripe PaymentIntent ID
+  gatewayPaymentId: String,
+  paymentReceivedAt: Date, // paid before the agreement was signed
+  escrowReleasedAt: Date, // paid out of escrow to the founder
+
+  // Refund Details
+  refundReason: String,
+  refundReference: String,
+  refundRequestedAt: Date,
+  cancelledAt: Date, // set when the investor cancelled during cooling-off
+
+  // Timestamps
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  },
+  confirmedAt: Date,
+  failedAt: Date,
+  refundedAt: Date,
+  exitedAt: Date,
+  writtenOffAt: Date,
+  transferredAt: Date
+});
+
+// Indexes for performance
+investmentSchema.index({ investor: 1, createdAt: -1 });
+investmentSchema.index({ startup: 1, status: 1 });
+investmentSchema.index({ round: 1, status: 1 });
+investmentSchema.index({ status: 1, expiresAt: 1 });
+investmentSchema.index({ status: 1, documentsIssuedAt: 1 });
+investmentSchema.index({ gateway: 1, gatewayReference: 1 });
+investmentSchema.index({ 'autoInvest.execution': 1, startup: 1 });
+investmentSchema.index({ secondaryTrade: 1 }, { unique: true, sparse: true });
+investmentSchema.index({ syndicate: 1 });
+investmentSchema.index({ escrowReleasedAt: 1, confirmedAt: 1 });
+
+// Virtual for the end of the cooling-off period
+investmentSchema.virtual('cancellableUntil').get(function() {
+  if (this.status !== 'confirmed' || !this.confirmedAt) return null;
+  return new Date(this.confirmedAt.getTime() + COOLING_OFF_HOURS * 60 * 60 * 1000);
+});
+
+// Pre-save middleware
+investmentSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+
+  if (this.isNew && this.currentValue === undefined) {
+    this.currentValue = this.amount;
+  }
+
+  next();
+});
+
+// Instance methods
+investmentSchema.methods.canTransitionTo = function(status) {
+  return STATUS_TRANSITIONS[this.status].includes(status);
+};
+
+investmentSchema.methods.transitionTo = function(status, details = {}) {
+  if (!this.canTransitionTo(status)) {
+    throw new Error(`Cannot move investment from ${this.status} to ${status}`);
+  }
+
+  this.status = status;
+  this[`${status}At`] = new Date();
+  Object.assign(this, details);
+
+  return this;
+};
+
+// Static methods
+// Holdings an investor owns directly. Syndicate holdings are reported to
+// the followers as look-through stakes instead.
+investmentSchema.statics.findByInvestor = function(investorId) {
+  return this.find({ investor: investorId, syndicate: null })
+    .sort({ createdAt: -1 })
+    .populate('startup', 'name logo sector stage funding')
+    .populate('round', 'sequence roundType instrument status valuation endDate');
+};
+
+// Holdings shown on an investor's public profile
+investmentSchema.statics.findPublicHistory = function(investorId) {
+  return this.find({ investor: investorId, syndicate: null, status: { $in: ACTIVE_STATUSES } })
+    .sort({ confirmedAt: -1 })
+    .select('startup amount currency currentValue status confirmedAt exitedAt')
+    .populate('startup', 'name logo sector stage');
+};
+
+investmentSchema.statics.findByStartup = function(startupId) {
+  return this.find({ startup: startupId, status: { $in: ACTIVE_STATUSES } })
+    .sort({ createdAt: -1 })
+    .populate('investor', 'firstName lastName profilePicture');
+};
+
+investmentSchema.statics.hasActiveInvestment = async function(investorId, startupId) {
+  const existing = await this.exists({
+    investor: investorId,
+    startup: startupId,
+    status: { $in: ACTIVE_STATUSES }
+  });
+  return Boolean(existing);
+};
+
+investmentSchema.statics.getPortfolioSummary = async function(investorId) {
+  const [summary] = await this.aggregate([
+    {
+      $match: {
+        investor: new mongoose.Types.ObjectId(investorId),
+        syndicate: null,
+        status: { $in: ACTIVE_STATUSES }
+      }
+    },
+    {
+      $group: {
+        _id: null,
+        totalInvested: { $sum: { $ifNull: ['$costBasis', '$amount'] } },
+        portfolioValue: { $sum: '$currentValue' },
+        investmentCount: { $sum: 1 },
+        startups: { $addToSet: '$startup' }
+      }
+    }
+  ]);
+
+  if (!summary) {
+    return {
+      totalInvested: 0,
+      portfolioValue: 0,
+      totalReturns: 0,
+      investmentCount: 0,
+      startupCount: 0
+    };
+  }
+
+  return {
+    totalInvested: summary.totalInvested,
+    portfolioValue: summary.portfolioValue,
+    totalReturns: summary.portfolioValue - summary.totalInvested,
+    investmentCount: summary.investmentCount,
+    startupCount: summary.startups.length
+  };
+};
+
+investmentSchema.statics.STATUS_TRANSITIONS = STATUS_TRANSITIONS;
+investmentSchema.statics.ACTIVE_STATUSES = ACTIVE_STATUSES;
+investmentSchema.statics.COOLING_OFF_HOURS = COOLING_OFF_HOURS;
+
+module.exports = mongoose.model('Investment', investmentSchema);
@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+
+// A PDF generated for a confirmed investment. The content hash lets anyone
+// holding a copy check it against the platform's record.
+const investmentDocumentSchema = new mongoose.Schema({
+  investment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Investment',
+    required: true
+  },
+  investor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  startup: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Startup',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['subscription_agreement', 'receipt'],
+    required: true
+  },
+
+  // File
+  filename: {
+    type: String,
+    required: true
+  },
+  storagePath: {
+    type: String,
+    required: true
+  },
+  contentHash: {
+    type: String,
+    required: true
+  }, // SHA-256, hex
+  size: Number,
+  template: String,
+
+  // Timestamps
+  generatedAt: {
+    type: Date,
+    default: Date.now
+  },
+  emailedAt: Date
+});
+
+investmentDocumentSchema.index({ investment: 1, type: 1 }, { unique: true });
+investmentDocumentSchema.index({ contentHash: 1 });
+
+module.exports = mongoose.model('InvestmentDocument', investmentDocumentSchema);
@@ -0,0 +1,151 @@
+const mongoose = require('mongoose');
+
+const ENTRY_TYPES = [
+  'top_up',
+  'investment',
+  'refund',
+  'escrow_release',
+  'exit_proceeds',
+  'distribution',
+  'withdrawal',
+  'withdrawal_settlement',
+  'withdrawal_reversal',
+  'secondary_payment',
+  'secondary_settlement',
+  'secondary_refund',
+  'syndicate_commitment',
+  'syndicate_refund'
+];
+
+// One side of a journal entry. Accounts are named `<kind>:<id>`, e.g.
+// `wallet:<userId>` or `escrow:<startupId>`.
+const ledgerLineSchema = new mongoose.Schema({
+  account: {
+    type: String,
+    required: true
+  },
+  debit: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  credit: {
+    type: Number,
+    default: 0,
+    min: 0
+  }
+}, { _id: false });
+
+// A balanced journal entry in the double-entry ledger. Entries are never
+// changed once posted; mistakes are corrected by posting a reversing entry.
+const ledgerEntrySchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  }, // idempotency key, e.g. `payment:<investmentId>`
+  type: {
+    type: String,
+    enum: ENTRY_TYPES,
+    required: true
+  },
+  currency: {
+    type: String,
+    required: true
+  },
+  lines: {
+    type: [ledgerLineSchema],
+    validate: {
+      validator: (lines) => {
+        const debits = lines.reduce((sum, line) => sum + line.debit, 0);
+        const credits = lines.reduce((sum, line) => sum + line.credit, 0);
+        return lines.length >= 2 && debits > 0 && Math.abs(debits - credits) < 0.005;
+      },
+      message: 'Ledger entry debits and credits must balance'
+    }
+  },
+  memo: String,
+
+  // What the entry is about
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  investment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Investment'
+  },
+  payout: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payout'
+  },
+  walletTransaction: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WalletTransaction'
+  },
+  secondaryTrade: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SecondaryTrade'
+  },
+  syndicate: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Syndicate'
+  },
+
+  // Wallet credits are applied after the entry is written. An entry that
+  // credits a wallet is posted with `creditsPending` set and claims it back
+  // just before the wallets are credited, so the credit is applied once.
+  creditsPending: Boolean,
+  creditsAppliedAt: Date,
+
+  postedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+ledgerEntrySchema.index({ 'lines.account': 1, postedAt: -1 });
+ledgerEntrySchema.index({ currency: 1 });
+ledgerEntrySchema.index({ creditsPending: 1, postedAt: 1 }, { partialFilterExpression: { creditsPending: true } });
+
+ledgerEntrySchema.statics.ENTRY_TYPES = ENTRY_TYPES;
+
+// Posted entries are immutable, apart from claiming their pending wallet
+// credits
+const CREDIT_CLAIM_FIELDS = ['creditsPending', 'creditsAppliedAt'];
+
+const isCreditClaim = (query) => {
+  const update = query.getUpdate() || {};
+  return query.getFilter().creditsPending === true &&
+    Object.keys(update).length === 1 &&
+    update.$set &&
+    update.$set.creditsPending === false &&
+    Object.keys(update.$set).every(field => CREDIT_CLAIM_FIELDS.includes(field));
+};
+
+const rejectChange = function(next) {
+  next(new Error('Ledger entries cannot be changed once posted'));
+};
+
+ledgerEntrySchema.pre('updateOne', function(next) {
+  if (isCreditClaim(this)) {
+    return next();
+  }
+  rejectChange(next);
+});
+
+[
+  'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace',
+  'deleteOne', 'deleteMany', 'findOneAndDelete', 'findOneAndRemove'
+].forEach(operation => {
+  ledgerEntrySchema.pre(operation, rejectChange);
+});
+
+ledgerEntrySchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return rejectChange(next);
+  }
+  next();
+});
+
+module.exports = mongoose.model('LedgerEntry', ledgerEntrySchema);
@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+
+// Webhook events received from the payment gateways. The unique
+// gateway + eventId index is what makes replayed deliveries a no-op.
+const paymentEventSchema = new mongoose.Schema({
+  gateway: {
+    type: String,
+    enum: ['razorpay', 'stripe'],
+    required: true
+  },
+  eventId: {
+    type: String,
+    required: true
+  },
+  type: {
+    type: String,
+    required: true
+  },
+  payload: mongoose.Schema.Types.Mixed,
+
+  // Processing
+  status: {
+    type: String,
+    enum: ['received', 'processed', 'ignored', 'failed'],
+    default: 'received'
+  },
+  investment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Investment'
+  },
+  walletTransaction: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WalletTransaction'
+  },
+  secondaryTrade: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SecondaryTrade'
+  },
+  error: String,
+
+  // Timestamps
+  receivedAt: {
+    type: Date,
+    default: Date.now
+  },
+  processedAt: Date
+});
+
+// Indexes
+paymentEventSchema.index({ gateway: 1, eventId: 1 }, { unique: true });
+paymentEventSchema.index({ investment: 1 });
+
+// Static methods
+paymentEventSchema.statics.isDuplicateKeyError = function(error) {
+  return error && error.code === 11000;
+};
+
+module.exports = mongoose.model('PaymentEvent', paymentEventSchema);
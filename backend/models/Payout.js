@@ -0,0 +1,77 @@
+const mongoose = require('mongoose');
+
+// Money owed to an investor from an exit, one per investor per exit
+const payoutSchema = new mongoose.Schema({
+  exitEvent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ExitEvent',
+    required: true
+  },
+  startup: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Startup',
+    required: true
+  },
+  investor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  investments: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Investment'
+  }],
+
+  // Distribution
+  shares: {
+    type: Number,
+    default: 0
+  },
+  ownership: Number, // percentage of shares outstanding at exit
+  invested: {
+    type: Number,
+    default: 0
+  },
+  syndicates: [{
+    syndicate: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Syndicate'
+    },
+    shares: Number,
+    invested: Number,
+    carry: Number, // paid to the lead out of this stake's profit
+    amount: Number // net of carry
+  }], // look-through stakes held through syndicates
+  carryEarned: {
+    type: Number,
+    default: 0
+  }, // carry from syndicates this investor led
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  currency: {
+    type: String,
+    default: 'USD'
+  },
+
+  // Lifecycle
+  status: {
+    type: String,
+    enum: ['pending', 'paid', 'failed'],
+    default: 'pending'
+  },
+  reference: String,
+  notifiedAt: Date,
+  paidAt: Date,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+payoutSchema.index({ exitEvent: 1, investor: 1 }, { unique: true });
+payoutSchema.index({ investor: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Payout', payoutSchema);
@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+
+// End-of-day value of an investor's portfolio. One document per investor
+// per UTC day; the day's document is overwritten until the day is over.
+const portfolioSnapshotSchema = new mongoose.Schema({
+  investor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  date: {
+    type: Date,
+    required: true
+  },
+  totalInvested: {
+    type: Number,
+    default: 0
+  },
+  portfolioValue: {
+    type: Number,
+    default: 0
+  },
+  totalReturns: {
+    type: Number,
+    default: 0
+  },
+  investmentCount: {
+    type: Number,
+    default: 0
+  },
+  recordedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+portfolioSnapshotSchema.index({ investor: 1, date: 1 }, { unique: true });
+
+module.exports = mongoose.model('PortfolioSnapshot', portfolioSnapshotSchema);
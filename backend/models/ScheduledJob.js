@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+
+// Persistent state for recurring background jobs. A job is run by whichever
+// server instance first claims its lease, so it runs once per interval no
+// matter how many instances are up.
+const scheduledJobSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  intervalMs: {
+    type: Number,
+    required: true
+  },
+  nextRunAt: {
+    type: Date,
+    required: true
+  },
+
+  // Lease
+  lockedBy: String,
+  lockedUntil: Date,
+
+  // Last Run
+  lastRunAt: Date,
+  lastDurationMs: Number,
+  lastResult: mongoose.Schema.Types.Mixed,
+  lastError: String,
+  runCount: {
+    type: Number,
+    default: 0
+  },
+  failureCount: {
+    type: Number,
+    default: 0
+  }
+});
+
+scheduledJobSchema.index({ nextRunAt: 1, lockedUntil: 1 });
+
+module.exports = mongoose.model('ScheduledJob', scheduledJobSchema);
@@ -0,0 +1,84 @@
+const mongoose = require('mongoose');
+
+// Part or all of a holding offered for sale on the secondary market. Priced
+// holdings are listed in whole shares; `principal` is the slice of the
+// original subscription amount the listing covers.
+const secondaryListingSchema = new mongoose.Schema({
+  seller: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  investment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Investment',
+    required: true
+  },
+  startup: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Startup',
+    required: true
+  },
+  round: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'FundingRound'
+  },
+
+  // What is for sale
+  shares: Number, // unset when the round has no share price
+  principal: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  askingPrice: {
+    type: Number,
+    required: true,
+    min: 0
+  }, // for the whole listing
+  currency: {
+    type: String,
+    required: true
+  },
+
+  // Lifecycle
+  status: {
+    type: String,
+    enum: ['active', 'reserved', 'sold', 'cancelled', 'expired'],
+    default: 'active'
+  },
+  trade: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SecondaryTrade'
+  }, // the buyer's trade while reserved, and the winning trade once sold
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+
+  // Timestamps
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  },
+  soldAt: Date,
+  cancelledAt: Date
+});
+
+secondaryListingSchema.index({ status: 1, startup: 1, createdAt: -1 });
+secondaryListingSchema.index({ seller: 1, createdAt: -1 });
+secondaryListingSchema.index({ investment: 1, status: 1 });
+secondaryListingSchema.index({ status: 1, expiresAt: 1 });
+
+// Asking price per share, for priced holdings
+secondaryListingSchema.virtual('pricePerShare').get(function() {
+  return this.shares ? Math.round(this.askingPrice / this.shares * 10000) / 10000 : null;
+});
+
+secondaryListingSchema.set('toJSON', { virtuals: true });
+
+module.exports = mongoose.model('SecondaryListing', secondaryListingSchema);
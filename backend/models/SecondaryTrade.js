@@ -0,0 +1,116 @@
+const mongoose = require('mongoose');
+
+// A buyer's purchase of a secondary listing. The buyer's money sits in the
+// trade's own escrow account from payment until the holding is transferred
+// or the trade is cancelled and refunded.
+const secondaryTradeSchema = new mongoose.Schema({
+  listing: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SecondaryListing',
+    required: true
+  },
+  investment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Investment',
+    required: true
+  }, // the seller's holding
+  startup: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Startup',
+    required: true
+  },
+  round: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'FundingRound'
+  },
+  seller: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  buyer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // Terms, copied from the listing
+  shares: Number,
+  principal: {
+    type: Number,
+    required: true
+  },
+  price: {
+    type: Number,
+    required: true
+  },
+  currency: {
+    type: String,
+    required: true
+  },
+
+  // Payment
+  gateway: {
+    type: String,
+    enum: ['razorpay', 'stripe', 'fake', 'wallet'],
+    required: true
+  },
+  gatewayReference: String,
+  gatewayPaymentId: String,
+  paidAt: Date,
+  expiresAt: Date, // unpaid trades are cancelled after this time
+
+  // Right of first refusal
+  rightOfFirstRefusal: {
+    deadline: Date, // set while the founder may still take the trade over
+    decision: {
+      type: String,
+      enum: ['exercised', 'waived']
+    },
+    decidedAt: Date
+  },
+  exercisedFrom: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SecondaryTrade'
+  }, // the buyer's trade the founder took over
+
+  // Lifecycle
+  status: {
+    type: String,
+    enum: ['awaiting_payment', 'held', 'settling', 'settled', 'cancelled'],
+    default: 'awaiting_payment'
+  },
+  cancellationReason: String,
+  refundReference: String,
+  refundedAt: Date,
+  lockedUntil: Date, // settlement lease
+
+  // Settlement, worked out from the seller's holding when it is split
+  costBasisSold: Number,
+  valueTransferred: Number,
+  buyerInvestment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Investment'
+  },
+
+  // Timestamps
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  },
+  settledAt: Date,
+  cancelledAt: Date
+});
+
+secondaryTradeSchema.index({ buyer: 1, createdAt: -1 });
+secondaryTradeSchema.index({ seller: 1, createdAt: -1 });
+secondaryTradeSchema.index({ gateway: 1, gatewayReference: 1 });
+secondaryTradeSchema.index({ status: 1, expiresAt: 1 });
+secondaryTradeSchema.index({ status: 1, 'rightOfFirstRefusal.deadline': 1 });
+secondaryTradeSchema.index({ startup: 1, status: 1 });
+
+module.exports = mongoose.model('SecondaryTrade', secondaryTradeSchema);
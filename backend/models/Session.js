@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+
+// A signed-in device. Access tokens are short-lived and name their session;
+// the session holds the hash of the one refresh token that may renew them.
+// Each refresh swaps in a new token, so presenting the one it replaced
+// means it was copied and the session is revoked.
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  tokenHash: {
+    type: String,
+    required: true
+  }, // SHA-256 of the current refresh token
+  previousTokenHash: String, // the token the current one replaced
+  rotatedAt: Date,
+  rotations: {
+    type: Number,
+    default: 0
+  },
+
+  // Device
+  method: {
+    type: String,
+    enum: ['password', 'otp', 'registration'],
+    required: true
+  }, // how the user signed in
+  createdIp: String,
+  userAgent: String,
+  lastIp: String,
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  twoFactorVerifiedAt: Date, // last time a second factor was given on this session
+
+  // Lifecycle
+  expiresAt: {
+    type: Date,
+    required: true
+  }, // when the refresh token stops working
+  revokedAt: Date,
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'revoked', 'revoked_all', 'refresh_token_reuse', 'password_changed', 'password_reset', 'two_factor_reset']
+  },
+
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+sessionSchema.index({ user: 1, revokedAt: 1, expiresAt: 1 });
+// Sessions are kept for a month after they end, then removed
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
+sessionSchema.methods.isActive = function(now = new Date()) {
+  return !this.revokedAt && this.expiresAt > now;
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
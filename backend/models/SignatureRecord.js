@@ -0,0 +1,97 @@
+const mongoose = require('mongoose');
+
+// One entry in the append-only signature audit trail. Each record hashes its
+// own fields together with the previous record's hash, so editing or
+// removing any entry breaks every link after it.
+const signatureRecordSchema = new mongoose.Schema({
+  sequence: {
+    type: Number,
+    required: true,
+    unique: true
+  },
+  investment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Investment',
+    required: true
+  },
+  document: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'InvestmentDocument',
+    required: true
+  },
+  documentHash: {
+    type: String,
+    required: true
+  }, // SHA-256 of the signed PDF, hex
+
+  // Signer
+  signer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  signerName: String,
+  signerEmail: String,
+  consentText: String,
+  method: {
+    type: String,
+    enum: ['click', 'standing_instruction'],
+    default: 'click'
+  }, // standing instructions were accepted once, when an auto-invest rule was set up
+  autoInvestRule: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AutoInvestRule'
+  },
+
+  // Request context
+  ip: String,
+  userAgent: String,
+  sessionIssuedAt: Date, // when the signer's access token was issued
+  lastLogin: {
+    timestamp: Date,
+    ip: String,
+    userAgent: String
+  },
+
+  // Chain
+  previousHash: {
+    type: String,
+    required: true
+  },
+  recordHash: {
+    type: String,
+    required: true
+  },
+
+  signedAt: {
+    type: Date,
+    required: true
+  }
+});
+
+signatureRecordSchema.index({ investment: 1 }, { unique: true });
+signatureRecordSchema.index({ documentHash: 1 });
+
+// The hash that starts the chain
+signatureRecordSchema.statics.GENESIS_HASH = '0'.repeat(64);
+
+// Records are written once and never changed
+const rejectChange = function(next) {
+  next(new Error('Signature records are append-only'));
+};
+
+[
+  'updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace',
+  'deleteOne', 'deleteMany', 'findOneAndDelete', 'findOneAndRemove'
+].forEach(operation => {
+  signatureRecordSchema.pre(operation, rejectChange);
+});
+
+signatureRecordSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return rejectChange(next);
+  }
+  next();
+});
+
+module.exports = mongoose.model('SignatureRecord', signatureRecordSchema);
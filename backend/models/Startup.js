@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const FundingRound = require('./FundingRound');
 
 const startupSchema = new mongoose.Schema({
   // Basic Information
@@ -37,7 +38,54 @@ const startupSchema = new mongoose.Schema({
     role: String,
     equityPercentage: Number
   }],
-  
+
+  // Shares held by the founding team before any round, used for the cap table
+  shareStructure: {
+    foundingShares: {
+      type: Number,
+      default: 10000000,
+      min: 1
+    }
+  },
+
+  // Secondary market rules set by the founder
+  transferPolicy: {
+    transfersAllowed: {
+      type: Boolean,
+      default: true
+    },
+    lockupDays: {
+      type: Number,
+      default: 0,
+      min: 0
+    }, // holdings cannot be sold until this long after they were confirmed
+    accreditedBuyersOnly: {
+      type: Boolean,
+      default: false
+    },
+    rightOfFirstRefusal: {
+      type: Boolean,
+      default: false
+    }, // the founder may buy any holding at the price a buyer agreed to
+    rofrWindowHours: {
+      type: Number,
+      default: 72,
+      min: 1
+    },
+    updatedAt: Date
+  },
+
+  // Latest mark-to-market price, see ValuationEvent
+  latestValuation: {
+    type: {
+      type: String,
+      enum: ['priced_round', 'write_down', 'exit']
+    },
+    valuation: Number,
+    pricePerShare: Number,
+    markedAt: Date
+  },
+
   // Business Details
   sector: {
     type: String,
@@ -98,8 +146,22 @@ const startupSchema = new mongoose.Schema({
     }]
   },
   
-  // Funding Information
+  // Funding Information (the current round; see FundingRound for history)
   funding: {
+    round: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'FundingRound'
+    },
+    roundType: {
+      type: String,
+      enum: FundingRound.ROUND_TYPES,
+      default: 'seed'
+    },
+    instrument: {
+      type: String,
+      enum: FundingRound.INSTRUMENTS,
+      default: 'equity'
+    },
     targetAmount: {
       type: Number,
       required: true,
@@ -118,11 +180,29 @@ const startupSchema = new mongoose.Schema({
       type: Number,
       default: 0
     },
+    reservedAmount: {
+      type: Number,
+      default: 0
+    }, // held by pending investments awaiting payment
     investorCount: {
       type: Number,
       default: 0
     },
     fundingDeadline: Date,
+    deadlineReminderSentAt: Date,
+    fundingModel: {
+      type: String,
+      enum: ['flexible', 'all_or_nothing'],
+      default: 'flexible'
+    },
+    escrow: {
+      status: {
+        type: String,
+        enum: ['holding', 'released', 'refunding', 'refunded']
+      },
+      releasedAt: Date,
+      refundedAt: Date
+    },
     equityOffered: Number, // percentage
     valuation: Number,
     useOfFunds: [{
@@ -136,25 +216,6 @@ const startupSchema = new mongoose.Schema({
     }]
   },
   
-  // Investments
-  investments: [{
-    investor: {
-      type: mongoose.Schema.Types.ObjectId,
-      ref: 'User'
-    },
-    amount: Number,
-    date: {
-      type: Date,
-      default: Date.now
-    },
-    status: {
-      type: String,
-      enum: ['pending', 'confirmed', 'failed'],
-      default: 'pending'
-    },
-    transactionId: String
-  }],
-  
   // Business Metrics
   metrics: {
     revenue: {
@@ -251,7 +312,7 @@ const startupSchema = new mongoose.Schema({
   // Status and Moderation
   status: {
     type: String,
-    enum: ['draft', 'pending_review', 'active', 'funded', 'paused', 'rejected', 'closed'],
+    enum: ['draft', 'pending_review', 'scheduled', 'active', 'funded', 'paused', 'rejected', 'closed', 'exited'],
     default: 'draft'
   },
   moderationStatus: {
@@ -260,6 +321,19 @@ const startupSchema = new mongoose.Schema({
     default: 'pending'
   },
   moderationNotes: String,
+
+  // Exit
+  exit: {
+    event: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ExitEvent'
+    },
+    type: {
+      type: String,
+      enum: ['acquisition', 'ipo', 'shutdown']
+    },
+    exitedAt: Date
+  },
   
   // Premium Features
   isPromoted: {
@@ -308,6 +382,9 @@ startupSchema.index({ 'engagement.views': -1 });
 startupSchema.index({ 'aiScore.overall': -1 });
 startupSchema.index({ createdAt: -1 });
 startupSchema.index({ publishedAt: -1 });
+startupSchema.index({ 'funding.escrow.status': 1, 'funding.fundingDeadline': 1 });
+startupSchema.index({ status: 1, fundingStartDate: 1 });
+startupSchema.index({ status: 1, 'funding.fundingDeadline': 1 });
 
 // Text search index
 startupSchema.index({
@@ -335,6 +412,11 @@ startupSchema.virtual('daysRemaining').get(function() {
 startupSchema.pre('save', function(next) {
   this.updatedAt = Date.now();
   
+  // All-or-nothing campaigns hold confirmed funds in escrow until they close
+  if (this.funding.fundingModel === 'all_or_nothing' && !this.funding.escrow.status) {
+    this.funding.escrow.status = 'holding';
+  }
+  
   // Auto-calculate funding progress
   if (this.funding.currentAmount >= this.funding.targetAmount && this.status === 'active') {
     this.status = 'funded';
@@ -345,20 +427,6 @@ startupSchema.pre('save', function(next) {
 });
 
 // Instance methods
-startupSchema.methods.addInvestment = function(investorId, amount, transactionId) {
-  this.investments.push({
-    investor: investorId,
-    amount: amount,
-    transactionId: transactionId,
-    status: 'confirmed'
-  });
-  
-  this.funding.currentAmount += amount;
-  this.funding.investorCount += 1;
-  
-  return this.save();
-};
-
 startupSchema.methods.addView = function() {
   this.engagement.views += 1;
   return this.save();
@@ -0,0 +1,80 @@
+const mongoose = require('mongoose');
+
+// A group of followers investing in one startup behind a lead investor.
+// Followers' commitments are pooled and invested as a single investment,
+// held by the lead on the syndicate's behalf.
+const syndicateSchema = new mongoose.Schema({
+  lead: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  startup: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Startup',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  description: {
+    type: String,
+    maxlength: 2000
+  },
+
+  // Terms
+  carry: {
+    type: Number,
+    default: 20,
+    min: 0,
+    max: 50
+  }, // percentage of the followers' profit paid to the lead at exit
+  minimumTicket: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  targetAmount: Number, // commitments stop once reached
+  currency: {
+    type: String,
+    required: true
+  },
+  closesAt: {
+    type: Date,
+    required: true
+  }, // last day for commitments
+
+  // Lifecycle
+  status: {
+    type: String,
+    enum: ['open', 'investing', 'invested', 'cancelled'],
+    default: 'open'
+  },
+  cancellationReason: String,
+  investment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Investment'
+  },
+
+  // Timestamps
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  },
+  investedAt: Date,
+  cancelledAt: Date
+});
+
+syndicateSchema.index({ lead: 1, createdAt: -1 });
+syndicateSchema.index({ startup: 1, status: 1 });
+syndicateSchema.index({ status: 1, closesAt: 1 });
+syndicateSchema.index({ investment: 1 });
+
+module.exports = mongoose.model('Syndicate', syndicateSchema);
@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+
+// A follower's place in a syndicate: their invitation and the capital they
+// committed. Committed money moves from the follower's wallet to the
+// syndicate's pool straight away.
+const syndicateCommitmentSchema = new mongoose.Schema({
+  syndicate: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Syndicate',
+    required: true
+  },
+  follower: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  amount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  currency: {
+    type: String,
+    required: true
+  },
+
+  // Lifecycle
+  status: {
+    type: String,
+    enum: ['invited', 'processing', 'committed', 'withdrawn', 'invested', 'refunded'],
+    default: 'invited'
+  },
+  pendingAction: {
+    type: String,
+    enum: ['commit', 'withdraw']
+  }, // what a `processing` commitment is in the middle of
+  commitCount: {
+    type: Number,
+    default: 0
+  }, // numbers each commitment so its ledger entries stay unique
+
+  // Timestamps
+  invitedAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  },
+  committedAt: Date,
+  withdrawnAt: Date,
+  investedAt: Date,
+  refundedAt: Date
+});
+
+syndicateCommitmentSchema.index({ syndicate: 1, follower: 1 }, { unique: true });
+syndicateCommitmentSchema.index({ follower: 1, status: 1 });
+syndicateCommitmentSchema.index({ status: 1, updatedAt: 1 });
+
+module.exports = mongoose.model('SyndicateCommitment', syndicateCommitmentSchema);
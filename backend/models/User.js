@@ -60,6 +60,10 @@ const userSchema = new mongoose.Schema({
     enum: ['entrepreneur', 'investor', 'both'],
     required: true
   },
+  isAdmin: {
+    type: Boolean,
+    default: false
+  }, // platform operators; only ever set directly in the database
   
   // Profile Info
   profilePicture: {
@@ -85,6 +89,21 @@ const userSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  emailVerifiedAt: Date,
+  emailVerification: {
+    codeHash: String, // keyed hash; the code itself is only ever emailed
+    expiresAt: Date,
+    attempts: {
+      type: Number,
+      default: 0
+    },
+    sentAt: Date
+  },
+  passwordReset: {
+    tokenHash: String, // SHA-256 of the emailed token
+    expiresAt: Date,
+    requestedAt: Date
+  },
   isPhoneVerified: {
     type: Boolean,
     default: false
@@ -131,7 +150,21 @@ const userSchema = new mongoose.Schema({
     investmentCapacity: {
       type: Number,
       default: 0
+    }, // rolling 12-month limit, derived from the declarations below
+    annualIncome: Number,
+    netWorth: Number,
+    isAccredited: {
+      type: Boolean,
+      default: false
+    }, // only set by an admin once the investor's accreditation is verified
+    accreditationReviewedAt: Date,
+    accreditationReviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
     },
+    accreditationNote: String,
+    limitsDeclaredAt: Date,
+    limitLockedUntil: Date, // held while a limit check writes the record it approved
     riskTolerance: {
       type: String,
       enum: ['conservative', 'moderate', 'aggressive'],
@@ -152,24 +185,7 @@ const userSchema = new mongoose.Schema({
     totalReturns: {
       type: Number,
       default: 0
-    },
-    investmentHistory: [{
-      startupId: {
-        type: mongoose.Schema.Types.ObjectId,
-        ref: 'Startup'
-      },
-      amount: Number,
-      date: {
-        type: Date,
-        default: Date.now
-      },
-      currentValue: Number,
-      status: {
-        type: String,
-        enum: ['active', 'exited', 'failed'],
-        default: 'active'
-      }
-    }]
+    }
   },
   
   // Entrepreneur-specific fields
@@ -238,6 +254,43 @@ const userSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  twoFactor: {
+    // Authenticator secrets are encrypted, as they must be read back to
+    // check codes. They are never selected unless asked for.
+    secret: {
+      type: String,
+      select: false
+    },
+    pendingSecret: {
+      type: String,
+      select: false
+    }, // set up but not yet confirmed with a code
+    pendingCreatedAt: Date,
+    enabledAt: Date,
+    lastUsedStep: Number, // the last accepted time step, so a code works once
+    backupCodes: {
+      type: [{
+        codeHash: String,
+        usedAt: Date
+      }],
+      select: false
+    },
+    failedAttempts: {
+      type: Number,
+      default: 0
+    },
+    lockedUntil: Date,
+
+    // Admin-assisted recovery for users who lost their authenticator
+    recoveryRequestedAt: Date,
+    recoveryReason: String,
+    resetAt: Date,
+    resetBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    resetReason: String
+  },
   lastLogin: Date,
   loginHistory: [{
     timestamp: {
@@ -307,6 +360,8 @@ userSchema.index({ uniqueId: 1 });
 userSchema.index({ userType: 1 });
 userSchema.index({ 'location.city': 1, 'location.country': 1 });
 userSchema.index({ kycStatus: 1 });
+userSchema.index({ 'passwordReset.tokenHash': 1 }, { sparse: true });
+userSchema.index({ 'twoFactor.recoveryRequestedAt': 1 }, { sparse: true });
 userSchema.index({ createdAt: -1 });
 
 // Password hashing middleware
@@ -328,6 +383,20 @@ userSchema.pre('save', function(next) {
   next();
 });
 
+// Keep the stored investment capacity in line with the declared finances
+userSchema.pre('save', function(next) {
+  const financials = ['annualIncome', 'netWorth', 'isAccredited']
+    .map(field => `investorProfile.${field}`);
+
+  if (financials.some(path => this.isModified(path))) {
+    const investmentLimitsService = require('../services/investmentLimitsService');
+    this.investorProfile.investmentCapacity = investmentLimitsService.calculateAnnualLimit(this.investorProfile);
+    this.investorProfile.limitsDeclaredAt = new Date();
+  }
+
+  next();
+});
+
 // Instance methods
 userSchema.methods.comparePassword = async function(candidatePassword) {
   return bcrypt.compare(candidatePassword, this.password);
@@ -365,14 +434,24 @@ userSchema.methods.verifyOTP = function(otpCode) {
   return false;
 };
 
-userSchema.methods.getPublicProfile = function() {
+// Investment history now lives in the Investment collection; callers load it
+// and pass it in, and it is only shown when the user has made it visible
+userSchema.methods.getPublicProfile = function(investmentHistory) {
   const user = this.toObject();
   delete user.password;
   delete user.otp;
+  delete user.emailVerification;
+  delete user.passwordReset;
+  delete user.twoFactor;
   delete user.kycDocuments;
   delete user.loginHistory;
-  if (!user.preferences.privacy.investmentHistoryVisible) {
-    delete user.investorProfile.investmentHistory;
+  if (user.investorProfile) {
+    delete user.investorProfile.limitLockedUntil;
+    delete user.investorProfile.accreditationReviewedBy;
+    delete user.investorProfile.accreditationNote;
+  }
+  if (investmentHistory && user.investorProfile && user.preferences.privacy.investmentHistoryVisible) {
+    user.investorProfile.investmentHistory = investmentHistory;
   }
   return user;
 };
@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+
+// A change in what a startup's shares are worth. Every holding in the
+// startup is re-marked at the event's price per share.
+const valuationEventSchema = new mongoose.Schema({
+  startup: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Startup',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['priced_round', 'write_down', 'exit'],
+    required: true
+  },
+  round: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'FundingRound'
+  },
+
+  // Company value the mark is based on (pre-money for a priced round)
+  valuation: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  currency: {
+    type: String,
+    default: 'USD'
+  },
+  sharesOutstanding: {
+    type: Number,
+    required: true
+  },
+  pricePerShare: {
+    type: Number,
+    required: true
+  },
+  previousPricePerShare: Number,
+
+  // Holdings re-marked by this event
+  holdingsMarked: {
+    type: Number,
+    default: 0
+  },
+  notes: String,
+  recordedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  effectiveAt: {
+    type: Date,
+    default: Date.now
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+valuationEventSchema.index({ startup: 1, effectiveAt: -1 });
+
+module.exports = mongoose.model('ValuationEvent', valuationEventSchema);
@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+
+// A user's balance in one currency. The ledger is the source of truth;
+// `balance` is a running total kept alongside it so spending can be
+// checked atomically, and reconciliation compares the two.
+const walletSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  currency: {
+    type: String,
+    required: true
+  },
+  balance: {
+    type: Number,
+    default: 0
+  },
+  reconciledAt: Date,
+
+  // Timestamps
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+walletSchema.index({ user: 1, currency: 1 }, { unique: true });
+
+module.exports = mongoose.model('Wallet', walletSchema);
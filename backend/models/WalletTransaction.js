@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+
+// Money moving between a wallet and the outside world: gateway top-ups in
+// and bank withdrawals out. The ledger entries record the money itself.
+const walletTransactionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['top_up', 'withdrawal'],
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  currency: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'completed', 'failed'],
+    default: 'pending'
+  },
+  failureReason: String,
+
+  // Top-up payment
+  gateway: {
+    type: String,
+    enum: ['razorpay', 'stripe', 'fake']
+  },
+  gatewayReference: String,
+  gatewayPaymentId: String,
+
+  // Withdrawal settlement
+  resolution: {
+    type: String,
+    enum: ['settle', 'return']
+  }, // claimed by the admin who resolves the withdrawal
+  settlementReference: String, // bank transfer reference
+  settledBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  // Timestamps
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  completedAt: Date,
+  failedAt: Date
+});
+
+walletTransactionSchema.index({ user: 1, createdAt: -1 });
+walletTransactionSchema.index({ gateway: 1, gatewayReference: 1 });
+walletTransactionSchema.index({ type: 1, status: 1 });
+
+module.exports = mongoose.model('WalletTransaction', walletTransactionSchema);
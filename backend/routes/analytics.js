@@ -1,22 +1,40 @@
 const express = require('express');
 const Startup = require('../models/Startup');
 const User = require('../models/User');
-const { auth, requireRole } = require('../middleware/auth');
 const Investment = require('../models/Investment');
+const revaluationService = require('../services/revaluationService');
+const { auth, requireRole } = require('../middleware/auth');
 
 const router = express.Router();
 
 // Get investment analytics by sector
 router.get('/investments/by-sector', auth, requireRole(['investor']), async (req, res) => {
   try {
-    const sectorAnalytics = await Startup.aggregate([
-      { $match: { status: 'active' } },
+    const sectorAnalytics = await Investment.aggregate([
+      { $match: { status: { $in: Investment.ACTIVE_STATUSES } } },
+      {
+        $lookup: {
+          from: Startup.collection.name,
+          localField: 'startup',
+          foreignField: '_id',
+          as: 'startup'
+        }
+      },
+      { $unwind: '$startup' },
       {
         $group: {
-          _id: '$sector',
-          totalInvested: { $sum: '$funding.currentAmount' },
-          totalStartups: { $sum: 1 },
-          avgFunding: { $avg: '$funding.currentAmount' }
+          _id: '$startup.sector',
+          totalInvested: { $sum: '$amount' },
+          investmentCount: { $sum: 1 },
+          startups: { $addToSet: '$startup._id' }
+        }
+      },
+      {
+        $project: {
+          totalInvested: 1,
+          investmentCount: 1,
+          totalStartups: { $size: '$startups' },
+          avgFunding: { $divide: ['$totalInvested', { $size: '$startups' }] }
         }
       }
     ]);
@@ -39,17 +57,20 @@ router.get('/investments/by-sector', auth, requireRole(['investor']), async (req
 // Get user's investment performance
 router.get('/portfolio/performance', auth, requireRole(['investor']), async (req, res) => {
   try {
-    const user = await User.findById(req.user.userId);
+    const days = Math.min(Math.max(parseInt(req.query.days, 10) || 90, 1), 365);
+    const [summary, history] = await Promise.all([
+      Investment.getPortfolioSummary(req.user.userId),
+      revaluationService.getPerformanceHistory(req.user.userId, days)
+    ]);
     
     res.json({
       success: true,
       data: {
-        totalInvested: user.investorProfile.totalInvested,
-        portfolioValue: user.investorProfile.portfolioValue,
-        totalReturns: user.investorProfile.totalReturns,
-        roi: user.investorProfile.totalInvested > 0 
-          ? ((user.investorProfile.totalReturns / user.investorProfile.totalInvested) * 100) 
-          : 0
+        ...summary,
+        roi: summary.totalInvested > 0 
+          ? ((summary.totalReturns / summary.totalInvested) * 100) 
+          : 0,
+        history
       }
     });
 
@@ -88,18 +109,26 @@ router.post('/ai-insights', auth, async (req, res) => {
       }
 
       // Get investors who have invested in similar startups
-      const similarInvestments = await Investment.find({
-        startup: { $ne: targetId },
+      const similarStartupIds = await Startup.find({
+        _id: { $ne: targetId },
         $or: [
-          { 'startup.sector': startup.sector },
-          { 'startup.stage': startup.stage }
+          { sector: startup.sector },
+          { stage: startup.stage }
         ]
+      }).distinct('_id');
+
+      const similarInvestments = await Investment.find({
+        startup: { $in: similarStartupIds },
+        status: { $in: Investment.ACTIVE_STATUSES }
       }).populate('investor', 'firstName lastName bio investmentFocus');
 
       const investorProfiles = await Promise.all(
         similarInvestments.map(async (investment) => {
           const investorData = await User.findById(investment.investor._id);
-          const investorInvestments = await Investment.find({ investor: investment.investor._id })
+          const investorInvestments = await Investment.find({
+            investor: investment.investor._id,
+            status: { $in: Investment.ACTIVE_STATUSES }
+          })
             .populate('startup', 'name sector stage funding');
 
           return {
@@ -147,7 +176,10 @@ router.post('/ai-insights', auth, async (req, res) => {
       }
 
       // Get investor's investment history
-      const investorInvestments = await Investment.find({ investor: targetId })
+      const investorInvestments = await Investment.find({
+        investor: targetId,
+        status: { $in: Investment.ACTIVE_STATUSES }
+      })
         .populate('startup', 'name sector stage funding');
 
       // Find startups that match investor's preferences
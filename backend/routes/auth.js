@@ -1,21 +1,23 @@
 const express = require('express');
-const jwt = require('jsonwebtoken');
 const bcrypt = require('bcryptjs');
-const { body, validationResult } = require('express-validator');
+const { body, param, validationResult } = require('express-validator');
 const User = require('../models/User');
-const auth = require('../middleware/auth');
+const { auth, requireTwoFactor } = require('../middleware/auth');
 const emailService = require('../services/emailService');
 const documentService = require('../services/documentService');
+const sessionService = require('../services/sessionService');
+const emailVerificationService = require('../services/emailVerificationService');
+const passwordResetService = require('../services/passwordResetService');
+const twoFactorService = require('../services/twoFactorService');
+const loginProtectionService = require('../services/loginProtectionService');
+const { SessionError } = require('../services/sessionService');
+const { EmailVerificationError } = require('../services/emailVerificationService');
+const { PasswordResetError } = require('../services/passwordResetService');
+const { TwoFactorError } = require('../services/twoFactorService');
+const { LoginProtectionError } = require('../services/loginProtectionService');
 
 const router = express.Router();
 
-// Generate JWT token
-const generateToken = (userId) => {
-  return jwt.sign({ userId }, process.env.JWT_SECRET || 'fallback_secret', {
-    expiresIn: '30d'
-  });
-};
-
 // Register endpoint with enhanced features
 router.post('/register', [
   body('email').isEmail().normalizeEmail().withMessage('Please provide a valid email'),
@@ -94,8 +96,7 @@ router.post('/register', [
         preferredSectors: [],
         totalInvested: 0,
         portfolioValue: 0,
-        totalReturns: 0,
-        investmentHistory: []
+        totalReturns: 0
       };
     }
 
@@ -125,18 +126,29 @@ router.post('/register', [
       // Don't fail registration if email fails
     }
 
-    // Generate token
-    const token = generateToken(user._id);
+    // Send the email verification code; the user can ask for another one
+    try {
+      await emailVerificationService.sendCode(user._id);
+    } catch (verificationError) {
+      console.error('Error sending verification email:', verificationError);
+    }
+
+    // Start a session
+    const tokens = await sessionService.createSession(user, {
+      method: 'registration',
+      ip: req.ip,
+      userAgent: req.get('User-Agent')
+    });
 
     // Return user data without sensitive information
     const userData = user.getPublicProfile();
 
     res.status(201).json({
       success: true,
-      message: 'Account created successfully! Check your email for account details.',
+      message: 'Account created successfully! Check your email for account details and your verification code.',
       data: {
         user: userData,
-        token,
+        ...tokens,
         requiredDocuments: documentService.getRequiredDocuments(userType)
       }
     });
@@ -243,6 +255,9 @@ router.post('/verify-otp', [
 
     const { email, uniqueId, otp } = req.body;
 
+    // Refuse while the account or address is locked out
+    await loginProtectionService.assertAllowed({ email, ip: req.ip });
+
     // Find user
     const user = await User.findOne({ 
       email: email.toLowerCase(),
@@ -250,6 +265,7 @@ router.post('/verify-otp', [
     });
 
     if (!user) {
+      await loginProtectionService.recordFailure({ email, ip: req.ip });
       return res.status(401).json({
         success: false,
         message: 'Invalid email or Unique ID'
@@ -260,6 +276,7 @@ router.post('/verify-otp', [
     const isValidOTP = user.verifyOTP(otp);
     if (!isValidOTP) {
       await user.save(); // Save attempt count
+      await loginProtectionService.recordFailure({ email, ip: req.ip, user });
       return res.status(401).json({
         success: false,
         message: 'Invalid or expired OTP'
@@ -267,6 +284,20 @@ router.post('/verify-otp', [
     }
 
     await user.save();
+    await loginProtectionService.recordSuccess({ email });
+
+    // Accounts with two-factor authentication finish signing in through
+    // POST /2fa/login
+    if (user.twoFactorEnabled) {
+      return res.json({
+        success: true,
+        message: 'Enter the code from your authenticator app',
+        data: {
+          twoFactorRequired: true,
+          challengeToken: twoFactorService.createChallenge(user, 'otp')
+        }
+      });
+    }
 
     // Update last login
     user.lastLogin = new Date();
@@ -283,8 +314,12 @@ router.post('/verify-otp', [
 
     await user.save();
 
-    // Generate token
-    const token = generateToken(user._id);
+    // Start a session
+    const tokens = await sessionService.createSession(user, {
+      method: 'otp',
+      ip: req.ip,
+      userAgent: req.get('User-Agent')
+    });
 
     // Return user data without sensitive information
     const userData = user.getPublicProfile();
@@ -294,11 +329,21 @@ router.post('/verify-otp', [
       message: 'Login successful',
       data: {
         user: userData,
-        token
+        ...tokens
       }
     });
 
   } catch (error) {
+    if (error instanceof LoginProtectionError) {
+      if (error.retryAfter) {
+        res.set('Retry-After', String(error.retryAfter));
+      }
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
     console.error('OTP verification error:', error);
     res.status(500).json({
       success: false,
@@ -326,9 +371,13 @@ router.post('/login', [
 
     const { email, password } = req.body;
 
+    // Refuse while the account or address is locked out
+    await loginProtectionService.assertAllowed({ email, ip: req.ip });
+
     // Find user by email
     const user = await User.findByEmail(email);
     if (!user) {
+      await loginProtectionService.recordFailure({ email, ip: req.ip });
       return res.status(401).json({
         success: false,
         message: 'Invalid email or password'
@@ -346,12 +395,26 @@ router.post('/login', [
     // Compare password
     const isPasswordValid = await user.comparePassword(password);
     if (!isPasswordValid) {
+      await loginProtectionService.recordFailure({ email, ip: req.ip, user });
       return res.status(401).json({
         success: false,
         message: 'Invalid email or password'
       });
     }
 
+    await loginProtectionService.recordSuccess({ email });
+
+    if (user.twoFactorEnabled) {
+      return res.json({
+        success: true,
+        message: 'Enter the code from your authenticator app',
+        data: {
+          twoFactorRequired: true,
+          challengeToken: twoFactorService.createChallenge(user, 'password')
+        }
+      });
+    }
+
     // Update last login
     user.lastLogin = new Date();
     user.loginHistory.unshift({
@@ -367,8 +430,12 @@ router.post('/login', [
 
     await user.save();
 
-    // Generate token
-    const token = generateToken(user._id);
+    // Start a session
+    const tokens = await sessionService.createSession(user, {
+      method: 'password',
+      ip: req.ip,
+      userAgent: req.get('User-Agent')
+    });
 
     // Return user data without sensitive information
     const userData = user.getPublicProfile();
@@ -378,11 +445,21 @@ router.post('/login', [
       message: 'Login successful',
       data: {
         user: userData,
-        token
+        ...tokens
       }
     });
 
   } catch (error) {
+    if (error instanceof LoginProtectionError) {
+      if (error.retryAfter) {
+        res.set('Retry-After', String(error.retryAfter));
+      }
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
     console.error('Login error:', error);
     res.status(500).json({
       success: false,
@@ -392,6 +469,124 @@ router.post('/login', [
   }
 });
 
+// Finish a password or OTP sign-in with an authenticator or backup code
+router.post('/2fa/login', [
+  body('challengeToken').isString().notEmpty().withMessage('Challenge token is required'),
+  body('code').isString().trim().notEmpty().withMessage('Authentication code is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const result = await twoFactorService.completeChallenge(req.body.challengeToken, req.body.code);
+
+    const user = await User.findById(result.userId);
+    if (!user || user.status !== 'active') {
+      return res.status(401).json({
+        success: false,
+        message: 'Account is suspended or deactivated'
+      });
+    }
+
+    // Update last login
+    user.lastLogin = new Date();
+    user.loginHistory.unshift({
+      timestamp: new Date(),
+      ip: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+
+    // Keep only last 10 login records
+    if (user.loginHistory.length > 10) {
+      user.loginHistory = user.loginHistory.slice(0, 10);
+    }
+
+    await user.save();
+
+    // Start a session that counts as having given a second factor
+    const tokens = await sessionService.createSession(user, {
+      method: result.method,
+      ip: req.ip,
+      userAgent: req.get('User-Agent'),
+      twoFactorVerified: true
+    });
+
+    res.json({
+      success: true,
+      message: 'Login successful',
+      data: {
+        user: user.getPublicProfile(),
+        ...tokens,
+        backupCodesRemaining: result.backupCodesRemaining
+      }
+    });
+
+  } catch (error) {
+    if (error instanceof TwoFactorError) {
+      if (error.retryAfter) {
+        res.set('Retry-After', String(error.retryAfter));
+      }
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Two-factor login error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Login failed',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Ask support to turn off two-factor authentication after losing the
+// authenticator app and backup codes. Takes the challenge from a sign-in.
+router.post('/2fa/recovery', [
+  body('challengeToken').isString().notEmpty().withMessage('Challenge token is required'),
+  body('reason').trim().isLength({ min: 1, max: 500 }).withMessage('Please tell us what happened (max 500 characters)')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    await twoFactorService.requestRecovery(req.body.challengeToken, req.body.reason);
+
+    res.json({
+      success: true,
+      message: 'Recovery requested. Our support team will contact you to verify your identity.'
+    });
+
+  } catch (error) {
+    if (error instanceof TwoFactorError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Two-factor recovery request error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to request recovery',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
 // Document upload endpoint
 router.post('/upload-documents', auth, documentService.getUploadMiddleware().array('documents', 5), async (req, res) => {
   try {
@@ -526,7 +721,9 @@ router.put('/profile', auth, [
   body('firstName').optional().trim().isLength({ min: 2 }).withMessage('First name must be at least 2 characters'),
   body('lastName').optional().trim().isLength({ min: 2 }).withMessage('Last name must be at least 2 characters'),
   body('bio').optional().isLength({ max: 500 }).withMessage('Bio must be less than 500 characters'),
-  body('phoneNumber').optional().isMobilePhone().withMessage('Please provide a valid phone number')
+  body('phoneNumber').optional().isMobilePhone().withMessage('Please provide a valid phone number'),
+  body('investorProfile.annualIncome').optional().isFloat({ min: 0 }).withMessage('Annual income must be a positive number').toFloat(),
+  body('investorProfile.netWorth').optional().isFloat({ min: 0 }).withMessage('Net worth must be a positive number').toFloat()
 ], async (req, res) => {
   try {
     // Check for validation errors
@@ -553,6 +750,15 @@ router.put('/profile', auth, [
       'socialLinks', 'preferences', 'entrepreneurProfile', 'investorProfile'
     ];
 
+    // Investment totals and limits are derived server-side
+    if (req.body.investorProfile) {
+      [
+        'totalInvested', 'portfolioValue', 'totalReturns',
+        'investmentCapacity', 'isAccredited', 'accreditationReviewedAt', 'accreditationReviewedBy',
+        'accreditationNote', 'limitsDeclaredAt', 'limitLockedUntil'
+      ].forEach(field => delete req.body.investorProfile[field]);
+    }
+
     allowedUpdates.forEach(field => {
       if (req.body[field] !== undefined) {
         if (field === 'entrepreneurProfile' || field === 'investorProfile') {
@@ -621,9 +827,12 @@ router.put('/change-password', auth, [
     user.password = newPassword;
     await user.save();
 
+    // Sign out every other device
+    await sessionService.revokeAll(user._id, { except: req.user.sessionId, reason: 'password_changed' });
+
     res.json({
       success: true,
-      message: 'Password changed successfully'
+      message: 'Password changed successfully. Other devices have been signed out.'
     });
 
   } catch (error) {
@@ -636,34 +845,110 @@ router.put('/change-password', auth, [
   }
 });
 
-// Verify email endpoint (placeholder for email verification)
-router.post('/verify-email', auth, async (req, res) => {
+// Email a password reset link. The response is the same whether or not an
+// account uses the address.
+router.post('/forgot-password', [
+  body('email').isEmail().normalizeEmail().withMessage('Please provide a valid email')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    await passwordResetService.requestReset(req.body.email);
+
+    res.json({
+      success: true,
+      message: 'If an account exists for this email, a password reset link has been sent to it'
+    });
+
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to request password reset',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Set a new password with the token from a reset link. Signs out every device.
+router.post('/reset-password', [
+  body('token').isString().notEmpty().withMessage('Reset token is required'),
+  body('newPassword').isLength({ min: 6 }).withMessage('New password must be at least 6 characters')
+], async (req, res) => {
   try {
-    const { verificationCode } = req.body;
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
 
-    // In a real implementation, you would:
-    // 1. Send verification email with code during registration
-    // 2. Store code in database or cache
-    // 3. Verify code here
+    await passwordResetService.resetPassword(req.body.token, req.body.newPassword);
 
-    const user = await User.findById(req.user.userId);
-    if (!user) {
-      return res.status(404).json({
+    res.json({
+      success: true,
+      message: 'Password reset successfully. Please sign in with your new password.'
+    });
+
+  } catch (error) {
+    if (error instanceof PasswordResetError) {
+      return res.status(error.status).json({
         success: false,
-        message: 'User not found'
+        message: error.message
       });
     }
 
-    // For MVP, mark as verified (implement proper verification later)
-    user.isEmailVerified = true;
-    await user.save();
+    console.error('Reset password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to reset password',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Verify the email address with the emailed code
+router.post('/verify-email', auth, [
+  body('verificationCode').trim().matches(/^\d{6}$/).withMessage('Verification code must be 6 digits')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const user = await emailVerificationService.verifyCode(req.user.userId, req.body.verificationCode);
 
     res.json({
       success: true,
-      message: 'Email verified successfully'
+      message: 'Email verified successfully',
+      data: {
+        isEmailVerified: user.isEmailVerified,
+        emailVerifiedAt: user.emailVerifiedAt
+      }
     });
 
   } catch (error) {
+    if (error instanceof EmailVerificationError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
     console.error('Email verification error:', error);
     res.status(500).json({
       success: false,
@@ -673,11 +958,84 @@ router.post('/verify-email', auth, async (req, res) => {
   }
 });
 
-// Logout endpoint (mainly for cleanup, JWT is stateless)
+// Send a new verification code
+router.post('/verify-email/resend', auth, async (req, res) => {
+  try {
+    const result = await emailVerificationService.sendCode(req.user.userId);
+
+    res.json({
+      success: true,
+      message: 'A new verification code has been sent to your email',
+      data: result
+    });
+
+  } catch (error) {
+    if (error instanceof EmailVerificationError) {
+      if (error.retryAfter) {
+        res.set('Retry-After', String(error.retryAfter));
+      }
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Resend verification error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to send verification code',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Exchange a refresh token for a new access token and refresh token. Each
+// refresh token works once; reusing one it replaced signs its session out.
+router.post('/refresh', [
+  body('refreshToken').isString().notEmpty().withMessage('Refresh token is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const tokens = await sessionService.refresh(req.body.refreshToken, {
+      ip: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+
+    res.json({
+      success: true,
+      data: tokens
+    });
+
+  } catch (error) {
+    if (error instanceof SessionError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Token refresh error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Token refresh failed',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Logout endpoint: ends the current session
 router.post('/logout', auth, async (req, res) => {
   try {
-    // In a real implementation, you might want to blacklist the token
-    // For now, just return success
+    await sessionService.revoke({ _id: req.user.sessionId }, 'logout');
+
     res.json({
       success: true,
       message: 'Logged out successfully'
@@ -693,4 +1051,403 @@ router.post('/logout', auth, async (req, res) => {
   }
 });
 
-module.exports = router;
\ No newline at end of file
+// List the devices the user is signed in on
+router.get('/sessions', auth, async (req, res) => {
+  try {
+    const sessions = await sessionService.getSessions(req.user.userId, req.user.sessionId);
+
+    res.json({
+      success: true,
+      data: sessions
+    });
+
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch sessions',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Sign out one device
+router.delete('/sessions/:id', auth, [
+  param('id').isMongoId().withMessage('Valid session ID is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    await sessionService.revokeSession(req.user.userId, req.params.id);
+
+    res.json({
+      success: true,
+      message: 'Session revoked'
+    });
+
+  } catch (error) {
+    if (error instanceof SessionError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Revoke session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to revoke session',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Sign out every device, including this one
+router.delete('/sessions', auth, async (req, res) => {
+  try {
+    const revoked = await sessionService.revokeAll(req.user.userId);
+
+    res.json({
+      success: true,
+      message: `${revoked} session(s) revoked`,
+      data: { revoked }
+    });
+
+  } catch (error) {
+    console.error('Revoke all sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to revoke sessions',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Two-factor authentication status
+router.get('/2fa', auth, async (req, res) => {
+  try {
+    const status = await twoFactorService.getStatus(req.user.userId);
+
+    res.json({
+      success: true,
+      data: status
+    });
+
+  } catch (error) {
+    if (error instanceof TwoFactorError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Get two-factor status error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch two-factor status',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Start setting up an authenticator app. Returns the secret and an
+// otpauth:// URL to show as a QR code.
+router.post('/2fa/setup', auth, async (req, res) => {
+  try {
+    const enrollment = await twoFactorService.beginEnrollment(req.user.userId);
+
+    res.json({
+      success: true,
+      message: 'Scan the QR code with your authenticator app, then enter a code to confirm',
+      data: enrollment
+    });
+
+  } catch (error) {
+    if (error instanceof TwoFactorError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Two-factor setup error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to start two-factor setup',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Confirm the authenticator app with a code and turn two-factor on.
+// The backup codes in the response are not shown again.
+router.post('/2fa/enable', auth, [
+  body('code').trim().matches(/^\d{6}$/).withMessage('Authentication code must be 6 digits')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const result = await twoFactorService.confirmEnrollment(req.user.userId, req.body.code);
+
+    // The code just given counts for this session
+    await sessionService.markTwoFactorVerified(req.user.sessionId);
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication enabled. Store your backup codes somewhere safe.',
+      data: result
+    });
+
+  } catch (error) {
+    if (error instanceof TwoFactorError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Enable two-factor error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to enable two-factor authentication',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Turn two-factor off. Needs the password and a current code.
+router.post('/2fa/disable', auth, [
+  body('password').notEmpty().withMessage('Password is required'),
+  body('code').isString().trim().notEmpty().withMessage('Authentication code is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.user.userId);
+    if (!user || !(await user.comparePassword(req.body.password))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Password is incorrect'
+      });
+    }
+
+    await twoFactorService.disable(req.user.userId, req.body.code);
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+
+  } catch (error) {
+    if (error instanceof TwoFactorError) {
+      if (error.retryAfter) {
+        res.set('Retry-After', String(error.retryAfter));
+      }
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Disable two-factor error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to disable two-factor authentication',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Replace the backup codes
+router.post('/2fa/backup-codes', auth, [
+  body('code').isString().trim().notEmpty().withMessage('Authentication code is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const result = await twoFactorService.regenerateBackupCodes(req.user.userId, req.body.code);
+
+    res.json({
+      success: true,
+      message: 'New backup codes generated. Your old codes no longer work.',
+      data: result
+    });
+
+  } catch (error) {
+    if (error instanceof TwoFactorError) {
+      if (error.retryAfter) {
+        res.set('Retry-After', String(error.retryAfter));
+      }
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Regenerate backup codes error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to generate backup codes',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Give a code before a sensitive action. Covers this session for a few
+// minutes.
+router.post('/2fa/verify', auth, [
+  body('code').isString().trim().notEmpty().withMessage('Authentication code is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const result = await twoFactorService.verifyCode(req.user.userId, req.body.code);
+    await sessionService.markTwoFactorVerified(req.user.sessionId);
+
+    res.json({
+      success: true,
+      message: 'Code accepted',
+      data: result
+    });
+
+  } catch (error) {
+    if (error instanceof TwoFactorError) {
+      if (error.retryAfter) {
+        res.set('Retry-After', String(error.retryAfter));
+      }
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Two-factor verification error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to verify code',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Change the email address. The new address has to be verified again.
+router.put('/email', auth, requireTwoFactor, [
+  body('newEmail').isEmail().normalizeEmail().withMessage('Please provide a valid email'),
+  body('password').notEmpty().withMessage('Password is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const { newEmail, password } = req.body;
+
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (!(await user.comparePassword(password))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Password is incorrect'
+      });
+    }
+
+    if (newEmail === user.email) {
+      return res.status(400).json({
+        success: false,
+        message: 'This is already your email address'
+      });
+    }
+
+    if (await User.findByEmail(newEmail)) {
+      return res.status(409).json({
+        success: false,
+        message: 'Another account already uses this email'
+      });
+    }
+
+    const oldEmail = user.email;
+    user.email = newEmail;
+    user.isEmailVerified = false;
+    user.emailVerifiedAt = undefined;
+    user.emailVerification = undefined;
+    user.passwordReset = undefined;
+    await user.save();
+
+    // Send a code to the new address and tell the old one
+    try {
+      await emailVerificationService.sendCode(user._id);
+    } catch (verificationError) {
+      console.error('Error sending verification email:', verificationError);
+    }
+    await emailService.sendEmailChanged(oldEmail, user.firstName, newEmail);
+
+    res.json({
+      success: true,
+      message: 'Email address changed. Check your new inbox for a verification code.',
+      data: user.getPublicProfile()
+    });
+
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: 'Another account already uses this email'
+      });
+    }
+
+    console.error('Change email error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to change email address',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,220 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const AutoInvestRule = require('../models/AutoInvestRule');
+const autoInvestService = require('../services/autoInvestService');
+const { AutoInvestError } = require('../services/autoInvestService');
+const { auth, requireRole, requireKYC, requireVerifiedEmail, requireTwoFactor } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Validators shared by rule creation and updates
+const ruleValidators = [
+  body('name').optional().trim().isLength({ max: 100 }).withMessage('Name cannot exceed 100 characters'),
+  body('frequency').optional().isIn(['weekly', 'monthly']).withMessage('Frequency must be weekly or monthly'),
+  body('criteria.sectors').optional().isArray().withMessage('Sectors must be a list'),
+  body('criteria.sectors.*').isIn(AutoInvestRule.SECTORS).withMessage('Invalid sector'),
+  body('criteria.stages').optional().isArray().withMessage('Stages must be a list'),
+  body('criteria.stages.*').isIn(AutoInvestRule.STAGES).withMessage('Invalid stage'),
+  body('criteria.minAiScore').optional().isFloat({ min: 0, max: 100 }).toFloat().withMessage('Minimum AI score must be between 0 and 100'),
+  body('criteria.topStartups').optional().isInt({ min: 1, max: 10 }).toInt().withMessage('Top startups must be between 1 and 10'),
+  body('totalBudget').optional().isFloat({ min: 1 }).toFloat().withMessage('Total budget must be at least 1'),
+  body('maxPerStartup').optional().isFloat({ min: 1 }).toFloat().withMessage('Maximum per startup must be at least 1')
+];
+
+// List the investor's auto-invest rules
+router.get('/rules', auth, requireRole(['investor']), async (req, res) => {
+  try {
+    const rules = await autoInvestService.getRules(req.user.userId);
+
+    res.json({
+      success: true,
+      data: {
+        rules,
+        instructionText: autoInvestService.getInstructionText()
+      }
+    });
+
+  } catch (error) {
+    console.error('Get auto-invest rules error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch auto-invest rules',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Create an auto-invest rule. Accepting the standing instruction lets the
+// scheduler sign each execution's agreements for the investor.
+router.post('/rules', auth, requireRole(['investor']), requireKYC, requireVerifiedEmail, requireTwoFactor, [
+  body('amount').isFloat({ min: 1 }).toFloat().withMessage('Amount per run must be at least 1'),
+  body('currency').optional().isISO4217().withMessage('Invalid currency'),
+  body('startAt').optional().isISO8601().toDate().withMessage('Invalid start date'),
+  body('consent').equals('true').withMessage('You must accept the standing instruction to create a rule'),
+  ...ruleValidators
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const rule = await autoInvestService.createRule(req.user.userId, req.body, {
+      ip: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Auto-invest rule created',
+      data: rule
+    });
+
+  } catch (error) {
+    if (error instanceof AutoInvestError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Create auto-invest rule error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create auto-invest rule',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Update a rule, or pause and resume it
+router.put('/rules/:id', auth, requireRole(['investor']), requireTwoFactor, [
+  param('id').isMongoId().withMessage('Valid rule ID is required'),
+  body('amount').optional().isFloat({ min: 1 }).toFloat().withMessage('Amount per run must be at least 1'),
+  body('status').optional().isIn(['active', 'paused']).withMessage('Status must be active or paused'),
+  ...ruleValidators
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const rule = await autoInvestService.updateRule(req.params.id, req.user.userId, req.body);
+
+    res.json({
+      success: true,
+      message: 'Auto-invest rule updated',
+      data: rule
+    });
+
+  } catch (error) {
+    if (error instanceof AutoInvestError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Update auto-invest rule error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update auto-invest rule',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Cancel a rule
+router.delete('/rules/:id', auth, requireRole(['investor']), [
+  param('id').isMongoId().withMessage('Valid rule ID is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const rule = await autoInvestService.cancelRule(req.params.id, req.user.userId);
+
+    res.json({
+      success: true,
+      message: 'Auto-invest rule cancelled',
+      data: rule
+    });
+
+  } catch (error) {
+    if (error instanceof AutoInvestError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Cancel auto-invest rule error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to cancel auto-invest rule',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Get the execution history of a rule
+router.get('/rules/:id/executions', auth, requireRole(['investor']), [
+  param('id').isMongoId().withMessage('Valid rule ID is required'),
+  query('page').optional().isInt({ min: 1 }).toInt(),
+  query('limit').optional().isInt({ min: 1, max: 100 }).toInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const { page = 1, limit = 20 } = req.query;
+    const { executions, pagination } = await autoInvestService.getExecutions(
+      req.params.id,
+      req.user.userId,
+      { page, limit }
+    );
+
+    res.json({
+      success: true,
+      data: { executions, pagination }
+    });
+
+  } catch (error) {
+    if (error instanceof AutoInvestError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Get auto-invest executions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch auto-invest history',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+module.exports = router;
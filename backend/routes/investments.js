@@ -1,15 +1,26 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
-const Startup = require('../models/Startup');
-const User = require('../models/User');
-const { auth, requireRole, requireKYC } = require('../middleware/auth');
+const { body, param, query, validationResult } = require('express-validator');
+const Investment = require('../models/Investment');
+const Payout = require('../models/Payout');
+const InvestmentDocument = require('../models/InvestmentDocument');
+const investmentService = require('../services/investmentService');
+const investmentLimitsService = require('../services/investmentLimitsService');
+const statementService = require('../services/statementService');
+const investmentDocumentService = require('../services/investmentDocumentService');
+const signatureService = require('../services/signatureService');
+const syndicateService = require('../services/syndicateService');
+const paymentService = require('../services/paymentService');
+const { InvestmentError } = require('../services/investmentService');
+const { SignatureError } = require('../services/signatureService');
+const { auth, requireRole, requireKYC, requireVerifiedEmail, requireTwoFactor } = require('../middleware/auth');
 
 const router = express.Router();
 
-// Create investment
-router.post('/', auth, requireRole(['investor']), requireKYC, [
+// Create investment intent (confirmed once the agreement is signed and payment is verified)
+router.post('/', auth, requireRole(['investor']), requireKYC, requireVerifiedEmail, requireTwoFactor, [
   body('startupId').isMongoId().withMessage('Valid startup ID is required'),
-  body('amount').isFloat({ min: 100 }).withMessage('Minimum investment amount is 100')
+  body('amount').isFloat({ min: 100 }).toFloat().withMessage('Minimum investment amount is 100'),
+  body('gateway').optional().isIn([...paymentService.getAvailableGateways(), 'wallet']).withMessage('Unsupported payment gateway')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -21,101 +32,381 @@ router.post('/', auth, requireRole(['investor']), requireKYC, [
       });
     }
 
-    const { startupId, amount } = req.body;
-    
-    const startup = await Startup.findById(startupId);
-    if (!startup || startup.status !== 'active') {
-      return res.status(404).json({
+    const { startupId, amount, gateway } = req.body;
+
+    const { investment, startup, payment, agreement, warnings } = await investmentService.createInvestmentIntent({
+      investorId: req.user.userId,
+      startupId,
+      amount,
+      gateway,
+      country: req.userProfile.location?.country
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Investment initiated. Sign the subscription agreement and complete the payment to confirm it.',
+      data: {
+        investment,
+        payment,
+        agreement: {
+          _id: agreement._id,
+          type: agreement.type,
+          filename: agreement.filename,
+          contentHash: agreement.contentHash,
+          consentText: signatureService.getConsentText()
+        },
+        warnings,
+        startup: {
+          name: startup.name,
+          fundingProgress: startup.fundingProgress
+        }
+      }
+    });
+
+  } catch (error) {
+    if (error instanceof InvestmentError) {
+      return res.status(error.status).json({
         success: false,
-        message: 'Startup not found or not accepting investments'
+        message: error.message
       });
     }
 
-    const user = await User.findById(req.user.userId);
-    
-    // Check investment limits
-    if (amount < startup.funding.minimumInvestment) {
+    console.error('Investment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Investment failed',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Get user's investment portfolio
+router.get('/portfolio', auth, requireRole(['investor']), async (req, res) => {
+  try {
+    const [summary, investments, lookThrough] = await Promise.all([
+      Investment.getPortfolioSummary(req.user.userId),
+      Investment.findByInvestor(req.user.userId),
+      syndicateService.getLookThrough(req.user.userId)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        ...summary,
+        investments: investments.map(investment => investment.toObject({ virtuals: true })),
+        // Stakes held through syndicates, net of the leads' carry
+        syndicates: lookThrough.stakes,
+        lookThrough: lookThrough.totals
+      }
+    });
+
+  } catch (error) {
+    console.error('Get portfolio error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch portfolio',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Get the investor's annual limit and remaining capacity
+router.get('/limits', auth, requireRole(['investor']), async (req, res) => {
+  try {
+    const capacity = await investmentLimitsService.getCapacity(req.userProfile);
+
+    res.json({
+      success: true,
+      data: capacity
+    });
+
+  } catch (error) {
+    console.error('Get investment limits error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch investment limits',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Get the investor's exit distributions
+router.get('/payouts', auth, requireRole(['investor']), async (req, res) => {
+  try {
+    const payouts = await Payout.find({ investor: req.user.userId })
+      .sort({ createdAt: -1 })
+      .populate('startup', 'name logo sector')
+      .populate('exitEvent', 'type acquirer proceeds effectiveAt');
+
+    res.json({
+      success: true,
+      data: payouts
+    });
+
+  } catch (error) {
+    console.error('Get payouts error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch payouts',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Download an annual statement as JSON, CSV or PDF
+router.get('/statements/:year', auth, requireRole(['investor']), [
+  param('year').isInt({ min: 2000, max: new Date().getUTCFullYear() }).withMessage('Invalid statement year').toInt(),
+  query('format').optional().isIn(['json', 'csv', 'pdf']).withMessage('Format must be json, csv or pdf')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
       return res.status(400).json({
         success: false,
-        message: `Minimum investment amount is ${startup.funding.minimumInvestment}`
+        message: 'Validation errors',
+        errors: errors.array()
       });
     }
 
-    if (startup.funding.maximumInvestment && amount > startup.funding.maximumInvestment) {
+    const { year } = req.params;
+    const format = req.query.format || 'json';
+    const statement = await statementService.buildStatement(req.user.userId, year);
+    const filename = `startuplink-statement-${year}`;
+
+    if (format === 'csv') {
+      res.set({
+        'Content-Type': 'text/csv; charset=utf-8',
+        'Content-Disposition': `attachment; filename="${filename}.csv"`
+      });
+      return res.send(statementService.toCSV(statement));
+    }
+
+    if (format === 'pdf') {
+      const pdf = await statementService.toPDF(statement);
+      res.set({
+        'Content-Type': 'application/pdf',
+        'Content-Disposition': `attachment; filename="${filename}.pdf"`
+      });
+      return res.send(pdf);
+    }
+
+    res.json({
+      success: true,
+      data: statement
+    });
+
+  } catch (error) {
+    console.error('Get statement error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to generate statement',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// List the agreement and receipt issued for an investment
+router.get('/:id/documents', auth, requireRole(['investor']), [
+  param('id').isMongoId().withMessage('Valid investment ID is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
       return res.status(400).json({
         success: false,
-        message: `Maximum investment amount is ${startup.funding.maximumInvestment}`
+        message: 'Validation errors',
+        errors: errors.array()
       });
     }
 
-    // Check if funding goal would be exceeded
-    if (startup.funding.currentAmount + amount > startup.funding.targetAmount) {
+    const documents = await InvestmentDocument.find({
+      investment: req.params.id,
+      investor: req.user.userId
+    }).select('-storagePath');
+
+    res.json({
+      success: true,
+      data: documents
+    });
+
+  } catch (error) {
+    console.error('Get investment documents error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch investment documents',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Download an investment document as a PDF
+router.get('/:id/documents/:type', auth, requireRole(['investor']), [
+  param('id').isMongoId().withMessage('Valid investment ID is required'),
+  param('type').isIn(['subscription_agreement', 'receipt']).withMessage('Invalid document type')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
       return res.status(400).json({
         success: false,
-        message: 'Investment amount exceeds remaining funding requirement'
+        message: 'Validation errors',
+        errors: errors.array()
       });
     }
 
-    // Add investment
-    await startup.addInvestment(req.user.userId, amount, `INV_${Date.now()}`);
-    
-    // Update user investment profile
-    user.investorProfile.totalInvested += amount;
-    user.investorProfile.investmentHistory.push({
-      startupId: startup._id,
-      amount: amount,
-      currentValue: amount,
-      status: 'active'
+    const document = await InvestmentDocument.findOne({
+      investment: req.params.id,
+      investor: req.user.userId,
+      type: req.params.type
+    });
+
+    if (!document) {
+      return res.status(404).json({
+        success: false,
+        message: 'Document not found'
+      });
+    }
+
+    const content = await investmentDocumentService.readDocument(document);
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `attachment; filename="${document.filename}"`,
+      'X-Content-SHA256': document.contentHash
+    });
+    res.send(content);
+
+  } catch (error) {
+    console.error('Download investment document error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to download investment document',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Sign the subscription agreement of a pending investment
+router.post('/:id/sign', auth, requireRole(['investor']), [
+  param('id').isMongoId().withMessage('Valid investment ID is required'),
+  body('documentHash').isHexadecimal().isLength({ min: 64, max: 64 }).withMessage('SHA-256 hash of the agreement is required'),
+  body('consent').equals('true').withMessage('You must accept the agreement to sign it')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const { investment, signature } = await signatureService.signAgreement(req.params.id, req.userProfile, {
+      documentHash: req.body.documentHash.toLowerCase(),
+      ip: req.ip,
+      userAgent: req.get('User-Agent'),
+      sessionIssuedAt: req.user.iat ? new Date(req.user.iat * 1000) : undefined
     });
-    await user.save();
 
     res.json({
       success: true,
-      message: 'Investment successful',
-      data: {
-        investment: {
-          startupId,
-          amount,
-          date: new Date()
-        },
-        startup: {
-          name: startup.name,
-          fundingProgress: startup.fundingProgress
-        }
-      }
+      message: investment.status === 'confirmed'
+        ? 'Agreement signed and investment confirmed'
+        : 'Agreement signed. Complete the payment to confirm your investment.',
+      data: { investment, signature }
     });
 
   } catch (error) {
-    console.error('Investment error:', error);
+    if (error instanceof SignatureError || error instanceof InvestmentError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Sign agreement error:', error);
     res.status(500).json({
       success: false,
-      message: 'Investment failed',
+      message: 'Failed to sign agreement',
       error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
     });
   }
 });
 
-// Get user's investment portfolio
-router.get('/portfolio', auth, requireRole(['investor']), async (req, res) => {
+// Get the signature audit record of an investment
+router.get('/:id/signature', auth, requireRole(['investor']), [
+  param('id').isMongoId().withMessage('Valid investment ID is required')
+], async (req, res) => {
   try {
-    const user = await User.findById(req.user.userId)
-      .populate('investorProfile.investmentHistory.startupId', 'name logo sector funding');
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const { signature, integrity } = await signatureService.getSignature(req.params.id, req.user.userId);
 
     res.json({
       success: true,
-      data: {
-        totalInvested: user.investorProfile.totalInvested,
-        portfolioValue: user.investorProfile.portfolioValue,
-        totalReturns: user.investorProfile.totalReturns,
-        investments: user.investorProfile.investmentHistory
-      }
+      data: { signature, ...integrity }
     });
 
   } catch (error) {
-    console.error('Get portfolio error:', error);
+    if (error instanceof SignatureError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Get signature error:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to fetch portfolio',
+      message: 'Failed to fetch signature',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Cancel an investment during the cooling-off period
+router.post('/:id/cancel', auth, requireRole(['investor']), [
+  param('id').isMongoId().withMessage('Valid investment ID is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const investment = await investmentService.cancelInvestment(req.params.id, req.user.userId);
+
+    res.json({
+      success: true,
+      message: investment.status === 'refunded'
+        ? 'Investment cancelled. Your refund is on its way.'
+        : 'Investment cancelled',
+      data: investment.toObject({ virtuals: true })
+    });
+
+  } catch (error) {
+    if (error instanceof InvestmentError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Cancel investment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to cancel investment',
       error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
     });
   }
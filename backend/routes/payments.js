@@ -1,39 +1,31 @@
 const express = require('express');
-const Razorpay = require('razorpay');
-const stripe = require('stripe');
+const { body, validationResult } = require('express-validator');
+const Investment = require('../models/Investment');
+const PaymentEvent = require('../models/PaymentEvent');
+const paymentService = require('../services/paymentService');
+const investmentService = require('../services/investmentService');
+const walletService = require('../services/walletService');
+const secondaryMarketService = require('../services/secondaryMarketService');
+const { InvestmentError } = require('../services/investmentService');
+const { SecondaryMarketError } = require('../services/secondaryMarketService');
 const { auth, requireKYC } = require('../middleware/auth');
 
 const router = express.Router();
 
-// Initialize payment gateways
-const razorpay = new Razorpay({
-  key_id: process.env.RAZORPAY_KEY_ID,
-  key_secret: process.env.RAZORPAY_KEY_SECRET,
-});
-
-const stripeClient = stripe(process.env.STRIPE_SECRET_KEY);
-
 // Create Razorpay order (for UPI/India)
 router.post('/razorpay/create-order', auth, requireKYC, async (req, res) => {
   try {
     const { amount, currency = 'INR' } = req.body;
 
-    const options = {
-      amount: amount * 100, // Razorpay expects amount in paise
+    const { clientData } = await paymentService.createCharge('razorpay', {
+      amount,
       currency,
-      receipt: `receipt_${Date.now()}`,
-    };
-
-    const order = await razorpay.orders.create(options);
+      receipt: `receipt_${Date.now()}`
+    });
 
     res.json({
       success: true,
-      data: {
-        orderId: order.id,
-        amount: order.amount,
-        currency: order.currency,
-        key: process.env.RAZORPAY_KEY_ID
-      }
+      data: clientData
     });
 
   } catch (error) {
@@ -51,20 +43,17 @@ router.post('/stripe/create-intent', auth, requireKYC, async (req, res) => {
   try {
     const { amount, currency = 'USD' } = req.body;
 
-    const paymentIntent = await stripeClient.paymentIntents.create({
-      amount: amount * 100, // Stripe expects amount in cents
+    const { clientData } = await paymentService.createCharge('stripe', {
+      amount,
       currency,
       metadata: {
         userId: req.user.userId,
-      },
+      }
     });
 
     res.json({
       success: true,
-      data: {
-        clientSecret: paymentIntent.client_secret,
-        paymentIntentId: paymentIntent.id
-      }
+      data: clientData
     });
 
   } catch (error) {
@@ -77,32 +66,75 @@ router.post('/stripe/create-intent', auth, requireKYC, async (req, res) => {
   }
 });
 
-// Verify payment
-router.post('/verify', auth, async (req, res) => {
+// Verify payment and confirm the investment it pays for
+router.post('/verify', auth, [
+  body('investmentId').isMongoId().withMessage('Valid investment ID is required')
+], async (req, res) => {
   try {
-    const { paymentId, orderId, signature, gateway } = req.body;
-
-    let isValid = false;
-
-    if (gateway === 'razorpay') {
-      const crypto = require('crypto');
-      const body = orderId + "|" + paymentId;
-      const expectedSignature = crypto
-        .createHmac('sha256', process.env.RAZORPAY_KEY_SECRET)
-        .update(body.toString())
-        .digest('hex');
-      isValid = expectedSignature === signature;
-    } else if (gateway === 'stripe') {
-      // For Stripe, verification is handled during payment intent confirmation
-      isValid = true;
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
     }
 
+    const { investmentId, paymentId, signature } = req.body;
+
+    const investment = await Investment.findOne({
+      _id: investmentId,
+      investor: req.user.userId
+    });
+
+    if (!investment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Investment not found'
+      });
+    }
+
+    if (['wallet', 'syndicate'].includes(investment.gateway)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Wallet and syndicate payments do not need to be verified'
+      });
+    }
+
+    const gatewayPaymentId = await paymentService.verifyPayment(investment.gateway, {
+      reference: investment.gatewayReference,
+      paymentId,
+      signature
+    });
+
+    if (!gatewayPaymentId) {
+      return res.json({
+        success: true,
+        data: { isValid: false, investment }
+      });
+    }
+
+    const confirmedInvestment = await investmentService.confirmInvestment(investment._id, {
+      gatewayPaymentId
+    });
+
+    const awaitingSignature = confirmedInvestment.status === 'pending';
     res.json({
       success: true,
-      data: { isValid }
+      message: awaitingSignature
+        ? 'Payment received. Sign the subscription agreement to confirm your investment.'
+        : undefined,
+      data: { isValid: true, investment: confirmedInvestment, awaitingSignature }
     });
 
   } catch (error) {
+    if (error instanceof InvestmentError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
     console.error('Payment verification error:', error);
     res.status(500).json({
       success: false,
@@ -112,4 +144,92 @@ router.post('/verify', auth, async (req, res) => {
   }
 });
 
+// Record a webhook event, or reclaim one whose processing failed earlier.
+// Resolves to null when the event was already handled.
+const claimPaymentEvent = async (gateway, event) => {
+  try {
+    return await PaymentEvent.create({
+      gateway,
+      eventId: event.eventId,
+      type: event.type,
+      payload: event.payload
+    });
+  } catch (error) {
+    if (!PaymentEvent.isDuplicateKeyError(error)) {
+      throw error;
+    }
+
+    return PaymentEvent.findOneAndUpdate(
+      { gateway, eventId: event.eventId, status: 'failed' },
+      { $set: { status: 'received' }, $unset: { error: 1 } },
+      { new: true }
+    );
+  }
+};
+
+// Gateway webhook handler: verify the signature against the raw body,
+// dedupe replayed deliveries and drive the investment state machine
+const handleWebhook = (gateway) => async (req, res) => {
+  let event;
+  try {
+    event = paymentService.parseWebhookEvent(gateway, req.rawBody, req.headers);
+  } catch (error) {
+    console.error(`${gateway} webhook signature error:`, error.message);
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid webhook signature'
+    });
+  }
+
+  try {
+    const paymentEvent = await claimPaymentEvent(gateway, event);
+    if (!paymentEvent) {
+      return res.json({
+        success: true,
+        message: 'Event already processed'
+      });
+    }
+
+    try {
+      const investment = await investmentService.handlePaymentEvent(gateway, event);
+      const walletTransaction = investment ? null : await walletService.handlePaymentEvent(gateway, event);
+      const secondaryTrade = investment || walletTransaction
+        ? null
+        : await secondaryMarketService.handlePaymentEvent(gateway, event);
+      paymentEvent.status = investment || walletTransaction || secondaryTrade ? 'processed' : 'ignored';
+      paymentEvent.investment = investment?._id;
+      paymentEvent.walletTransaction = walletTransaction?._id;
+      paymentEvent.secondaryTrade = secondaryTrade?._id;
+    } catch (error) {
+      if (!(error instanceof InvestmentError) && !(error instanceof SecondaryMarketError)) {
+        paymentEvent.status = 'failed';
+        paymentEvent.error = error.message;
+        await paymentEvent.save();
+        throw error;
+      }
+
+      // The investment or trade can no longer take this transition; retrying won't help
+      paymentEvent.status = 'ignored';
+      paymentEvent.error = error.message;
+    }
+
+    paymentEvent.processedAt = new Date();
+    await paymentEvent.save();
+
+    res.json({ success: true });
+
+  } catch (error) {
+    console.error(`${gateway} webhook error:`, error);
+    res.status(500).json({
+      success: false,
+      message: 'Webhook processing failed',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// Gateway webhooks (authenticated by signature, not by user token)
+router.post('/webhooks/stripe', handleWebhook('stripe'));
+router.post('/webhooks/razorpay', handleWebhook('razorpay'));
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,316 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const secondaryMarketService = require('../services/secondaryMarketService');
+const paymentService = require('../services/paymentService');
+const { SecondaryMarketError } = require('../services/secondaryMarketService');
+const { auth, optionalAuth, requireRole, requireKYC, requireVerifiedEmail, requireTwoFactor } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Browse open listings, optionally for one startup
+router.get('/listings', optionalAuth, [
+  query('startup').optional().isMongoId().withMessage('Invalid startup ID'),
+  query('page').optional().isInt({ min: 1 }).toInt(),
+  query('limit').optional().isInt({ min: 1, max: 100 }).toInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const { startup, page = 1, limit = 20 } = req.query;
+    const { listings, pagination } = await secondaryMarketService.getListings({ startupId: startup, page, limit });
+
+    res.json({
+      success: true,
+      data: { listings, pagination }
+    });
+
+  } catch (error) {
+    console.error('Get secondary listings error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch listings',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Get the user's own listings
+router.get('/listings/mine', auth, requireRole(['investor']), async (req, res) => {
+  try {
+    const listings = await secondaryMarketService.getMyListings(req.user.userId);
+
+    res.json({
+      success: true,
+      data: listings
+    });
+
+  } catch (error) {
+    console.error('Get my listings error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch your listings',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// List part or all of a holding for sale. Give `shares` for priced
+// holdings or `principal` for unpriced ones; neither lists all of it.
+router.post('/listings', auth, requireRole(['investor']), requireKYC, requireTwoFactor, [
+  body('investmentId').isMongoId().withMessage('Valid investment ID is required'),
+  body('shares').optional().isInt({ min: 1 }).toInt().withMessage('Shares must be a whole number'),
+  body('principal').optional().isFloat({ min: 0.01 }).toFloat().withMessage('Invalid amount'),
+  body('askingPrice').isFloat({ min: 1 }).toFloat().withMessage('Asking price must be at least 1'),
+  body('expiresAt').optional().isISO8601().toDate().withMessage('Invalid expiry date')
+    .custom(value => value > new Date()).withMessage('Expiry date must be in the future')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const listing = await secondaryMarketService.createListing(req.user.userId, req.body);
+
+    res.status(201).json({
+      success: true,
+      message: 'Holding listed for sale',
+      data: listing
+    });
+
+  } catch (error) {
+    if (error instanceof SecondaryMarketError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Create listing error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create listing',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Withdraw a listing
+router.delete('/listings/:id', auth, requireRole(['investor']), [
+  param('id').isMongoId().withMessage('Valid listing ID is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const listing = await secondaryMarketService.cancelListing(req.params.id, req.user.userId);
+
+    res.json({
+      success: true,
+      message: 'Listing cancelled',
+      data: listing
+    });
+
+  } catch (error) {
+    if (error instanceof SecondaryMarketError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Cancel listing error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to cancel listing',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Buy a listing from the wallet or through a payment gateway
+router.post('/listings/:id/buy', auth, requireRole(['investor']), requireKYC, requireVerifiedEmail, requireTwoFactor, [
+  param('id').isMongoId().withMessage('Valid listing ID is required'),
+  body('gateway').optional().isIn([...paymentService.getAvailableGateways(), 'wallet']).withMessage('Unsupported payment gateway')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const { trade, payment, warnings } = await secondaryMarketService.buyListing(req.params.id, req.user.userId, {
+      gateway: req.body.gateway,
+      country: req.userProfile.location?.country
+    });
+
+    res.status(201).json({
+      success: true,
+      message: trade.status === 'settled'
+        ? 'Purchase completed'
+        : trade.status === 'held'
+          ? 'Payment received. The founder has a right of first refusal before the sale completes.'
+          : 'Purchase started. Complete the payment to buy the holding.',
+      data: { trade, payment, warnings }
+    });
+
+  } catch (error) {
+    if (error instanceof SecondaryMarketError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Buy listing error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to buy listing',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Verify a gateway payment for a purchase
+router.post('/trades/:id/verify', auth, [
+  param('id').isMongoId().withMessage('Valid trade ID is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const { paymentId, signature } = req.body;
+    const result = await secondaryMarketService.verifyTradePayment(req.params.id, req.user.userId, { paymentId, signature });
+
+    res.json({
+      success: true,
+      data: result
+    });
+
+  } catch (error) {
+    if (error instanceof SecondaryMarketError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Verify secondary payment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Payment verification failed',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Get the user's purchases and sales
+router.get('/trades', auth, async (req, res) => {
+  try {
+    const trades = await secondaryMarketService.getTrades(req.user.userId);
+
+    res.json({
+      success: true,
+      data: trades
+    });
+
+  } catch (error) {
+    console.error('Get secondary trades error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch trades',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Get trades in the founder's startups awaiting a right of first refusal
+// decision
+router.get('/right-of-first-refusal', auth, requireRole(['entrepreneur']), async (req, res) => {
+  try {
+    const trades = await secondaryMarketService.getRightOfFirstRefusalTrades(req.user.userId);
+
+    res.json({
+      success: true,
+      data: trades
+    });
+
+  } catch (error) {
+    console.error('Get right of first refusal trades error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch trades',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Exercise or waive the right of first refusal on a trade. Exercising buys
+// the holding from the founder's wallet at the buyer's price.
+router.post('/trades/:id/right-of-first-refusal', auth, requireRole(['entrepreneur']), requireKYC, [
+  param('id').isMongoId().withMessage('Valid trade ID is required'),
+  body('decision').isIn(['exercised', 'waived']).withMessage('Decision must be exercised or waived')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const trade = await secondaryMarketService.decideRightOfFirstRefusal(req.params.id, req.user.userId, req.body.decision);
+
+    res.json({
+      success: true,
+      message: req.body.decision === 'exercised' ? 'Right of first refusal exercised' : 'Right of first refusal waived',
+      data: trade
+    });
+
+  } catch (error) {
+    if (error instanceof SecondaryMarketError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Right of first refusal error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to record the decision',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,54 @@
+const express = require('express');
+const multer = require('multer');
+const { body, validationResult } = require('express-validator');
+const signatureService = require('../services/signatureService');
+
+const router = express.Router();
+
+// Signed agreements are uploaded only to be hashed
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 10 * 1024 * 1024, // 10MB limit
+  },
+});
+
+// Check that a signed PDF is exactly the one issued and signed on the
+// platform. Accepts the file itself or its SHA-256 hash; no account needed.
+router.post('/verify', upload.single('document'), [
+  body('documentHash')
+    .if((value, { req }) => !req.file)
+    .isHexadecimal().isLength({ min: 64, max: 64 })
+    .withMessage('Upload the document or provide its SHA-256 hash')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const result = await signatureService.verifyDocument({
+      content: req.file && req.file.buffer,
+      documentHash: req.body.documentHash
+    });
+
+    res.json({
+      success: true,
+      data: result
+    });
+
+  } catch (error) {
+    console.error('Verify signature error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to verify document',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+module.exports = router;
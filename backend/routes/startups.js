@@ -1,10 +1,24 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const { body, param, validationResult } = require('express-validator');
 const multer = require('multer');
 const cloudinary = require('cloudinary').v2;
 const Startup = require('../models/Startup');
 const User = require('../models/User');
-const { auth, optionalAuth, requireRole } = require('../middleware/auth');
+const Investment = require('../models/Investment');
+const FundingRound = require('../models/FundingRound');
+const capTableService = require('../services/capTableService');
+const { CapTableError } = capTableService;
+const fundingRoundService = require('../services/fundingRoundService');
+const { FundingRoundError } = fundingRoundService;
+const revaluationService = require('../services/revaluationService');
+const { RevaluationError } = revaluationService;
+const exitService = require('../services/exitService');
+const { ExitError } = exitService;
+const secondaryMarketService = require('../services/secondaryMarketService');
+const { SecondaryMarketError } = secondaryMarketService;
+const campaignLifecycleService = require('../services/campaignLifecycleService');
+const { CampaignLifecycleError } = campaignLifecycleService;
+const { auth, optionalAuth, requireRole, requireAdmin, requireVerifiedEmail } = require('../middleware/auth');
 
 const router = express.Router();
 
@@ -97,9 +111,12 @@ router.get('/', optionalAuth, async (req, res) => {
     // Get total count for pagination
     const totalCount = await Startup.countDocuments(filters);
 
+    const roundsByStartup = await fundingRoundService.getRoundsForStartups(startups);
+
     // Add user interaction data if authenticated
     const startupsWithUserData = startups.map(startup => {
       const startupObj = startup.toObject({ virtuals: true });
+      startupObj.rounds = roundsByStartup.get(startup._id.toString());
       
       if (req.user) {
         startupObj.isLiked = startup.likedBy.includes(req.user.userId);
@@ -204,8 +221,7 @@ router.get('/:id', optionalAuth, async (req, res) => {
   try {
     const startup = await Startup.findById(req.params.id)
       .populate('founder', 'firstName lastName profilePicture bio entrepreneurProfile communityScore')
-      .populate('coFounders.user', 'firstName lastName profilePicture')
-      .populate('investments.investor', 'firstName lastName profilePicture');
+      .populate('coFounders.user', 'firstName lastName profilePicture');
 
     if (!startup) {
       return res.status(404).json({
@@ -218,6 +234,8 @@ router.get('/:id', optionalAuth, async (req, res) => {
     await startup.addView();
 
     const startupObj = startup.toObject({ virtuals: true });
+    startupObj.investments = await Investment.findByStartup(startup._id);
+    startupObj.rounds = await fundingRoundService.getRounds(startup);
     
     if (req.user) {
       startupObj.isLiked = startup.likedBy.includes(req.user.userId);
@@ -239,8 +257,302 @@ router.get('/:id', optionalAuth, async (req, res) => {
   }
 });
 
+// Get startup cap table (founding team, admins and investors only)
+router.get('/:id/cap-table', auth, async (req, res) => {
+  try {
+    const capTable = await capTableService.getCapTable(req.params.id, req.user.userId, {
+      isAdmin: req.userProfile.isAdmin
+    });
+
+    res.json({
+      success: true,
+      data: capTable
+    });
+
+  } catch (error) {
+    if (error instanceof CapTableError) {
+      return res.status(error.status).json({ success: false, message: error.message });
+    }
+    console.error('Get cap table error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch cap table',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Get a startup's funding rounds, oldest first
+router.get('/:id/rounds', optionalAuth, async (req, res) => {
+  try {
+    const startup = await Startup.findById(req.params.id);
+
+    if (!startup) {
+      return res.status(404).json({
+        success: false,
+        message: 'Startup not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: await fundingRoundService.getRounds(startup)
+    });
+
+  } catch (error) {
+    console.error('Get funding rounds error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch funding rounds',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Open the next funding round once the current one has finished
+router.post('/:id/rounds', auth, requireRole(['entrepreneur']), [
+  body('roundType').isIn(FundingRound.ROUND_TYPES).withMessage('Invalid round type'),
+  body('instrument').optional().isIn(FundingRound.INSTRUMENTS).withMessage('Invalid instrument'),
+  body('targetAmount').isFloat({ min: 1000 }).withMessage('Target amount must be at least 1000').toFloat(),
+  body('minimumInvestment').optional().isFloat({ min: 1 }).withMessage('Invalid minimum investment').toFloat(),
+  body('maximumInvestment').optional().isFloat({ min: 1 }).withMessage('Invalid maximum investment').toFloat(),
+  body('valuation').optional().isFloat({ min: 0 }).withMessage('Invalid valuation').toFloat(),
+  body('equityOffered').optional().isFloat({ min: 0, max: 100 }).withMessage('Equity offered must be a percentage').toFloat(),
+  body('fundingModel').optional().isIn(['flexible', 'all_or_nothing']).withMessage('Invalid funding model'),
+  body('startDate').optional().isISO8601().withMessage('Invalid start date'),
+  body('fundingDeadline').optional().isISO8601().withMessage('Invalid funding deadline'),
+  body('fundingDeadline')
+    .if(body('fundingModel').equals('all_or_nothing'))
+    .isISO8601().withMessage('All-or-nothing campaigns require a funding deadline')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const { startup, round } = await fundingRoundService.openNextRound(req.params.id, req.user.userId, req.body);
+    await revaluationService.recordPricedRound(startup, round);
+
+    res.status(201).json({
+      success: true,
+      message: round.status === 'scheduled' ? 'Funding round scheduled' : 'Funding round opened',
+      data: {
+        round,
+        startup: startup.toObject({ virtuals: true })
+      }
+    });
+
+  } catch (error) {
+    if (error instanceof FundingRoundError) {
+      return res.status(error.status).json({ success: false, message: error.message });
+    }
+    console.error('Open funding round error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to open funding round',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Write down a startup's valuation and re-mark its holdings (admin)
+router.post('/:id/valuations', auth, requireAdmin, [
+  body('valuation').isFloat({ min: 0 }).withMessage('Valuation must be a positive number').toFloat(),
+  body('notes').optional().trim().isLength({ max: 1000 }).withMessage('Notes must be under 1000 characters'),
+  body('effectiveAt').optional().isISO8601().withMessage('Invalid effective date').toDate()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const event = await revaluationService.markStartup(req.params.id, {
+      type: 'write_down',
+      valuation: req.body.valuation,
+      notes: req.body.notes,
+      effectiveAt: req.body.effectiveAt,
+      recordedBy: req.user.userId
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `Valuation recorded and ${event.holdingsMarked} holdings re-marked`,
+      data: event
+    });
+
+  } catch (error) {
+    if (error instanceof RevaluationError) {
+      return res.status(error.status).json({ success: false, message: error.message });
+    }
+    console.error('Record valuation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to record valuation',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Record an exit and distribute the proceeds (founder or admin)
+router.post('/:id/exit', auth, [
+  body('type').isIn(['acquisition', 'ipo', 'shutdown']).withMessage('Invalid exit type'),
+  body('proceeds').isFloat({ min: 0 }).withMessage('Proceeds must be a positive number').toFloat(),
+  body('acquirer').optional().trim().isLength({ max: 200 }).withMessage('Acquirer must be under 200 characters'),
+  body('notes').optional().trim().isLength({ max: 1000 }).withMessage('Notes must be under 1000 characters'),
+  body('effectiveAt').optional().isISO8601().withMessage('Invalid effective date').toDate()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const { exitEvent, payouts } = await exitService.recordExit(
+      req.params.id,
+      { userId: req.user.userId, isAdmin: req.userProfile.isAdmin },
+      req.body
+    );
+
+    res.status(201).json({
+      success: true,
+      message: exitEvent.status === 'awaiting_proceeds'
+        ? `Exit recorded. ${payouts.length} distributions will be paid once the proceeds are received.`
+        : `Exit recorded and ${payouts.length} investors notified of their distributions`,
+      data: { exitEvent, payouts }
+    });
+
+  } catch (error) {
+    if (error instanceof ExitError) {
+      return res.status(error.status).json({ success: false, message: error.message });
+    }
+    console.error('Record exit error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to record exit',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Confirm an exit's proceeds have arrived and pay the distributions (admin)
+router.post('/:id/exit/proceeds', auth, requireAdmin, [
+  param('id').isMongoId().withMessage('Valid startup ID is required'),
+  body('reference').trim().isLength({ min: 1, max: 100 }).withMessage('Payment reference is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const { exitEvent, payouts } = await exitService.confirmProceeds(req.params.id, req.user.userId, {
+      reference: req.body.reference
+    });
+
+    res.json({
+      success: true,
+      message: `Proceeds received and ${payouts.length} distributions paid`,
+      data: { exitEvent, payouts }
+    });
+
+  } catch (error) {
+    if (error instanceof ExitError) {
+      return res.status(error.status).json({ success: false, message: error.message });
+    }
+    console.error('Confirm exit proceeds error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to confirm exit proceeds',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Set the rules for selling holdings on the secondary market (founder)
+router.put('/:id/transfer-policy', auth, requireRole(['entrepreneur']), [
+  body('transfersAllowed').optional().isBoolean().withMessage('transfersAllowed must be true or false').toBoolean(),
+  body('lockupDays').optional().isInt({ min: 0, max: 3650 }).withMessage('Lock-up must be between 0 and 3650 days').toInt(),
+  body('accreditedBuyersOnly').optional().isBoolean().withMessage('accreditedBuyersOnly must be true or false').toBoolean(),
+  body('rightOfFirstRefusal').optional().isBoolean().withMessage('rightOfFirstRefusal must be true or false').toBoolean(),
+  body('rofrWindowHours').optional().isInt({ min: 1, max: 720 }).withMessage('Refusal window must be between 1 and 720 hours').toInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const transferPolicy = await secondaryMarketService.updateTransferPolicy(req.params.id, req.user.userId, req.body);
+
+    res.json({
+      success: true,
+      message: 'Transfer policy updated',
+      data: transferPolicy
+    });
+
+  } catch (error) {
+    if (error instanceof SecondaryMarketError) {
+      return res.status(error.status).json({ success: false, message: error.message });
+    }
+    console.error('Update transfer policy error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update transfer policy',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Get a startup's exit and distributions (founding team, admins and investors)
+router.get('/:id/exit', auth, async (req, res) => {
+  try {
+    const exit = await exitService.getExit(req.params.id, {
+      userId: req.user.userId,
+      isAdmin: req.userProfile.isAdmin
+    });
+
+    res.json({
+      success: true,
+      data: exit
+    });
+
+  } catch (error) {
+    if (error instanceof ExitError) {
+      return res.status(error.status).json({ success: false, message: error.message });
+    }
+    console.error('Get exit error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch exit',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
 // Create new startup
-router.post('/', auth, requireRole(['entrepreneur']), [
+router.post('/', auth, requireRole(['entrepreneur']), requireVerifiedEmail, [
   body('name').trim().isLength({ min: 2, max: 100 }).withMessage('Name must be between 2 and 100 characters'),
   body('tagline').trim().isLength({ min: 10, max: 200 }).withMessage('Tagline must be between 10 and 200 characters'),
   body('description').trim().isLength({ min: 50, max: 2000 }).withMessage('Description must be between 50 and 2000 characters'),
@@ -248,6 +560,12 @@ router.post('/', auth, requireRole(['entrepreneur']), [
   body('businessModel').isIn(['B2B', 'B2C', 'B2B2C', 'Marketplace', 'SaaS', 'Hardware', 'Other']).withMessage('Invalid business model'),
   body('stage').isIn(['idea', 'prototype', 'mvp', 'early-revenue', 'growth', 'expansion']).withMessage('Invalid stage'),
   body('funding.targetAmount').isFloat({ min: 1000 }).withMessage('Target amount must be at least 1000'),
+  body('funding.fundingModel').optional().isIn(['flexible', 'all_or_nothing']).withMessage('Invalid funding model'),
+  body('funding.fundingDeadline')
+    .if(body('funding.fundingModel').equals('all_or_nothing'))
+    .isISO8601().withMessage('All-or-nothing campaigns require a funding deadline'),
+  body('funding.roundType').optional().isIn(FundingRound.ROUND_TYPES).withMessage('Invalid round type'),
+  body('funding.instrument').optional().isIn(FundingRound.INSTRUMENTS).withMessage('Invalid instrument'),
   body('location.city').trim().notEmpty().withMessage('City is required'),
   body('location.country').trim().notEmpty().withMessage('Country is required')
 ], async (req, res) => {
@@ -271,6 +589,7 @@ router.post('/', auth, requireRole(['entrepreneur']), [
 
     const startup = new Startup(startupData);
     await startup.save();
+    await fundingRoundService.ensureCurrentRound(startup);
 
     const populatedStartup = await Startup.findById(startup._id)
       .populate('founder', 'firstName lastName profilePicture');
@@ -332,6 +651,50 @@ router.put('/:id', auth, requireRole(['entrepreneur']), [
       'metrics', 'links', 'tags'
     ];
 
+    if (req.body.funding !== undefined) {
+      const current = startup.toObject().funding;
+      const sameDeadline = (deadline) => (
+        (deadline ? new Date(deadline).getTime() : null) === (current.fundingDeadline ? current.fundingDeadline.getTime() : null)
+      );
+
+      // Investors commit against the published terms and deadline, so they
+      // are fixed once the campaign leaves draft
+      if (startup.status !== 'draft') {
+        const changedTerms = ['targetAmount', 'valuation', 'equityOffered', 'currency', 'fundingDeadline']
+          .filter(field => req.body.funding[field] !== undefined)
+          .filter(field => (field === 'fundingDeadline'
+            ? !sameDeadline(req.body.funding.fundingDeadline)
+            : String(req.body.funding[field]) !== String(current[field])));
+
+        if (changedTerms.length) {
+          return res.status(409).json({
+            success: false,
+            message: `Funding terms cannot be changed once the campaign has left draft: ${changedTerms.join(', ')}`
+          });
+        }
+      }
+
+      await fundingRoundService.assertPricingEditable(startup, req.body.funding);
+
+      // Fields left out of the request keep their stored values. Funding
+      // counters, escrow state, the funding model and the current round are
+      // managed by the investment flow and cannot be edited by the founder.
+      const { round, currentAmount, reservedAmount, investorCount, fundingModel, escrow } = current;
+      const deadlineUnchanged = req.body.funding.fundingDeadline === undefined
+        || sameDeadline(req.body.funding.fundingDeadline);
+      req.body.funding = {
+        ...current,
+        ...req.body.funding,
+        round,
+        currentAmount,
+        reservedAmount,
+        investorCount,
+        deadlineReminderSentAt: deadlineUnchanged ? current.deadlineReminderSentAt : undefined,
+        fundingModel: startup.status === 'draft' ? req.body.funding.fundingModel || fundingModel : fundingModel,
+        escrow
+      };
+    }
+
     allowedUpdates.forEach(field => {
       if (req.body[field] !== undefined) {
         startup[field] = req.body[field];
@@ -350,6 +713,9 @@ router.put('/:id', auth, requireRole(['entrepreneur']), [
     });
 
   } catch (error) {
+    if (error instanceof FundingRoundError) {
+      return res.status(error.status).json({ success: false, message: error.message });
+    }
     console.error('Update startup error:', error);
     res.status(500).json({
       success: false,
@@ -359,6 +725,43 @@ router.put('/:id', auth, requireRole(['entrepreneur']), [
   }
 });
 
+// Publish a draft campaign now, or schedule it to open at fundingStartDate
+router.post('/:id/publish', auth, requireRole(['entrepreneur']), requireVerifiedEmail, [
+  body('fundingStartDate').optional().isISO8601().withMessage('Invalid funding start date')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const startup = await campaignLifecycleService.publish(req.params.id, req.user.userId, {
+      startDate: req.body.fundingStartDate
+    });
+
+    res.json({
+      success: true,
+      message: startup.status === 'scheduled' ? 'Campaign scheduled' : 'Campaign published',
+      data: startup.toObject({ virtuals: true })
+    });
+
+  } catch (error) {
+    if (error instanceof CampaignLifecycleError) {
+      return res.status(error.status).json({ success: false, message: error.message });
+    }
+    console.error('Publish startup error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to publish startup',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
 // Upload startup media (logo, pitch video, documents)
 router.post('/:id/upload', auth, requireRole(['entrepreneur']), upload.fields([
   { name: 'logo', maxCount: 1 },
@@ -0,0 +1,360 @@
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+const syndicateService = require('../services/syndicateService');
+const signatureService = require('../services/signatureService');
+const { SyndicateError } = require('../services/syndicateService');
+const { auth, requireRole, requireKYC, requireVerifiedEmail, requireTwoFactor } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Syndicates the user leads or has been invited to
+router.get('/', auth, requireRole(['investor']), async (req, res) => {
+  try {
+    const syndicates = await syndicateService.getSyndicates(req.user.userId);
+
+    res.json({
+      success: true,
+      data: syndicates
+    });
+
+  } catch (error) {
+    console.error('Get syndicates error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch syndicates',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Create a syndicate around a startup that is raising
+router.post('/', auth, requireRole(['investor']), requireKYC, requireVerifiedEmail, requireTwoFactor, [
+  body('startupId').isMongoId().withMessage('Valid startup ID is required'),
+  body('name').trim().isLength({ min: 1, max: 100 }).withMessage('Name is required and cannot exceed 100 characters'),
+  body('description').optional().trim().isLength({ max: 2000 }).withMessage('Description cannot exceed 2000 characters'),
+  body('carry').optional().isFloat({ min: 0, max: 50 }).toFloat().withMessage('Carry must be between 0 and 50 percent'),
+  body('minimumTicket').isFloat({ min: 1 }).toFloat().withMessage('Minimum ticket must be at least 1'),
+  body('targetAmount').optional().isFloat({ min: 1 }).toFloat().withMessage('Target must be at least 1'),
+  body('closesAt').isISO8601().toDate().withMessage('Valid closing date is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const syndicate = await syndicateService.createSyndicate(req.user.userId, req.body);
+
+    res.status(201).json({
+      success: true,
+      message: 'Syndicate created',
+      data: syndicate
+    });
+
+  } catch (error) {
+    if (error instanceof SyndicateError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Create syndicate error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create syndicate',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Get a syndicate with the user's own commitment
+router.get('/:id', auth, requireRole(['investor']), [
+  param('id').isMongoId().withMessage('Valid syndicate ID is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const result = await syndicateService.getSyndicate(req.params.id, req.user.userId);
+
+    res.json({
+      success: true,
+      data: result
+    });
+
+  } catch (error) {
+    if (error instanceof SyndicateError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Get syndicate error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch syndicate',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Invite followers by email (lead only)
+router.post('/:id/invitations', auth, requireRole(['investor']), [
+  param('id').isMongoId().withMessage('Valid syndicate ID is required'),
+  body('emails').isArray({ min: 1, max: 100 }).withMessage('Between 1 and 100 email addresses are required'),
+  body('emails.*').isEmail().normalizeEmail().withMessage('Invalid email address')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const result = await syndicateService.invite(req.params.id, req.user.userId, req.body.emails);
+
+    res.json({
+      success: true,
+      message: `${result.invited.length} follower(s) invited`,
+      data: result
+    });
+
+  } catch (error) {
+    if (error instanceof SyndicateError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Invite syndicate followers error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to send invitations',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Commit capital from the wallet
+router.post('/:id/commit', auth, requireRole(['investor']), requireKYC, requireVerifiedEmail, requireTwoFactor, [
+  param('id').isMongoId().withMessage('Valid syndicate ID is required'),
+  body('amount').isFloat({ min: 1 }).toFloat().withMessage('Amount must be at least 1')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const commitment = await syndicateService.commit(req.params.id, req.user.userId, req.body.amount);
+
+    res.json({
+      success: true,
+      message: 'Commitment received',
+      data: commitment
+    });
+
+  } catch (error) {
+    if (error instanceof SyndicateError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Commit to syndicate error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to commit to syndicate',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Withdraw a commitment while the syndicate is open
+router.post('/:id/withdraw', auth, requireRole(['investor']), [
+  param('id').isMongoId().withMessage('Valid syndicate ID is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const commitment = await syndicateService.withdraw(req.params.id, req.user.userId);
+
+    res.json({
+      success: true,
+      message: 'Commitment withdrawn and returned to your wallet',
+      data: commitment
+    });
+
+  } catch (error) {
+    if (error instanceof SyndicateError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Withdraw syndicate commitment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to withdraw commitment',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Invest the pooled commitments (lead only). The lead then signs the
+// returned agreement through POST /api/investments/:id/sign.
+router.post('/:id/invest', auth, requireRole(['investor']), requireKYC, requireVerifiedEmail, requireTwoFactor, [
+  param('id').isMongoId().withMessage('Valid syndicate ID is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const { syndicate, investment, agreement } = await syndicateService.invest(req.params.id, req.user.userId);
+
+    res.status(201).json({
+      success: true,
+      message: 'Investment created. Sign the subscription agreement to complete it.',
+      data: {
+        syndicate,
+        investment,
+        agreement: {
+          _id: agreement._id,
+          type: agreement.type,
+          filename: agreement.filename,
+          contentHash: agreement.contentHash,
+          consentText: signatureService.getConsentText()
+        }
+      }
+    });
+
+  } catch (error) {
+    if (error instanceof SyndicateError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Syndicate invest error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to invest for syndicate',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Cancel an open syndicate and refund its followers (lead only)
+router.delete('/:id', auth, requireRole(['investor']), [
+  param('id').isMongoId().withMessage('Valid syndicate ID is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const syndicate = await syndicateService.cancelSyndicate(req.params.id, req.user.userId);
+
+    res.json({
+      success: true,
+      message: 'Syndicate cancelled and commitments refunded',
+      data: syndicate
+    });
+
+  } catch (error) {
+    if (error instanceof SyndicateError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Cancel syndicate error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to cancel syndicate',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Follower commitment analytics (lead only)
+router.get('/:id/analytics', auth, requireRole(['investor']), [
+  param('id').isMongoId().withMessage('Valid syndicate ID is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const analytics = await syndicateService.getAnalytics(req.params.id, req.user.userId);
+
+    res.json({
+      success: true,
+      data: analytics
+    });
+
+  } catch (error) {
+    if (error instanceof SyndicateError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Get syndicate analytics error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch syndicate analytics',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,9 +1,239 @@
 const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
 const User = require('../models/User');
-const { auth, optionalAuth } = require('../middleware/auth');
+const Investment = require('../models/Investment');
+const twoFactorService = require('../services/twoFactorService');
+const loginProtectionService = require('../services/loginProtectionService');
+const { TwoFactorError } = require('../services/twoFactorService');
+const { LoginProtectionError } = require('../services/loginProtectionService');
+const { auth, optionalAuth, requireTwoFactor, requireAdmin } = require('../middleware/auth');
 
 const router = express.Router();
 
+// Pending two-factor recovery requests, oldest first (admin)
+router.get('/two-factor/recovery-requests', auth, requireAdmin, async (req, res) => {
+  try {
+    const requests = await twoFactorService.getRecoveryRequests();
+
+    res.json({
+      success: true,
+      data: requests
+    });
+
+  } catch (error) {
+    console.error('Get two-factor recovery requests error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch recovery requests',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Turn off a user's two-factor authentication once support has verified
+// their identity out of band (admin). Signs the user out everywhere.
+router.post('/:id/two-factor/reset', auth, requireAdmin, requireTwoFactor, [
+  param('id').isMongoId().withMessage('Valid user ID is required'),
+  body('reason').trim().isLength({ min: 1, max: 500 }).withMessage('Reason is required (max 500 characters)')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    await twoFactorService.adminReset(req.params.id, req.user.userId, req.body.reason, {
+      ip: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication reset and all sessions revoked'
+    });
+
+  } catch (error) {
+    if (error instanceof TwoFactorError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Reset two-factor error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to reset two-factor authentication',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Failed sign-ins and lockouts for a user, and optionally an address (admin)
+router.get('/:id/login-protection', auth, requireAdmin, [
+  param('id').isMongoId().withMessage('Valid user ID is required'),
+  query('ip').optional().isIP().withMessage('Valid IP address is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.params.id).select('email twoFactor.failedAttempts twoFactor.lockedUntil');
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const status = await loginProtectionService.getStatus({ email: user.email, ip: req.query.ip });
+
+    res.json({
+      success: true,
+      data: {
+        ...status,
+        twoFactorLockedUntil: user.twoFactor.lockedUntil
+      }
+    });
+
+  } catch (error) {
+    if (error instanceof LoginProtectionError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Get login protection status error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch sign-in lockout status',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Lift a sign-in lockout, optionally for an address as well (admin)
+router.post('/:id/unlock', auth, requireAdmin, [
+  param('id').isMongoId().withMessage('Valid user ID is required'),
+  body('ip').optional().isIP().withMessage('Valid IP address is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.params.id).select('email');
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    await loginProtectionService.unlock(user, {
+      ip: req.body.ip,
+      adminId: req.user.userId,
+      requestIp: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+
+    res.json({
+      success: true,
+      message: 'Account unlocked'
+    });
+
+  } catch (error) {
+    if (error instanceof LoginProtectionError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Unlock account error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to unlock account',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Record the outcome of an accreditation review, which lifts or restores
+// the investor's 12-month limit (admin)
+router.put('/:id/accreditation', auth, requireAdmin, [
+  param('id').isMongoId().withMessage('Valid user ID is required'),
+  body('isAccredited').isBoolean().withMessage('isAccredited must be true or false').toBoolean(),
+  body('note').optional().trim().isLength({ max: 500 }).withMessage('Note must be at most 500 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (!['investor', 'both'].includes(user.userType)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Only investors can be accredited'
+      });
+    }
+
+    // Saving recalculates the investor's annual limit
+    user.investorProfile.isAccredited = req.body.isAccredited;
+    user.investorProfile.accreditationReviewedAt = new Date();
+    user.investorProfile.accreditationReviewedBy = req.user.userId;
+    user.investorProfile.accreditationNote = req.body.note;
+    await user.save();
+
+    res.json({
+      success: true,
+      message: req.body.isAccredited ? 'Investor marked as accredited' : 'Accreditation removed',
+      data: {
+        isAccredited: user.investorProfile.isAccredited,
+        investmentCapacity: user.investorProfile.investmentCapacity,
+        accreditationReviewedAt: user.investorProfile.accreditationReviewedAt
+      }
+    });
+
+  } catch (error) {
+    console.error('Update accreditation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update accreditation',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
 // Get user profile by ID
 router.get('/:id', optionalAuth, async (req, res) => {
   try {
@@ -16,9 +246,13 @@ router.get('/:id', optionalAuth, async (req, res) => {
       });
     }
 
+    const investmentHistory = ['investor', 'both'].includes(user.userType) && user.preferences.privacy.investmentHistoryVisible
+      ? await Investment.findPublicHistory(user._id)
+      : undefined;
+
     res.json({
       success: true,
-      data: user.getPublicProfile()
+      data: user.getPublicProfile(investmentHistory)
     });
 
   } catch (error) {
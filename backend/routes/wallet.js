@@ -0,0 +1,310 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const walletService = require('../services/walletService');
+const ledgerService = require('../services/ledgerService');
+const paymentService = require('../services/paymentService');
+const { WalletError } = require('../services/walletService');
+const { auth, requireKYC, requireAdmin, requireTwoFactor } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Get wallet balances, one per currency
+router.get('/', auth, async (req, res) => {
+  try {
+    const wallets = await walletService.getWallets(req.user.userId);
+
+    res.json({
+      success: true,
+      data: wallets
+    });
+
+  } catch (error) {
+    console.error('Get wallet error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch wallet',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Get wallet ledger activity, newest first
+router.get('/activity', auth, [
+  query('currency').optional().isISO4217().withMessage('Invalid currency'),
+  query('page').optional().isInt({ min: 1 }).toInt(),
+  query('limit').optional().isInt({ min: 1, max: 100 }).toInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const { currency, page = 1, limit = 20 } = req.query;
+    const { entries, pagination } = await walletService.getActivity(req.user.userId, { currency, page, limit });
+
+    res.json({
+      success: true,
+      data: { entries, pagination }
+    });
+
+  } catch (error) {
+    console.error('Get wallet activity error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch wallet activity',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Get top-ups and withdrawals
+router.get('/transactions', auth, async (req, res) => {
+  try {
+    const transactions = await walletService.getTransactions(req.user.userId);
+
+    res.json({
+      success: true,
+      data: transactions
+    });
+
+  } catch (error) {
+    console.error('Get wallet transactions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch wallet transactions',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Start a top-up through a payment gateway
+router.post('/top-ups', auth, requireKYC, [
+  body('amount').isFloat({ min: 1 }).toFloat().withMessage('Minimum top-up amount is 1'),
+  body('currency').optional().isISO4217().withMessage('Invalid currency'),
+  body('gateway').optional().isIn(paymentService.getAvailableGateways()).withMessage('Unsupported payment gateway')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const { transaction, payment } = await walletService.createTopUp(req.user.userId, {
+      amount: req.body.amount,
+      currency: req.body.currency || req.userProfile.preferences?.currency || 'USD',
+      gateway: req.body.gateway,
+      country: req.userProfile.location?.country
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Top-up initiated. Complete the payment to add the funds.',
+      data: { transaction, payment }
+    });
+
+  } catch (error) {
+    console.error('Wallet top-up error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to start top-up',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Verify a top-up payment and credit the wallet
+router.post('/top-ups/:id/verify', auth, [
+  param('id').isMongoId().withMessage('Valid top-up ID is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const { paymentId, signature } = req.body;
+    const result = await walletService.verifyTopUp(req.params.id, req.user.userId, { paymentId, signature });
+
+    res.json({
+      success: true,
+      data: result
+    });
+
+  } catch (error) {
+    if (error instanceof WalletError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Verify top-up error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Top-up verification failed',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Withdraw funds to the user's bank account
+router.post('/withdrawals', auth, requireKYC, requireTwoFactor, [
+  body('amount').isFloat({ min: 1 }).toFloat().withMessage('Minimum withdrawal amount is 1'),
+  body('currency').isISO4217().withMessage('Valid currency is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const transaction = await walletService.requestWithdrawal(req.user.userId, {
+      amount: req.body.amount,
+      currency: req.body.currency
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Withdrawal requested. Funds will reach your bank account once it is settled.',
+      data: transaction
+    });
+
+  } catch (error) {
+    if (error instanceof WalletError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Wallet withdrawal error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to request withdrawal',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Record the bank transfer for a withdrawal (admin)
+router.post('/withdrawals/:id/settle', auth, requireAdmin, [
+  param('id').isMongoId().withMessage('Valid withdrawal ID is required'),
+  body('reference').trim().notEmpty().withMessage('Bank transfer reference is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const transaction = await walletService.settleWithdrawal(req.params.id, req.user.userId, {
+      reference: req.body.reference
+    });
+
+    res.json({
+      success: true,
+      message: 'Withdrawal settled',
+      data: transaction
+    });
+
+  } catch (error) {
+    if (error instanceof WalletError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Settle withdrawal error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to settle withdrawal',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Return a withdrawal to the user's wallet (admin)
+router.post('/withdrawals/:id/reject', auth, requireAdmin, [
+  param('id').isMongoId().withMessage('Valid withdrawal ID is required'),
+  body('reason').trim().notEmpty().withMessage('Reason is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const transaction = await walletService.rejectWithdrawal(req.params.id, req.user.userId, {
+      reason: req.body.reason
+    });
+
+    res.json({
+      success: true,
+      message: 'Withdrawal returned to wallet',
+      data: transaction
+    });
+
+  } catch (error) {
+    if (error instanceof WalletError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Reject withdrawal error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to reject withdrawal',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Audit the ledger and wallet balances (admin)
+router.get('/reconciliation', auth, requireAdmin, async (req, res) => {
+  try {
+    const report = await ledgerService.reconcile();
+
+    res.json({
+      success: true,
+      data: report
+    });
+
+  } catch (error) {
+    console.error('Ledger reconciliation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to reconcile ledger',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+module.exports = router;
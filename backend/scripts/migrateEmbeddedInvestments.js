@@ -0,0 +1,156 @@
+// One-off migration: move the investments that used to be embedded in
+// startups (`investments[]`) and users (`investorProfile.investmentHistory[]`)
+// into the Investment collection. Safe to re-run; migrated records are keyed
+// by transaction ID and the embedded arrays are only removed with --prune.
+//
+//   node scripts/migrateEmbeddedInvestments.js [--dry-run] [--prune]
+const mongoose = require('mongoose');
+const Investment = require('../models/Investment');
+require('dotenv').config();
+
+const dryRun = process.argv.includes('--dry-run');
+const prune = process.argv.includes('--prune');
+
+// Legacy startup entries were payments; legacy history entries were holdings
+const PAYMENT_STATUS = { pending: 'failed', confirmed: 'confirmed', failed: 'failed' };
+const HOLDING_STATUS = { active: 'confirmed', exited: 'exited', failed: 'written_off' };
+
+const legacyTransactionId = (prefix, ownerId, index) => `LEGACY_${prefix}_${ownerId}_${index}`;
+
+async function upsertInvestment(transactionId, fields) {
+  if (dryRun) {
+    const exists = await Investment.exists({ transactionId });
+    return !exists;
+  }
+
+  const result = await Investment.updateOne(
+    { transactionId },
+    { $setOnInsert: { transactionId, ...fields } },
+    { upsert: true }
+  );
+  return result.upsertedCount > 0;
+}
+
+async function migrateStartups(db, stats) {
+  const cursor = db.collection('startups').find({ 'investments.0': { $exists: true } });
+
+  for await (const startup of cursor) {
+    for (const [index, entry] of startup.investments.entries()) {
+      if (!entry.investor || !entry.amount) {
+        stats.skipped += 1;
+        continue;
+      }
+
+      const status = PAYMENT_STATUS[entry.status] || 'failed';
+      const date = entry.date || startup.createdAt || new Date();
+      const created = await upsertInvestment(
+        entry.transactionId || legacyTransactionId('S', startup._id, index),
+        {
+          startup: startup._id,
+          investor: entry.investor,
+          amount: entry.amount,
+          currency: (startup.funding && startup.funding.currency) || 'USD',
+          currentValue: entry.amount,
+          status,
+          failureReason: entry.status === 'pending' ? 'Unpaid before migration' : undefined,
+          createdAt: date,
+          updatedAt: date,
+          [`${status}At`]: date
+        }
+      );
+      stats[created ? 'created' : 'existing'] += 1;
+    }
+  }
+}
+
+async function migrateHistories(db, stats) {
+  const cursor = db.collection('users').find({ 'investorProfile.investmentHistory.0': { $exists: true } });
+  const claimed = [];
+
+  for await (const user of cursor) {
+    for (const [index, entry] of user.investorProfile.investmentHistory.entries()) {
+      if (!entry.startupId || !entry.amount) {
+        stats.skipped += 1;
+        continue;
+      }
+
+      const date = entry.date || user.createdAt || new Date();
+      const currentValue = entry.status === 'failed' ? 0 : (entry.currentValue ?? entry.amount);
+
+      // The same investment was usually recorded on the startup as well
+      const match = await Investment.findOne({
+        _id: { $nin: claimed },
+        investor: user._id,
+        startup: entry.startupId,
+        amount: entry.amount,
+        status: { $in: Investment.ACTIVE_STATUSES },
+        transactionId: /^(?!LEGACY_U_)/
+      });
+
+      if (match) {
+        claimed.push(match._id);
+        if (!dryRun) {
+          await Investment.updateOne({ _id: match._id }, {
+            $set: {
+              currentValue,
+              status: HOLDING_STATUS[entry.status] || match.status,
+              ...(entry.status === 'exited' && !match.exitedAt ? { exitedAt: date } : {}),
+              ...(entry.status === 'failed' && !match.writtenOffAt ? { writtenOffAt: date } : {}),
+              updatedAt: new Date()
+            }
+          });
+        }
+        stats.matched += 1;
+        continue;
+      }
+
+      const status = HOLDING_STATUS[entry.status] || 'confirmed';
+      const created = await upsertInvestment(legacyTransactionId('U', user._id, index), {
+        startup: entry.startupId,
+        investor: user._id,
+        amount: entry.amount,
+        currentValue,
+        status,
+        createdAt: date,
+        updatedAt: date,
+        confirmedAt: date,
+        ...(status === 'exited' ? { exitedAt: date } : {}),
+        ...(status === 'written_off' ? { writtenOffAt: date } : {})
+      });
+      stats[created ? 'created' : 'existing'] += 1;
+    }
+  }
+}
+
+async function pruneEmbedded(db) {
+  await db.collection('startups').updateMany(
+    { investments: { $exists: true } },
+    { $unset: { investments: '' } }
+  );
+  await db.collection('users').updateMany(
+    { 'investorProfile.investmentHistory': { $exists: true } },
+    { $unset: { 'investorProfile.investmentHistory': '' } }
+  );
+}
+
+async function run() {
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/startuplink');
+  const db = mongoose.connection.db;
+  const stats = { created: 0, existing: 0, matched: 0, skipped: 0 };
+
+  await migrateStartups(db, stats);
+  await migrateHistories(db, stats);
+
+  if (prune && !dryRun) {
+    await pruneEmbedded(db);
+  }
+
+  console.log(`${dryRun ? '[dry run] ' : ''}Embedded investments migrated:`, stats);
+}
+
+run()
+  .catch(error => {
+    console.error('Investment migration failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
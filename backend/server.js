@@ -17,6 +17,25 @@ const investmentRoutes = require('./routes/investments');
 const paymentRoutes = require('./routes/payments');
 const communityRoutes = require('./routes/community');
 const analyticsRoutes = require('./routes/analytics');
+const signatureRoutes = require('./routes/signatures');
+const walletRoutes = require('./routes/wallet');
+const autoInvestRoutes = require('./routes/autoInvest');
+const secondaryRoutes = require('./routes/secondary');
+const syndicateRoutes = require('./routes/syndicates');
+
+// Import services
+const investmentService = require('./services/investmentService');
+const escrowService = require('./services/escrowService');
+const campaignLifecycleService = require('./services/campaignLifecycleService');
+const revaluationService = require('./services/revaluationService');
+const exitService = require('./services/exitService');
+const investmentDocumentService = require('./services/investmentDocumentService');
+const ledgerService = require('./services/ledgerService');
+const autoInvestService = require('./services/autoInvestService');
+const secondaryMarketService = require('./services/secondaryMarketService');
+const syndicateService = require('./services/syndicateService');
+const schedulerService = require('./services/schedulerService');
+const loginProtectionService = require('./services/loginProtectionService');
 
 const app = express();
 const server = http.createServer(app);
@@ -33,15 +52,22 @@ app.use(cors());
 app.use(compression());
 app.use(morgan('combined'));
 
-// Rate limiting
+// Rate limiting. Gateway webhooks are exempt: they arrive in bursts from
+// a few shared IPs and are authenticated by their signatures.
 const limiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 100 // limit each IP to 100 requests per windowMs
+  max: 100, // limit each IP to 100 requests per windowMs
+  skip: (req) => req.originalUrl.startsWith('/api/payments/webhooks/')
 });
 app.use('/api/', limiter);
 
-// Body parsing middleware
-app.use(express.json({ limit: '50mb' }));
+// Body parsing middleware (raw body is kept for webhook signature checks)
+app.use(express.json({
+  limit: '50mb',
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 app.use(express.urlencoded({ extended: true, limit: '50mb' }));
 
 // Database connection
@@ -49,9 +75,32 @@ mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/startupli
   useNewUrlParser: true,
   useUnifiedTopology: true,
 })
-.then(() => console.log('Connected to MongoDB'))
+.then(() => {
+  console.log('Connected to MongoDB');
+  return schedulerService.start();
+})
 .catch(err => console.error('MongoDB connection error:', err));
 
+// Redis holds failed sign-in counts and lockouts
+loginProtectionService.connect();
+
+// Background jobs (each runs on one instance at a time)
+schedulerService
+  .register('expire-pending-investments', 60 * 1000, () => investmentService.expirePendingInvestments())
+  .register('settle-escrow', 5 * 60 * 1000, () => escrowService.settleExpiredCampaigns())
+  .register('release-escrow', 15 * 60 * 1000, () => escrowService.releaseSettledInvestments())
+  .register('open-scheduled-campaigns', 5 * 60 * 1000, () => campaignLifecycleService.openScheduledCampaigns())
+  .register('close-expired-campaigns', 5 * 60 * 1000, () => campaignLifecycleService.closeExpiredCampaigns())
+  .register('clear-expired-promotions', 15 * 60 * 1000, () => campaignLifecycleService.clearExpiredPromotions())
+  .register('send-deadline-reminders', 60 * 60 * 1000, () => campaignLifecycleService.sendDeadlineReminders())
+  .register('record-portfolio-snapshots', 60 * 60 * 1000, () => revaluationService.recordDailySnapshots())
+  .register('resume-exit-distributions', 15 * 60 * 1000, () => exitService.resumeDistributions())
+  .register('issue-investment-documents', 60 * 1000, () => investmentDocumentService.issuePendingDocuments())
+  .register('run-auto-invest-rules', 15 * 60 * 1000, () => autoInvestService.runDueRules())
+  .register('process-secondary-trades', 5 * 60 * 1000, () => secondaryMarketService.processTrades())
+  .register('process-syndicates', 5 * 60 * 1000, () => syndicateService.processSyndicates())
+  .register('reconcile-ledger', 24 * 60 * 60 * 1000, () => ledgerService.reconcile({ fix: true }));
+
 // Socket.io for real-time features
 io.on('connection', (socket) => {
   console.log('User connected:', socket.id);
@@ -80,6 +129,11 @@ app.use('/api/investments', investmentRoutes);
 app.use('/api/payments', paymentRoutes);
 app.use('/api/community', communityRoutes);
 app.use('/api/analytics', analyticsRoutes);
+app.use('/api/signatures', signatureRoutes);
+app.use('/api/wallet', walletRoutes);
+app.use('/api/auto-invest', autoInvestRoutes);
+app.use('/api/secondary', secondaryRoutes);
+app.use('/api/syndicates', syndicateRoutes);
 
 // Health check endpoint
 app.get('/health', (req, res) => {
@@ -0,0 +1,427 @@
+const Startup = require('../models/Startup');
+const User = require('../models/User');
+const Investment = require('../models/Investment');
+const AutoInvestRule = require('../models/AutoInvestRule');
+const AutoInvestExecution = require('../models/AutoInvestExecution');
+const investmentService = require('./investmentService');
+const investmentLimitsService = require('./investmentLimitsService');
+const signatureService = require('./signatureService');
+const emailService = require('./emailService');
+const { InvestmentError } = require('./investmentService');
+const { SignatureError } = require('./signatureService');
+
+const INSTRUCTION_TEXT = 'I authorise StartupLink to invest from my wallet according to this rule and to sign '
+  + 'the subscription agreement for each investment on my behalf. I can pause or cancel the rule at any time.';
+
+// How long one instance may spend executing a rule
+const LOCK_MS = 10 * 60 * 1000;
+
+// Rules executed per scheduler run
+const BATCH_SIZE = 50;
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+// The run after `date`, skipping any periods missed while the rule was
+// paused or the scheduler was down
+const nextRunAfter = (date, frequency, now = new Date()) => {
+  const next = new Date(date);
+  do {
+    if (frequency === 'weekly') {
+      next.setUTCDate(next.getUTCDate() + 7);
+    } else {
+      next.setUTCMonth(next.getUTCMonth() + 1);
+    }
+  } while (next <= now);
+  return next;
+};
+
+class AutoInvestError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'AutoInvestError';
+    this.status = status;
+  }
+}
+
+class AutoInvestService {
+  getInstructionText() {
+    return INSTRUCTION_TEXT;
+  }
+
+  async createRule(investorId, data, { ip, userAgent }) {
+    const investor = await User.findById(investorId);
+    const sectors = data.criteria && data.criteria.sectors;
+    if (!(sectors && sectors.length) && !(investor.investorProfile.preferredSectors || []).length) {
+      throw new AutoInvestError('Choose sectors for the rule or set preferred sectors in your profile', 422);
+    }
+
+    return AutoInvestRule.create({
+      investor: investorId,
+      name: data.name,
+      amount: data.amount,
+      currency: data.currency || (investor.preferences && investor.preferences.currency) || 'USD',
+      frequency: data.frequency,
+      criteria: data.criteria,
+      totalBudget: data.totalBudget,
+      maxPerStartup: data.maxPerStartup,
+      instruction: {
+        consentText: INSTRUCTION_TEXT,
+        acceptedAt: new Date(),
+        ip,
+        userAgent
+      },
+      nextRunAt: data.startAt || new Date()
+    });
+  }
+
+  async getRules(investorId) {
+    return AutoInvestRule.find({ investor: investorId, status: { $ne: 'cancelled' } }).sort({ createdAt: -1 });
+  }
+
+  async getRule(ruleId, investorId) {
+    const rule = await AutoInvestRule.findOne({ _id: ruleId, investor: investorId });
+    if (!rule) {
+      throw new AutoInvestError('Auto-invest rule not found', 404);
+    }
+    return rule;
+  }
+
+  // Change a rule's amount, criteria or budgets, or pause and resume it.
+  // Raising the budget of an exhausted rule makes it active again.
+  async updateRule(ruleId, investorId, updates) {
+    const rule = await this.getRule(ruleId, investorId);
+    if (rule.status === 'cancelled') {
+      throw new AutoInvestError('A cancelled rule cannot be changed', 409);
+    }
+
+    ['name', 'amount', 'frequency', 'totalBudget', 'maxPerStartup'].forEach(field => {
+      if (updates[field] !== undefined) {
+        rule[field] = updates[field];
+      }
+    });
+    Object.entries(updates.criteria || {}).forEach(([field, value]) => {
+      rule.set(`criteria.${field}`, value);
+    });
+
+    if (updates.status) {
+      rule.status = updates.status;
+    }
+    if (rule.status === 'exhausted' && (!rule.totalBudget || rule.totalInvested < rule.totalBudget)) {
+      rule.status = 'active';
+    }
+    // A resumed rule picks up from now rather than replaying missed runs
+    if (rule.status === 'active' && rule.nextRunAt < new Date()) {
+      rule.nextRunAt = new Date();
+    }
+
+    rule.updatedAt = new Date();
+    return rule.save();
+  }
+
+  async cancelRule(ruleId, investorId) {
+    const rule = await this.getRule(ruleId, investorId);
+    rule.status = 'cancelled';
+    rule.updatedAt = new Date();
+    return rule.save();
+  }
+
+  async getExecutions(ruleId, investorId, { page = 1, limit = 20 } = {}) {
+    await this.getRule(ruleId, investorId);
+    const filter = { rule: ruleId };
+    const [executions, total] = await Promise.all([
+      AutoInvestExecution.find(filter)
+        .sort({ scheduledFor: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      AutoInvestExecution.countDocuments(filter)
+    ]);
+
+    return {
+      executions,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  // Execute every active rule that is due
+  async runDueRules() {
+    const due = await AutoInvestRule.find({ status: 'active', nextRunAt: { $lte: new Date() } })
+      .select('_id')
+      .limit(BATCH_SIZE);
+
+    let executed = 0;
+    for (const { _id } of due) {
+      try {
+        if (await this.executeRule(_id)) {
+          executed += 1;
+        }
+      } catch (error) {
+        console.error(`Auto-invest error for rule ${_id}:`, error);
+      }
+    }
+
+    return { executed };
+  }
+
+  // Run a due rule once for its scheduled date. The execution record is keyed
+  // on that date, so a run interrupted part way resumes rather than repeats.
+  async executeRule(ruleId) {
+    const now = new Date();
+    const rule = await AutoInvestRule.findOneAndUpdate(
+      {
+        _id: ruleId,
+        status: 'active',
+        nextRunAt: { $lte: now },
+        $or: [
+          { lockedUntil: null },
+          { lockedUntil: { $lte: now } }
+        ]
+      },
+      { $set: { lockedUntil: new Date(now.getTime() + LOCK_MS) } },
+      { new: true }
+    );
+
+    if (!rule) {
+      return null;
+    }
+
+    try {
+      let execution = await AutoInvestExecution.findOneAndUpdate(
+        { rule: rule._id, scheduledFor: rule.nextRunAt },
+        { $setOnInsert: { investor: rule.investor, currency: rule.currency, status: 'running', startedAt: now } },
+        { upsert: true, new: true }
+      );
+
+      if (execution.status === 'running') {
+        execution = await this.runExecution(rule, execution);
+      }
+
+      const updated = await AutoInvestRule.findById(rule._id);
+      const exhausted = updated.totalBudget && updated.totalInvested >= updated.totalBudget - 0.005;
+      await AutoInvestRule.updateOne(
+        { _id: rule._id, status: 'active' },
+        {
+          $set: {
+            status: exhausted ? 'exhausted' : 'active',
+            nextRunAt: nextRunAfter(rule.nextRunAt, rule.frequency, now),
+            lastRunAt: now,
+            updatedAt: new Date()
+          }
+        }
+      );
+
+      return execution;
+    } finally {
+      await AutoInvestRule.updateOne({ _id: rule._id }, { $unset: { lockedUntil: 1 } });
+    }
+  }
+
+  async runExecution(rule, execution) {
+    const investor = await User.findById(rule.investor);
+    const remainingBudget = rule.totalBudget ? roundMoney(rule.totalBudget - rule.totalInvested) : rule.amount;
+    const budget = roundMoney(Math.min(rule.amount, remainingBudget));
+
+    if (budget < 1) {
+      return this.finishExecution(execution, { status: 'skipped', budget, reason: 'The rule has used its total budget' });
+    }
+
+    if (investor.status !== 'active' || investor.kycStatus !== 'verified') {
+      return this.finishExecution(execution, { status: 'skipped', budget, reason: 'KYC verification is required to invest' });
+    }
+
+    if (!investor.isEmailVerified) {
+      return this.finishExecution(execution, { status: 'skipped', budget, reason: 'Email verification is required to invest' });
+    }
+
+    const limitCheck = await investmentLimitsService.checkInvestment(investor, budget);
+    if (!limitCheck.allowed) {
+      return this.finishExecution(execution, { status: 'skipped', budget, reason: limitCheck.warning });
+    }
+
+    const topStartups = rule.criteria.topStartups || 3;
+    const share = Math.floor(budget / topStartups * 100) / 100;
+    const startups = await this.selectStartups(rule, investor, share);
+    if (startups.length === 0) {
+      return this.finishExecution(execution, { status: 'skipped', budget, reason: 'No startups currently match this rule' });
+    }
+
+    const allocations = [];
+    for (const startup of startups) {
+      allocations.push(await this.invest(rule, execution, investor, startup, share));
+    }
+
+    const invested = roundMoney(allocations
+      .filter(allocation => allocation.status === 'invested')
+      .reduce((sum, allocation) => sum + allocation.amount, 0));
+
+    let reason;
+    if (invested === 0) {
+      reason = 'None of the investments could be made';
+    } else if (startups.length < topStartups) {
+      reason = `Only ${startups.length} of ${topStartups} startups matched this rule`;
+    }
+
+    return this.finishExecution(execution, {
+      status: invested > 0 ? 'completed' : 'failed',
+      budget,
+      invested,
+      allocations,
+      reason
+    });
+  }
+
+  // The highest-scoring open campaigns that match the rule and can take
+  // `share` from this investor
+  async selectStartups(rule, investor, share) {
+    const sectors = rule.criteria.sectors.length
+      ? rule.criteria.sectors
+      : investor.investorProfile.preferredSectors || [];
+
+    const filter = {
+      status: 'active',
+      moderationStatus: 'approved',
+      sector: { $in: sectors },
+      founder: { $ne: investor._id },
+      'funding.currency': rule.currency
+    };
+    if (rule.criteria.stages.length) {
+      filter.stage = { $in: rule.criteria.stages };
+    }
+    if (rule.criteria.minAiScore) {
+      filter['aiScore.overall'] = { $gte: rule.criteria.minAiScore };
+    }
+
+    const topStartups = rule.criteria.topStartups || 3;
+    const candidates = await Startup.find(filter)
+      .sort({ 'aiScore.overall': -1 })
+      .limit(topStartups * 5);
+
+    const now = new Date();
+    const eligible = [];
+    for (const startup of candidates) {
+      const { funding } = startup;
+      const remaining = funding.targetAmount - funding.currentAmount - (funding.reservedAmount || 0);
+      if ((funding.fundingDeadline && funding.fundingDeadline <= now)
+        || share < funding.minimumInvestment
+        || (funding.maximumInvestment && share > funding.maximumInvestment)
+        || share > remaining) {
+        continue;
+      }
+
+      if (rule.maxPerStartup && (await this.investedByRule(rule, startup._id)) + share > rule.maxPerStartup) {
+        continue;
+      }
+
+      eligible.push(startup);
+      if (eligible.length === topStartups) {
+        break;
+      }
+    }
+
+    return eligible;
+  }
+
+  async investedByRule(rule, startupId) {
+    const [result] = await Investment.aggregate([
+      {
+        $match: {
+          'autoInvest.rule': rule._id,
+          startup: startupId,
+          status: { $in: [...Investment.ACTIVE_STATUSES, 'pending'] }
+        }
+      },
+      { $group: { _id: null, total: { $sum: '$amount' } } }
+    ]);
+    return result ? result.total : 0;
+  }
+
+  // Invest one share of the run in a startup: pay from the wallet, then sign
+  // under the rule's standing instruction, which confirms the investment.
+  // An investment left behind by an interrupted run is picked up again.
+  async invest(rule, execution, investor, startup, amount) {
+    const allocation = {
+      startup: startup._id,
+      startupName: startup.name,
+      aiScore: startup.aiScore && startup.aiScore.overall,
+      amount
+    };
+
+    try {
+      let investment = await Investment.findOne({ 'autoInvest.execution': execution._id, startup: startup._id });
+      if (!investment) {
+        ({ investment } = await investmentService.createInvestmentIntent({
+          investorId: investor._id,
+          startupId: startup._id,
+          amount,
+          gateway: 'wallet',
+          autoInvest: { rule: rule._id, execution: execution._id }
+        }));
+      }
+
+      if (investment.status === 'pending') {
+        ({ investment } = await signatureService.signUnderStandingInstruction(investment._id, investor, rule));
+      }
+
+      if (investment.status !== 'confirmed') {
+        return { ...allocation, status: 'failed', investment: investment._id, reason: `Investment is ${investment.status}` };
+      }
+
+      return { ...allocation, status: 'invested', investment: investment._id };
+    } catch (error) {
+      if (!(error instanceof InvestmentError || error instanceof SignatureError)) {
+        console.error(`Auto-invest error for rule ${rule._id} in startup ${startup._id}:`, error);
+      }
+      return {
+        ...allocation,
+        status: 'failed',
+        reason: error instanceof InvestmentError || error instanceof SignatureError
+          ? error.message
+          : 'The investment could not be made'
+      };
+    }
+  }
+
+  // Close the execution and count what it invested against the rule's
+  // budget. Only the call that closes it updates the rule.
+  async finishExecution(execution, { status, budget, invested = 0, allocations = [], reason }) {
+    const finished = await AutoInvestExecution.findOneAndUpdate(
+      { _id: execution._id, status: 'running' },
+      { $set: { status, budget, invested, allocations, reason, completedAt: new Date() } },
+      { new: true }
+    );
+
+    if (!finished) {
+      return AutoInvestExecution.findById(execution._id);
+    }
+
+    if (invested > 0) {
+      await AutoInvestRule.updateOne({ _id: finished.rule }, { $inc: { totalInvested: invested } });
+    }
+
+    await this.notifyInvestor(finished);
+    return finished;
+  }
+
+  async notifyInvestor(execution) {
+    if (execution.status === 'skipped' && execution.reason === 'No startups currently match this rule') {
+      return;
+    }
+
+    const [investor, rule] = await Promise.all([
+      User.findById(execution.investor).select('email firstName'),
+      AutoInvestRule.findById(execution.rule).select('name')
+    ]);
+
+    const result = await emailService.sendAutoInvestSummary(investor.email, investor.firstName, rule, execution);
+    if (result.success) {
+      await AutoInvestExecution.updateOne({ _id: execution._id }, { $set: { notifiedAt: new Date() } });
+    }
+  }
+}
+
+module.exports = new AutoInvestService();
+module.exports.AutoInvestError = AutoInvestError;
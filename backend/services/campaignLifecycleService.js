@@ -0,0 +1,179 @@
+const Startup = require('../models/Startup');
+const Investment = require('../models/Investment');
+const User = require('../models/User');
+const investmentService = require('./investmentService');
+const emailService = require('./emailService');
+
+// How far ahead of the deadline reminders go out
+const REMINDER_WINDOW_HOURS = Number(process.env.DEADLINE_REMINDER_HOURS) || 48;
+
+class CampaignLifecycleError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'CampaignLifecycleError';
+    this.status = status;
+  }
+}
+
+class CampaignLifecycleService {
+  // Take a draft campaign live now, or schedule it to open at startDate.
+  // Scheduled campaigns are opened by openScheduledCampaigns.
+  async publish(startupId, founderId, { startDate } = {}) {
+    const startup = await Startup.findById(startupId);
+    if (!startup) {
+      throw new CampaignLifecycleError('Startup not found', 404);
+    }
+
+    if (startup.founder.toString() !== founderId.toString()) {
+      throw new CampaignLifecycleError('Access denied. Only the founder can publish this startup.', 403);
+    }
+
+    if (startup.status !== 'draft') {
+      throw new CampaignLifecycleError('Only draft campaigns can be published', 409);
+    }
+
+    const now = new Date();
+    const opensAt = startDate && new Date(startDate) > now ? new Date(startDate) : now;
+    const scheduled = opensAt > now;
+
+    if (startup.funding.fundingDeadline && startup.funding.fundingDeadline <= opensAt) {
+      throw new CampaignLifecycleError('The funding deadline must be after the campaign opens');
+    }
+
+    const published = await Startup.findOneAndUpdate(
+      { _id: startup._id, status: 'draft' },
+      {
+        $set: {
+          status: scheduled ? 'scheduled' : 'active',
+          fundingStartDate: opensAt,
+          ...(scheduled ? {} : { publishedAt: now }),
+          updatedAt: now
+        }
+      },
+      { new: true }
+    );
+
+    if (!published) {
+      throw new CampaignLifecycleError('Only draft campaigns can be published', 409);
+    }
+
+    return published;
+  }
+
+  // Open scheduled campaigns whose funding start date has arrived
+  async openScheduledCampaigns() {
+    const now = new Date();
+    const startups = await Startup.find({
+      status: 'scheduled',
+      fundingStartDate: { $lte: now }
+    }).select('_id publishedAt');
+
+    let opened = 0;
+    for (const startup of startups) {
+      const result = await Startup.updateOne(
+        { _id: startup._id, status: 'scheduled' },
+        { $set: { status: 'active', publishedAt: startup.publishedAt || now, updatedAt: now } }
+      );
+      opened += result.modifiedCount;
+    }
+
+    return { opened };
+  }
+
+  // Close flexible campaigns past their deadline. All-or-nothing campaigns
+  // are closed by the escrow settlement instead.
+  async closeExpiredCampaigns() {
+    const now = new Date();
+    const startups = await Startup.find({
+      status: 'active',
+      'funding.fundingModel': { $ne: 'all_or_nothing' },
+      'funding.fundingDeadline': { $lte: now }
+    }).select('_id');
+
+    let closed = 0;
+    for (const { _id } of startups) {
+      const result = await Startup.updateOne(
+        { _id, status: 'active' },
+        { $set: { status: 'closed', fundingEndDate: now, updatedAt: now } }
+      );
+
+      if (result.modifiedCount) {
+        closed += 1;
+        const pending = await Investment.find({ startup: _id, status: 'pending' }).select('_id');
+        for (const investment of pending) {
+          await investmentService.abandonInvestment(investment._id, 'Campaign closed before the investment completed');
+        }
+      }
+    }
+
+    return { closed };
+  }
+
+  // Drop promotion and featured flags once they have lapsed
+  async clearExpiredPromotions() {
+    const now = new Date();
+
+    const promotions = await Startup.updateMany(
+      { isPromoted: true, promotionExpiry: { $lte: now } },
+      { $set: { isPromoted: false }, $unset: { promotionExpiry: 1 } }
+    );
+
+    const features = await Startup.updateMany(
+      { featuredUntil: { $lte: now } },
+      { $unset: { featuredUntil: 1 } }
+    );
+
+    return { promotions: promotions.modifiedCount, features: features.modifiedCount };
+  }
+
+  // Remind founders and bookmarking users that a campaign closes soon
+  async sendDeadlineReminders() {
+    const now = new Date();
+    const windowEnd = new Date(now.getTime() + REMINDER_WINDOW_HOURS * 60 * 60 * 1000);
+
+    const startups = await Startup.find({
+      status: 'active',
+      'funding.fundingDeadline': { $gt: now, $lte: windowEnd },
+      'funding.deadlineReminderSentAt': null
+    });
+
+    let sent = 0;
+    for (const startup of startups) {
+      // Claim the reminder first so another instance never sends it twice
+      const claimed = await Startup.updateOne(
+        { _id: startup._id, 'funding.deadlineReminderSentAt': null },
+        { $set: { 'funding.deadlineReminderSentAt': now } }
+      );
+      if (!claimed.modifiedCount) {
+        continue;
+      }
+
+      const investorIds = await Investment.find({
+        startup: startup._id,
+        status: { $in: Investment.ACTIVE_STATUSES }
+      }).distinct('investor');
+
+      const recipients = await User.find({
+        $or: [
+          { _id: startup.founder },
+          { _id: { $in: startup.bookmarkedBy, $nin: investorIds } }
+        ],
+        status: 'active',
+        'preferences.notifications.email': { $ne: false }
+      }).select('email firstName');
+
+      for (const user of recipients) {
+        const isFounder = user._id.equals(startup.founder);
+        const result = await emailService.sendDeadlineReminder(user.email, user.firstName, startup, isFounder);
+        if (result.success) {
+          sent += 1;
+        }
+      }
+    }
+
+    return { campaigns: startups.length, sent };
+  }
+}
+
+module.exports = new CampaignLifecycleService();
+module.exports.CampaignLifecycleError = CampaignLifecycleError;
@@ -0,0 +1,227 @@
+const Startup = require('../models/Startup');
+const Investment = require('../models/Investment');
+const fundingRoundService = require('./fundingRoundService');
+
+// Ownership percentages are kept to 4 decimal places; shares are whole units
+const roundOwnership = (value) => Math.round(value * 10000) / 10000;
+
+class CapTableError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'CapTableError';
+    this.status = status;
+  }
+}
+
+class CapTableService {
+  // Pre-money valuation of a round. Falls back to the valuation implied by
+  // equityOffered for the target amount when no valuation was given.
+  getPreMoneyValuation(round) {
+    if (round.valuation) {
+      return round.valuation;
+    }
+
+    if (round.equityOffered > 0 && round.equityOffered < 100) {
+      return round.targetAmount * (100 - round.equityOffered) / round.equityOffered;
+    }
+
+    return null;
+  }
+
+  // Split the founding shares between the founder and co-founders
+  getFounderHoldings(startup) {
+    const foundingShares = startup.shareStructure.foundingShares;
+    const coFounders = (startup.coFounders || []).filter(coFounder => coFounder.equityPercentage > 0);
+    const coFounderEquity = coFounders.reduce((sum, coFounder) => sum + coFounder.equityPercentage, 0);
+
+    if (coFounderEquity > 100) {
+      throw new CapTableError('Co-founder equity adds up to more than 100%', 422);
+    }
+
+    const holdings = coFounders.map(coFounder => ({
+      holderType: 'co_founder',
+      holder: coFounder.user,
+      role: coFounder.role,
+      shares: Math.floor(foundingShares * coFounder.equityPercentage / 100)
+    }));
+
+    const allocated = holdings.reduce((sum, holding) => sum + holding.shares, 0);
+    holdings.unshift({
+      holderType: 'founder',
+      holder: startup.founder,
+      role: 'Founder',
+      shares: foundingShares - allocated
+    });
+
+    return holdings;
+  }
+
+  // Add a round's investments to the holdings, grouping each investor's
+  // shares into one holding. A syndicate holds its shares as one entity,
+  // apart from its lead's own.
+  addInvestorHoldings(holdings, investments, pricePerShare) {
+    const next = holdings.map(holding => ({ ...holding }));
+
+    for (const investment of investments) {
+      const holderType = investment.syndicate ? 'syndicate' : 'investor';
+      const holder = investment.syndicate || investment.investor;
+      let holding = next.find(item => item.holderType === holderType
+        && String(item.holder) === String(holder));
+      if (!holding) {
+        holding = { holderType, holder, invested: 0, shares: 0 };
+        next.push(holding);
+      }
+      holding.invested += investment.amount;
+      // Holdings split on the secondary market carry their own share counts.
+      // Nudge before flooring so float error never drops a whole share.
+      holding.shares += investment.shares ?? Math.floor(investment.amount / pricePerShare + 1e-9);
+    }
+
+    return next;
+  }
+
+  withOwnership(holdings) {
+    const totalShares = holdings.reduce((sum, holding) => sum + holding.shares, 0);
+    return {
+      totalShares,
+      holders: holdings.map(holding => ({
+        ...holding,
+        ownership: totalShares > 0 ? roundOwnership(holding.shares / totalShares * 100) : 0
+      }))
+    };
+  }
+
+  // Walk the rounds in order, pricing each one off its pre-money valuation
+  // and the shares outstanding before it. SAFEs and convertible notes are
+  // shown as converted at the round's valuation.
+  buildCapTable(startup, rounds, investments) {
+    let holdings = this.getFounderHoldings(startup);
+    const roundViews = [];
+
+    for (const round of rounds) {
+      if (['draft', 'scheduled'].includes(round.status)) {
+        continue;
+      }
+
+      const preMoney = this.withOwnership(holdings);
+      const preMoneyValuation = this.getPreMoneyValuation(round);
+      if (!preMoneyValuation) {
+        continue;
+      }
+
+      const roundInvestments = investments.filter(investment => String(investment.round) === String(round._id));
+      const pricePerShare = preMoneyValuation / preMoney.totalShares;
+      holdings = this.addInvestorHoldings(holdings, roundInvestments, pricePerShare);
+      const postMoney = this.withOwnership(holdings);
+
+      // Dilution each existing holder takes from the round
+      postMoney.holders.forEach(holder => {
+        const before = preMoney.holders.find(pre => pre.holderType === holder.holderType
+          && String(pre.holder) === String(holder.holder));
+        if (before) {
+          holder.dilution = roundOwnership(before.ownership - holder.ownership);
+        }
+      });
+
+      const amountRaised = roundInvestments.reduce((sum, investment) => sum + investment.amount, 0);
+
+      roundViews.push({
+        _id: round._id,
+        sequence: round.sequence,
+        roundType: round.roundType,
+        instrument: round.instrument,
+        status: ['funded', 'closed'].includes(round.status) ? 'closed' : 'open',
+        currency: round.currency,
+        preMoneyValuation,
+        pricePerShare,
+        amountRaised,
+        sharesIssued: postMoney.totalShares - preMoney.totalShares,
+        postMoneyValuation: preMoneyValuation + amountRaised,
+        preMoney,
+        postMoney
+      });
+    }
+
+    return {
+      current: this.withOwnership(holdings),
+      rounds: roundViews
+    };
+  }
+
+  // Cap table for a startup as seen by a user. Founders, co-founders and
+  // admins see every holder; investors see the founding team, their own
+  // stake and the other investors as one aggregate line.
+  async getCapTable(startupId, viewerId, { isAdmin = false } = {}) {
+    const startup = await Startup.findById(startupId);
+    if (!startup) {
+      throw new CapTableError('Startup not found', 404);
+    }
+
+    const rounds = await fundingRoundService.getRounds(startup);
+    const investments = await Investment.find({
+      startup: startup._id,
+      status: { $in: Investment.ACTIVE_STATUSES }
+    });
+
+    const capTable = {
+      startup: { _id: startup._id, name: startup.name },
+      ...this.buildCapTable(startup, rounds, investments)
+    };
+
+    const isFounder = String(startup.founder) === String(viewerId)
+      || startup.coFounders.some(coFounder => String(coFounder.user) === String(viewerId));
+    if (isFounder || isAdmin) {
+      return capTable;
+    }
+
+    const isInvestor = investments.some(investment => String(investment.investor) === String(viewerId));
+    if (!isInvestor) {
+      throw new CapTableError('Only the founding team and investors can view the cap table', 403);
+    }
+
+    return {
+      ...capTable,
+      current: this.maskOtherInvestors(capTable.current, viewerId),
+      rounds: capTable.rounds.map(round => ({
+        ...round,
+        preMoney: this.maskOtherInvestors(round.preMoney, viewerId),
+        postMoney: this.maskOtherInvestors(round.postMoney, viewerId)
+      }))
+    };
+  }
+
+  // Shares an investment was issued at its round's price
+  getShares(investment, roundPrices) {
+    if (investment.shares !== undefined && investment.shares !== null) {
+      return investment.shares;
+    }
+
+    const roundPrice = roundPrices.get(String(investment.round));
+    return roundPrice ? Math.floor(investment.amount / roundPrice + 1e-9) : null;
+  }
+
+  // Price per share of each priced round, keyed by round id
+  getRoundPrices(capTable) {
+    return new Map(capTable.rounds.map(round => [String(round._id), round.pricePerShare]));
+  }
+
+  maskOtherInvestors(view, viewerId) {
+    const others = view.holders.filter(holder => ['investor', 'syndicate'].includes(holder.holderType)
+      && String(holder.holder) !== String(viewerId));
+    const visible = view.holders.filter(holder => !others.includes(holder));
+
+    if (others.length > 0) {
+      visible.push({
+        holderType: 'other_investors',
+        holderCount: others.length,
+        shares: others.reduce((sum, holder) => sum + holder.shares, 0),
+        ownership: roundOwnership(others.reduce((sum, holder) => sum + holder.ownership, 0))
+      });
+    }
+
+    return { totalShares: view.totalShares, holders: visible };
+  }
+}
+
+module.exports = new CapTableService();
+module.exports.CapTableError = CapTableError;
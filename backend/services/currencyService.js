@@ -0,0 +1,59 @@
+const axios = require('axios');
+
+// Latest-rate endpoint; the base currency code is appended to the URL
+const RATES_URL = process.env.EXCHANGE_RATES_URL || 'https://open.er-api.com/v6/latest';
+const CACHE_MS = 12 * 60 * 60 * 1000;
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+class CurrencyService {
+  constructor() {
+    this.cache = new Map();
+  }
+
+  // Rates quoted as units of each currency per one unit of `base`
+  async getRates(base) {
+    const cached = this.cache.get(base);
+    if (cached && Date.now() - cached.cachedAt < CACHE_MS) {
+      return cached;
+    }
+
+    const { data } = await axios.get(`${RATES_URL}/${base}`, { timeout: 10000 });
+    if (data.result !== 'success' || !data.rates) {
+      throw new Error(`Exchange rates for ${base} are unavailable`);
+    }
+
+    const entry = {
+      base,
+      rates: data.rates,
+      asOf: data.time_last_update_unix ? new Date(data.time_last_update_unix * 1000) : new Date(),
+      cachedAt: Date.now()
+    };
+    this.cache.set(base, entry);
+    return entry;
+  }
+
+  // A converter into `currency` that reuses one rate table for every call.
+  // No rates are fetched when every source amount is already in `currency`.
+  async getConverter(currency, sourceCurrencies = []) {
+    if (sourceCurrencies.every(source => source === currency)) {
+      return { convert: (amount) => roundMoney(amount || 0), currency, asOf: null };
+    }
+
+    const { rates, asOf } = await this.getRates(currency);
+
+    const convert = (amount, from) => {
+      if (!amount || from === currency) {
+        return roundMoney(amount || 0);
+      }
+      if (!rates[from]) {
+        throw new Error(`No exchange rate from ${from} to ${currency}`);
+      }
+      return roundMoney(amount / rates[from]);
+    };
+
+    return { convert, currency, asOf };
+  }
+}
+
+module.exports = new CurrencyService();
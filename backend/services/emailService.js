@@ -2,7 +2,7 @@ const nodemailer = require('nodemailer');
 
 class EmailService {
   constructor() {
-    this.transporter = nodemailer.createTransporter({
+    this.transporter = nodemailer.createTransport({
       host: process.env.SMTP_HOST || 'smtp.gmail.com',
       port: process.env.SMTP_PORT || 587,
       secure: false,
@@ -205,6 +205,321 @@ class EmailService {
       return { success: false, error: error.message };
     }
   }
+
+  // Shared layout for notification emails
+  renderLayout(subtitle, content) {
+    return `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
+        <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); padding: 30px; border-radius: 10px; text-align: center;">
+          <h1 style="color: white; margin: 0; font-size: 28px;">StartupLink</h1>
+          <p style="color: white; margin: 10px 0 0 0; opacity: 0.9;">${subtitle}</p>
+        </div>
+        
+        <div style="background: #f8f9fa; padding: 30px; border-radius: 0 0 10px 10px;">
+          ${content}
+          
+          <div style="text-align: center; margin-top: 30px;">
+            <p style="color: #999; font-size: 12px;">
+              © 2024 StartupLink. All rights reserved.
+            </p>
+          </div>
+        </div>
+      </div>
+    `;
+  }
+
+  async send(mailOptions, description) {
+    try {
+      const result = await this.transporter.sendMail({
+        from: `"StartupLink" <${process.env.SMTP_USER}>`,
+        ...mailOptions
+      });
+      console.log(`${description} email sent successfully:`, result.messageId);
+      return { success: true, messageId: result.messageId };
+    } catch (error) {
+      console.error(`Error sending ${description} email:`, error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  async sendEmailVerification(email, userName, code, ttlMinutes) {
+    return this.send({
+      to: email,
+      subject: 'Verify your StartupLink email address',
+      html: this.renderLayout('Verify your email address', `
+        <h2 style="color: #333; margin: 0 0 20px 0;">Hello ${userName},</h2>
+        <p style="color: #666; line-height: 1.6; margin-bottom: 25px;">
+          Enter the code below in the app to confirm this is your email address:
+        </p>
+        <div style="background: #fff; border: 2px dashed #667eea; border-radius: 8px; padding: 20px; text-align: center; margin: 25px 0;">
+          <span style="font-size: 32px; font-weight: bold; color: #667eea; letter-spacing: 8px;">${code}</span>
+        </div>
+        <p style="color: #666; line-height: 1.6; margin-bottom: 15px;">
+          <strong>This code will expire in ${ttlMinutes} minutes.</strong>
+        </p>
+        <p style="color: #666; line-height: 1.6; margin-bottom: 25px;">
+          If you didn't create a StartupLink account, please ignore this email.
+        </p>
+      `)
+    }, 'Email verification');
+  }
+
+  async sendPasswordReset(email, userName, link, ttlMinutes) {
+    return this.send({
+      to: email,
+      subject: 'Reset your StartupLink password',
+      html: this.renderLayout('Reset your password', `
+        <h2 style="color: #333; margin: 0 0 20px 0;">Hello ${userName},</h2>
+        <p style="color: #666; line-height: 1.6; margin-bottom: 25px;">
+          We received a request to reset the password for your StartupLink account. Tap the button below to choose a new one:
+        </p>
+        <div style="text-align: center; margin: 25px 0;">
+          <a href="${link}" style="background: #667eea; color: white; padding: 14px 28px; border-radius: 8px; text-decoration: none; font-weight: bold;">Reset password</a>
+        </div>
+        <p style="color: #666; line-height: 1.6; margin-bottom: 15px;">
+          <strong>This link will expire in ${ttlMinutes} minutes and can only be used once.</strong>
+        </p>
+        <p style="color: #666; line-height: 1.6; margin-bottom: 25px;">
+          If you didn't ask to reset your password, you can ignore this email. Your password will not change.
+        </p>
+      `)
+    }, 'Password reset');
+  }
+
+  async sendPasswordChanged(email, userName) {
+    return this.send({
+      to: email,
+      subject: 'Your StartupLink password was changed',
+      html: this.renderLayout('Password changed', `
+        <h2 style="color: #333; margin: 0 0 20px 0;">Hello ${userName},</h2>
+        <p style="color: #666; line-height: 1.6; margin-bottom: 15px;">
+          The password for your StartupLink account was just reset, and every device signed in to your account has been signed out.
+        </p>
+        <p style="color: #666; line-height: 1.6; margin-bottom: 25px;">
+          If this wasn't you, please reset your password again straight away and contact our support team.
+        </p>
+      `)
+    }, 'Password changed');
+  }
+
+  async sendAccountLocked(email, userName, lockedUntil) {
+    return this.send({
+      to: email,
+      subject: 'Sign-in to your StartupLink account has been paused',
+      html: this.renderLayout('Too many failed sign-in attempts', `
+        <h2 style="color: #333; margin: 0 0 20px 0;">Hello ${userName},</h2>
+        <p style="color: #666; line-height: 1.6; margin-bottom: 15px;">
+          There were too many failed attempts to sign in to your StartupLink account, so we've paused sign-in until <strong>${new Date(lockedUntil).toLocaleString()}</strong>.
+        </p>
+        <p style="color: #666; line-height: 1.6; margin-bottom: 15px;">
+          If this was you, you can try again after that time. If you've forgotten your password, you can reset it from the sign-in screen.
+        </p>
+        <p style="color: #666; line-height: 1.6; margin-bottom: 25px;">
+          If this wasn't you, someone may be trying to guess your password. Consider changing it and turning on two-factor authentication, or contact our support team.
+        </p>
+      `)
+    }, 'Account locked');
+  }
+
+  async sendEmailChanged(email, userName, newEmail) {
+    return this.send({
+      to: email,
+      subject: 'Your StartupLink email address was changed',
+      html: this.renderLayout('Email address changed', `
+        <h2 style="color: #333; margin: 0 0 20px 0;">Hello ${userName},</h2>
+        <p style="color: #666; line-height: 1.6; margin-bottom: 15px;">
+          The email address on your StartupLink account was changed to <strong>${newEmail}</strong>. We'll send account emails there from now on.
+        </p>
+        <p style="color: #666; line-height: 1.6; margin-bottom: 25px;">
+          If this wasn't you, please contact our support team straight away.
+        </p>
+      `)
+    }, 'Email changed');
+  }
+
+  async sendTwoFactorStatusChanged(email, userName, change) {
+    const messages = {
+      enabled: 'Two-factor authentication was turned on for your account. You will be asked for a code from your authenticator app when you sign in and before sensitive actions.',
+      disabled: 'Two-factor authentication was turned off for your account.',
+      recovery_requested: 'We received a request to turn off two-factor authentication because the authenticator app and backup codes were lost. Our support team will verify your identity before making any change.',
+      reset: 'After verifying your identity, our support team turned off two-factor authentication for your account and signed out every device. Please sign in and set it up again.'
+    };
+
+    return this.send({
+      to: email,
+      subject: 'Two-factor authentication update for your StartupLink account',
+      html: this.renderLayout('Two-factor authentication', `
+        <h2 style="color: #333; margin: 0 0 20px 0;">Hello ${userName},</h2>
+        <p style="color: #666; line-height: 1.6; margin-bottom: 15px;">
+          ${messages[change]}
+        </p>
+        <p style="color: #666; line-height: 1.6; margin-bottom: 25px;">
+          If this wasn't you, please reset your password and contact our support team straight away.
+        </p>
+      `)
+    }, 'Two-factor authentication');
+  }
+
+  async sendDeadlineReminder(email, userName, startup, isFounder) {
+    const deadline = new Date(startup.funding.fundingDeadline).toLocaleString();
+    const progress = Math.round((startup.funding.currentAmount / startup.funding.targetAmount) * 100);
+    const message = isFounder
+      ? `Your campaign for <strong>${startup.name}</strong> closes on ${deadline}. It has raised ${progress}% of its target so far.`
+      : `<strong>${startup.name}</strong>, which you bookmarked, stops accepting investments on ${deadline}. It has raised ${progress}% of its target so far.`;
+
+    return this.send({
+      to: email,
+      subject: `${startup.name} funding closes soon - StartupLink`,
+      html: this.renderLayout('Funding deadline reminder', `
+        <h2 style="color: #333; margin: 0 0 20px 0;">Hello ${userName},</h2>
+        <p style="color: #666; line-height: 1.6; margin-bottom: 25px;">${message}</p>
+      `)
+    }, 'Deadline reminder');
+  }
+
+  async sendExitNotification(email, userName, startup, exitEvent, payout) {
+    const outcomes = {
+      acquisition: `has been acquired${exitEvent.acquirer ? ` by ${exitEvent.acquirer}` : ''}`,
+      ipo: 'has gone public',
+      shutdown: 'has shut down'
+    };
+    const amount = `${payout.currency} ${payout.amount.toLocaleString()}`;
+
+    return this.send({
+      to: email,
+      subject: `${startup.name} exit and your distribution - StartupLink`,
+      html: this.renderLayout('Exit distribution', `
+        <h2 style="color: #333; margin: 0 0 20px 0;">Hello ${userName},</h2>
+        <p style="color: #666; line-height: 1.6; margin-bottom: 15px;">
+          <strong>${startup.name}</strong> ${outcomes[exitEvent.type]}.
+        </p>
+        <p style="color: #666; line-height: 1.6; margin-bottom: 25px;">
+          Your ${payout.ownership.toFixed(4)}% stake entitles you to a distribution of <strong>${amount}</strong>
+          on your investment of ${payout.currency} ${payout.invested.toLocaleString()}.
+          ${payout.status === 'paid' ? 'It has been paid into your StartupLink wallet.' : 'We will let you know once it has been paid out.'}
+        </p>
+      `)
+    }, 'Exit notification');
+  }
+
+  async sendInvestmentDocuments(email, userName, investment, attachments) {
+    const amount = `${investment.currency} ${investment.amount.toLocaleString()}`;
+
+    return this.send({
+      to: email,
+      subject: `Your investment in ${investment.startup.name} - StartupLink`,
+      html: this.renderLayout('Investment confirmed', `
+        <h2 style="color: #333; margin: 0 0 20px 0;">Hello ${userName},</h2>
+        <p style="color: #666; line-height: 1.6; margin-bottom: 15px;">
+          Your investment of <strong>${amount}</strong> in <strong>${investment.startup.name}</strong> is confirmed.
+        </p>
+        <p style="color: #666; line-height: 1.6; margin-bottom: 25px;">
+          Your subscription agreement and receipt for transaction ${investment.transactionId} are attached.
+          You can also download them from your portfolio at any time.
+        </p>
+      `),
+      attachments
+    }, 'Investment documents');
+  }
+
+  async sendAutoInvestSummary(email, userName, rule, execution) {
+    const ruleName = rule.name || 'Your auto-invest rule';
+    const money = (value) => `${execution.currency} ${value.toLocaleString()}`;
+    const rows = execution.allocations.map(allocation => `
+          <li style="margin-bottom: 6px;">
+            ${allocation.startupName}: ${money(allocation.amount)}
+            ${allocation.status === 'invested' ? '' : `<em>(not invested: ${allocation.reason})</em>`}
+          </li>`).join('');
+
+    return this.send({
+      to: email,
+      subject: `${ruleName}: ${money(execution.invested)} invested - StartupLink`,
+      html: this.renderLayout('Auto-invest summary', `
+        <h2 style="color: #333; margin: 0 0 20px 0;">Hello ${userName},</h2>
+        <p style="color: #666; line-height: 1.6; margin-bottom: 15px;">
+          <strong>${ruleName}</strong> ran today and invested <strong>${money(execution.invested)}</strong>
+          of its ${money(execution.budget || 0)} budget from your wallet.
+        </p>
+        ${rows ? `<ul style="color: #666; line-height: 1.6; margin-bottom: 15px;">${rows}</ul>` : ''}
+        ${execution.reason ? `<p style="color: #666; line-height: 1.6; margin-bottom: 25px;">${execution.reason}.</p>` : ''}
+      `)
+    }, 'Auto-invest summary');
+  }
+
+  async sendRightOfFirstRefusalNotice(email, userName, startup, trade) {
+    const price = `${trade.currency} ${trade.price.toLocaleString()}`;
+    const holding = trade.shares ? `${trade.shares.toLocaleString()} shares` : `a ${trade.currency} ${trade.principal.toLocaleString()} holding`;
+    const deadline = new Date(trade.rightOfFirstRefusal.deadline).toLocaleString();
+
+    return this.send({
+      to: email,
+      subject: `Right of first refusal on ${startup.name} - StartupLink`,
+      html: this.renderLayout('Right of first refusal', `
+        <h2 style="color: #333; margin: 0 0 20px 0;">Hello ${userName},</h2>
+        <p style="color: #666; line-height: 1.6; margin-bottom: 15px;">
+          An investor has agreed to buy ${holding} in <strong>${startup.name}</strong> for <strong>${price}</strong>.
+        </p>
+        <p style="color: #666; line-height: 1.6; margin-bottom: 25px;">
+          You may buy it yourself at the same price, or waive your right, until ${deadline}.
+          If you do nothing the sale goes ahead.
+        </p>
+      `)
+    }, 'Right of first refusal');
+  }
+
+  async sendSecondaryTradeSettled(email, userName, startup, trade, isSeller) {
+    const price = `${trade.currency} ${trade.price.toLocaleString()}`;
+    const holding = trade.shares ? `${trade.shares.toLocaleString()} shares` : `a ${trade.currency} ${trade.principal.toLocaleString()} holding`;
+    const message = isSeller
+      ? `You sold ${holding} in <strong>${startup.name}</strong> for <strong>${price}</strong>. The proceeds have been paid into your StartupLink wallet.`
+      : `You bought ${holding} in <strong>${startup.name}</strong> for <strong>${price}</strong>. It now appears in your portfolio.`;
+
+    return this.send({
+      to: email,
+      subject: `Secondary ${isSeller ? 'sale' : 'purchase'} completed - StartupLink`,
+      html: this.renderLayout('Secondary market', `
+        <h2 style="color: #333; margin: 0 0 20px 0;">Hello ${userName},</h2>
+        <p style="color: #666; line-height: 1.6; margin-bottom: 25px;">${message}</p>
+      `)
+    }, 'Secondary trade');
+  }
+
+  async sendSyndicateInvitation(email, userName, syndicate, startup, lead) {
+    const closesAt = new Date(syndicate.closesAt).toLocaleDateString();
+
+    return this.send({
+      to: email,
+      subject: `${lead.firstName} ${lead.lastName} invited you to ${syndicate.name} - StartupLink`,
+      html: this.renderLayout('Syndicate invitation', `
+        <h2 style="color: #333; margin: 0 0 20px 0;">Hello ${userName},</h2>
+        <p style="color: #666; line-height: 1.6; margin-bottom: 15px;">
+          ${lead.firstName} ${lead.lastName} is leading <strong>${syndicate.name}</strong>, a syndicate investing in
+          <strong>${startup.name}</strong>, and has invited you to join.
+        </p>
+        <p style="color: #666; line-height: 1.6; margin-bottom: 25px;">
+          The minimum ticket is ${syndicate.currency} ${syndicate.minimumTicket.toLocaleString()} and the lead takes
+          ${syndicate.carry}% carry on profits. Commitments close on ${closesAt}.
+        </p>
+      `)
+    }, 'Syndicate invitation');
+  }
+
+  async sendSyndicateCancelled(email, userName, syndicate, startup, commitment) {
+    return this.send({
+      to: email,
+      subject: `${syndicate.name} was cancelled - StartupLink`,
+      html: this.renderLayout('Syndicate cancelled', `
+        <h2 style="color: #333; margin: 0 0 20px 0;">Hello ${userName},</h2>
+        <p style="color: #666; line-height: 1.6; margin-bottom: 15px;">
+          <strong>${syndicate.name}</strong> will not be investing in <strong>${startup.name}</strong>:
+          ${(syndicate.cancellationReason || 'it was cancelled').toLowerCase()}.
+        </p>
+        <p style="color: #666; line-height: 1.6; margin-bottom: 25px;">
+          Your commitment of ${commitment.currency} ${commitment.amount.toLocaleString()} has been returned to your StartupLink wallet.
+        </p>
+      `)
+    }, 'Syndicate cancelled');
+  }
 }
 
 module.exports = new EmailService();
\ No newline at end of file
@@ -0,0 +1,137 @@
+const { Buffer } = require('buffer');
+const crypto = require('crypto');
+const User = require('../models/User');
+const emailService = require('./emailService');
+
+const CODE_TTL_MINUTES = Number(process.env.EMAIL_VERIFICATION_TTL_MINUTES) || 30;
+const MAX_ATTEMPTS = 5;
+const RESEND_COOLDOWN_SECONDS = Number(process.env.EMAIL_VERIFICATION_COOLDOWN_SECONDS) || 60;
+
+// Codes are hashed with a server key so a leaked database does not give
+// away a six-digit code to a quick brute force
+const HASH_KEY = process.env.EMAIL_VERIFICATION_SECRET || process.env.JWT_SECRET || 'fallback_secret';
+
+const hashCode = (userId, code) => crypto
+  .createHmac('sha256', HASH_KEY)
+  .update(`${userId}:${code}`)
+  .digest('hex');
+
+class EmailVerificationError extends Error {
+  constructor(message, status = 400, retryAfter) {
+    super(message);
+    this.name = 'EmailVerificationError';
+    this.status = status;
+    this.retryAfter = retryAfter;
+  }
+}
+
+class EmailVerificationService {
+  // Email a new code, replacing any earlier one. Refused while the last
+  // code is younger than the cooldown.
+  async sendCode(userId) {
+    const now = new Date();
+    const code = crypto.randomInt(100000, 1000000).toString();
+
+    const user = await User.findOneAndUpdate(
+      {
+        _id: userId,
+        isEmailVerified: false,
+        $or: [
+          { 'emailVerification.sentAt': null },
+          { 'emailVerification.sentAt': { $lte: new Date(now.getTime() - RESEND_COOLDOWN_SECONDS * 1000) } }
+        ]
+      },
+      {
+        $set: {
+          emailVerification: {
+            codeHash: hashCode(userId, code),
+            expiresAt: new Date(now.getTime() + CODE_TTL_MINUTES * 60 * 1000),
+            attempts: 0,
+            sentAt: now
+          }
+        }
+      },
+      { new: true }
+    );
+
+    if (!user) {
+      const current = await User.findById(userId).select('isEmailVerified emailVerification');
+      if (!current) {
+        throw new EmailVerificationError('User not found', 404);
+      }
+      if (current.isEmailVerified) {
+        throw new EmailVerificationError('Your email address is already verified', 409);
+      }
+
+      const retryAfter = Math.ceil(
+        (current.emailVerification.sentAt.getTime() + RESEND_COOLDOWN_SECONDS * 1000 - now.getTime()) / 1000
+      );
+      throw new EmailVerificationError(
+        `Please wait ${retryAfter} seconds before requesting another code`,
+        429,
+        retryAfter
+      );
+    }
+
+    const result = await emailService.sendEmailVerification(user.email, user.firstName, code, CODE_TTL_MINUTES);
+    if (!result.success) {
+      // Let the user ask again straight away
+      await User.updateOne(
+        { _id: userId, 'emailVerification.sentAt': now },
+        { $unset: { 'emailVerification.sentAt': 1 } }
+      );
+      throw new EmailVerificationError('Failed to send the verification email. Please try again.', 502);
+    }
+
+    return { expiresAt: user.emailVerification.expiresAt, resendAfterSeconds: RESEND_COOLDOWN_SECONDS };
+  }
+
+  // Check a code. Each guess is counted before it is compared, so
+  // concurrent guesses cannot get past the attempt limit.
+  async verifyCode(userId, code) {
+    const now = new Date();
+    const user = await User.findOneAndUpdate(
+      {
+        _id: userId,
+        isEmailVerified: false,
+        'emailVerification.codeHash': { $ne: null },
+        'emailVerification.expiresAt': { $gt: now },
+        'emailVerification.attempts': { $lt: MAX_ATTEMPTS }
+      },
+      { $inc: { 'emailVerification.attempts': 1 } },
+      { new: true }
+    );
+
+    if (!user) {
+      const current = await User.findById(userId).select('isEmailVerified');
+      if (!current) {
+        throw new EmailVerificationError('User not found', 404);
+      }
+      if (current.isEmailVerified) {
+        return current;
+      }
+      throw new EmailVerificationError('This code has expired or too many attempts were made. Please request a new code.', 410);
+    }
+
+    const expected = Buffer.from(user.emailVerification.codeHash, 'hex');
+    const actual = Buffer.from(hashCode(userId, String(code)), 'hex');
+    if (!crypto.timingSafeEqual(expected, actual)) {
+      const attemptsLeft = MAX_ATTEMPTS - user.emailVerification.attempts;
+      throw new EmailVerificationError(
+        attemptsLeft > 0
+          ? `Invalid verification code. ${attemptsLeft} attempt(s) left.`
+          : 'Invalid verification code. Please request a new code.'
+      );
+    }
+
+    await User.updateOne(
+      { _id: userId, 'emailVerification.codeHash': user.emailVerification.codeHash },
+      { $set: { isEmailVerified: true, emailVerifiedAt: now }, $unset: { emailVerification: 1 } }
+    );
+
+    return User.findById(userId).select('isEmailVerified emailVerifiedAt');
+  }
+}
+
+module.exports = new EmailVerificationService();
+module.exports.EmailVerificationError = EmailVerificationError;
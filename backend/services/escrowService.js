@@ -0,0 +1,173 @@
+const Startup = require('../models/Startup');
+const Investment = require('../models/Investment');
+const investmentService = require('./investmentService');
+const ledgerService = require('./ledgerService');
+
+// Investments whose payment belongs to the startup once escrow is released
+const RELEASABLE_STATUSES = [...Investment.ACTIVE_STATUSES, 'transferred'];
+
+class EscrowService {
+  // Settle every all-or-nothing campaign whose deadline has passed
+  async settleExpiredCampaigns() {
+    const startups = await Startup.find({
+      'funding.fundingModel': 'all_or_nothing',
+      'funding.escrow.status': { $in: ['holding', 'refunding'] },
+      'funding.fundingDeadline': { $lte: new Date() }
+    }).select('_id');
+
+    const results = [];
+    for (const { _id } of startups) {
+      try {
+        const { outcome } = await this.settleCampaign(_id);
+        results.push({ startup: _id, outcome });
+      } catch (error) {
+        console.error(`Escrow settlement error for startup ${_id}:`, error);
+      }
+    }
+
+    return results;
+  }
+
+  // Close a campaign: release escrow to the founder if the target was met,
+  // otherwise refund every investor through their original gateway
+  async settleCampaign(startupId) {
+    const pending = await Investment.find({ startup: startupId, status: 'pending' }).select('_id');
+    for (const { _id } of pending) {
+      await investmentService.abandonInvestment(_id, 'Campaign closed before the investment completed');
+    }
+
+    const startup = await Startup.findById(startupId);
+    const { escrow, currentAmount, targetAmount } = startup.funding;
+
+    if (escrow.status === 'holding' && currentAmount >= targetAmount) {
+      return this.releaseFunds(startup);
+    }
+
+    return this.refundInvestors(startup);
+  }
+
+  async releaseFunds(startup) {
+    const now = new Date();
+    const updated = await Startup.findOneAndUpdate(
+      { _id: startup._id, 'funding.escrow.status': 'holding' },
+      {
+        $set: {
+          status: 'funded',
+          fundingEndDate: startup.fundingEndDate || now,
+          'funding.escrow.status': 'released',
+          'funding.escrow.releasedAt': now,
+          updatedAt: now
+        }
+      },
+      { new: true }
+    );
+
+    const released = updated || await Startup.findById(startup._id);
+    if (released.funding.escrow.status === 'released') {
+      const investments = await Investment.find({
+        startup: released._id,
+        status: { $in: RELEASABLE_STATUSES },
+        escrowReleasedAt: null
+      });
+      for (const investment of investments) {
+        await this.releaseInvestment(investment, released);
+      }
+    }
+
+    return { startup: released, outcome: 'released' };
+  }
+
+  // Pay flexible campaign investments out of escrow to the founder once
+  // their cooling-off period is over and they can no longer be cancelled.
+  // All-or-nothing escrow waits for the campaign to meet its target; this
+  // also picks up any release that settlement left unfinished.
+  async releaseSettledInvestments() {
+    const cooledOffBefore = new Date(Date.now() - Investment.COOLING_OFF_HOURS * 60 * 60 * 1000);
+    const investments = await Investment.find({
+      status: { $in: RELEASABLE_STATUSES },
+      escrowReleasedAt: null,
+      confirmedAt: { $lte: cooledOffBefore }
+    });
+
+    let released = 0;
+    for (const investment of investments) {
+      try {
+        const startup = await Startup.findById(investment.startup).select('name founder funding');
+        if (!startup || (startup.funding.fundingModel === 'all_or_nothing'
+          && startup.funding.escrow.status !== 'released')) {
+          continue;
+        }
+        await this.releaseInvestment(investment, startup);
+        released += 1;
+      } catch (error) {
+        console.error(`Escrow release error for investment ${investment._id}:`, error);
+      }
+    }
+
+    return { released };
+  }
+
+  // Ledger entry paying one investment out of escrow to the founder's
+  // wallet. Investments paid before the ledger existed, or bought on the
+  // secondary market, never went through escrow and are only marked.
+  async releaseInvestment(investment, startup) {
+    if (await ledgerService.findEntry(`payment:${investment._id}`)) {
+      await ledgerService.post({
+        key: `escrow_release:${investment._id}`,
+        type: 'escrow_release',
+        currency: investment.currency,
+        user: startup.founder,
+        investment: investment._id,
+        memo: `Escrow release of investment ${investment.transactionId} to ${startup.name}`,
+        lines: [
+          { account: ledgerService.accounts.escrow(startup._id), debit: investment.amount },
+          { account: ledgerService.accounts.wallet(startup.founder), credit: investment.amount }
+        ]
+      });
+    }
+
+    await Investment.updateOne(
+      { _id: investment._id, escrowReleasedAt: null },
+      { $set: { escrowReleasedAt: new Date() } }
+    );
+  }
+
+  // Refunds that fail are left confirmed and retried on the next run, so
+  // the escrow only reaches `refunded` once every investor has been repaid
+  async refundInvestors(startup) {
+    const now = new Date();
+    await Startup.updateOne(
+      { _id: startup._id, 'funding.escrow.status': { $in: ['holding', 'refunding'] } },
+      {
+        $set: {
+          status: 'closed',
+          fundingEndDate: startup.fundingEndDate || now,
+          'funding.escrow.status': 'refunding',
+          updatedAt: now
+        }
+      }
+    );
+
+    const investments = await Investment.find({ startup: startup._id, status: 'confirmed' }).select('_id');
+    for (const { _id } of investments) {
+      try {
+        await investmentService.refundInvestment(_id, 'Funding target not reached');
+      } catch (error) {
+        console.error(`Escrow refund error for investment ${_id}:`, error);
+      }
+    }
+
+    const outstanding = await Investment.countDocuments({ startup: startup._id, status: 'confirmed' });
+    if (outstanding === 0) {
+      await Startup.updateOne(
+        { _id: startup._id, 'funding.escrow.status': 'refunding' },
+        { $set: { 'funding.escrow.status': 'refunded', 'funding.escrow.refundedAt': new Date() } }
+      );
+    }
+
+    const updated = await Startup.findById(startup._id);
+    return { startup: updated, outcome: outstanding === 0 ? 'refunded' : 'refunding', outstanding };
+  }
+}
+
+module.exports = new EscrowService();
@@ -0,0 +1,358 @@
+const Startup = require('../models/Startup');
+const User = require('../models/User');
+const Investment = require('../models/Investment');
+const ExitEvent = require('../models/ExitEvent');
+const Payout = require('../models/Payout');
+const SecondaryTrade = require('../models/SecondaryTrade');
+const capTableService = require('./capTableService');
+const fundingRoundService = require('./fundingRoundService');
+const revaluationService = require('./revaluationService');
+const syndicateService = require('./syndicateService');
+const walletService = require('./walletService');
+const ledgerService = require('./ledgerService');
+const emailService = require('./emailService');
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+class ExitError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'ExitError';
+    this.status = status;
+  }
+}
+
+class ExitService {
+  // Record an acquisition, IPO or shutdown and work out each investor's
+  // payout. Only the founder or an admin can do this, and only once the
+  // startup has no open round or payments in flight. Payouts are made once
+  // an admin confirms the proceeds have arrived.
+  async recordExit(startupId, { userId, isAdmin }, { type, proceeds, acquirer, notes, effectiveAt = new Date() }) {
+    const startup = await Startup.findById(startupId);
+    if (!startup) {
+      throw new ExitError('Startup not found', 404);
+    }
+
+    if (!isAdmin && String(startup.founder) !== String(userId)) {
+      throw new ExitError('Only the founder or an admin can record an exit', 403);
+    }
+
+    if (startup.status === 'exited') {
+      throw new ExitError('This startup has already exited', 409);
+    }
+
+    if (['active', 'scheduled'].includes(startup.status)) {
+      throw new ExitError('Close the current funding round before recording an exit', 409);
+    }
+
+    if (['holding', 'refunding'].includes(startup.funding.escrow && startup.funding.escrow.status)) {
+      throw new ExitError('The current round is still settling its escrow', 409);
+    }
+
+    if (await Investment.exists({ startup: startup._id, status: 'pending' })) {
+      throw new ExitError('The startup still has payments in progress', 409);
+    }
+
+    if (await SecondaryTrade.exists({ startup: startup._id, status: { $in: ['held', 'settling'] } })) {
+      throw new ExitError('The startup still has secondary trades settling', 409);
+    }
+
+    // Every holding must have a share price to be paid pro rata
+    const rounds = await fundingRoundService.getRounds(startup);
+    const investments = await Investment.find({
+      startup: startup._id,
+      status: { $in: Investment.ACTIVE_STATUSES }
+    });
+    const capTable = capTableService.buildCapTable(startup, rounds, investments);
+    const roundPrices = capTableService.getRoundPrices(capTable);
+    if (investments.some(investment => !roundPrices.get(String(investment.round)))) {
+      throw new ExitError('Every funding round needs a valuation before proceeds can be distributed', 422);
+    }
+    if (!capTable.current.totalShares) {
+      throw new ExitError('The startup has no shares outstanding to distribute proceeds against', 422);
+    }
+
+    const claimed = await Startup.findOneAndUpdate(
+      { _id: startup._id, status: startup.status },
+      { $set: { status: 'exited', 'exit.type': type, 'exit.exitedAt': effectiveAt, updatedAt: new Date() } },
+      { new: true }
+    );
+    if (!claimed) {
+      throw new ExitError('The startup changed while recording the exit, please try again', 409);
+    }
+
+    const exitEvent = await ExitEvent.create({
+      startup: startup._id,
+      type,
+      acquirer,
+      notes,
+      proceeds,
+      currency: startup.funding.currency,
+      status: proceeds > 0 ? 'awaiting_proceeds' : 'distributing',
+      sharesOutstanding: capTable.current.totalShares,
+      pricePerShare: proceeds / capTable.current.totalShares,
+      initiatedBy: userId,
+      effectiveAt
+    });
+
+    await Startup.updateOne({ _id: startup._id }, { $set: { 'exit.event': exitEvent._id } });
+
+    // Record the exit price in the valuation history
+    await revaluationService.markStartup(startup._id, {
+      type: 'exit',
+      valuation: proceeds,
+      notes,
+      recordedBy: userId,
+      effectiveAt
+    });
+
+    return this.distribute(exitEvent);
+  }
+
+  // Turn each investor's exit-priced holdings into a payout and close them
+  // out. Safe to re-run for an exit that was interrupted part way.
+  async distribute(exitEvent) {
+    const startup = await Startup.findById(exitEvent.startup);
+    const rounds = await fundingRoundService.getRounds(startup);
+    const investments = await Investment.find({
+      startup: startup._id,
+      status: { $in: Investment.ACTIVE_STATUSES }
+    });
+    const roundPrices = capTableService.getRoundPrices(
+      capTableService.buildCapTable(startup, rounds, investments)
+    );
+
+    // Syndicate holdings are paid through to their followers, with carry
+    // going to the lead
+    const byInvestor = new Map();
+    const groupFor = (investor) => {
+      const key = String(investor);
+      if (!byInvestor.has(key)) {
+        byInvestor.set(key, { investor, holdings: [], stakes: [], carryEarned: 0 });
+      }
+      return byInvestor.get(key);
+    };
+
+    const exiting = investments.filter(item => item.status === 'confirmed');
+    for (const investment of exiting) {
+      const shares = capTableService.getShares(investment, roundPrices);
+      const value = roundMoney(shares * exitEvent.pricePerShare);
+
+      const allocation = investment.syndicate
+        ? await syndicateService.allocateProceeds(investment, shares, value)
+        : null;
+      if (!allocation || !allocation.stakes.length) {
+        groupFor(investment.investor).holdings.push({ investment, shares, value });
+        continue;
+      }
+
+      allocation.stakes.forEach(stake => groupFor(stake.investor).stakes.push(stake));
+      groupFor(allocation.lead).carryEarned += allocation.carry;
+    }
+
+    for (const { investor, holdings, stakes, carryEarned } of byInvestor.values()) {
+      const shares = holdings.reduce((sum, holding) => sum + holding.shares, 0)
+        + stakes.reduce((sum, stake) => sum + stake.shares, 0);
+      const invested = holdings.reduce((sum, holding) => sum + (holding.investment.costBasis ?? holding.investment.amount), 0)
+        + stakes.reduce((sum, stake) => sum + stake.invested, 0);
+      const amount = holdings.reduce((sum, holding) => sum + holding.value, 0)
+        + stakes.reduce((sum, stake) => sum + stake.amount, 0)
+        + carryEarned;
+
+      await Payout.updateOne(
+        { exitEvent: exitEvent._id, investor },
+        {
+          $setOnInsert: {
+            startup: startup._id,
+            investments: holdings.map(holding => holding.investment._id),
+            shares,
+            ownership: shares / exitEvent.sharesOutstanding * 100,
+            invested,
+            syndicates: stakes.map(({ syndicate, shares: stakeShares, invested: stakeInvested, carry, amount: stakeAmount }) => ({
+              syndicate,
+              shares: stakeShares,
+              invested: stakeInvested,
+              carry,
+              amount: stakeAmount
+            })),
+            carryEarned: roundMoney(carryEarned),
+            amount: roundMoney(amount),
+            currency: exitEvent.currency
+          }
+        },
+        { upsert: true }
+      );
+    }
+
+    // Holdings are closed only once every payout exists, as a syndicate
+    // holding feeds several of them. A shutdown writes them off rather than
+    // exiting them, whatever is left over to distribute.
+    const closing = exitEvent.type === 'shutdown'
+      ? { status: 'written_off', writtenOffAt: exitEvent.effectiveAt }
+      : { status: 'exited', exitedAt: exitEvent.effectiveAt };
+    for (const investment of exiting) {
+      const shares = capTableService.getShares(investment, roundPrices);
+      await Investment.updateOne(
+        { _id: investment._id, status: 'confirmed' },
+        {
+          $set: {
+            ...closing,
+            shares,
+            currentValue: roundMoney(shares * exitEvent.pricePerShare),
+            updatedAt: new Date()
+          }
+        }
+      );
+    }
+    for (const { investor } of byInvestor.values()) {
+      await revaluationService.syncInvestorTotals(investor);
+    }
+
+    if (exitEvent.status === 'awaiting_proceeds') {
+      const payouts = await Payout.find({ exitEvent: exitEvent._id });
+      const awaiting = await ExitEvent.findByIdAndUpdate(
+        exitEvent._id,
+        {
+          $set: {
+            investorCount: payouts.length,
+            investorProceeds: roundMoney(payouts.reduce((sum, payout) => sum + payout.amount, 0))
+          }
+        },
+        { new: true }
+      );
+      return { exitEvent: awaiting, payouts };
+    }
+
+    // Distributions are paid into the investors' wallets
+    for (const payout of await Payout.find({ exitEvent: exitEvent._id, status: { $ne: 'paid' } })) {
+      await walletService.creditPayout(payout);
+    }
+
+    const payouts = await Payout.find({ exitEvent: exitEvent._id });
+    const completed = await ExitEvent.findByIdAndUpdate(
+      exitEvent._id,
+      {
+        $set: {
+          investorCount: payouts.length,
+          totalDistributed: roundMoney(payouts.reduce((sum, payout) => sum + payout.amount, 0)),
+          status: 'completed',
+          completedAt: new Date()
+        }
+      },
+      { new: true }
+    );
+
+    await this.notifyInvestors(completed, payouts);
+
+    return { exitEvent: completed, payouts };
+  }
+
+  // Record that the investors' share of an exit's proceeds has arrived,
+  // moving it into the startup's exit proceeds account, and pay the
+  // distributions out of it (admin)
+  async confirmProceeds(startupId, adminId, { reference }) {
+    const exitEvent = await ExitEvent.findOne({ startup: startupId });
+    if (!exitEvent) {
+      throw new ExitError('No exit has been recorded for this startup', 404);
+    }
+
+    if (exitEvent.status !== 'awaiting_proceeds') {
+      throw new ExitError('The proceeds of this exit have already been received', 409);
+    }
+
+    // Finishes working out the payouts if recording the exit was interrupted
+    const { exitEvent: owed } = await this.distribute(exitEvent);
+    if (owed.investorProceeds > 0) {
+      await ledgerService.post({
+        key: `exit_proceeds:${owed._id}`,
+        type: 'exit_proceeds',
+        currency: owed.currency,
+        memo: `Exit proceeds received (${reference})`,
+        lines: [
+          { account: ledgerService.accounts.bank, debit: owed.investorProceeds },
+          { account: ledgerService.accounts.exitProceeds(owed.startup), credit: owed.investorProceeds }
+        ]
+      });
+    }
+
+    const funded = await ExitEvent.findOneAndUpdate(
+      { _id: exitEvent._id, status: 'awaiting_proceeds' },
+      {
+        $set: {
+          status: 'distributing',
+          proceedsReceivedAt: new Date(),
+          proceedsConfirmedBy: adminId,
+          proceedsReference: reference
+        }
+      },
+      { new: true }
+    );
+    if (!funded) {
+      throw new ExitError('The proceeds of this exit have already been received', 409);
+    }
+
+    return this.distribute(funded);
+  }
+
+  async notifyInvestors(exitEvent, payouts) {
+    const startup = await Startup.findById(exitEvent.startup).select('name');
+    const pending = payouts.filter(payout => !payout.notifiedAt);
+    const investors = await User.find({ _id: { $in: pending.map(payout => payout.investor) } })
+      .select('email firstName');
+
+    for (const payout of pending) {
+      const investor = investors.find(user => user._id.equals(payout.investor));
+      if (!investor) {
+        continue;
+      }
+
+      const result = await emailService.sendExitNotification(investor.email, investor.firstName, startup, exitEvent, payout);
+      if (result.success) {
+        await Payout.updateOne({ _id: payout._id }, { $set: { notifiedAt: new Date() } });
+      }
+    }
+  }
+
+  // Finish exits whose distribution was interrupted
+  async resumeDistributions() {
+    const stalled = await ExitEvent.find({
+      status: 'distributing',
+      createdAt: { $lte: new Date(Date.now() - 5 * 60 * 1000) }
+    });
+
+    for (const exitEvent of stalled) {
+      await this.distribute(exitEvent);
+    }
+
+    return { resumed: stalled.length };
+  }
+
+  // The exit of a startup as seen by a user. The founding team and admins
+  // see every payout; investors see their own.
+  async getExit(startupId, { userId, isAdmin }) {
+    const startup = await Startup.findById(startupId).select('founder coFounders exit');
+    if (!startup || !startup.exit || !startup.exit.event) {
+      throw new ExitError('No exit has been recorded for this startup', 404);
+    }
+
+    const exitEvent = await ExitEvent.findById(startup.exit.event);
+    const isFounder = String(startup.founder) === String(userId)
+      || startup.coFounders.some(coFounder => String(coFounder.user) === String(userId));
+
+    if (isFounder || isAdmin) {
+      const payouts = await Payout.find({ exitEvent: exitEvent._id })
+        .populate('investor', 'firstName lastName profilePicture');
+      return { exitEvent, payouts };
+    }
+
+    const payout = await Payout.findOne({ exitEvent: exitEvent._id, investor: userId });
+    if (!payout) {
+      throw new ExitError('Only the founding team and investors can view exit distributions', 403);
+    }
+
+    return { exitEvent, payouts: [payout] };
+  }
+}
+
+module.exports = new ExitService();
+module.exports.ExitError = ExitError;
@@ -0,0 +1,215 @@
+const Startup = require('../models/Startup');
+const Investment = require('../models/Investment');
+const FundingRound = require('../models/FundingRound');
+
+class FundingRoundError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'FundingRoundError';
+    this.status = status;
+  }
+}
+
+// Startup statuses that have no round equivalent
+const ROUND_STATUS_BY_STARTUP_STATUS = {
+  pending_review: 'draft',
+  rejected: 'closed',
+  exited: 'closed'
+};
+
+class FundingRoundService {
+  // Round fields as they currently stand on the startup's funding subdocument
+  snapshot(startup) {
+    const { funding } = startup;
+    return {
+      roundType: funding.roundType,
+      instrument: funding.instrument,
+      targetAmount: funding.targetAmount,
+      currency: funding.currency,
+      minimumInvestment: funding.minimumInvestment,
+      maximumInvestment: funding.maximumInvestment,
+      equityOffered: funding.equityOffered,
+      valuation: funding.valuation,
+      fundingModel: funding.fundingModel,
+      startDate: startup.fundingStartDate || startup.publishedAt,
+      deadline: funding.fundingDeadline,
+      endDate: startup.fundingEndDate,
+      status: ROUND_STATUS_BY_STARTUP_STATUS[startup.status] || startup.status,
+      amountRaised: funding.currentAmount,
+      investorCount: funding.investorCount,
+      escrowStatus: funding.escrow && funding.escrow.status
+    };
+  }
+
+  // Return the startup's current round, creating it for startups that
+  // predate rounds and attaching their existing investments to it
+  async ensureCurrentRound(startup) {
+    if (startup.funding.round) {
+      const round = await FundingRound.findById(startup.funding.round);
+      if (round) {
+        return round;
+      }
+    }
+
+    const sequence = (await FundingRound.countDocuments({ startup: startup._id })) + 1;
+    let round;
+    try {
+      round = await FundingRound.create({ startup: startup._id, sequence, ...this.snapshot(startup) });
+    } catch (error) {
+      // Another request created it first
+      if (error.code === 11000) {
+        return FundingRound.findOne({ startup: startup._id, sequence });
+      }
+      throw error;
+    }
+
+    await Startup.updateOne({ _id: startup._id }, { $set: { 'funding.round': round._id } });
+    await Investment.updateMany({ startup: startup._id, round: null }, { $set: { round: round._id } });
+    startup.funding.round = round._id;
+
+    return round;
+  }
+
+  // Every round of a startup, oldest first. The current round is reported
+  // from the startup's live funding figures.
+  async getRounds(startup) {
+    await this.ensureCurrentRound(startup);
+    const rounds = await FundingRound.find({ startup: startup._id }).sort({ sequence: 1 });
+
+    return rounds.map(round => {
+      const isCurrent = round._id.equals(startup.funding.round);
+      return {
+        ...round.toObject(),
+        ...(isCurrent ? this.snapshot(startup) : {}),
+        isCurrent
+      };
+    });
+  }
+
+  // Rounds for several startups at once, keyed by startup id. Used by the
+  // feed, so startups without a stored round simply report none.
+  async getRoundsForStartups(startups) {
+    const rounds = await FundingRound.find({ startup: { $in: startups.map(startup => startup._id) } })
+      .select('startup sequence roundType instrument status targetAmount currency amountRaised investorCount endDate')
+      .sort({ sequence: 1 });
+
+    const byStartup = new Map(startups.map(startup => [startup._id.toString(), []]));
+    for (const round of rounds) {
+      const startup = startups.find(item => item._id.equals(round.startup));
+      const isCurrent = round._id.equals(startup.funding.round);
+      byStartup.get(round.startup.toString()).push({
+        ...round.toObject(),
+        ...(isCurrent ? this.snapshot(startup) : {}),
+        isCurrent
+      });
+    }
+
+    return byStartup;
+  }
+
+  // A round's price (valuation and equity offered) is fixed once anyone
+  // has invested at it; failed intents never bought in
+  async assertPricingEditable(startup, terms) {
+    const current = startup.funding;
+    const repriced = ['valuation', 'equityOffered']
+      .filter(field => terms[field] !== undefined && String(terms[field]) !== String(current[field]));
+
+    if (repriced.length && current.round
+      && await Investment.exists({ round: current.round, status: { $ne: 'failed' } })) {
+      throw new FundingRoundError(`The round's ${repriced.join(' and ')} cannot change once it has investments`, 409);
+    }
+  }
+
+  // Close out the current round and open the next one. Only the founder can
+  // do this, once the current round has finished and its escrow settled.
+  async openNextRound(startupId, founderId, terms) {
+    const startup = await Startup.findOne({ _id: startupId, founder: founderId });
+    if (!startup) {
+      throw new FundingRoundError('Startup not found or access denied', 404);
+    }
+
+    if (!['funded', 'closed'].includes(startup.status)) {
+      throw new FundingRoundError('The current round must be funded or closed before opening a new one', 409);
+    }
+
+    if (['holding', 'refunding'].includes(startup.funding.escrow && startup.funding.escrow.status)) {
+      throw new FundingRoundError('The current round is still settling its escrow', 409);
+    }
+
+    if (await Investment.exists({ startup: startup._id, status: 'pending' })) {
+      throw new FundingRoundError('The current round still has payments in progress', 409);
+    }
+
+    const previous = await this.ensureCurrentRound(startup);
+    await FundingRound.updateOne(
+      { _id: previous._id },
+      { $set: { ...this.snapshot(startup), endDate: startup.fundingEndDate || new Date(), updatedAt: new Date() } }
+    );
+
+    const now = new Date();
+    const startDate = terms.startDate ? new Date(terms.startDate) : now;
+    const status = startDate > now ? 'scheduled' : 'active';
+    const fundingModel = terms.fundingModel || 'flexible';
+    const minimumInvestment = terms.minimumInvestment ?? startup.funding.minimumInvestment;
+
+    const round = await FundingRound.create({
+      startup: startup._id,
+      sequence: previous.sequence + 1,
+      roundType: terms.roundType,
+      instrument: terms.instrument,
+      targetAmount: terms.targetAmount,
+      currency: terms.currency || startup.funding.currency,
+      minimumInvestment,
+      maximumInvestment: terms.maximumInvestment,
+      equityOffered: terms.equityOffered,
+      valuation: terms.valuation,
+      fundingModel,
+      startDate,
+      deadline: terms.fundingDeadline,
+      status,
+      escrowStatus: fundingModel === 'all_or_nothing' ? 'holding' : undefined
+    });
+
+    // Only swap the funding over if nothing else moved the round meanwhile
+    const updated = await Startup.findOneAndUpdate(
+      { _id: startup._id, status: startup.status, 'funding.round': previous._id },
+      {
+        $set: {
+          status,
+          fundingStartDate: startDate,
+          updatedAt: now,
+          funding: {
+            round: round._id,
+            roundType: round.roundType,
+            instrument: round.instrument,
+            targetAmount: round.targetAmount,
+            currency: round.currency,
+            minimumInvestment,
+            maximumInvestment: round.maximumInvestment,
+            currentAmount: 0,
+            reservedAmount: 0,
+            investorCount: 0,
+            fundingDeadline: round.deadline,
+            fundingModel,
+            escrow: { status: round.escrowStatus },
+            equityOffered: round.equityOffered,
+            valuation: round.valuation,
+            useOfFunds: terms.useOfFunds || []
+          }
+        },
+        $unset: { fundingEndDate: 1 }
+      },
+      { new: true }
+    );
+
+    if (!updated) {
+      await FundingRound.deleteOne({ _id: round._id });
+      throw new FundingRoundError('The startup changed while opening the round, please try again', 409);
+    }
+
+    return { startup: updated, round };
+  }
+}
+
+module.exports = new FundingRoundService();
+module.exports.FundingRoundError = FundingRoundError;
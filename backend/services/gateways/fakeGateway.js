@@ -0,0 +1,83 @@
+const { v4: uuidv4 } = require('uuid');
+const PaymentGateway = require('./paymentGateway');
+
+const FAKE_SECRET = 'fake_gateway_secret';
+
+// In-memory gateway for tests and local development. Charges succeed as
+// soon as the app echoes back the paymentId and signature from clientData,
+// so the whole investment flow runs without keys or network access.
+class FakeGateway extends PaymentGateway {
+  constructor() {
+    super('fake');
+    this.charges = new Map();
+  }
+
+  async createCharge({ amount, currency, receipt, metadata = {} }) {
+    const reference = `fake_order_${uuidv4()}`;
+    const paymentId = `fake_pay_${uuidv4()}`;
+
+    this.charges.set(reference, {
+      amount,
+      currency,
+      receipt,
+      metadata,
+      paymentId,
+      status: 'pending',
+      refunds: []
+    });
+
+    return {
+      reference,
+      clientData: {
+        orderId: reference,
+        amount: this.toMinorUnits(amount, currency),
+        currency,
+        paymentId,
+        signature: this.sign(reference, paymentId)
+      }
+    };
+  }
+
+  async verifyPayment({ reference, paymentId, signature }) {
+    const charge = this.charges.get(reference);
+    if (!charge || charge.status === 'failed' || !this.safeEqual(signature, this.sign(reference, paymentId))) {
+      return null;
+    }
+
+    charge.status = 'succeeded';
+    return paymentId;
+  }
+
+  async refund({ reference, amount }) {
+    const charge = this.charges.get(reference);
+    if (!charge || charge.status !== 'succeeded') {
+      throw new Error(`Fake charge ${reference} cannot be refunded`);
+    }
+
+    const refund = { refundId: `fake_refund_${uuidv4()}`, status: 'processed' };
+    charge.refunds.push({ ...refund, amount: amount || charge.amount });
+    return refund;
+  }
+
+  async fetchStatus(reference) {
+    const charge = this.charges.get(reference);
+    if (!charge) {
+      throw new Error(`Unknown fake charge ${reference}`);
+    }
+    return charge.status;
+  }
+
+  // Mark a charge as declined, e.g. to exercise failure paths in tests
+  decline(reference) {
+    const charge = this.charges.get(reference);
+    if (charge) {
+      charge.status = 'failed';
+    }
+  }
+
+  sign(reference, paymentId) {
+    return this.hmac(FAKE_SECRET, `${reference}|${paymentId}`);
+  }
+}
+
+module.exports = FakeGateway;
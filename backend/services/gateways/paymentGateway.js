@@ -0,0 +1,62 @@
+const crypto = require('crypto');
+const { Buffer } = require('buffer');
+
+// Currencies the gateways take in whole units rather than hundredths
+const ZERO_DECIMAL_CURRENCIES = ['JPY', 'KRW', 'VND', 'CLP', 'XOF', 'XAF'];
+
+// Base class every payment gateway implements. Amounts are passed in
+// major units (e.g. dollars) and converted by the gateway.
+class PaymentGateway {
+  constructor(name) {
+    this.name = name;
+  }
+
+  // Create a charge. Resolves to { reference, clientData } where reference is
+  // the gateway's order/intent ID and clientData is handed to the app.
+  async createCharge({ amount, currency, receipt, metadata }) {
+    throw new Error(`${this.name} gateway does not implement createCharge`);
+  }
+
+  // Verify a payment reported by the app. Resolves to the gateway payment ID
+  // when the charge succeeded, or null otherwise.
+  async verifyPayment({ reference, paymentId, signature }) {
+    throw new Error(`${this.name} gateway does not implement verifyPayment`);
+  }
+
+  // Refund a charge in full, or partially when amount is given.
+  // Resolves to { refundId, status }.
+  async refund({ reference, paymentId, amount, currency }) {
+    throw new Error(`${this.name} gateway does not implement refund`);
+  }
+
+  // Resolves to 'pending', 'succeeded' or 'failed'
+  async fetchStatus(reference) {
+    throw new Error(`${this.name} gateway does not implement fetchStatus`);
+  }
+
+  // Verify a webhook delivery against the raw body and normalise it to
+  // { eventId, type, action, reference, paymentId, reason, payload }.
+  // `declined` is an attempt that failed on a charge that can still be
+  // paid; `failed` means the charge itself is closed.
+  parseWebhookEvent(rawBody, headers) {
+    throw new Error(`${this.name} gateway does not support webhooks`);
+  }
+
+  toMinorUnits(amount, currency) {
+    const multiplier = ZERO_DECIMAL_CURRENCIES.includes(String(currency).toUpperCase()) ? 1 : 100;
+    return Math.round(amount * multiplier);
+  }
+
+  // Constant-time comparison of a received signature with the expected one
+  safeEqual(signature, expected) {
+    return typeof signature === 'string'
+      && signature.length === expected.length
+      && crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected));
+  }
+
+  hmac(secret, payload) {
+    return crypto.createHmac('sha256', secret).update(payload).digest('hex');
+  }
+}
+
+module.exports = PaymentGateway;
@@ -0,0 +1,103 @@
+const crypto = require('crypto');
+const Razorpay = require('razorpay');
+const PaymentGateway = require('./paymentGateway');
+
+// Map a Razorpay event onto the investment action it drives
+const normaliseEvent = (event) => {
+  const payment = event.payload?.payment?.entity || {};
+
+  switch (event.event) {
+    case 'payment.captured':
+    case 'order.paid':
+      return { action: 'succeeded', reference: payment.order_id, paymentId: payment.id };
+    // A declined attempt leaves the order payable, so the investor can try
+    // again until the investment's own payment window runs out
+    case 'payment.failed':
+      return {
+        action: 'declined',
+        reference: payment.order_id,
+        reason: payment.error_description || 'Payment failed'
+      };
+    case 'refund.processed':
+      return payment.refund_status === 'full'
+        ? { action: 'refunded', reference: payment.order_id, paymentId: payment.id }
+        : { action: null };
+    default:
+      return { action: null };
+  }
+};
+
+// Razorpay (UPI and Indian payment methods)
+class RazorpayGateway extends PaymentGateway {
+  constructor({ keyId, keySecret, webhookSecret }) {
+    super('razorpay');
+    this.keyId = keyId;
+    this.keySecret = keySecret;
+    this.webhookSecret = webhookSecret;
+    this.client = null;
+  }
+
+  // The client is created on first use so the server can boot without keys
+  getClient() {
+    if (!this.client) {
+      this.client = new Razorpay({
+        key_id: this.keyId,
+        key_secret: this.keySecret,
+      });
+    }
+    return this.client;
+  }
+
+  async createCharge({ amount, currency, receipt, metadata = {} }) {
+    const order = await this.getClient().orders.create({
+      amount: this.toMinorUnits(amount, currency),
+      currency,
+      receipt,
+      notes: metadata,
+    });
+
+    return {
+      reference: order.id,
+      clientData: {
+        orderId: order.id,
+        amount: order.amount,
+        currency: order.currency,
+        key: this.keyId
+      }
+    };
+  }
+
+  async verifyPayment({ reference, paymentId, signature }) {
+    const expectedSignature = this.hmac(this.keySecret, `${reference}|${paymentId}`);
+    return this.safeEqual(signature, expectedSignature) ? paymentId : null;
+  }
+
+  async refund({ paymentId, amount, currency }) {
+    const refund = await this.getClient().payments.refund(
+      paymentId,
+      amount ? { amount: this.toMinorUnits(amount, currency) } : {}
+    );
+
+    return { refundId: refund.id, status: refund.status };
+  }
+
+  async fetchStatus(reference) {
+    const order = await this.getClient().orders.fetch(reference);
+    return order.status === 'paid' ? 'succeeded' : 'pending';
+  }
+
+  parseWebhookEvent(rawBody, headers) {
+    const expectedSignature = this.hmac(this.webhookSecret, rawBody);
+    if (!this.safeEqual(headers['x-razorpay-signature'], expectedSignature)) {
+      throw new Error('Invalid Razorpay webhook signature');
+    }
+
+    const event = JSON.parse(rawBody.toString());
+    const eventId = headers['x-razorpay-event-id']
+      || crypto.createHash('sha256').update(rawBody).digest('hex');
+
+    return { ...normaliseEvent(event), eventId, type: event.event, payload: event };
+  }
+}
+
+module.exports = RazorpayGateway;
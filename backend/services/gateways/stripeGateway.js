@@ -0,0 +1,104 @@
+const stripe = require('stripe');
+const PaymentGateway = require('./paymentGateway');
+
+// Map a Stripe event onto the investment action it drives
+const normaliseEvent = (event) => {
+  const object = event.data.object;
+
+  switch (event.type) {
+    case 'payment_intent.succeeded':
+      return { action: 'succeeded', reference: object.id, paymentId: object.id };
+    // The intent goes back to requires_payment_method and can be retried
+    case 'payment_intent.payment_failed':
+      return {
+        action: 'declined',
+        reference: object.id,
+        reason: object.last_payment_error?.message || 'Payment failed'
+      };
+    case 'payment_intent.canceled':
+      return {
+        action: 'failed',
+        reference: object.id,
+        reason: object.cancellation_reason || 'Payment cancelled'
+      };
+    case 'charge.refunded':
+      return object.refunded
+        ? { action: 'refunded', reference: object.payment_intent, paymentId: object.id }
+        : { action: null };
+    default:
+      return { action: null };
+  }
+};
+
+// Stripe (global cards)
+class StripeGateway extends PaymentGateway {
+  constructor({ secretKey, webhookSecret }) {
+    super('stripe');
+    this.secretKey = secretKey;
+    this.webhookSecret = webhookSecret;
+    this.client = null;
+  }
+
+  // The client is created on first use so the server can boot without keys
+  getClient() {
+    if (!this.client) {
+      this.client = stripe(this.secretKey);
+    }
+    return this.client;
+  }
+
+  async createCharge({ amount, currency, metadata = {} }) {
+    const paymentIntent = await this.getClient().paymentIntents.create({
+      amount: this.toMinorUnits(amount, currency),
+      currency,
+      metadata,
+    });
+
+    return {
+      reference: paymentIntent.id,
+      clientData: {
+        clientSecret: paymentIntent.client_secret,
+        paymentIntentId: paymentIntent.id
+      }
+    };
+  }
+
+  // Stripe confirms on the client, so ask Stripe rather than trusting the app
+  async verifyPayment({ reference }) {
+    return (await this.fetchStatus(reference)) === 'succeeded' ? reference : null;
+  }
+
+  async refund({ reference, amount, currency }) {
+    const refund = await this.getClient().refunds.create({
+      payment_intent: reference,
+      ...(amount ? { amount: this.toMinorUnits(amount, currency) } : {})
+    });
+
+    return { refundId: refund.id, status: refund.status };
+  }
+
+  async fetchStatus(reference) {
+    const paymentIntent = await this.getClient().paymentIntents.retrieve(reference);
+
+    switch (paymentIntent.status) {
+      case 'succeeded':
+        return 'succeeded';
+      case 'canceled':
+        return 'failed';
+      default:
+        return 'pending';
+    }
+  }
+
+  parseWebhookEvent(rawBody, headers) {
+    const event = this.getClient().webhooks.constructEvent(
+      rawBody,
+      headers['stripe-signature'],
+      this.webhookSecret
+    );
+
+    return { ...normaliseEvent(event), eventId: event.id, type: event.type, payload: event };
+  }
+}
+
+module.exports = StripeGateway;
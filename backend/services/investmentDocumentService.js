@@ -0,0 +1,273 @@
+const crypto = require('crypto');
+const path = require('path');
+const fs = require('fs').promises;
+const { Buffer } = require('buffer');
+const PDFDocument = require('pdfkit');
+const Investment = require('../models/Investment');
+const InvestmentDocument = require('../models/InvestmentDocument');
+const capTableService = require('./capTableService');
+const fundingRoundService = require('./fundingRoundService');
+const emailService = require('./emailService');
+
+const TEMPLATE_DIR = path.join(__dirname, '..', 'templates');
+const STORAGE_DIR = path.join('uploads', 'investment-documents');
+
+// How long one instance may spend issuing an investment's documents
+const LOCK_MS = 5 * 60 * 1000;
+
+const DOCUMENTS = [
+  { type: 'subscription_agreement', template: 'subscription-agreement.txt', title: 'Subscription Agreement' },
+  { type: 'receipt', template: 'investment-receipt.txt', title: 'Investment Receipt' }
+];
+
+const INSTRUMENT_LABELS = {
+  equity: 'Equity (ordinary shares)',
+  safe: 'SAFE (simple agreement for future equity)',
+  convertible_note: 'Convertible note'
+};
+
+const formatMoney = (value) => Number(value).toLocaleString('en-US', {
+  minimumFractionDigits: 2,
+  maximumFractionDigits: 2
+});
+
+class InvestmentDocumentService {
+  constructor() {
+    this.templates = new Map();
+  }
+
+  async loadTemplate(name) {
+    if (!this.templates.has(name)) {
+      this.templates.set(name, await fs.readFile(path.join(TEMPLATE_DIR, name), 'utf8'));
+    }
+    return this.templates.get(name);
+  }
+
+  // Fill {{placeholders}}; unknown placeholders are left visible so a
+  // template typo shows up in the document instead of vanishing
+  fillTemplate(template, fields) {
+    return template.replace(/{{(\w+)}}/g, (match, key) => (
+      fields[key] !== undefined && fields[key] !== null ? String(fields[key]) : match
+    ));
+  }
+
+  // Template fields for an investment, from the terms of the round it was made in
+  async buildFields(investment) {
+    const { startup, investor } = investment;
+    const rounds = await fundingRoundService.getRounds(startup);
+    const round = rounds.find(item => String(item._id) === String(investment.round)) || rounds[rounds.length - 1];
+
+    const investments = await Investment.find({
+      startup: startup._id,
+      status: { $in: Investment.ACTIVE_STATUSES }
+    });
+    const capTable = capTableService.buildCapTable(startup, rounds, investments);
+    const roundPrices = capTableService.getRoundPrices(capTable);
+    const pricePerShare = roundPrices.get(String(investment.round));
+    const shares = capTableService.getShares(investment, roundPrices);
+    const valuation = capTableService.getPreMoneyValuation(round);
+    const currency = investment.currency;
+
+    return {
+      transactionId: investment.transactionId,
+      startupName: startup.name,
+      founderName: startup.founder ? `${startup.founder.firstName} ${startup.founder.lastName}` : 'the founder',
+      investorName: `${investor.firstName} ${investor.lastName}`,
+      investorEmail: investor.email,
+      roundName: round.roundType.replace(/_/g, ' '),
+      instrument: INSTRUMENT_LABELS[round.instrument] || round.instrument,
+      currency,
+      amount: formatMoney(investment.amount),
+      targetAmount: formatMoney(round.targetAmount),
+      valuation: valuation ? `${currency} ${formatMoney(valuation)}` : 'Not specified',
+      equityOffered: round.equityOffered ? `${round.equityOffered}%` : 'Not specified',
+      pricePerShare: pricePerShare ? `${currency} ${pricePerShare.toFixed(6)}` : 'Not applicable',
+      shares: shares !== null ? shares.toLocaleString('en-US') : 'Not applicable',
+      gateway: investment.gateway,
+      gatewayPaymentId: investment.gatewayPaymentId || investment.gatewayReference || 'n/a',
+      agreementDate: investment.createdAt.toISOString().slice(0, 10),
+      signedDate: investment.signedAt ? investment.signedAt.toISOString().slice(0, 10) : 'n/a',
+      confirmedDate: investment.confirmedAt ? investment.confirmedAt.toISOString().slice(0, 10) : 'n/a',
+      coolingOffHours: Investment.COOLING_OFF_HOURS,
+      generatedAt: new Date().toISOString()
+    };
+  }
+
+  // Lay out filled template text: "# " lines are titles, "## " lines are
+  // section headings and blank lines separate paragraphs
+  renderPDF(text) {
+    return new Promise((resolve, reject) => {
+      const doc = new PDFDocument({ size: 'A4', margin: 60 });
+      const chunks = [];
+      doc.on('data', chunk => chunks.push(chunk));
+      doc.on('end', () => resolve(Buffer.concat(chunks)));
+      doc.on('error', reject);
+
+      doc.fontSize(9).fillColor('#666666').text('StartupLink', { align: 'right' }).fillColor('#000000');
+
+      for (const line of text.split('\n')) {
+        if (line.startsWith('# ')) {
+          doc.moveDown().fontSize(18).text(line.slice(2), { align: 'center' }).moveDown();
+        } else if (line.startsWith('## ')) {
+          doc.moveDown(0.5).fontSize(12).text(line.slice(3)).moveDown(0.3);
+        } else if (line.trim() === '') {
+          doc.moveDown(0.5);
+        } else {
+          doc.fontSize(10).text(line, { align: 'justify' });
+        }
+      }
+
+      doc.end();
+    });
+  }
+
+  // Render, store and hash one document, or return the stored copy if the
+  // investment already has it
+  async generateDocument(investment, definition, fields) {
+    const existing = await InvestmentDocument.findOne({ investment: investment._id, type: definition.type });
+    if (existing) {
+      return { record: existing, content: await this.readDocument(existing) };
+    }
+
+    const text = this.fillTemplate(await this.loadTemplate(definition.template), fields);
+    const content = await this.renderPDF(text);
+    const filename = `${definition.type}-${investment.transactionId}.pdf`;
+    // Stored under a unique name so concurrent requests never overwrite
+    // each other's file
+    const storagePath = path.join(STORAGE_DIR, `${crypto.randomUUID()}-${filename}`);
+    await fs.mkdir(STORAGE_DIR, { recursive: true });
+    await fs.writeFile(storagePath, content);
+
+    try {
+      const record = await InvestmentDocument.create({
+        investment: investment._id,
+        investor: investment.investor._id,
+        startup: investment.startup._id,
+        type: definition.type,
+        filename,
+        storagePath,
+        contentHash: crypto.createHash('sha256').update(content).digest('hex'),
+        size: content.length,
+        template: definition.template
+      });
+      return { record, content };
+    } catch (error) {
+      await fs.unlink(storagePath).catch(() => {});
+      if (error.code !== 11000) {
+        throw error;
+      }
+      // Another request stored it first
+      const record = await InvestmentDocument.findOne({ investment: investment._id, type: definition.type });
+      return { record, content: await this.readDocument(record) };
+    }
+  }
+
+  async loadInvestment(investmentId) {
+    return Investment.findById(investmentId)
+      .populate({ path: 'startup', populate: { path: 'founder', select: 'firstName lastName' } })
+      .populate('investor', 'firstName lastName email');
+  }
+
+  // The subscription agreement a pending investment must be signed against.
+  // It is generated once, so the hash the investor signs stays fixed.
+  async issueAgreement(investmentId) {
+    const investment = await this.loadInvestment(investmentId);
+    const { record } = await this.generateDocument(
+      investment,
+      DOCUMENTS.find(definition => definition.type === 'subscription_agreement'),
+      await this.buildFields(investment)
+    );
+    return record;
+  }
+
+  // Store the receipt for a confirmed investment and email it to the
+  // investor together with the agreement they signed
+  async issueDocuments(investmentId) {
+    const now = new Date();
+    const claimed = await Investment.findOneAndUpdate(
+      {
+        _id: investmentId,
+        status: 'confirmed',
+        documentsIssuedAt: null,
+        $or: [
+          { documentsLockedUntil: null },
+          { documentsLockedUntil: { $lte: now } }
+        ]
+      },
+      { $set: { documentsLockedUntil: new Date(now.getTime() + LOCK_MS) } },
+      { new: true }
+    );
+
+    if (!claimed) {
+      return null;
+    }
+
+    try {
+      const investment = await this.loadInvestment(claimed._id);
+      const fields = await this.buildFields(investment);
+
+      const documents = [];
+      for (const definition of DOCUMENTS) {
+        documents.push(await this.generateDocument(investment, definition, fields));
+      }
+
+      const result = await emailService.sendInvestmentDocuments(
+        investment.investor.email,
+        investment.investor.firstName,
+        investment,
+        documents.map(({ record, content }) => ({ filename: record.filename, content, contentType: 'application/pdf' }))
+      );
+
+      if (result.success) {
+        await InvestmentDocument.updateMany(
+          { _id: { $in: documents.map(({ record }) => record._id) } },
+          { $set: { emailedAt: new Date() } }
+        );
+      }
+
+      // Issued once stored; a failed email is not retried automatically
+      await Investment.updateOne(
+        { _id: investment._id },
+        { $set: { documentsIssuedAt: new Date() }, $unset: { documentsLockedUntil: 1 } }
+      );
+
+      return documents.map(({ record }) => record);
+    } catch (error) {
+      await Investment.updateOne({ _id: claimed._id }, { $unset: { documentsLockedUntil: 1 } });
+      throw error;
+    }
+  }
+
+  // Issue documents for confirmed investments that do not have them yet
+  async issuePendingDocuments() {
+    const investments = await Investment.find({ status: 'confirmed', documentsIssuedAt: null })
+      .select('_id')
+      .limit(50);
+
+    let issued = 0;
+    for (const { _id } of investments) {
+      try {
+        if (await this.issueDocuments(_id)) {
+          issued += 1;
+        }
+      } catch (error) {
+        console.error(`Investment document error for ${_id}:`, error);
+      }
+    }
+
+    return { issued };
+  }
+
+  // Read a stored document back, refusing it if the file no longer matches
+  // its recorded hash
+  async readDocument(record) {
+    const content = await fs.readFile(record.storagePath);
+    const hash = crypto.createHash('sha256').update(content).digest('hex');
+    if (hash !== record.contentHash) {
+      throw new Error(`Stored document ${record._id} does not match its content hash`);
+    }
+    return content;
+  }
+}
+
+module.exports = new InvestmentDocumentService();
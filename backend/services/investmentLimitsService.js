@@ -0,0 +1,181 @@
+const User = require('../models/User');
+const Investment = require('../models/Investment');
+const SyndicateCommitment = require('../models/SyndicateCommitment');
+const SecondaryTrade = require('../models/SecondaryTrade');
+
+// Crowdfunding-style limits: investors below the threshold on either income
+// or net worth may invest the greater of the floor or 5% of the larger
+// figure per 12 months; investors above it on both may invest 10%, capped
+// at the threshold. Accredited investors are not limited.
+const LIMIT_THRESHOLD = Number(process.env.INVESTMENT_LIMIT_THRESHOLD) || 124000;
+const LIMIT_FLOOR = Number(process.env.INVESTMENT_LIMIT_FLOOR) || 2500;
+const WINDOW_DAYS = 365;
+
+// `enforce` rejects investments over the limit, `warn` lets them through
+// with a warning
+const LIMIT_MODE = process.env.INVESTMENT_LIMIT_MODE === 'warn' ? 'warn' : 'enforce';
+
+// Statuses that use up capacity (pending intents hold it until they fail)
+const COUNTED_STATUSES = ['pending', 'confirmed', 'exited', 'written_off', 'transferred'];
+
+// Syndicate commitments that use up their follower's capacity
+const COUNTED_COMMITMENT_STATUSES = ['processing', 'committed', 'invested'];
+
+// Secondary purchases still in flight; settled ones become investments
+const COUNTED_TRADE_STATUSES = ['awaiting_payment', 'held', 'settling'];
+
+// The per-investor lock taken by reserve(). A crashed request frees it
+// when the lease runs out; concurrent requests wait up to LOCK_WAIT_MS.
+const LOCK_MS = 30 * 1000;
+const LOCK_WAIT_MS = 5 * 1000;
+const LOCK_RETRY_MS = 100;
+
+class InvestmentLimitError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'InvestmentLimitError';
+    this.status = status;
+  }
+}
+
+class InvestmentLimitsService {
+  // Annual limit for an investor profile, or null when unlimited
+  calculateAnnualLimit({ annualIncome = 0, netWorth = 0, isAccredited = false } = {}) {
+    if (isAccredited) {
+      return null;
+    }
+
+    const income = Math.max(Number(annualIncome) || 0, 0);
+    const worth = Math.max(Number(netWorth) || 0, 0);
+    const greater = Math.max(income, worth);
+
+    if (income < LIMIT_THRESHOLD || worth < LIMIT_THRESHOLD) {
+      return Math.round(Math.max(LIMIT_FLOOR, greater * 0.05) * 100) / 100;
+    }
+
+    return Math.round(Math.min(greater * 0.1, LIMIT_THRESHOLD) * 100) / 100;
+  }
+
+  // Total the investor has committed in the rolling window. Investments a
+  // lead makes for a syndicate count against the followers' commitments
+  // instead.
+  async getInvestedInWindow(investorId, now = new Date()) {
+    const windowStart = new Date(now.getTime() - WINDOW_DAYS * 24 * 60 * 60 * 1000);
+    const [investments, commitments, trades] = await Promise.all([
+      Investment.find({
+        investor: investorId,
+        syndicate: null,
+        status: { $in: COUNTED_STATUSES },
+        createdAt: { $gte: windowStart }
+      }).select('amount costBasis soldCostBasis'),
+      SyndicateCommitment.find({
+        follower: investorId,
+        status: { $in: COUNTED_COMMITMENT_STATUSES },
+        committedAt: { $gte: windowStart }
+      }).select('amount'),
+      SecondaryTrade.find({
+        buyer: investorId,
+        status: { $in: COUNTED_TRADE_STATUSES },
+        createdAt: { $gte: windowStart }
+      }).select('price')
+    ]);
+
+    // What was paid, including any part since sold on the secondary market
+    const direct = investments.reduce((sum, investment) => (
+      sum + (investment.costBasis ?? investment.amount) + (investment.soldCostBasis || 0)
+    ), 0);
+    const pendingPurchases = trades.reduce((sum, trade) => sum + trade.price, 0);
+
+    return {
+      windowStart,
+      invested: commitments.reduce((sum, commitment) => sum + commitment.amount, direct + pendingPurchases)
+    };
+  }
+
+  // Remaining capacity for an investor profile (a User document)
+  async getCapacity(user) {
+    const profile = user.investorProfile || {};
+    const annualLimit = this.calculateAnnualLimit(profile);
+    const { windowStart, invested } = await this.getInvestedInWindow(user._id);
+
+    return {
+      annualLimit,
+      investedLast12Months: invested,
+      remaining: annualLimit === null ? null : Math.max(annualLimit - invested, 0),
+      isAccredited: Boolean(profile.isAccredited),
+      hasDeclaredFinancials: Boolean(profile.limitsDeclaredAt),
+      windowStart,
+      mode: LIMIT_MODE
+    };
+  }
+
+  // Check a new investment against the investor's capacity. Resolves to
+  // { allowed, warning, capacity }.
+  async checkInvestment(user, amount) {
+    const capacity = await this.getCapacity(user);
+
+    if (capacity.remaining === null || amount <= capacity.remaining) {
+      return { allowed: true, warning: null, capacity };
+    }
+
+    const warning = `This investment exceeds your remaining 12-month investment limit of ${capacity.remaining}`;
+    return { allowed: LIMIT_MODE === 'warn', warning, capacity };
+  }
+
+  // Check an investment and, when it is allowed, call `record` to write
+  // whatever uses up the capacity (an investment, commitment or trade).
+  // The limit is a rolling sum over several collections, so rather than
+  // keep a counter the check and the write are serialised per investor
+  // with a conditional update on the user. Resolves to { limitCheck, result };
+  // `record` is not called when the check fails.
+  async reserve(investorId, amount, record) {
+    const lease = await this.lock(investorId);
+    try {
+      const investor = await User.findById(investorId);
+      const limitCheck = await this.checkInvestment(investor, amount);
+      if (!limitCheck.allowed) {
+        return { limitCheck, result: null };
+      }
+
+      return { limitCheck, result: await record(limitCheck) };
+    } finally {
+      await User.updateOne(
+        { _id: investorId, 'investorProfile.limitLockedUntil': lease },
+        { $unset: { 'investorProfile.limitLockedUntil': 1 } }
+      );
+    }
+  }
+
+  async lock(investorId) {
+    const giveUpAt = Date.now() + LOCK_WAIT_MS;
+
+    for (;;) {
+      const now = new Date();
+      const lease = new Date(now.getTime() + LOCK_MS);
+      const locked = await User.updateOne(
+        {
+          _id: investorId,
+          $or: [
+            { 'investorProfile.limitLockedUntil': null },
+            { 'investorProfile.limitLockedUntil': { $lte: now } }
+          ]
+        },
+        { $set: { 'investorProfile.limitLockedUntil': lease } }
+      );
+      if (locked.modifiedCount) {
+        return lease;
+      }
+
+      if (!(await User.exists({ _id: investorId }))) {
+        throw new InvestmentLimitError('Investor not found', 404);
+      }
+      if (Date.now() >= giveUpAt) {
+        throw new InvestmentLimitError('Another investment on this account is still being processed. Please try again.', 409);
+      }
+      await new Promise(resolve => setTimeout(resolve, LOCK_RETRY_MS));
+    }
+  }
+}
+
+module.exports = new InvestmentLimitsService();
+module.exports.InvestmentLimitError = InvestmentLimitError;
@@ -0,0 +1,645 @@
+const Startup = require('../models/Startup');
+const User = require('../models/User');
+const Investment = require('../models/Investment');
+const paymentService = require('./paymentService');
+const fundingRoundService = require('./fundingRoundService');
+const investmentLimitsService = require('./investmentLimitsService');
+const { InvestmentLimitError } = require('./investmentLimitsService');
+const investmentDocumentService = require('./investmentDocumentService');
+const ledgerService = require('./ledgerService');
+const { LedgerError } = require('./ledgerService');
+
+// How long a pending investment waits for its payment
+const PAYMENT_WINDOW_MINUTES = Number(process.env.PAYMENT_WINDOW_MINUTES) || 30;
+
+// Payment sources held on the platform, paid as soon as the intent is made
+const PREPAID_GATEWAYS = ['wallet', 'syndicate'];
+
+class InvestmentError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'InvestmentError';
+    this.status = status;
+  }
+}
+
+// Flip the sign of every counter in an $inc document
+const negate = (increments) => Object.fromEntries(
+  Object.entries(increments).map(([field, value]) => [field, -value])
+);
+
+class InvestmentService {
+  // Validate an investment request against the startup's limits
+  async validateInvestment(startupId, amount) {
+    const startup = await Startup.findById(startupId);
+    if (!startup || startup.status !== 'active') {
+      throw new InvestmentError('Startup not found or not accepting investments', 404);
+    }
+
+    if (startup.funding.fundingDeadline && startup.funding.fundingDeadline <= new Date()) {
+      throw new InvestmentError('The funding deadline for this startup has passed');
+    }
+
+    if (amount < startup.funding.minimumInvestment) {
+      throw new InvestmentError(`Minimum investment amount is ${startup.funding.minimumInvestment}`);
+    }
+
+    if (startup.funding.maximumInvestment && amount > startup.funding.maximumInvestment) {
+      throw new InvestmentError(`Maximum investment amount is ${startup.funding.maximumInvestment}`);
+    }
+
+    return startup;
+  }
+
+  // Atomically reserve funding capacity. The filter only matches while the
+  // campaign is active and open, and the amount still fits under the target together
+  // with confirmed and already reserved funds, so concurrent investors can
+  // never push a campaign past targetAmount.
+  async reserveCapacity(startupId, amount) {
+    const startup = await Startup.findOneAndUpdate(
+      {
+        _id: startupId,
+        status: 'active',
+        $or: [
+          { 'funding.fundingDeadline': null },
+          { 'funding.fundingDeadline': { $gt: new Date() } }
+        ],
+        $expr: {
+          $lte: [
+            {
+              $add: [
+                '$funding.currentAmount',
+                { $ifNull: ['$funding.reservedAmount', 0] },
+                amount
+              ]
+            },
+            '$funding.targetAmount'
+          ]
+        }
+      },
+      { $inc: { 'funding.reservedAmount': amount } },
+      { new: true }
+    );
+
+    if (!startup) {
+      throw new InvestmentError('Investment amount exceeds remaining funding requirement');
+    }
+
+    return startup;
+  }
+
+  // Give back capacity reserved by reserveCapacity
+  async releaseCapacity(startupId, amount) {
+    return Startup.updateOne(
+      { _id: startupId },
+      { $inc: { 'funding.reservedAmount': -amount } }
+    );
+  }
+
+  // Flip the campaign to funded once the target is reached
+  async markFundedIfComplete(startupId) {
+    return Startup.updateOne(
+      {
+        _id: startupId,
+        status: 'active',
+        $or: [
+          { 'funding.fundingDeadline': null },
+          { 'funding.fundingDeadline': { $gt: new Date() } }
+        ],
+        $expr: { $gte: ['$funding.currentAmount', '$funding.targetAmount'] }
+      },
+      { $set: { status: 'funded', fundingEndDate: new Date(), updatedAt: new Date() } }
+    );
+  }
+
+  // Move a newly confirmed investment from reserved to raised funds and
+  // update the investor counters, undoing the startup update if the
+  // investor update fails
+  async applyConfirmedInvestment(investment) {
+    // A syndicate counts as one investor, separate from its lead
+    const isNewInvestor = !(await Investment.exists({
+      _id: { $ne: investment._id },
+      investor: investment.investor,
+      syndicate: investment.syndicate || null,
+      startup: investment.startup,
+      round: investment.round,
+      status: { $in: Investment.ACTIVE_STATUSES }
+    }));
+
+    const startupUpdate = {
+      'funding.reservedAmount': -investment.amount,
+      'funding.currentAmount': investment.amount,
+      'funding.investorCount': isNewInvestor ? 1 : 0
+    };
+    await Startup.updateOne({ _id: investment.startup }, { $inc: startupUpdate });
+
+    // The followers own a syndicate's holding, not the lead who holds it
+    if (investment.syndicate) {
+      return;
+    }
+
+    try {
+      await User.updateOne(
+        { _id: investment.investor },
+        {
+          $inc: {
+            'investorProfile.totalInvested': investment.amount,
+            'investorProfile.portfolioValue': investment.amount
+          }
+        }
+      );
+    } catch (error) {
+      await Startup.updateOne({ _id: investment.startup }, { $inc: negate(startupUpdate) });
+      throw error;
+    }
+  }
+
+  // Create a pending investment tied to a gateway payment, along with the
+  // subscription agreement the investor has to sign. Capacity stays
+  // reserved until the investment is confirmed or the intent expires.
+  async createInvestmentIntent({ investorId, startupId, amount, gateway, country, autoInvest, syndicate }) {
+    // Reserve the startup's capacity and write the pending investment, which
+    // is what counts against the investor's limit from then on
+    const open = async () => {
+      const startup = await this.validateInvestment(startupId, amount);
+      const round = await fundingRoundService.ensureCurrentRound(startup);
+      await this.reserveCapacity(startup._id, amount);
+
+      const currency = startup.funding.currency;
+      const investment = new Investment({
+        startup: startup._id,
+        investor: investorId,
+        round: round._id,
+        amount,
+        currency,
+        gateway: gateway || paymentService.selectGateway({ currency, country }),
+        autoInvest,
+        syndicate,
+        expiresAt: new Date(Date.now() + PAYMENT_WINDOW_MINUTES * 60 * 1000)
+      });
+
+      try {
+        await investment.save();
+      } catch (error) {
+        await this.releaseCapacity(startup._id, amount);
+        throw error;
+      }
+
+      return { startup, investment };
+    };
+
+    // Syndicate followers were checked against their own limits when they
+    // committed
+    let reservation;
+    try {
+      reservation = syndicate
+        ? { limitCheck: { allowed: true, warning: null }, result: await open() }
+        : await investmentLimitsService.reserve(investorId, amount, open);
+    } catch (error) {
+      if (error instanceof InvestmentLimitError) {
+        throw new InvestmentError(error.message, error.status);
+      }
+      throw error;
+    }
+
+    const { limitCheck } = reservation;
+    if (!limitCheck.allowed) {
+      throw new InvestmentError(limitCheck.warning, 403);
+    }
+
+    const { startup } = reservation.result;
+    let { investment } = reservation.result;
+    const { currency } = investment;
+
+    let payment;
+    let agreement;
+    try {
+      if (PREPAID_GATEWAYS.includes(investment.gateway)) {
+        investment.gatewayReference = `${investment.gateway}_${investment.transactionId}`;
+      } else {
+        payment = await paymentService.createCharge(investment.gateway, {
+          amount,
+          currency,
+          receipt: investment.transactionId,
+          metadata: {
+            investmentId: investment._id.toString(),
+            userId: investorId.toString()
+          }
+        });
+        investment.gatewayReference = payment.reference;
+      }
+      await investment.save();
+
+      // The investor signs this before the investment can be confirmed
+      agreement = await investmentDocumentService.issueAgreement(investment._id);
+    } catch (error) {
+      await this.releaseCapacity(startup._id, amount);
+      investment.transitionTo('failed', { failureReason: 'Payment could not be initiated' });
+      await investment.save();
+      throw error;
+    }
+
+    // Wallet and syndicate investments are paid straight away and held
+    // until signed
+    if (PREPAID_GATEWAYS.includes(investment.gateway)) {
+      try {
+        await this.recordPayment(investment);
+      } catch (error) {
+        await this.failInvestment(investment._id, `${investment.gateway === 'wallet' ? 'Wallet' : 'Syndicate'} payment failed`);
+        if (error instanceof LedgerError) {
+          throw new InvestmentError(error.message, error.status);
+        }
+        throw error;
+      }
+      investment = await this.confirmInvestment(investment._id, { gatewayPaymentId: `payment:${investment._id}` });
+    }
+
+    const warnings = limitCheck.warning ? [limitCheck.warning] : [];
+    return {
+      investment,
+      startup,
+      payment: payment ? payment.clientData : { method: investment.gateway, paid: true },
+      agreement,
+      warnings
+    };
+  }
+
+  // Confirm a pending investment after its payment has been verified.
+  // Confirming an already confirmed investment is a no-op, and an unsigned
+  // one stays pending until the investor signs the agreement.
+  async confirmInvestment(investmentId, { gatewayPaymentId } = {}) {
+    const now = new Date();
+
+    // Book every verified gateway payment, whatever then happens to the
+    // investment; refunds post the reversing entry
+    const current = await Investment.findById(investmentId);
+    if (gatewayPaymentId && current && !PREPAID_GATEWAYS.includes(current.gateway)
+      && ['pending', 'confirmed', 'failed'].includes(current.status)) {
+      await this.recordPayment(current);
+    }
+
+    // Money for an agreement that is not signed yet is held on the
+    // investment; signing it completes the confirmation
+    const awaitingSignature = await Investment.findOneAndUpdate(
+      { _id: investmentId, status: 'pending', signedAt: null },
+      { $set: { paymentReceivedAt: now, gatewayPaymentId, updatedAt: now } },
+      { new: true }
+    );
+    if (awaitingSignature) {
+      return awaitingSignature;
+    }
+
+    const investment = await Investment.findOneAndUpdate(
+      { _id: investmentId, status: 'pending' },
+      { $set: { status: 'confirmed', confirmedAt: now, updatedAt: now, gatewayPaymentId } },
+      { new: true }
+    );
+
+    if (!investment) {
+      const existing = await Investment.findById(investmentId);
+      if (existing && existing.status === 'confirmed') {
+        return existing;
+      }
+
+      // The money arrived after the intent expired or failed: send it back
+      if (existing && existing.status === 'failed' && gatewayPaymentId) {
+        await this.refundPayment(existing, { gatewayPaymentId });
+        throw new InvestmentError('Payment arrived after the investment expired and has been refunded', 409);
+      }
+
+      throw new InvestmentError('Investment is not awaiting payment', 409);
+    }
+
+    await this.applyConfirmedInvestment(investment);
+    await this.markFundedIfComplete(investment.startup);
+
+    // Agreement and receipt go out in the background; the scheduler picks
+    // up any that fail here
+    investmentDocumentService.issueDocuments(investment._id).catch(error => {
+      console.error(`Investment document error for ${investment._id}:`, error);
+    });
+
+    return investment;
+  }
+
+  // Fail a pending investment and release its reserved capacity
+  async failInvestment(investmentId, failureReason) {
+    const now = new Date();
+    const investment = await Investment.findOneAndUpdate(
+      { _id: investmentId, status: 'pending' },
+      { $set: { status: 'failed', failedAt: now, updatedAt: now, failureReason } },
+      { new: true }
+    );
+
+    if (investment) {
+      await this.releaseCapacity(investment.startup, investment.amount);
+    }
+
+    return investment;
+  }
+
+  // The account an investment is paid from and refunded to: the investor's
+  // wallet, the syndicate's pool or the gateway that took the payment
+  fundingAccount(investment) {
+    switch (investment.gateway) {
+      case 'wallet':
+        return ledgerService.accounts.wallet(investment.investor);
+      case 'syndicate':
+        return ledgerService.accounts.syndicate(investment.syndicate);
+      default:
+        return ledgerService.accounts.gateway(investment.gateway);
+    }
+  }
+
+  // Ledger entry for the money paid into escrow for an investment
+  async recordPayment(investment) {
+    const source = this.fundingAccount(investment);
+
+    return ledgerService.post({
+      key: `payment:${investment._id}`,
+      type: 'investment',
+      currency: investment.currency,
+      user: investment.investor,
+      investment: investment._id,
+      memo: `Investment ${investment.transactionId}`,
+      lines: [
+        { account: source, debit: investment.amount },
+        { account: ledgerService.accounts.escrow(investment.startup), credit: investment.amount }
+      ]
+    });
+  }
+
+  // Ledger entry reversing an investment's payment out of escrow. Payments
+  // made before the ledger existed have nothing to reverse.
+  async recordRefund(investment, amount = investment.amount) {
+    if (!(await ledgerService.findEntry(`payment:${investment._id}`))) {
+      return null;
+    }
+
+    const destination = this.fundingAccount(investment);
+
+    return ledgerService.post({
+      key: `refund:${investment._id}`,
+      type: 'refund',
+      currency: investment.currency,
+      user: investment.investor,
+      investment: investment._id,
+      memo: `Refund of investment ${investment.transactionId}`,
+      lines: [
+        { account: ledgerService.accounts.escrow(investment.startup), debit: amount },
+        { account: destination, credit: amount }
+      ]
+    });
+  }
+
+  // Refund the payment behind an investment: back into the wallet or
+  // syndicate pool it came from, or through the gateway that charged it
+  async refundPayment(investment, { gatewayPaymentId, amount } = {}) {
+    if (PREPAID_GATEWAYS.includes(investment.gateway)) {
+      const entry = await this.recordRefund(investment, amount);
+      return { refundId: entry ? entry.key : null, status: 'processed' };
+    }
+
+    const refund = await paymentService.refund(investment.gateway, {
+      reference: investment.gatewayReference,
+      paymentId: gatewayPaymentId || investment.gatewayPaymentId,
+      amount,
+      currency: investment.currency
+    });
+    await this.recordRefund(investment, amount);
+    return refund;
+  }
+
+  // Reverse the startup and investor counters of a confirmed investment
+  async reverseConfirmedInvestment(investment) {
+    const isLastInvestment = !(await Investment.exists({
+      _id: { $ne: investment._id },
+      investor: investment.investor,
+      syndicate: investment.syndicate || null,
+      startup: investment.startup,
+      round: investment.round,
+      status: { $in: Investment.ACTIVE_STATUSES }
+    }));
+
+    await Startup.updateOne(
+      { _id: investment.startup },
+      {
+        $inc: {
+          'funding.currentAmount': -investment.amount,
+          'funding.investorCount': isLastInvestment ? -1 : 0
+        }
+      }
+    );
+
+    if (investment.syndicate) {
+      return;
+    }
+
+    await User.updateOne(
+      { _id: investment.investor },
+      {
+        $inc: {
+          'investorProfile.totalInvested': -investment.amount,
+          'investorProfile.portfolioValue': -(investment.currentValue ?? investment.amount),
+          'investorProfile.totalReturns': -((investment.currentValue ?? investment.amount) - investment.amount)
+        }
+      }
+    );
+  }
+
+  // Record that the payment behind a confirmed investment was refunded.
+  // Recording the same refund twice is a no-op.
+  async markRefunded(investmentId) {
+    const now = new Date();
+    const investment = await Investment.findOneAndUpdate(
+      { _id: investmentId, status: 'confirmed' },
+      { $set: { status: 'refunded', refundedAt: now, updatedAt: now } },
+      { new: true }
+    );
+
+    if (!investment) {
+      const existing = await Investment.findById(investmentId);
+      if (existing && existing.status === 'refunded') {
+        return existing;
+      }
+      throw new InvestmentError('Only confirmed investments can be refunded', 409);
+    }
+
+    await this.reverseConfirmedInvestment(investment);
+    // Covers refunds issued from the gateway dashboard as well
+    await this.recordRefund(investment);
+    return investment;
+  }
+
+  // Refund a confirmed investment through its original gateway. The
+  // refundRequestedAt claim stops two callers refunding the same charge.
+  async refundInvestment(investmentId, refundReason) {
+    const investment = await Investment.findOneAndUpdate(
+      { _id: investmentId, status: 'confirmed', refundRequestedAt: { $exists: false } },
+      { $set: { refundRequestedAt: new Date(), refundReason } },
+      { new: true }
+    );
+
+    if (!investment) {
+      const existing = await Investment.findById(investmentId);
+      if (!existing) {
+        throw new InvestmentError('Investment not found', 404);
+      }
+      if (existing.status === 'refunded' || existing.refundRequestedAt) {
+        return existing;
+      }
+      throw new InvestmentError('Only confirmed investments can be refunded', 409);
+    }
+
+    let refund;
+    try {
+      refund = await this.refundPayment(investment);
+    } catch (error) {
+      await Investment.updateOne(
+        { _id: investment._id },
+        { $unset: { refundRequestedAt: 1 } }
+      );
+      throw error;
+    }
+
+    await Investment.updateOne(
+      { _id: investment._id },
+      { $set: { refundReference: refund.refundId } }
+    );
+
+    return this.markRefunded(investment._id);
+  }
+
+  // Cancel an investment during its cooling-off period. Unpaid intents are
+  // simply failed; confirmed investments are refunded through the gateway.
+  async cancelInvestment(investmentId, investorId) {
+    const investment = await Investment.findOne({ _id: investmentId, investor: investorId });
+    if (!investment) {
+      throw new InvestmentError('Investment not found', 404);
+    }
+
+    if (investment.status === 'pending') {
+      const failed = await this.failInvestment(investment._id, 'Cancelled by investor');
+      if (failed) {
+        await Investment.updateOne({ _id: failed._id }, { $set: { cancelledAt: new Date() } });
+        if (failed.paymentReceivedAt || PREPAID_GATEWAYS.includes(failed.gateway)) {
+          await this.refundPayment(failed);
+        }
+        return Investment.findById(failed._id);
+      }
+      return Investment.findById(investment._id);
+    }
+
+    if (investment.status !== 'confirmed') {
+      throw new InvestmentError(`A ${investment.status} investment cannot be cancelled`, 409);
+    }
+
+    if (investment.source === 'secondary') {
+      throw new InvestmentError('Holdings bought on the secondary market cannot be cancelled', 409);
+    }
+
+    if (investment.cancellableUntil <= new Date()) {
+      throw new InvestmentError(`Investments can only be cancelled within ${Investment.COOLING_OFF_HOURS} hours`);
+    }
+
+    const startup = await Startup.findById(investment.startup);
+    const deadlinePassed = startup.funding.fundingDeadline && startup.funding.fundingDeadline <= new Date();
+    if (!['active', 'funded'].includes(startup.status) || deadlinePassed
+      || startup.funding.escrow.status === 'released') {
+      throw new InvestmentError('The campaign has closed and investments can no longer be cancelled', 409);
+    }
+
+    await Investment.updateOne({ _id: investment._id }, { $set: { cancelledAt: new Date() } });
+    try {
+      await this.refundInvestment(investment._id, 'Cancelled by investor');
+    } catch (error) {
+      await Investment.updateOne({ _id: investment._id }, { $unset: { cancelledAt: 1 } });
+      throw error;
+    }
+
+    // A cancellation can take a funded campaign back under its target
+    await Startup.updateOne(
+      {
+        _id: startup._id,
+        status: 'funded',
+        'funding.escrow.status': { $ne: 'released' },
+        $expr: { $lt: ['$funding.currentAmount', '$funding.targetAmount'] }
+      },
+      { $set: { status: 'active', updatedAt: new Date() }, $unset: { fundingEndDate: 1 } }
+    );
+
+    return Investment.findById(investment._id);
+  }
+
+  // Apply a verified gateway event to the investment it refers to.
+  // Resolves to the updated investment, or null when the event does not
+  // concern any investment.
+  async handlePaymentEvent(gateway, { action, reference, paymentId, reason }) {
+    if (!action || !reference) {
+      return null;
+    }
+
+    const investment = await Investment.findOne({ gateway, gatewayReference: reference });
+    if (!investment) {
+      return null;
+    }
+
+    switch (action) {
+      case 'succeeded':
+        return this.confirmInvestment(investment._id, { gatewayPaymentId: paymentId });
+      case 'declined':
+        return (await Investment.findOneAndUpdate(
+          { _id: investment._id, status: 'pending' },
+          { $set: { lastPaymentError: reason, updatedAt: new Date() } },
+          { new: true }
+        )) || investment;
+      case 'failed':
+        return (await this.failInvestment(investment._id, reason)) || investment;
+      case 'refunded':
+        return this.markRefunded(investment._id);
+      default:
+        return null;
+    }
+  }
+
+  // Fail a pending investment that will not go ahead, refunding it if the
+  // money already arrived: paid before signing, or taken up front from a
+  // wallet or syndicate pool. Resolves to null if it was no longer pending.
+  async abandonInvestment(investmentId, failureReason) {
+    const failed = await this.failInvestment(investmentId, failureReason);
+    if (failed && (failed.paymentReceivedAt || PREPAID_GATEWAYS.includes(failed.gateway))) {
+      try {
+        await this.refundPayment(failed);
+      } catch (error) {
+        console.error(`Refund error for unsigned investment ${failed._id}:`, error);
+      }
+    }
+
+    return failed;
+  }
+
+  // Fail every pending investment whose payment window has closed,
+  // refunding any that were paid but never signed
+  async expirePendingInvestments() {
+    const expired = await Investment.find({
+      status: 'pending',
+      expiresAt: { $lte: new Date() }
+    }).select('_id paymentReceivedAt');
+
+    let count = 0;
+    for (const { _id, paymentReceivedAt } of expired) {
+      const failed = await this.abandonInvestment(
+        _id,
+        paymentReceivedAt ? 'Subscription agreement was not signed in time' : 'Payment window expired'
+      );
+      if (failed) {
+        count += 1;
+      }
+    }
+
+    return count;
+  }
+}
+
+module.exports = new InvestmentService();
+module.exports.InvestmentError = InvestmentError;
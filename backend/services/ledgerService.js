@@ -0,0 +1,334 @@
+const mongoose = require('mongoose');
+const LedgerEntry = require('../models/LedgerEntry');
+const Wallet = require('../models/Wallet');
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+// Wallets updated more recently than this may have a posting in flight
+const RECONCILE_SETTLE_MS = 5 * 60 * 1000;
+
+// Chart of accounts. Wallets and escrow are what the platform owes users
+// and startups; gateway and bank accounts are the money it holds.
+const accounts = {
+  wallet: (userId) => `wallet:${userId}`,
+  gateway: (gateway) => `gateway:${gateway}`,
+  escrow: (startupId) => `escrow:${startupId}`,
+  exitProceeds: (startupId) => `exit_proceeds:${startupId}`,
+  secondaryEscrow: (tradeId) => `secondary_escrow:${tradeId}`,
+  syndicate: (syndicateId) => `syndicate:${syndicateId}`,
+  withdrawalsPending: 'withdrawals:pending',
+  bank: 'bank:payouts'
+};
+
+const walletUserId = (account) => (
+  account.startsWith('wallet:') ? account.slice('wallet:'.length) : null
+);
+
+// Net movement of each wallet in a set of lines, keyed by user id
+const walletChanges = (lines) => {
+  const changes = new Map();
+  for (const line of lines) {
+    const userId = walletUserId(line.account);
+    if (userId) {
+      changes.set(userId, roundMoney((changes.get(userId) || 0) + line.credit - line.debit));
+    }
+  }
+  return changes;
+};
+
+class LedgerError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'LedgerError';
+    this.status = status;
+  }
+}
+
+class LedgerService {
+  constructor() {
+    this.accounts = accounts;
+  }
+
+  // Post a balanced journal entry once per key; posting the same key again
+  // returns the original entry. Wallet debits are applied before the entry
+  // is written and wallet credits after it, so an interrupted posting can
+  // only leave a cached balance below the ledger, never above it.
+  async post({ key, type, currency, lines, memo, user, investment, payout, walletTransaction, secondaryTrade, syndicate }) {
+    const existing = await LedgerEntry.findOne({ key });
+    if (existing) {
+      return existing;
+    }
+
+    const normalized = lines
+      .map(line => ({ account: line.account, debit: roundMoney(line.debit || 0), credit: roundMoney(line.credit || 0) }))
+      .filter(line => line.debit > 0 || line.credit > 0);
+
+    const changes = [...walletChanges(normalized)];
+    const debits = changes.filter(([, change]) => change < 0);
+    const hasCredits = changes.some(([, change]) => change > 0);
+
+    const applied = [];
+    let entry;
+    try {
+      for (const [userId, change] of debits) {
+        const result = await Wallet.updateOne(
+          { user: userId, currency, balance: { $gte: -change } },
+          { $inc: { balance: change }, $set: { updatedAt: new Date() } }
+        );
+        if (!result.modifiedCount) {
+          throw new LedgerError(`Insufficient ${currency} wallet balance`, 422);
+        }
+        applied.push([userId, change]);
+      }
+
+      entry = await LedgerEntry.create({
+        key,
+        type,
+        currency,
+        lines: normalized,
+        memo,
+        user,
+        investment,
+        payout,
+        walletTransaction,
+        secondaryTrade,
+        syndicate,
+        ...(hasCredits && { creditsPending: true })
+      });
+    } catch (error) {
+      for (const [userId, change] of applied) {
+        await Wallet.updateOne({ user: userId, currency }, { $inc: { balance: -change } });
+      }
+      if (error.code === 11000) {
+        return LedgerEntry.findOne({ key });
+      }
+      throw error;
+    }
+
+    if (hasCredits) {
+      await this.applyCredits(entry);
+    }
+
+    return entry;
+  }
+
+  // Credit the wallets of an entry posted with `creditsPending`. Claiming
+  // the entry first means the credits are applied once, whether by `post`
+  // or by `reconcile` picking up a posting that was interrupted.
+  async applyCredits(entry) {
+    const appliedAt = new Date();
+    const claimed = await LedgerEntry.updateOne(
+      { _id: entry._id, creditsPending: true },
+      { $set: { creditsPending: false, creditsAppliedAt: appliedAt } }
+    );
+    if (!claimed.modifiedCount) {
+      return false;
+    }
+
+    for (const [userId, change] of walletChanges(entry.lines)) {
+      if (change <= 0) {
+        continue;
+      }
+      await Wallet.updateOne(
+        { user: userId, currency: entry.currency },
+        {
+          $inc: { balance: change },
+          $set: { updatedAt: appliedAt },
+          $setOnInsert: { createdAt: appliedAt }
+        },
+        { upsert: true }
+      );
+    }
+    return true;
+  }
+
+  async findEntry(key) {
+    return LedgerEntry.findOne({ key });
+  }
+
+  // Balance of an account from its postings. Credit-normal accounts such as
+  // wallets come out positive; asset accounts come out negative.
+  async getBalance(account, currency) {
+    const [result] = await LedgerEntry.aggregate([
+      { $match: { currency, 'lines.account': account } },
+      { $unwind: '$lines' },
+      { $match: { 'lines.account': account } },
+      { $group: { _id: null, credits: { $sum: '$lines.credit' }, debits: { $sum: '$lines.debit' } } }
+    ]);
+    return result ? roundMoney(result.credits - result.debits) : 0;
+  }
+
+  // Entries touching an account, newest first, with the account's own
+  // movement in `amount` (positive when money came in)
+  async getStatement(account, { currency, page = 1, limit = 20 } = {}) {
+    const filter = { 'lines.account': account };
+    if (currency) {
+      filter.currency = currency;
+    }
+
+    const [entries, total] = await Promise.all([
+      LedgerEntry.find(filter)
+        .sort({ postedAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      LedgerEntry.countDocuments(filter)
+    ]);
+
+    return {
+      entries: entries.map(entry => {
+        const own = entry.lines.filter(line => line.account === account);
+        return {
+          _id: entry._id,
+          type: entry.type,
+          currency: entry.currency,
+          amount: roundMoney(own.reduce((sum, line) => sum + line.credit - line.debit, 0)),
+          memo: entry.memo,
+          investment: entry.investment,
+          payout: entry.payout,
+          walletTransaction: entry.walletTransaction,
+          secondaryTrade: entry.secondaryTrade,
+          syndicate: entry.syndicate,
+          postedAt: entry.postedAt
+        };
+      }),
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  // Audit the ledger: every currency must balance overall, and every
+  // wallet's running balance must match its postings. When `fix` is set,
+  // credits left pending by an interrupted posting are applied and settled
+  // wallets that still drifted are corrected. A wallet with a credit
+  // pending or applied within the settle window is never corrected, since
+  // its running balance may be about to catch up.
+  async reconcile({ fix = false } = {}) {
+    const settledBefore = new Date(Date.now() - RECONCILE_SETTLE_MS);
+
+    const stalled = await LedgerEntry.find({ creditsPending: true, postedAt: { $lte: settledBefore } });
+    let reapplied = 0;
+    if (fix) {
+      for (const entry of stalled) {
+        reapplied += await this.applyCredits(entry) ? 1 : 0;
+      }
+    }
+
+    const totals = await LedgerEntry.aggregate([
+      { $unwind: '$lines' },
+      {
+        $group: {
+          _id: '$currency',
+          debits: { $sum: '$lines.debit' },
+          credits: { $sum: '$lines.credit' }
+        }
+      }
+    ]);
+
+    const currencies = totals.map(total => ({
+      currency: total._id,
+      debits: roundMoney(total.debits),
+      credits: roundMoney(total.credits),
+      balanced: Math.abs(total.debits - total.credits) < 0.005
+    }));
+
+    const ledgerBalances = await LedgerEntry.aggregate([
+      { $unwind: '$lines' },
+      { $match: { 'lines.account': /^wallet:/ } },
+      {
+        $group: {
+          _id: { account: '$lines.account', currency: '$currency' },
+          balance: { $sum: { $subtract: ['$lines.credit', '$lines.debit'] } }
+        }
+      }
+    ]);
+    const expected = new Map(ledgerBalances.map(item => [
+      `${walletUserId(item._id.account)}|${item._id.currency}`,
+      roundMoney(item.balance)
+    ]));
+
+    const unsettled = new Set();
+    const inFlight = await LedgerEntry.find(
+      { $or: [{ creditsPending: true }, { creditsAppliedAt: { $gt: settledBefore } }] },
+      { currency: 1, lines: 1 }
+    );
+    for (const entry of inFlight) {
+      for (const [userId, change] of walletChanges(entry.lines)) {
+        if (change > 0) {
+          unsettled.add(`${userId}|${entry.currency}`);
+        }
+      }
+    }
+
+    const mismatched = [];
+    let corrected = 0;
+    const wallets = await Wallet.find();
+    for (const wallet of wallets) {
+      const ledgerBalance = expected.get(`${wallet.user}|${wallet.currency}`) || 0;
+      if (Math.abs(ledgerBalance - wallet.balance) < 0.005) {
+        continue;
+      }
+
+      mismatched.push({
+        wallet: wallet._id,
+        user: wallet.user,
+        currency: wallet.currency,
+        balance: wallet.balance,
+        ledgerBalance
+      });
+
+      if (fix && wallet.updatedAt <= settledBefore && !unsettled.has(`${wallet.user}|${wallet.currency}`)) {
+        const result = await Wallet.updateOne(
+          { _id: wallet._id, updatedAt: wallet.updatedAt },
+          { $set: { balance: ledgerBalance, reconciledAt: new Date() } }
+        );
+        corrected += result.modifiedCount;
+      }
+    }
+
+    // Wallets that only exist in the ledger, e.g. a credit whose running
+    // balance was never written
+    const known = new Set(wallets.map(wallet => `${wallet.user}|${wallet.currency}`));
+    for (const [walletKey, ledgerBalance] of expected) {
+      if (known.has(walletKey) || ledgerBalance === 0) {
+        continue;
+      }
+      const [user, currency] = walletKey.split('|');
+      mismatched.push({ user, currency, balance: null, ledgerBalance });
+      if (fix && !unsettled.has(walletKey)) {
+        await Wallet.updateOne(
+          { user: new mongoose.Types.ObjectId(user), currency },
+          { $setOnInsert: { balance: ledgerBalance, reconciledAt: new Date() } },
+          { upsert: true }
+        );
+        corrected += 1;
+      }
+    }
+
+    const balanced = currencies.every(item => item.balanced);
+    if (!balanced || mismatched.length > 0 || stalled.length > 0) {
+      console.warn('Ledger reconciliation found discrepancies:', JSON.stringify({
+        currencies,
+        mismatched,
+        pendingCredits: stalled.map(entry => entry.key)
+      }));
+    }
+
+    return {
+      balanced,
+      currencies,
+      walletsChecked: wallets.length,
+      mismatched,
+      pendingCredits: stalled.length,
+      reapplied,
+      corrected,
+      checkedAt: new Date()
+    };
+  }
+}
+
+module.exports = new LedgerService();
+module.exports.LedgerError = LedgerError;
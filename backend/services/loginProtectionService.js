@@ -0,0 +1,242 @@
+const { createClient } = require('redis');
+const User = require('../models/User');
+const AuditLog = require('../models/AuditLog');
+const emailService = require('./emailService');
+
+// Failures are counted per account (by email, whether or not it exists, so
+// responses do not reveal which accounts do) and per IP address. After a
+// few failures each attempt must wait longer than the last; after too many
+// the account or address is locked for a while, for longer each time.
+const SUBJECTS = {
+  account: {
+    maxFailures: Number(process.env.LOGIN_MAX_FAILURES) || 10,
+    delayAfter: 3,
+    windowSeconds: 60 * 60
+  },
+  ip: {
+    maxFailures: Number(process.env.LOGIN_IP_MAX_FAILURES) || 50,
+    delayAfter: 20,
+    windowSeconds: 15 * 60
+  }
+};
+
+const BASE_DELAY_MS = 1000;
+const MAX_DELAY_MS = 60 * 1000;
+const LOCK_MINUTES = Number(process.env.LOGIN_LOCK_MINUTES) || 15;
+const MAX_LOCK_SECONDS = 24 * 60 * 60;
+const LOCKOUT_HISTORY_SECONDS = 24 * 60 * 60;
+
+const keysFor = (type, id) => ({
+  failures: `login:failures:${type}:${id}`,
+  delay: `login:delay:${type}:${id}`,
+  lock: `login:lock:${type}:${id}`,
+  lockouts: `login:lockouts:${type}:${id}`
+});
+
+class LoginProtectionError extends Error {
+  constructor(message, status = 429, retryAfter) {
+    super(message);
+    this.name = 'LoginProtectionError';
+    this.status = status;
+    this.retryAfter = retryAfter;
+  }
+}
+
+class LoginProtectionService {
+  constructor() {
+    this.client = null;
+    this.available = null;
+  }
+
+  // Connect to Redis. Called at startup; until the connection is ready,
+  // and whenever it drops, sign-in works without these checks rather than
+  // failing for everyone.
+  connect() {
+    if (!this.client) {
+      this.client = createClient({
+        url: process.env.REDIS_URL || 'redis://localhost:6379',
+        disableOfflineQueue: true,
+        socket: {
+          connectTimeout: 5000,
+          reconnectStrategy: retries => Math.min(retries * 500, 5000)
+        }
+      });
+      this.client.on('error', error => console.error('Redis error:', error.message));
+      this.client.connect().catch(error => console.error('Redis connection error:', error.message));
+    }
+
+    return this.client;
+  }
+
+  // Logs only when Redis goes away or comes back, not on every attempt
+  getClient() {
+    const client = this.connect();
+    if (client.isReady !== this.available) {
+      if (!client.isReady) {
+        console.warn('Login protection skipped: Redis is not connected');
+      } else if (this.available === false) {
+        console.log('Login protection resumed: Redis is connected');
+      }
+      this.available = client.isReady;
+    }
+    return client.isReady ? client : null;
+  }
+
+  subjects({ email, ip }) {
+    return [
+      email && { type: 'account', id: email.toLowerCase() },
+      ip && { type: 'ip', id: ip }
+    ].filter(Boolean);
+  }
+
+  // Throw if the account or address is locked, or must still wait after
+  // its last failure
+  async assertAllowed({ email, ip }) {
+    const client = this.getClient();
+    if (!client) {
+      return;
+    }
+
+    for (const { type, id } of this.subjects({ email, ip })) {
+      const keys = keysFor(type, id);
+      const [lockMs, delayMs] = await client.multi().pTTL(keys.lock).pTTL(keys.delay).exec();
+
+      if (lockMs > 0) {
+        const retryAfter = Math.ceil(lockMs / 1000);
+        throw new LoginProtectionError(
+          `Too many failed sign-in attempts. Please try again in ${Math.ceil(retryAfter / 60)} minute(s).`,
+          429,
+          retryAfter
+        );
+      }
+      if (delayMs > 0) {
+        const retryAfter = Math.ceil(delayMs / 1000);
+        throw new LoginProtectionError(
+          `Please wait ${retryAfter} second(s) before trying again.`,
+          429,
+          retryAfter
+        );
+      }
+    }
+  }
+
+  // Count a failed sign-in. Pass the user when the account exists so a
+  // lockout can be emailed without looking it up again.
+  async recordFailure({ email, ip, user }) {
+    const client = this.getClient();
+    if (!client) {
+      return;
+    }
+
+    for (const { type, id } of this.subjects({ email, ip })) {
+      const policy = SUBJECTS[type];
+      const keys = keysFor(type, id);
+      const [failures] = await client.multi()
+        .incr(keys.failures)
+        .expire(keys.failures, policy.windowSeconds)
+        .exec();
+
+      if (failures >= policy.maxFailures) {
+        const [lockouts] = await client.multi()
+          .incr(keys.lockouts)
+          .expire(keys.lockouts, LOCKOUT_HISTORY_SECONDS)
+          .exec();
+        const lockSeconds = Math.min(LOCK_MINUTES * 60 * 2 ** (lockouts - 1), MAX_LOCK_SECONDS);
+        const lockedUntil = new Date(Date.now() + lockSeconds * 1000);
+
+        await client.multi()
+          .set(keys.lock, lockedUntil.toISOString(), { EX: lockSeconds })
+          .del([keys.failures, keys.delay])
+          .exec();
+
+        console.warn(`Sign-in locked for ${type} ${id} until ${lockedUntil.toISOString()} after ${failures} failures`);
+
+        if (type === 'account') {
+          await this.notifyLocked(user || await User.findByEmail(id), lockedUntil);
+        }
+      } else if (failures >= policy.delayAfter) {
+        const delayMs = Math.min(BASE_DELAY_MS * 2 ** (failures - policy.delayAfter), MAX_DELAY_MS);
+        await client.set(keys.delay, '1', { PX: delayMs });
+      }
+    }
+  }
+
+  // A successful sign-in clears the account's failures. The address keeps
+  // its count, so one working account cannot be used to reset it.
+  async recordSuccess({ email }) {
+    const client = this.getClient();
+    if (!client) {
+      return;
+    }
+
+    const keys = keysFor('account', email.toLowerCase());
+    await client.del([keys.failures, keys.delay]);
+  }
+
+  async notifyLocked(user, lockedUntil) {
+    if (!user) {
+      return;
+    }
+
+    const result = await emailService.sendAccountLocked(user.email, user.firstName, lockedUntil);
+    if (!result.success) {
+      console.error(`Failed to send lockout email to user ${user._id}`);
+    }
+  }
+
+  // Clear a user's failures, locks and lockout history, including a locked
+  // second factor, and optionally an address's (admin)
+  async unlock(user, { ip, adminId, requestIp, userAgent } = {}) {
+    const client = this.getClient();
+    if (!client) {
+      throw new LoginProtectionError('Sign-in protection is unavailable. Please try again shortly.', 503);
+    }
+
+    const keys = this.subjects({ email: user.email, ip })
+      .flatMap(({ type, id }) => Object.values(keysFor(type, id)));
+    await client.del(keys);
+
+    await User.updateOne(
+      { _id: user._id },
+      { $set: { 'twoFactor.failedAttempts': 0 }, $unset: { 'twoFactor.lockedUntil': 1 } }
+    );
+
+    await AuditLog.create({
+      action: 'sign_in_unlock',
+      user: user._id,
+      admin: adminId,
+      unlockedIp: ip,
+      ip: requestIp,
+      userAgent
+    });
+  }
+
+  async getStatus({ email, ip }) {
+    const client = this.getClient();
+    if (!client) {
+      throw new LoginProtectionError('Sign-in protection is unavailable. Please try again shortly.', 503);
+    }
+
+    const status = {};
+    for (const { type, id } of this.subjects({ email, ip })) {
+      const keys = keysFor(type, id);
+      const [failures, lockedUntil, lockouts] = await client.multi()
+        .get(keys.failures)
+        .get(keys.lock)
+        .get(keys.lockouts)
+        .exec();
+
+      status[type] = {
+        id,
+        failures: Number(failures) || 0,
+        lockedUntil: lockedUntil ? new Date(lockedUntil) : null,
+        recentLockouts: Number(lockouts) || 0
+      };
+    }
+
+    return status;
+  }
+}
+
+module.exports = new LoginProtectionService();
+module.exports.LoginProtectionError = LoginProtectionError;
@@ -0,0 +1,84 @@
+const crypto = require('crypto');
+const User = require('../models/User');
+const sessionService = require('./sessionService');
+const emailService = require('./emailService');
+
+const TOKEN_TTL_MINUTES = Number(process.env.PASSWORD_RESET_TTL_MINUTES) || 60;
+
+// A new link is not sent more often than this, so the endpoint cannot be
+// used to flood someone's inbox
+const REQUEST_COOLDOWN_SECONDS = 60;
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+class PasswordResetError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'PasswordResetError';
+    this.status = status;
+  }
+}
+
+class PasswordResetService {
+  // Email a reset link. Resolves the same way whether or not the address
+  // belongs to an account, so it cannot be used to find out.
+  async requestReset(email) {
+    const now = new Date();
+    const token = crypto.randomBytes(32).toString('base64url');
+
+    const user = await User.findOneAndUpdate(
+      {
+        email: email.toLowerCase(),
+        status: 'active',
+        $or: [
+          { 'passwordReset.requestedAt': null },
+          { 'passwordReset.requestedAt': { $lte: new Date(now.getTime() - REQUEST_COOLDOWN_SECONDS * 1000) } }
+        ]
+      },
+      {
+        $set: {
+          passwordReset: {
+            tokenHash: sha256(token),
+            expiresAt: new Date(now.getTime() + TOKEN_TTL_MINUTES * 60 * 1000),
+            requestedAt: now
+          }
+        }
+      },
+      { new: true }
+    );
+
+    if (user) {
+      const link = `${process.env.FRONTEND_URL || 'https://startuplink.app'}/reset-password?token=${token}`;
+      await emailService.sendPasswordReset(user.email, user.firstName, link, TOKEN_TTL_MINUTES);
+    }
+  }
+
+  // Set a new password with a token from a reset link. The token is
+  // cleared in the same update that accepts it, so it works only once.
+  // Every session is signed out.
+  async resetPassword(token, newPassword) {
+    const claimed = await User.findOneAndUpdate(
+      {
+        'passwordReset.tokenHash': sha256(String(token)),
+        'passwordReset.expiresAt': { $gt: new Date() }
+      },
+      { $unset: { passwordReset: 1 } }
+    );
+    if (!claimed) {
+      throw new PasswordResetError('This reset link is invalid or has expired. Please request a new one.');
+    }
+
+    // Saving the document runs the password hashing hook
+    const user = await User.findById(claimed._id);
+    user.password = newPassword;
+    await user.save();
+
+    await sessionService.revokeAll(user._id, { reason: 'password_reset' });
+    await emailService.sendPasswordChanged(user.email, user.firstName);
+
+    return user;
+  }
+}
+
+module.exports = new PasswordResetService();
+module.exports.PasswordResetError = PasswordResetError;
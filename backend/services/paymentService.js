@@ -0,0 +1,79 @@
+const RazorpayGateway = require('./gateways/razorpayGateway');
+const StripeGateway = require('./gateways/stripeGateway');
+const FakeGateway = require('./gateways/fakeGateway');
+
+// Regions served by Razorpay; everything else goes through Stripe
+const RAZORPAY_CURRENCIES = ['INR'];
+const RAZORPAY_COUNTRIES = ['IN', 'INDIA'];
+
+class PaymentService {
+  constructor() {
+    this.gateways = {
+      razorpay: new RazorpayGateway({
+        keyId: process.env.RAZORPAY_KEY_ID,
+        keySecret: process.env.RAZORPAY_KEY_SECRET,
+        webhookSecret: process.env.RAZORPAY_WEBHOOK_SECRET
+      }),
+      stripe: new StripeGateway({
+        secretKey: process.env.STRIPE_SECRET_KEY,
+        webhookSecret: process.env.STRIPE_WEBHOOK_SECRET
+      })
+    };
+
+    // The fake gateway accepts self-signed payments, so it is only ever
+    // registered when explicitly selected or under test
+    this.forcedGateway = process.env.PAYMENT_GATEWAY || (process.env.NODE_ENV === 'test' ? 'fake' : null);
+    if (this.forcedGateway === 'fake') {
+      this.gateways.fake = new FakeGateway();
+    }
+  }
+
+  getAvailableGateways() {
+    return Object.keys(this.gateways);
+  }
+
+  getGateway(name) {
+    const gateway = this.gateways[name];
+    if (!gateway) {
+      throw new Error(`Unsupported payment gateway: ${name}`);
+    }
+    return gateway;
+  }
+
+  // Pick a gateway for a payment. PAYMENT_GATEWAY overrides the choice for
+  // every payment (e.g. `fake` for local development).
+  selectGateway({ currency, country } = {}) {
+    if (this.forcedGateway) {
+      return this.getGateway(this.forcedGateway).name;
+    }
+
+    if (RAZORPAY_CURRENCIES.includes(String(currency).toUpperCase())
+      || RAZORPAY_COUNTRIES.includes(String(country).toUpperCase())) {
+      return 'razorpay';
+    }
+
+    return 'stripe';
+  }
+
+  async createCharge(gateway, options) {
+    return this.getGateway(gateway).createCharge(options);
+  }
+
+  async verifyPayment(gateway, options) {
+    return this.getGateway(gateway).verifyPayment(options);
+  }
+
+  async refund(gateway, options) {
+    return this.getGateway(gateway).refund(options);
+  }
+
+  async fetchStatus(gateway, reference) {
+    return this.getGateway(gateway).fetchStatus(reference);
+  }
+
+  parseWebhookEvent(gateway, rawBody, headers) {
+    return this.getGateway(gateway).parseWebhookEvent(rawBody, headers);
+  }
+}
+
+module.exports = new PaymentService();
@@ -0,0 +1,180 @@
+const Startup = require('../models/Startup');
+const User = require('../models/User');
+const Investment = require('../models/Investment');
+const ValuationEvent = require('../models/ValuationEvent');
+const PortfolioSnapshot = require('../models/PortfolioSnapshot');
+const capTableService = require('./capTableService');
+const fundingRoundService = require('./fundingRoundService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+// Start of the UTC day a date falls in
+const startOfDay = (date) => new Date(Math.floor(date.getTime() / DAY_MS) * DAY_MS);
+
+class RevaluationError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'RevaluationError';
+    this.status = status;
+  }
+}
+
+class RevaluationService {
+  // Re-mark every open holding in a startup at a new company valuation. The
+  // price per share is the valuation spread over the shares outstanding;
+  // each holding keeps the share count it was issued at its round's price.
+  async markStartup(startupId, { type, valuation, round, notes, recordedBy, effectiveAt = new Date() }) {
+    const startup = await Startup.findById(startupId);
+    if (!startup) {
+      throw new RevaluationError('Startup not found', 404);
+    }
+
+    const rounds = await fundingRoundService.getRounds(startup);
+    const investments = await Investment.find({
+      startup: startup._id,
+      status: { $in: Investment.ACTIVE_STATUSES }
+    });
+
+    const capTable = capTableService.buildCapTable(startup, rounds, investments);
+    const sharesOutstanding = capTable.current.totalShares;
+    const pricePerShare = valuation / sharesOutstanding;
+    const roundPrices = capTableService.getRoundPrices(capTable);
+
+    const investorIds = new Set();
+    let holdingsMarked = 0;
+    for (const investment of investments) {
+      const shares = capTableService.getShares(investment, roundPrices);
+      // Exited holdings are valued by their proceeds, and rounds without a
+      // valuation never issued priced shares
+      if (investment.status !== 'confirmed' || shares === null) {
+        continue;
+      }
+
+      const result = await Investment.updateOne(
+        { _id: investment._id, status: 'confirmed' },
+        {
+          $set: {
+            shares,
+            currentValue: roundMoney(shares * pricePerShare),
+            lastMarkedAt: effectiveAt,
+            updatedAt: new Date()
+          }
+        }
+      );
+
+      if (result.modifiedCount) {
+        holdingsMarked += 1;
+        investorIds.add(String(investment.investor));
+      }
+    }
+
+    const event = await ValuationEvent.create({
+      startup: startup._id,
+      type,
+      round,
+      valuation,
+      currency: startup.funding.currency,
+      sharesOutstanding,
+      pricePerShare,
+      previousPricePerShare: startup.latestValuation && startup.latestValuation.pricePerShare,
+      holdingsMarked,
+      notes,
+      recordedBy,
+      effectiveAt
+    });
+
+    await Startup.updateOne(
+      { _id: startup._id },
+      { $set: { latestValuation: { type, valuation, pricePerShare, markedAt: effectiveAt } } }
+    );
+
+    for (const investorId of investorIds) {
+      await this.syncInvestorTotals(investorId);
+    }
+
+    return event;
+  }
+
+  // Mark a startup at the price of a newly opened equity round. SAFEs and
+  // notes carry no price of their own, so they leave marks untouched.
+  async recordPricedRound(startup, round) {
+    const valuation = capTableService.getPreMoneyValuation(round);
+    if (round.instrument !== 'equity' || !valuation) {
+      return null;
+    }
+
+    return this.markStartup(startup._id, {
+      type: 'priced_round',
+      valuation,
+      round: round._id
+    });
+  }
+
+  // Recompute an investor's profile totals from their holdings
+  async syncInvestorTotals(investorId) {
+    const summary = await Investment.getPortfolioSummary(investorId);
+    await User.updateOne(
+      { _id: investorId },
+      {
+        $set: {
+          'investorProfile.totalInvested': summary.totalInvested,
+          'investorProfile.portfolioValue': summary.portfolioValue,
+          'investorProfile.totalReturns': summary.totalReturns
+        }
+      }
+    );
+    return summary;
+  }
+
+  // Write today's portfolio value for every investor with holdings. Safe to
+  // run repeatedly: the day's snapshot is simply overwritten.
+  async recordDailySnapshots(now = new Date()) {
+    const date = startOfDay(now);
+    const totals = await Investment.aggregate([
+      { $match: { status: { $in: Investment.ACTIVE_STATUSES }, syndicate: null } },
+      {
+        $group: {
+          _id: '$investor',
+          totalInvested: { $sum: { $ifNull: ['$costBasis', '$amount'] } },
+          portfolioValue: { $sum: { $ifNull: ['$currentValue', '$amount'] } },
+          investmentCount: { $sum: 1 }
+        }
+      }
+    ]);
+
+    if (totals.length === 0) {
+      return { investors: 0 };
+    }
+
+    await PortfolioSnapshot.bulkWrite(totals.map(total => ({
+      updateOne: {
+        filter: { investor: total._id, date },
+        update: {
+          $set: {
+            totalInvested: total.totalInvested,
+            portfolioValue: roundMoney(total.portfolioValue),
+            totalReturns: roundMoney(total.portfolioValue - total.totalInvested),
+            investmentCount: total.investmentCount,
+            recordedAt: now
+          }
+        },
+        upsert: true
+      }
+    })));
+
+    return { investors: totals.length };
+  }
+
+  // Daily portfolio values for the last `days` days, oldest first
+  async getPerformanceHistory(investorId, days) {
+    const since = startOfDay(new Date(Date.now() - days * DAY_MS));
+    return PortfolioSnapshot.find({ investor: investorId, date: { $gte: since } })
+      .sort({ date: 1 })
+      .select('date totalInvested portfolioValue totalReturns investmentCount -_id');
+  }
+}
+
+module.exports = new RevaluationService();
+module.exports.RevaluationError = RevaluationError;
@@ -0,0 +1,128 @@
+const os = require('os');
+const { v4: uuidv4 } = require('uuid');
+const ScheduledJob = require('../models/ScheduledJob');
+
+// How often each instance looks for due jobs
+const POLL_INTERVAL_MS = Number(process.env.SCHEDULER_POLL_MS) || 15 * 1000;
+// How long a claimed job stays locked if its instance dies mid-run
+const DEFAULT_LEASE_MS = 10 * 60 * 1000;
+
+class SchedulerService {
+  constructor() {
+    this.instanceId = `${os.hostname()}:${process.pid}:${uuidv4()}`;
+    this.jobs = new Map();
+    this.timer = null;
+    this.running = false;
+  }
+
+  // Register a recurring job. Handlers may resolve to a summary that is
+  // stored as the job's lastResult.
+  register(name, intervalMs, handler, { leaseMs = DEFAULT_LEASE_MS } = {}) {
+    this.jobs.set(name, { name, intervalMs, handler, leaseMs });
+    return this;
+  }
+
+  async start() {
+    if (this.timer) {
+      return;
+    }
+
+    for (const job of this.jobs.values()) {
+      await this.ensureJob(job);
+    }
+
+    this.timer = setInterval(() => this.tick(), POLL_INTERVAL_MS);
+    this.tick();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  async ensureJob({ name, intervalMs }) {
+    try {
+      await ScheduledJob.updateOne(
+        { name },
+        { $set: { intervalMs }, $setOnInsert: { name, nextRunAt: new Date() } },
+        { upsert: true }
+      );
+    } catch (error) {
+      // Another instance created it first
+      if (error.code !== 11000) {
+        throw error;
+      }
+    }
+  }
+
+  async tick() {
+    if (this.running) {
+      return;
+    }
+
+    this.running = true;
+    try {
+      for (const job of this.jobs.values()) {
+        await this.runIfDue(job);
+      }
+    } catch (error) {
+      console.error('Scheduler error:', error);
+    } finally {
+      this.running = false;
+    }
+  }
+
+  // Claim the job's lease if it is due and unlocked, then run it
+  async runIfDue(job) {
+    const now = new Date();
+    const claimed = await ScheduledJob.findOneAndUpdate(
+      {
+        name: job.name,
+        nextRunAt: { $lte: now },
+        $or: [
+          { lockedUntil: null },
+          { lockedUntil: { $lte: now } }
+        ]
+      },
+      {
+        $set: {
+          lockedBy: this.instanceId,
+          lockedUntil: new Date(now.getTime() + job.leaseMs)
+        }
+      },
+      { new: true }
+    );
+
+    if (!claimed) {
+      return;
+    }
+
+    const startedAt = Date.now();
+    const update = {
+      $set: {
+        lastRunAt: new Date(startedAt),
+        nextRunAt: new Date(startedAt + job.intervalMs),
+        lockedUntil: null
+      },
+      $unset: { lockedBy: 1 },
+      $inc: { runCount: 1 }
+    };
+
+    try {
+      const result = await job.handler();
+      update.$set.lastResult = result;
+      update.$unset.lastError = 1;
+    } catch (error) {
+      console.error(`Scheduled job ${job.name} failed:`, error);
+      update.$set.lastError = error.message;
+      update.$inc.failureCount = 1;
+    }
+
+    update.$set.lastDurationMs = Date.now() - startedAt;
+
+    // Only release the lease if it is still ours
+    await ScheduledJob.updateOne({ name: job.name, lockedBy: this.instanceId }, update);
+  }
+}
+
+module.exports = new SchedulerService();
@@ -0,0 +1,957 @@
+const mongoose = require('mongoose');
+const Startup = require('../models/Startup');
+const User = require('../models/User');
+const Investment = require('../models/Investment');
+const FundingRound = require('../models/FundingRound');
+const SecondaryListing = require('../models/SecondaryListing');
+const SecondaryTrade = require('../models/SecondaryTrade');
+const paymentService = require('./paymentService');
+const ledgerService = require('./ledgerService');
+const { LedgerError } = require('./ledgerService');
+const capTableService = require('./capTableService');
+const fundingRoundService = require('./fundingRoundService');
+const investmentLimitsService = require('./investmentLimitsService');
+const { InvestmentLimitError } = require('./investmentLimitsService');
+const revaluationService = require('./revaluationService');
+const emailService = require('./emailService');
+
+const { accounts } = ledgerService;
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+// How long a buyer has to pay through a gateway before the listing is
+// offered again
+const PAYMENT_WINDOW_MINUTES = Number(process.env.PAYMENT_WINDOW_MINUTES) || 30;
+
+// How long one settlement attempt holds a trade before the job may resume it
+const SETTLEMENT_LEASE_MS = 5 * 60 * 1000;
+
+// How often to retry splitting a holding that changed under us
+const SPLIT_ATTEMPTS = 5;
+
+const LISTING_DAYS = 30;
+
+const POLICY_FIELDS = ['transfersAllowed', 'lockupDays', 'accreditedBuyersOnly', 'rightOfFirstRefusal', 'rofrWindowHours'];
+
+class SecondaryMarketError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'SecondaryMarketError';
+    this.status = status;
+  }
+}
+
+class SecondaryMarketService {
+  // Founder-controlled rules for selling holdings in a startup
+  async updateTransferPolicy(startupId, userId, updates) {
+    const startup = await Startup.findById(startupId);
+    if (!startup) {
+      throw new SecondaryMarketError('Startup not found', 404);
+    }
+
+    if (String(startup.founder) !== String(userId)) {
+      throw new SecondaryMarketError('Only the founder can change the transfer policy', 403);
+    }
+
+    POLICY_FIELDS.forEach(field => {
+      if (updates[field] !== undefined) {
+        startup.transferPolicy[field] = updates[field];
+      }
+    });
+    startup.transferPolicy.updatedAt = new Date();
+    await startup.save();
+
+    return startup.transferPolicy;
+  }
+
+  // Shares behind a holding: its own count once marked, otherwise what it
+  // was issued at its round's price. Null when the round has no price.
+  async getHoldingShares(investment) {
+    if (investment.shares !== undefined && investment.shares !== null) {
+      return investment.shares;
+    }
+
+    const startup = await Startup.findById(investment.startup);
+    const rounds = await fundingRoundService.getRounds(startup);
+    const investments = await Investment.find({
+      startup: startup._id,
+      status: { $in: Investment.ACTIVE_STATUSES }
+    });
+    const roundPrices = capTableService.getRoundPrices(
+      capTableService.buildCapTable(startup, rounds, investments)
+    );
+
+    return capTableService.getShares(investment, roundPrices);
+  }
+
+  // Reject a sale the holding or the startup's transfer policy does not allow
+  assertTransferable(investment, startup, now = new Date()) {
+    if (investment.status !== 'confirmed') {
+      throw new SecondaryMarketError(`A ${investment.status} investment cannot be sold`, 409);
+    }
+
+    // A syndicate's holding belongs to its followers, not the lead
+    if (investment.syndicate) {
+      throw new SecondaryMarketError('Holdings held for a syndicate cannot be sold', 403);
+    }
+
+    if (startup.status === 'exited' || (startup.exit && startup.exit.event)) {
+      throw new SecondaryMarketError('Holdings in a startup that has exited cannot be sold', 409);
+    }
+
+    const policy = startup.transferPolicy || {};
+    if (policy.transfersAllowed === false) {
+      throw new SecondaryMarketError(`${startup.name} does not allow its holdings to be transferred`, 403);
+    }
+
+    const confirmedAt = investment.confirmedAt ? investment.confirmedAt.getTime() : 0;
+    if (investment.source !== 'secondary'
+      && confirmedAt + Investment.COOLING_OFF_HOURS * 60 * 60 * 1000 > now.getTime()) {
+      throw new SecondaryMarketError('Holdings can be sold once their cooling-off period has ended', 409);
+    }
+
+    if (policy.lockupDays && confirmedAt + policy.lockupDays * 24 * 60 * 60 * 1000 > now.getTime()) {
+      throw new SecondaryMarketError(`${startup.name} requires holdings to be kept for ${policy.lockupDays} days`, 409);
+    }
+
+    // Funds still in escrow may yet be refunded
+    const escrowStatus = startup.funding.escrow && startup.funding.escrow.status;
+    if (String(investment.round) === String(startup.funding.round)
+      && ['holding', 'refunding', 'refunded'].includes(escrowStatus)) {
+      throw new SecondaryMarketError('Holdings in this round can be sold once its escrow has been released', 409);
+    }
+  }
+
+  // List part or all of a holding. Priced holdings are sold in whole shares,
+  // unpriced ones by subscription amount; leaving both out lists whatever
+  // is not already listed.
+  async createListing(sellerId, { investmentId, shares, principal, askingPrice, expiresAt }) {
+    const investment = await Investment.findOne({ _id: investmentId, investor: sellerId });
+    if (!investment) {
+      throw new SecondaryMarketError('Investment not found', 404);
+    }
+
+    const startup = await Startup.findById(investment.startup);
+    this.assertTransferable(investment, startup);
+
+    const listed = await SecondaryListing.find({
+      investment: investment._id,
+      status: { $in: ['active', 'reserved'] }
+    }).select('shares principal');
+
+    const holdingShares = await this.getHoldingShares(investment);
+    let listing;
+    if (holdingShares !== null) {
+      if (principal !== undefined && shares === undefined) {
+        throw new SecondaryMarketError('This holding is priced; list it in whole shares');
+      }
+      const available = holdingShares - listed.reduce((sum, item) => sum + (item.shares || 0), 0);
+      const listedShares = shares === undefined ? available : shares;
+      if (listedShares < 1 || listedShares > available) {
+        throw new SecondaryMarketError(`You can list up to ${Math.max(available, 0)} shares of this holding`, 422);
+      }
+      listing = {
+        shares: listedShares,
+        principal: roundMoney(investment.amount * listedShares / holdingShares)
+      };
+    } else {
+      if (shares !== undefined) {
+        throw new SecondaryMarketError('This holding has no share price yet; list it by amount');
+      }
+      const available = roundMoney(investment.amount - listed.reduce((sum, item) => sum + item.principal, 0));
+      const listedPrincipal = principal === undefined ? available : principal;
+      if (listedPrincipal <= 0 || listedPrincipal > available) {
+        throw new SecondaryMarketError(`You can list up to ${Math.max(available, 0)} of this holding`, 422);
+      }
+      listing = { principal: listedPrincipal };
+    }
+
+    return SecondaryListing.create({
+      ...listing,
+      seller: sellerId,
+      investment: investment._id,
+      startup: startup._id,
+      round: investment.round,
+      askingPrice,
+      currency: investment.currency,
+      expiresAt: expiresAt || new Date(Date.now() + LISTING_DAYS * 24 * 60 * 60 * 1000)
+    });
+  }
+
+  // Open listings, newest first. Sellers stay anonymous.
+  async getListings({ startupId, page = 1, limit = 20 } = {}) {
+    const filter = { status: 'active', expiresAt: { $gt: new Date() } };
+    if (startupId) {
+      filter.startup = startupId;
+    }
+
+    const [listings, total] = await Promise.all([
+      SecondaryListing.find(filter)
+        .select('-seller -investment')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate('startup', 'name logo sector stage transferPolicy')
+        .populate('round', 'sequence roundType instrument'),
+      SecondaryListing.countDocuments(filter)
+    ]);
+
+    return {
+      listings,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  async getMyListings(sellerId) {
+    return SecondaryListing.find({ seller: sellerId })
+      .sort({ createdAt: -1 })
+      .populate('startup', 'name logo');
+  }
+
+  // Withdraw a listing nobody has started buying
+  async cancelListing(listingId, sellerId) {
+    const listing = await SecondaryListing.findOneAndUpdate(
+      { _id: listingId, seller: sellerId, status: 'active' },
+      { $set: { status: 'cancelled', cancelledAt: new Date(), updatedAt: new Date() } },
+      { new: true }
+    );
+
+    if (!listing) {
+      const existing = await SecondaryListing.findOne({ _id: listingId, seller: sellerId });
+      if (!existing) {
+        throw new SecondaryMarketError('Listing not found', 404);
+      }
+      throw new SecondaryMarketError(`A ${existing.status} listing cannot be cancelled`, 409);
+    }
+
+    return listing;
+  }
+
+  // Buy a listing. The listing is reserved for the buyer while they pay;
+  // wallet purchases are paid straight away.
+  async buyListing(listingId, buyerId, { gateway, country } = {}) {
+    const listing = await SecondaryListing.findById(listingId);
+    if (!listing || listing.status !== 'active' || listing.expiresAt <= new Date()) {
+      throw new SecondaryMarketError('Listing not found or no longer available', 404);
+    }
+
+    if (String(listing.seller) === String(buyerId)) {
+      throw new SecondaryMarketError('You cannot buy your own listing');
+    }
+
+    const [buyer, startup, holding] = await Promise.all([
+      User.findById(buyerId),
+      Startup.findById(listing.startup),
+      Investment.findById(listing.investment)
+    ]);
+    this.assertTransferable(holding, startup);
+
+    if (startup.transferPolicy.accreditedBuyersOnly
+      && !(buyer.investorProfile && buyer.investorProfile.isAccredited)) {
+      throw new SecondaryMarketError(`${startup.name} only allows accredited investors to buy its holdings`, 403);
+    }
+
+    // A trade counts against the buyer's limit as soon as it exists, so the
+    // listing is reserved and the trade written while the check holds
+    const tradeId = new mongoose.Types.ObjectId();
+    const openTrade = async () => {
+      const reserved = await SecondaryListing.findOneAndUpdate(
+        { _id: listing._id, status: 'active', expiresAt: { $gt: new Date() } },
+        { $set: { status: 'reserved', trade: tradeId, updatedAt: new Date() } },
+        { new: true }
+      );
+      if (!reserved) {
+        throw new SecondaryMarketError('Someone else is already buying this listing', 409);
+      }
+
+      try {
+        return await SecondaryTrade.create({
+          _id: tradeId,
+          listing: listing._id,
+          investment: listing.investment,
+          startup: listing.startup,
+          round: listing.round,
+          seller: listing.seller,
+          buyer: buyerId,
+          shares: listing.shares,
+          principal: listing.principal,
+          price: listing.askingPrice,
+          currency: listing.currency,
+          gateway: gateway || paymentService.selectGateway({ currency: listing.currency, country }),
+          expiresAt: new Date(Date.now() + PAYMENT_WINDOW_MINUTES * 60 * 1000)
+        });
+      } catch (error) {
+        await SecondaryListing.updateOne(
+          { _id: listing._id, status: 'reserved', trade: tradeId },
+          { $set: { status: 'active', updatedAt: new Date() }, $unset: { trade: 1 } }
+        );
+        throw error;
+      }
+    };
+
+    let reservation;
+    try {
+      reservation = await investmentLimitsService.reserve(buyerId, listing.askingPrice, openTrade);
+    } catch (error) {
+      if (error instanceof InvestmentLimitError) {
+        throw new SecondaryMarketError(error.message, error.status);
+      }
+      throw error;
+    }
+
+    const { limitCheck } = reservation;
+    if (!limitCheck.allowed) {
+      throw new SecondaryMarketError(limitCheck.warning, 403);
+    }
+
+    let trade = reservation.result;
+    let payment;
+    try {
+      if (trade.gateway === 'wallet') {
+        trade.gatewayReference = `wallet_${trade._id}`;
+      } else {
+        payment = await paymentService.createCharge(trade.gateway, {
+          amount: trade.price,
+          currency: trade.currency,
+          receipt: `SEC_${trade._id}`,
+          metadata: {
+            secondaryTradeId: trade._id.toString(),
+            userId: buyerId.toString()
+          }
+        });
+        trade.gatewayReference = payment.reference;
+      }
+      await trade.save();
+
+      if (trade.gateway === 'wallet') {
+        await this.recordTradePayment(trade);
+      }
+    } catch (error) {
+      await this.cancelTrade(trade._id, 'Payment could not be made', { status: 'awaiting_payment' });
+      if (error instanceof LedgerError) {
+        throw new SecondaryMarketError(error.message, error.status);
+      }
+      throw error;
+    }
+
+    if (trade.gateway === 'wallet') {
+      trade = await this.markPaid(trade._id, { gatewayPaymentId: `secondary_payment:${trade._id}` });
+    }
+
+    const warnings = limitCheck.warning ? [limitCheck.warning] : [];
+    return {
+      trade,
+      payment: payment ? payment.clientData : { method: 'wallet', paid: true },
+      warnings
+    };
+  }
+
+  async verifyTradePayment(tradeId, buyerId, { paymentId, signature }) {
+    const trade = await SecondaryTrade.findOne({ _id: tradeId, buyer: buyerId });
+    if (!trade) {
+      throw new SecondaryMarketError('Trade not found', 404);
+    }
+
+    if (trade.gateway === 'wallet') {
+      throw new SecondaryMarketError('Wallet purchases are paid when they are made');
+    }
+
+    const gatewayPaymentId = await paymentService.verifyPayment(trade.gateway, {
+      reference: trade.gatewayReference,
+      paymentId,
+      signature
+    });
+
+    if (!gatewayPaymentId) {
+      return { isValid: false, trade };
+    }
+
+    return { isValid: true, trade: await this.markPaid(trade._id, { gatewayPaymentId }) };
+  }
+
+  // Ledger entry for the buyer's money going into the trade's escrow
+  async recordTradePayment(trade) {
+    const source = trade.gateway === 'wallet'
+      ? accounts.wallet(trade.buyer)
+      : accounts.gateway(trade.gateway);
+
+    return ledgerService.post({
+      key: `secondary_payment:${trade._id}`,
+      type: 'secondary_payment',
+      currency: trade.currency,
+      user: trade.buyer,
+      secondaryTrade: trade._id,
+      memo: `Secondary purchase ${trade._id}`,
+      lines: [
+        { account: source, debit: trade.price },
+        { account: accounts.secondaryEscrow(trade._id), credit: trade.price }
+      ]
+    });
+  }
+
+  // Record the buyer's payment and move the trade on. A payment that lands
+  // after the trade was cancelled is refunded rather than kept.
+  async markPaid(tradeId, { gatewayPaymentId } = {}) {
+    const trade = await SecondaryTrade.findById(tradeId);
+    await this.recordTradePayment(trade);
+
+    const paid = (await SecondaryTrade.findOneAndUpdate(
+      { _id: trade._id, paidAt: null },
+      { $set: { paidAt: new Date(), gatewayPaymentId, updatedAt: new Date() } },
+      { new: true }
+    )) || await SecondaryTrade.findById(trade._id);
+
+    if (paid.status === 'cancelled') {
+      return this.refundTrade(paid);
+    }
+
+    return this.startHold(paid);
+  }
+
+  // Hold a paid trade for the founder's right of first refusal, or settle
+  // it straight away when there is none
+  async startHold(trade) {
+    const startup = await Startup.findById(trade.startup);
+    const policy = startup.transferPolicy || {};
+    const offerToFounder = policy.rightOfFirstRefusal
+      && !trade.exercisedFrom
+      && String(startup.founder) !== String(trade.buyer)
+      && String(startup.founder) !== String(trade.seller);
+
+    const update = { status: 'held', updatedAt: new Date() };
+    if (offerToFounder) {
+      update['rightOfFirstRefusal.deadline'] = new Date(Date.now() + policy.rofrWindowHours * 60 * 60 * 1000);
+    }
+
+    const held = await SecondaryTrade.findOneAndUpdate(
+      { _id: trade._id, status: 'awaiting_payment' },
+      { $set: update },
+      { new: true }
+    );
+    if (!held) {
+      return SecondaryTrade.findById(trade._id);
+    }
+
+    if (offerToFounder) {
+      const founder = await User.findById(startup.founder).select('email firstName');
+      await emailService.sendRightOfFirstRefusalNotice(founder.email, founder.firstName, startup, held);
+      return held;
+    }
+
+    return this.settleTrade(held._id);
+  }
+
+  // Trades waiting on a founder's right of first refusal
+  async getRightOfFirstRefusalTrades(founderId) {
+    const startups = await Startup.find({ founder: founderId }).select('_id');
+    return SecondaryTrade.find({
+      startup: { $in: startups.map(startup => startup._id) },
+      status: 'held',
+      'rightOfFirstRefusal.decision': null,
+      'rightOfFirstRefusal.deadline': { $gt: new Date() }
+    })
+      .select('-buyer -seller -gatewayReference -gatewayPaymentId')
+      .sort({ 'rightOfFirstRefusal.deadline': 1 })
+      .populate('startup', 'name');
+  }
+
+  // Let the founder waive their right of first refusal, or take the trade
+  // over at the buyer's price, paying from their own wallet
+  async decideRightOfFirstRefusal(tradeId, founderId, decision) {
+    const trade = await SecondaryTrade.findById(tradeId);
+    if (!trade) {
+      throw new SecondaryMarketError('Trade not found', 404);
+    }
+
+    const startup = await Startup.findById(trade.startup).select('founder');
+    if (String(startup.founder) !== String(founderId)) {
+      throw new SecondaryMarketError('Only the founder can decide on this trade', 403);
+    }
+
+    const claimed = await SecondaryTrade.findOneAndUpdate(
+      {
+        _id: trade._id,
+        status: 'held',
+        'rightOfFirstRefusal.decision': null,
+        'rightOfFirstRefusal.deadline': { $gt: new Date() }
+      },
+      {
+        $set: {
+          'rightOfFirstRefusal.decision': decision,
+          'rightOfFirstRefusal.decidedAt': new Date(),
+          updatedAt: new Date()
+        }
+      },
+      { new: true }
+    );
+    if (!claimed) {
+      throw new SecondaryMarketError('This trade is no longer open to the right of first refusal', 409);
+    }
+
+    if (decision === 'waived') {
+      return this.settleTrade(claimed._id);
+    }
+
+    return this.exerciseRightOfFirstRefusal(claimed, founderId);
+  }
+
+  // Replace the buyer's trade with one for the founder on the same terms
+  // and refund the buyer
+  async exerciseRightOfFirstRefusal(trade, founderId) {
+    const founderTradeId = new mongoose.Types.ObjectId();
+    const founderTrade = (await SecondaryTrade.findOne({ exercisedFrom: trade._id })) || await SecondaryTrade.create({
+      _id: founderTradeId,
+      listing: trade.listing,
+      investment: trade.investment,
+      startup: trade.startup,
+      round: trade.round,
+      seller: trade.seller,
+      buyer: founderId,
+      shares: trade.shares,
+      principal: trade.principal,
+      price: trade.price,
+      currency: trade.currency,
+      gateway: 'wallet',
+      gatewayReference: `wallet_${founderTradeId}`,
+      exercisedFrom: trade._id
+    });
+
+    try {
+      await this.recordTradePayment(founderTrade);
+    } catch (error) {
+      await SecondaryTrade.updateOne(
+        { _id: founderTrade._id, status: 'awaiting_payment' },
+        { $set: { status: 'cancelled', cancellationReason: 'Wallet payment failed', cancelledAt: new Date() } }
+      );
+      await SecondaryTrade.updateOne(
+        { _id: trade._id, status: 'held', 'rightOfFirstRefusal.decision': 'exercised' },
+        { $unset: { 'rightOfFirstRefusal.decision': 1, 'rightOfFirstRefusal.decidedAt': 1 } }
+      );
+      if (error instanceof LedgerError) {
+        throw new SecondaryMarketError(error.message, error.status);
+      }
+      throw error;
+    }
+
+    await SecondaryListing.updateOne(
+      { _id: trade.listing, trade: trade._id },
+      { $set: { trade: founderTrade._id, updatedAt: new Date() } }
+    );
+    await this.cancelTrade(trade._id, 'The startup exercised its right of first refusal', { status: 'held' });
+
+    return this.markPaid(founderTrade._id, { gatewayPaymentId: `secondary_payment:${founderTrade._id}` });
+  }
+
+  // Cancel a trade that has not been settled, putting its listing back on
+  // the market and refunding anything the buyer paid. `filter` narrows
+  // which trades may be cancelled.
+  async cancelTrade(tradeId, reason, filter) {
+    const now = new Date();
+    const trade = await SecondaryTrade.findOneAndUpdate(
+      { status: { $in: ['awaiting_payment', 'held', 'settling'] }, ...filter, _id: tradeId },
+      { $set: { status: 'cancelled', cancellationReason: reason, cancelledAt: now, updatedAt: now } },
+      { new: true }
+    );
+    if (!trade) {
+      return null;
+    }
+
+    await SecondaryListing.updateOne(
+      { _id: trade.listing, status: 'reserved', trade: trade._id },
+      { $set: { status: 'active', updatedAt: now }, $unset: { trade: 1 } }
+    );
+
+    return trade.paidAt ? this.refundTrade(trade) : trade;
+  }
+
+  // Return a cancelled trade's payment to where it came from. The lease
+  // stops two callers refunding the same charge.
+  async refundTrade(trade) {
+    if (trade.refundedAt || !(await ledgerService.findEntry(`secondary_payment:${trade._id}`))) {
+      return trade;
+    }
+
+    const now = new Date();
+    const claimed = await SecondaryTrade.findOneAndUpdate(
+      {
+        _id: trade._id,
+        status: 'cancelled',
+        refundedAt: null,
+        $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }]
+      },
+      { $set: { lockedUntil: new Date(now.getTime() + SETTLEMENT_LEASE_MS) } },
+      { new: true }
+    );
+    if (!claimed) {
+      return SecondaryTrade.findById(trade._id);
+    }
+
+    let refundReference = `secondary_refund:${claimed._id}`;
+    if (claimed.gateway !== 'wallet') {
+      const refund = await paymentService.refund(claimed.gateway, {
+        reference: claimed.gatewayReference,
+        paymentId: claimed.gatewayPaymentId,
+        amount: claimed.price,
+        currency: claimed.currency
+      });
+      refundReference = refund.refundId;
+    }
+
+    await ledgerService.post({
+      key: `secondary_refund:${claimed._id}`,
+      type: 'secondary_refund',
+      currency: claimed.currency,
+      user: claimed.buyer,
+      secondaryTrade: claimed._id,
+      memo: `Refund of secondary purchase ${claimed._id}`,
+      lines: [
+        { account: accounts.secondaryEscrow(claimed._id), debit: claimed.price },
+        {
+          account: claimed.gateway === 'wallet' ? accounts.wallet(claimed.buyer) : accounts.gateway(claimed.gateway),
+          credit: claimed.price
+        }
+      ]
+    });
+
+    return SecondaryTrade.findByIdAndUpdate(
+      claimed._id,
+      { $set: { refundedAt: new Date(), refundReference, updatedAt: new Date() }, $unset: { lockedUntil: 1 } },
+      { new: true }
+    );
+  }
+
+  // Transfer the holding and pay the seller. There are no multi-document
+  // transactions: the split of the seller's holding is the single write that
+  // commits the trade, and everything after it is derived from the trade and
+  // safe to repeat. An interrupted settlement is picked up again by the
+  // scheduler once its lease runs out; writes made before the commit are
+  // fenced by the lease, so a settler that lost it cannot undo or reshape a
+  // trade another one has committed.
+  async settleTrade(tradeId) {
+    const now = new Date();
+    let trade = await SecondaryTrade.findOneAndUpdate(
+      {
+        _id: tradeId,
+        $or: [
+          { status: 'held', 'rightOfFirstRefusal.deadline': null },
+          { status: 'held', 'rightOfFirstRefusal.decision': 'waived' },
+          { status: 'held', 'rightOfFirstRefusal.decision': null, 'rightOfFirstRefusal.deadline': { $lte: now } },
+          { status: 'settling', lockedUntil: { $lte: now } }
+        ]
+      },
+      { $set: { status: 'settling', lockedUntil: new Date(now.getTime() + SETTLEMENT_LEASE_MS), updatedAt: now } },
+      { new: true }
+    );
+    if (!trade) {
+      return SecondaryTrade.findById(tradeId);
+    }
+    const lease = trade.lockedUntil;
+
+    trade = await this.takeFromHolding(trade, lease);
+    if (!trade) {
+      const cancelled = await this.cancelTrade(tradeId, 'The holding can no longer be transferred', {
+        status: 'settling',
+        lockedUntil: lease
+      });
+      if (!cancelled) {
+        return SecondaryTrade.findById(tradeId);
+      }
+      await SecondaryListing.updateOne(
+        { _id: cancelled.listing, status: 'active' },
+        { $set: { status: 'cancelled', cancelledAt: now, updatedAt: now } }
+      );
+      return cancelled;
+    }
+
+    // Committed: from here on the trade can only settle
+    const buyerInvestment = await Investment.findOneAndUpdate(
+      { secondaryTrade: trade._id },
+      {
+        $setOnInsert: {
+          startup: trade.startup,
+          investor: trade.buyer,
+          round: trade.round,
+          source: 'secondary',
+          amount: trade.principal,
+          currency: trade.currency,
+          ...(trade.shares ? { shares: trade.shares } : {}),
+          currentValue: trade.valueTransferred,
+          costBasis: trade.price,
+          status: 'confirmed',
+          gateway: trade.gateway,
+          gatewayReference: trade.gatewayReference,
+          gatewayPaymentId: trade.gatewayPaymentId,
+          // Subscription documents belong to primary investments
+          documentsIssuedAt: now,
+          confirmedAt: now,
+          createdAt: now,
+          updatedAt: now
+        }
+      },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+
+    await this.syncInvestorCount(trade);
+
+    await ledgerService.post({
+      key: `secondary_settlement:${trade._id}`,
+      type: 'secondary_settlement',
+      currency: trade.currency,
+      user: trade.seller,
+      secondaryTrade: trade._id,
+      memo: `Secondary sale ${trade._id}`,
+      lines: [
+        { account: accounts.secondaryEscrow(trade._id), debit: trade.price },
+        { account: accounts.wallet(trade.seller), credit: trade.price }
+      ]
+    });
+
+    await SecondaryListing.updateOne(
+      { _id: trade.listing },
+      { $set: { status: 'sold', trade: trade._id, soldAt: now, updatedAt: now } }
+    );
+
+    const settled = await SecondaryTrade.findOneAndUpdate(
+      { _id: trade._id, status: 'settling' },
+      {
+        $set: { status: 'settled', settledAt: now, buyerInvestment: buyerInvestment._id, updatedAt: now },
+        $unset: { lockedUntil: 1 }
+      },
+      { new: true }
+    );
+    if (!settled) {
+      return SecondaryTrade.findById(trade._id);
+    }
+
+    await revaluationService.syncInvestorTotals(trade.seller);
+    await revaluationService.syncInvestorTotals(trade.buyer);
+    await this.notifySettled(settled);
+
+    return settled;
+  }
+
+  // Take the traded slice out of the seller's holding, once; this is the
+  // commit point of a settlement. The cost and value that move to the buyer
+  // are saved on the trade before each attempt, under the settler's lease,
+  // so a resumed settlement uses the figures the split was made with.
+  // Resolves to null when the holding can no longer cover the trade.
+  async takeFromHolding(trade, lease) {
+    const startup = await Startup.findById(trade.startup).select('status exit');
+    for (let attempt = 0; attempt < SPLIT_ATTEMPTS; attempt += 1) {
+      const holding = await Investment.findById(trade.investment);
+      if (holding.secondarySales.some(sale => sale.equals(trade._id))) {
+        return SecondaryTrade.findById(trade._id);
+      }
+
+      if (startup.status === 'exited' || holding.status !== 'confirmed') {
+        return null;
+      }
+
+      const holdingShares = trade.shares ? await this.getHoldingShares(holding) : null;
+      if (trade.shares ? holdingShares < trade.shares : holding.amount < trade.principal - 0.005) {
+        return null;
+      }
+
+      const soldAll = trade.shares ? trade.shares === holdingShares : holding.amount - trade.principal < 0.005;
+      const principal = soldAll ? holding.amount : trade.principal;
+      const fraction = principal / holding.amount;
+      const costBasis = holding.costBasis ?? holding.amount;
+      const value = holding.currentValue ?? holding.amount;
+      const costBasisSold = soldAll ? costBasis : roundMoney(costBasis * fraction);
+      const valueTransferred = soldAll ? value : roundMoney(value * fraction);
+
+      const saved = await SecondaryTrade.updateOne(
+        { _id: trade._id, status: 'settling', lockedUntil: lease },
+        { $set: { principal, costBasisSold, valueTransferred } }
+      );
+      if (!saved.matchedCount) {
+        throw new SecondaryMarketError('The trade is being settled elsewhere', 409);
+      }
+
+      const update = {
+        amount: roundMoney(holding.amount - principal),
+        costBasis: roundMoney(costBasis - costBasisSold),
+        currentValue: roundMoney(value - valueTransferred),
+        updatedAt: new Date()
+      };
+      if (trade.shares) {
+        update.shares = holdingShares - trade.shares;
+      }
+      if (soldAll) {
+        update.status = 'transferred';
+        update.transferredAt = new Date();
+      }
+
+      const result = await Investment.updateOne(
+        { _id: holding._id, status: 'confirmed', amount: holding.amount, secondarySales: { $ne: trade._id } },
+        { $set: update, $inc: { soldCostBasis: costBasisSold }, $push: { secondarySales: trade._id } }
+      );
+      if (result.modifiedCount) {
+        return SecondaryTrade.findById(trade._id);
+      }
+    }
+
+    throw new SecondaryMarketError('The holding is being changed by another trade, please try again', 503);
+  }
+
+  // Recount the investors in the traded round, each syndicate counting as
+  // one. A recount rather than an increment keeps this safe to repeat.
+  async syncInvestorCount(trade) {
+    const investors = await Investment.aggregate([
+      {
+        $match: {
+          startup: new mongoose.Types.ObjectId(String(trade.startup)),
+          round: trade.round ? new mongoose.Types.ObjectId(String(trade.round)) : null,
+          status: { $in: Investment.ACTIVE_STATUSES }
+        }
+      },
+      { $group: { _id: { investor: '$investor', syndicate: { $ifNull: ['$syndicate', null] } } } }
+    ]);
+
+    const startup = await Startup.findById(trade.startup).select('funding.round');
+    if (String(startup.funding.round) === String(trade.round)) {
+      return Startup.updateOne({ _id: startup._id }, { $set: { 'funding.investorCount': investors.length } });
+    }
+
+    return FundingRound.updateOne({ _id: trade.round }, { $set: { investorCount: investors.length } });
+  }
+
+  async notifySettled(trade) {
+    const [startup, seller, buyer] = await Promise.all([
+      Startup.findById(trade.startup).select('name'),
+      User.findById(trade.seller).select('email firstName'),
+      User.findById(trade.buyer).select('email firstName')
+    ]);
+
+    await emailService.sendSecondaryTradeSettled(seller.email, seller.firstName, startup, trade, true);
+    await emailService.sendSecondaryTradeSettled(buyer.email, buyer.firstName, startup, trade, false);
+  }
+
+  // Apply a verified gateway event to the trade it refers to. Resolves to
+  // null when the event does not concern any trade.
+  async handlePaymentEvent(gateway, { action, reference, paymentId, reason }) {
+    if (!action || !reference) {
+      return null;
+    }
+
+    const trade = await SecondaryTrade.findOne({ gateway, gatewayReference: reference });
+    if (!trade) {
+      return null;
+    }
+
+    switch (action) {
+      case 'succeeded':
+        return this.markPaid(trade._id, { gatewayPaymentId: paymentId });
+      case 'failed':
+        return (await this.cancelTrade(trade._id, reason || 'Payment failed', { status: 'awaiting_payment', paidAt: null }))
+          || trade;
+      default:
+        return trade;
+    }
+  }
+
+  async getTrades(userId) {
+    return SecondaryTrade.find({ $or: [{ buyer: userId }, { seller: userId }] })
+      .select('-gatewayPaymentId')
+      .sort({ createdAt: -1 })
+      .limit(50)
+      .populate('startup', 'name logo');
+  }
+
+  // Scheduler sweep: cancel unpaid trades, settle trades whose right of
+  // first refusal has lapsed, resume interrupted work and expire listings
+  async processTrades() {
+    const now = new Date();
+    const stale = new Date(now.getTime() - SETTLEMENT_LEASE_MS);
+    const counts = { cancelled: 0, settled: 0, refunded: 0, listingsExpired: 0 };
+
+    const run = async (trades, action) => {
+      for (const { _id } of trades) {
+        try {
+          await action(_id);
+        } catch (error) {
+          console.error(`Secondary trade error for ${_id}:`, error);
+        }
+      }
+    };
+
+    await run(
+      await SecondaryTrade.find({ status: 'awaiting_payment', paidAt: null, expiresAt: { $lte: now } }).select('_id'),
+      async (id) => {
+        if (await this.cancelTrade(id, 'Payment window expired', { status: 'awaiting_payment', paidAt: null })) {
+          counts.cancelled += 1;
+        }
+      }
+    );
+
+    // Paid, but interrupted before being held
+    await run(
+      await SecondaryTrade.find({ status: 'awaiting_payment', paidAt: { $ne: null }, updatedAt: { $lte: stale } }).select('_id'),
+      async (id) => this.startHold(await SecondaryTrade.findById(id))
+    );
+
+    // An exercise interrupted before the buyer's trade was cancelled
+    await run(
+      await SecondaryTrade.find({
+        status: 'held',
+        'rightOfFirstRefusal.decision': 'exercised',
+        'rightOfFirstRefusal.decidedAt': { $lte: stale }
+      }).select('_id'),
+      async (id) => {
+        const founderTrade = await SecondaryTrade.findOne({ exercisedFrom: id, status: { $ne: 'cancelled' } });
+        if (founderTrade) {
+          await this.cancelTrade(id, 'The startup exercised its right of first refusal', { status: 'held' });
+          await this.markPaid(founderTrade._id, { gatewayPaymentId: `secondary_payment:${founderTrade._id}` });
+        } else {
+          await SecondaryTrade.updateOne(
+            { _id: id, status: 'held', 'rightOfFirstRefusal.decision': 'exercised' },
+            { $unset: { 'rightOfFirstRefusal.decision': 1, 'rightOfFirstRefusal.decidedAt': 1 } }
+          );
+        }
+      }
+    );
+
+    await run(
+      await SecondaryTrade.find({
+        $or: [
+          { status: 'held', 'rightOfFirstRefusal.deadline': null },
+          { status: 'held', 'rightOfFirstRefusal.decision': 'waived' },
+          { status: 'held', 'rightOfFirstRefusal.decision': null, 'rightOfFirstRefusal.deadline': { $lte: now } },
+          { status: 'settling', lockedUntil: { $lte: now } }
+        ]
+      }).select('_id'),
+      async (id) => {
+        const trade = await this.settleTrade(id);
+        if (trade && trade.status === 'settled') {
+          counts.settled += 1;
+        }
+      }
+    );
+
+    await run(
+      await SecondaryTrade.find({ status: 'cancelled', paidAt: { $ne: null }, refundedAt: null }).select('_id'),
+      async (id) => {
+        const trade = await this.refundTrade(await SecondaryTrade.findById(id));
+        if (trade.refundedAt) {
+          counts.refunded += 1;
+        }
+      }
+    );
+
+    const expired = await SecondaryListing.updateMany(
+      { status: 'active', expiresAt: { $lte: now } },
+      { $set: { status: 'expired', updatedAt: now } }
+    );
+    counts.listingsExpired = expired.modifiedCount;
+
+    return counts;
+  }
+}
+
+module.exports = new SecondaryMarketService();
+module.exports.SecondaryMarketError = SecondaryMarketError;
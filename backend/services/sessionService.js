@@ -0,0 +1,185 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+
+const JWT_SECRET = process.env.JWT_SECRET || 'fallback_secret';
+
+// Access tokens are checked against their session on every request, so a
+// short lifetime only bounds how long a stolen one stays useful offline
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_DAYS = Number(process.env.REFRESH_TOKEN_DAYS) || 30;
+
+// Two tabs refreshing at once both present the same token; the one that
+// loses the race is turned away without treating it as a copied token
+const REFRESH_RACE_GRACE_MS = 30 * 1000;
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+// Rough browser and platform names for the session list
+const BROWSERS = [['Edg/', 'Edge'], ['OPR/', 'Opera'], ['Chrome/', 'Chrome'], ['Firefox/', 'Firefox'], ['Safari/', 'Safari'], ['okhttp', 'Android app'], ['Expo', 'StartupLink app'], ['CFNetwork', 'iOS app']];
+const PLATFORMS = [['iPhone', 'iOS'], ['iPad', 'iPadOS'], ['Android', 'Android'], ['Windows', 'Windows'], ['Mac OS X', 'macOS'], ['Linux', 'Linux']];
+
+const describeDevice = (userAgent = '') => {
+  const browser = BROWSERS.find(([marker]) => userAgent.includes(marker));
+  const platform = PLATFORMS.find(([marker]) => userAgent.includes(marker));
+  return [browser && browser[1], platform && platform[1]].filter(Boolean).join(' on ') || 'Unknown device';
+};
+
+class SessionError extends Error {
+  constructor(message, status = 401) {
+    super(message);
+    this.name = 'SessionError';
+    this.status = status;
+  }
+}
+
+class SessionService {
+  // Start a session for a user who has just signed in. Resolves to the
+  // tokens to hand to the client.
+  async createSession(user, { method, ip, userAgent, twoFactorVerified = false }) {
+    const secret = crypto.randomBytes(32).toString('base64url');
+    const session = new Session({
+      user: user._id,
+      tokenHash: sha256(secret),
+      method,
+      createdIp: ip,
+      userAgent,
+      lastIp: ip,
+      twoFactorVerifiedAt: twoFactorVerified ? new Date() : undefined,
+      expiresAt: new Date(Date.now() + REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000)
+    });
+    await session.save();
+
+    return this.issueTokens(session, secret);
+  }
+
+  issueTokens(session, secret) {
+    const token = jwt.sign(
+      { userId: session.user, sessionId: session._id },
+      JWT_SECRET,
+      { expiresIn: ACCESS_TOKEN_TTL }
+    );
+
+    return {
+      token,
+      refreshToken: `${session._id}.${secret}`,
+      expiresIn: jwt.decode(token).exp - Math.floor(Date.now() / 1000),
+      sessionId: session._id
+    };
+  }
+
+  // Swap a refresh token for new tokens. Presenting the token that an
+  // earlier refresh already replaced means it was copied, so the whole
+  // session is revoked. Any other wrong token is just rejected: session ids
+  // are not secret, and guessing must not be a way to sign someone out.
+  async refresh(refreshToken, { ip, userAgent }) {
+    const [sessionId, secret] = String(refreshToken).split('.');
+    const session = /^[a-f0-9]{24}$/.test(sessionId) && secret && await Session.findById(sessionId);
+    if (!session || !session.isActive()) {
+      throw new SessionError('Session has expired or been revoked. Please sign in again.');
+    }
+
+    const presentedHash = sha256(secret);
+    const nextSecret = crypto.randomBytes(32).toString('base64url');
+    const now = new Date();
+    const rotated = await Session.findOneAndUpdate(
+      { _id: session._id, tokenHash: presentedHash, revokedAt: null },
+      {
+        $set: {
+          tokenHash: sha256(nextSecret),
+          previousTokenHash: presentedHash,
+          rotatedAt: now,
+          lastIp: ip,
+          userAgent,
+          lastUsedAt: now
+        },
+        $inc: { rotations: 1 }
+      },
+      { new: true }
+    );
+
+    if (rotated) {
+      return this.issueTokens(rotated, nextSecret);
+    }
+
+    const current = await Session.findById(session._id);
+    if (!current || current.previousTokenHash !== presentedHash) {
+      throw new SessionError('Invalid refresh token');
+    }
+
+    if (current.rotatedAt && now - current.rotatedAt < REFRESH_RACE_GRACE_MS) {
+      throw new SessionError('This session was just refreshed. Use the latest tokens.', 409);
+    }
+
+    await this.revoke({ _id: session._id }, 'refresh_token_reuse');
+    console.warn(`Refresh token reuse detected for session ${session._id}; session revoked`);
+    throw new SessionError('Session has expired or been revoked. Please sign in again.');
+  }
+
+  // The session behind an access token, if it is still active
+  async getActiveSession(sessionId, userId) {
+    if (!sessionId) {
+      return null;
+    }
+
+    return Session.findOne({
+      _id: sessionId,
+      user: userId,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    });
+  }
+
+  async markTwoFactorVerified(sessionId) {
+    await Session.updateOne({ _id: sessionId }, { $set: { twoFactorVerifiedAt: new Date() } });
+  }
+
+  async getSessions(userId, currentSessionId) {
+    const sessions = await Session.find({
+      user: userId,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    }).sort({ lastUsedAt: -1 });
+
+    return sessions.map(session => ({
+      _id: session._id,
+      device: describeDevice(session.userAgent),
+      userAgent: session.userAgent,
+      method: session.method,
+      createdIp: session.createdIp,
+      lastIp: session.lastIp,
+      createdAt: session.createdAt,
+      lastUsedAt: session.lastUsedAt,
+      expiresAt: session.expiresAt,
+      current: String(session._id) === String(currentSessionId)
+    }));
+  }
+
+  async revokeSession(userId, sessionId, reason = 'revoked') {
+    const result = await this.revoke({ _id: sessionId, user: userId }, reason);
+    if (!result.modifiedCount) {
+      throw new SessionError('Session not found', 404);
+    }
+  }
+
+  // Revoke every session of a user, optionally keeping one
+  async revokeAll(userId, { except, reason = 'revoked_all' } = {}) {
+    const filter = { user: userId };
+    if (except) {
+      filter._id = { $ne: except };
+    }
+
+    const result = await this.revoke(filter, reason);
+    return result.modifiedCount;
+  }
+
+  async revoke(filter, reason) {
+    return Session.updateMany(
+      { ...filter, revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedReason: reason } }
+    );
+  }
+}
+
+module.exports = new SessionService();
+module.exports.SessionError = SessionError;
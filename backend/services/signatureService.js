@@ -0,0 +1,271 @@
+const crypto = require('crypto');
+const Investment = require('../models/Investment');
+const InvestmentDocument = require('../models/InvestmentDocument');
+const SignatureRecord = require('../models/SignatureRecord');
+const investmentDocumentService = require('./investmentDocumentService');
+const investmentService = require('./investmentService');
+
+const CONSENT_TEXT = 'I have read the Subscription Agreement and agree to be bound by it. '
+  + 'I intend my acceptance on StartupLink to be my electronic signature.';
+
+// How often to retry when another signature takes the same chain position
+const APPEND_ATTEMPTS = 5;
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+const isoOrNull = (date) => (date ? new Date(date).toISOString() : null);
+
+class SignatureError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'SignatureError';
+    this.status = status;
+  }
+}
+
+class SignatureService {
+  getConsentText() {
+    return CONSENT_TEXT;
+  }
+
+  // Hash of a record's fields in a fixed order, chained to the record before it
+  hashRecord(record) {
+    const lastLogin = record.lastLogin || {};
+    return sha256(JSON.stringify([
+      record.sequence,
+      String(record.investment),
+      String(record.document),
+      record.documentHash,
+      String(record.signer),
+      record.signerName || null,
+      record.signerEmail || null,
+      record.consentText || null,
+      record.method || 'click',
+      record.autoInvestRule ? String(record.autoInvestRule) : null,
+      record.ip || null,
+      record.userAgent || null,
+      isoOrNull(record.sessionIssuedAt),
+      isoOrNull(lastLogin.timestamp),
+      lastLogin.ip || null,
+      lastLogin.userAgent || null,
+      isoOrNull(record.signedAt),
+      record.previousHash
+    ]));
+  }
+
+  // Add a record to the end of the chain. Two signatures racing for the same
+  // position collide on the unique sequence and the loser retries.
+  async appendRecord(fields) {
+    for (let attempt = 0; attempt < APPEND_ATTEMPTS; attempt += 1) {
+      const last = await SignatureRecord.findOne().sort({ sequence: -1 });
+      const record = {
+        ...fields,
+        sequence: last ? last.sequence + 1 : 1,
+        previousHash: last ? last.recordHash : SignatureRecord.GENESIS_HASH
+      };
+      record.recordHash = this.hashRecord(record);
+
+      try {
+        return await SignatureRecord.create(record);
+      } catch (error) {
+        if (error.code !== 11000 || !(error.keyPattern && error.keyPattern.sequence)) {
+          throw error;
+        }
+      }
+    }
+
+    throw new SignatureError('The signature could not be recorded, please try again', 503);
+  }
+
+  // Accept the subscription agreement of a pending investment. The signer
+  // must quote the hash of the exact PDF they were shown. If the payment has
+  // already arrived, signing confirms the investment.
+  async signAgreement(investmentId, signer, { documentHash, ip, userAgent, sessionIssuedAt }) {
+    const investment = await Investment.findOne({ _id: investmentId, investor: signer._id });
+    if (!investment) {
+      throw new SignatureError('Investment not found', 404);
+    }
+
+    if (investment.signature) {
+      return {
+        investment,
+        signature: await SignatureRecord.findById(investment.signature)
+      };
+    }
+
+    if (investment.status !== 'pending') {
+      throw new SignatureError(`A ${investment.status} investment cannot be signed`, 409);
+    }
+
+    const agreement = await investmentDocumentService.issueAgreement(investment._id);
+    if (documentHash !== agreement.contentHash) {
+      throw new SignatureError('The document hash does not match the agreement for this investment', 409);
+    }
+    // Refuse to sign a stored file that no longer matches its hash
+    await investmentDocumentService.readDocument(agreement);
+
+    return this.recordSignature(investment, agreement, signer, {
+      consentText: CONSENT_TEXT,
+      ip,
+      userAgent,
+      sessionIssuedAt
+    });
+  }
+
+  // Sign an auto-invest investment under the standing instruction the
+  // investor accepted when setting up the rule. The instruction's own
+  // consent text and request context go into the audit record.
+  async signUnderStandingInstruction(investmentId, signer, rule) {
+    const investment = await Investment.findOne({ _id: investmentId, investor: signer._id });
+    if (!investment) {
+      throw new SignatureError('Investment not found', 404);
+    }
+
+    if (investment.signature) {
+      return {
+        investment,
+        signature: await SignatureRecord.findById(investment.signature)
+      };
+    }
+
+    if (investment.status !== 'pending') {
+      throw new SignatureError(`A ${investment.status} investment cannot be signed`, 409);
+    }
+
+    const agreement = await investmentDocumentService.issueAgreement(investment._id);
+    await investmentDocumentService.readDocument(agreement);
+
+    return this.recordSignature(investment, agreement, signer, {
+      method: 'standing_instruction',
+      autoInvestRule: rule._id,
+      consentText: rule.instruction.consentText,
+      ip: rule.instruction.ip,
+      userAgent: rule.instruction.userAgent,
+      sessionIssuedAt: rule.instruction.acceptedAt
+    });
+  }
+
+  // Append the audit record and mark the investment signed, confirming it
+  // if the payment has already arrived
+  async recordSignature(investment, agreement, signer, context) {
+    const lastLogin = signer.loginHistory && signer.loginHistory[0];
+    let signature;
+    try {
+      signature = await this.appendRecord({
+        ...context,
+        investment: investment._id,
+        document: agreement._id,
+        documentHash: agreement.contentHash,
+        signer: signer._id,
+        signerName: `${signer.firstName} ${signer.lastName}`,
+        signerEmail: signer.email,
+        lastLogin: lastLogin && {
+          timestamp: lastLogin.timestamp,
+          ip: lastLogin.ip,
+          userAgent: lastLogin.userAgent
+        },
+        signedAt: new Date()
+      });
+    } catch (error) {
+      // A concurrent request signed this investment first
+      if (error.code === 11000 && error.keyPattern && error.keyPattern.investment) {
+        return {
+          investment: await Investment.findById(investment._id),
+          signature: await SignatureRecord.findOne({ investment: investment._id })
+        };
+      }
+      throw error;
+    }
+
+    const signed = await Investment.findOneAndUpdate(
+      { _id: investment._id, status: 'pending', signature: null },
+      { $set: { signature: signature._id, signedAt: signature.signedAt, updatedAt: new Date() } },
+      { new: true }
+    );
+    if (!signed) {
+      throw new SignatureError('Investment is no longer awaiting payment', 409);
+    }
+
+    if (!signed.paymentReceivedAt) {
+      return { investment: signed, signature };
+    }
+
+    const confirmed = await investmentService.confirmInvestment(signed._id, {
+      gatewayPaymentId: signed.gatewayPaymentId
+    });
+    return { investment: confirmed, signature };
+  }
+
+  async getSignature(investmentId, investorId) {
+    const signature = await SignatureRecord.findOne({ investment: investmentId, signer: investorId });
+    if (!signature) {
+      throw new SignatureError('This investment has not been signed', 404);
+    }
+
+    return { signature, integrity: await this.checkRecord(signature) };
+  }
+
+  // Whether a record still matches its hash and is linked to its neighbours
+  async checkRecord(record) {
+    const [previous, next] = await Promise.all([
+      record.sequence > 1 ? SignatureRecord.findOne({ sequence: record.sequence - 1 }) : null,
+      SignatureRecord.findOne({ sequence: record.sequence + 1 })
+    ]);
+
+    const recordIntact = this.hashRecord(record) === record.recordHash;
+    const previousIntact = record.sequence === 1
+      ? record.previousHash === SignatureRecord.GENESIS_HASH
+      : Boolean(previous)
+        && previous.recordHash === record.previousHash
+        && this.hashRecord(previous) === previous.recordHash;
+    const nextIntact = !next || next.previousHash === record.recordHash;
+
+    return { recordIntact, chainIntact: previousIntact && nextIntact };
+  }
+
+  // Check a document, given its bytes or its SHA-256, against the audit
+  // trail. Valid means the platform issued exactly this file and its
+  // signature record has not been tampered with.
+  async verifyDocument({ content, documentHash }) {
+    const hash = content ? sha256(content) : String(documentHash).toLowerCase();
+
+    const document = await InvestmentDocument.findOne({ contentHash: hash });
+    if (!document) {
+      return {
+        valid: false,
+        documentHash: hash,
+        reason: 'No document with this content was issued by StartupLink. It may have been modified.'
+      };
+    }
+
+    const result = {
+      documentHash: hash,
+      document: {
+        type: document.type,
+        filename: document.filename,
+        generatedAt: document.generatedAt
+      }
+    };
+
+    const signature = await SignatureRecord.findOne({ document: document._id });
+    if (!signature) {
+      return { ...result, valid: false, reason: 'This document has not been signed' };
+    }
+
+    const integrity = await this.checkRecord(signature);
+    return {
+      ...result,
+      valid: integrity.recordIntact && integrity.chainIntact,
+      signature: {
+        signerName: signature.signerName,
+        signedAt: signature.signedAt,
+        sequence: signature.sequence,
+        recordHash: signature.recordHash
+      },
+      ...integrity
+    };
+  }
+}
+
+module.exports = new SignatureService();
+module.exports.SignatureError = SignatureError;
@@ -0,0 +1,261 @@
+const { Buffer } = require('buffer');
+const PDFDocument = require('pdfkit');
+const User = require('../models/User');
+const Investment = require('../models/Investment');
+const Payout = require('../models/Payout');
+const SecondaryTrade = require('../models/SecondaryTrade');
+const SyndicateCommitment = require('../models/SyndicateCommitment');
+const ValuationEvent = require('../models/ValuationEvent');
+const currencyService = require('./currencyService');
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+const AMOUNT_FIELDS = ['contributions', 'refunds', 'distributions', 'realizedGain', 'unrealizedGain', 'yearEndValue'];
+
+const CSV_COLUMNS = [
+  ['startup', 'Startup'],
+  ['originalCurrency', 'Original currency'],
+  ['contributions', 'Contributions'],
+  ['refunds', 'Refunds'],
+  ['distributions', 'Distributions'],
+  ['realizedGain', 'Realized gain'],
+  ['unrealizedGain', 'Unrealized gain'],
+  ['yearEndValue', 'Year-end value']
+];
+
+const csvCell = (value) => {
+  const text = value === undefined || value === null ? '' : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const inPeriod = (date, { start, end }) => Boolean(date) && date >= start && date < end;
+
+class StatementService {
+  // Year-end figures for one investor, per startup, in the investor's
+  // preferred currency. Gains on holdings still open at year end use the
+  // last valuation recorded before the year closed.
+  async buildStatement(investorId, year) {
+    const investor = await User.findById(investorId).select('firstName lastName email preferences');
+    const period = {
+      start: new Date(Date.UTC(year, 0, 1)),
+      end: new Date(Date.UTC(year + 1, 0, 1))
+    };
+
+    const [investments, payouts, sales, commitments] = await Promise.all([
+      Investment.find({ investor: investorId, syndicate: null, confirmedAt: { $lt: period.end } })
+        .populate('startup', 'name'),
+      Payout.find({ investor: investorId, createdAt: { $gte: period.start, $lt: period.end } })
+        .populate('startup', 'name'),
+      SecondaryTrade.find({ seller: investorId, status: 'settled', settledAt: { $gte: period.start, $lt: period.end } })
+        .populate('startup', 'name'),
+      SyndicateCommitment.find({ follower: investorId, investedAt: { $lt: period.end } })
+        .populate('syndicate', 'lead carry investment')
+    ]);
+    const syndicateInvestments = await Investment.find({
+      _id: { $in: commitments.map(commitment => commitment.syndicate.investment) }
+    }).populate('startup', 'name');
+
+    const currency = (investor.preferences && investor.preferences.currency) || 'USD';
+    const { convert, asOf } = await currencyService.getConverter(
+      currency,
+      [...investments, ...payouts, ...sales, ...commitments].map(record => record.currency)
+    );
+
+    const rows = new Map();
+    const rowFor = (startup, originalCurrency) => {
+      const key = String(startup._id);
+      if (!rows.has(key)) {
+        rows.set(key, {
+          startupId: startup._id,
+          startup: startup.name,
+          originalCurrency,
+          ...Object.fromEntries(AMOUNT_FIELDS.map(field => [field, 0]))
+        });
+      }
+      return rows.get(key);
+    };
+
+    for (const investment of investments) {
+      const row = rowFor(investment.startup, investment.currency);
+
+      const cost = investment.costBasis ?? investment.amount;
+      if (inPeriod(investment.confirmedAt, period)) {
+        row.contributions += convert(cost + (investment.soldCostBasis || 0), investment.currency);
+      }
+      if (inPeriod(investment.refundedAt, period)) {
+        row.refunds += convert(investment.amount, investment.currency);
+      }
+
+      const closedBeforeYearEnd = [investment.refundedAt, investment.exitedAt, investment.writtenOffAt, investment.transferredAt]
+        .some(date => date && date < period.end);
+      if (!closedBeforeYearEnd) {
+        const value = await this.getYearEndValue(investment, period.end);
+        row.yearEndValue += convert(value, investment.currency);
+        row.unrealizedGain += convert(value - cost, investment.currency);
+      }
+    }
+
+    // Stakes held through syndicates, looked through to the syndicate's
+    // holding and valued net of the lead's carry
+    for (const commitment of commitments) {
+      const investment = syndicateInvestments.find(item => item._id.equals(commitment.syndicate.investment));
+      if (!investment) {
+        continue;
+      }
+      const row = rowFor(investment.startup, commitment.currency);
+
+      if (inPeriod(commitment.investedAt, period)) {
+        row.contributions += convert(commitment.amount, commitment.currency);
+      }
+      if (inPeriod(commitment.refundedAt, period)) {
+        row.refunds += convert(commitment.amount, commitment.currency);
+      }
+
+      const closedBeforeYearEnd = [commitment.refundedAt, investment.exitedAt, investment.writtenOffAt]
+        .some(date => date && date < period.end);
+      if (!closedBeforeYearEnd) {
+        const gross = await this.getYearEndValue(investment, period.end) * commitment.amount / investment.amount;
+        const carry = String(commitment.syndicate.lead) === String(investorId)
+          ? 0
+          : Math.max(gross - commitment.amount, 0) * commitment.syndicate.carry / 100;
+        row.yearEndValue += convert(gross - carry, commitment.currency);
+        row.unrealizedGain += convert(gross - carry - commitment.amount, commitment.currency);
+      }
+    }
+
+    for (const payout of payouts) {
+      const row = rowFor(payout.startup, payout.currency);
+      row.distributions += convert(payout.amount, payout.currency);
+      row.realizedGain += convert(payout.amount - payout.invested, payout.currency);
+    }
+
+    // Secondary sale proceeds count as distributions
+    for (const sale of sales) {
+      const row = rowFor(sale.startup, sale.currency);
+      row.distributions += convert(sale.price, sale.currency);
+      row.realizedGain += convert(sale.price - (sale.costBasisSold || 0), sale.currency);
+    }
+
+    const startups = [...rows.values()]
+      .map(row => {
+        AMOUNT_FIELDS.forEach(field => { row[field] = roundMoney(row[field]); });
+        return row;
+      })
+      .filter(row => AMOUNT_FIELDS.some(field => row[field] !== 0))
+      .sort((a, b) => a.startup.localeCompare(b.startup));
+
+    const totals = Object.fromEntries(AMOUNT_FIELDS.map(field => [
+      field,
+      roundMoney(startups.reduce((sum, row) => sum + row[field], 0))
+    ]));
+
+    return {
+      investor: {
+        _id: investor._id,
+        name: `${investor.firstName} ${investor.lastName}`,
+        email: investor.email
+      },
+      year,
+      periodStart: period.start,
+      periodEnd: period.end,
+      currency,
+      exchangeRatesAsOf: asOf,
+      generatedAt: new Date(),
+      startups,
+      totals
+    };
+  }
+
+  // Value of a holding at the end of the period: its shares at the last
+  // price marked before then, or its cost if it was never marked
+  async getYearEndValue(investment, periodEnd) {
+    if (!investment.shares) {
+      return investment.amount;
+    }
+
+    const mark = await ValuationEvent.findOne({
+      startup: investment.startup._id,
+      effectiveAt: { $lt: periodEnd }
+    }).sort({ effectiveAt: -1 });
+
+    return mark ? roundMoney(investment.shares * mark.pricePerShare) : investment.amount;
+  }
+
+  toCSV(statement) {
+    const lines = [
+      ['Investor', statement.investor.name],
+      ['Tax year', statement.year],
+      ['Currency', statement.currency],
+      ['Exchange rates as of', statement.exchangeRatesAsOf ? statement.exchangeRatesAsOf.toISOString() : 'n/a'],
+      [],
+      CSV_COLUMNS.map(([, label]) => label),
+      ...statement.startups.map(row => CSV_COLUMNS.map(([field]) => row[field])),
+      ['Total', '', ...AMOUNT_FIELDS.map(field => statement.totals[field])]
+    ];
+
+    return lines.map(line => line.map(csvCell).join(',')).join('\n') + '\n';
+  }
+
+  // Render the statement as a PDF and resolve to its bytes
+  toPDF(statement) {
+    return new Promise((resolve, reject) => {
+      const doc = new PDFDocument({ size: 'A4', margin: 50 });
+      const chunks = [];
+      doc.on('data', chunk => chunks.push(chunk));
+      doc.on('end', () => resolve(Buffer.concat(chunks)));
+      doc.on('error', reject);
+
+      const money = (value) => value.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+
+      doc.fontSize(20).text('StartupLink', { align: 'left' });
+      doc.fontSize(14).text(`Annual Investment Statement ${statement.year}`);
+      doc.moveDown();
+      doc.fontSize(10)
+        .text(`Investor: ${statement.investor.name} (${statement.investor.email})`)
+        .text(`Period: ${statement.periodStart.toISOString().slice(0, 10)} to ${statement.year}-12-31`)
+        .text(`Amounts in ${statement.currency}`)
+        .text(`Exchange rates as of: ${statement.exchangeRatesAsOf ? statement.exchangeRatesAsOf.toISOString().slice(0, 10) : 'n/a'}`)
+        .text(`Generated: ${statement.generatedAt.toISOString()}`);
+      doc.moveDown();
+
+      const sections = [
+        ['Contributions', 'contributions'],
+        ['Refunds', 'refunds'],
+        ['Distributions', 'distributions'],
+        ['Realized gain', 'realizedGain'],
+        ['Unrealized gain', 'unrealizedGain'],
+        ['Year-end value', 'yearEndValue']
+      ];
+
+      if (statement.startups.length === 0) {
+        doc.fontSize(11).text('No investment activity in this period.');
+      }
+
+      for (const row of statement.startups) {
+        doc.fontSize(12).text(`${row.startup} (invested in ${row.originalCurrency})`, { underline: true });
+        doc.fontSize(10);
+        sections.forEach(([label, field]) => {
+          doc.text(`${label}: ${money(row[field])}`, { indent: 15 });
+        });
+        doc.moveDown(0.5);
+      }
+
+      doc.moveDown();
+      doc.fontSize(12).text('Totals', { underline: true });
+      doc.fontSize(10);
+      sections.forEach(([label, field]) => {
+        doc.text(`${label}: ${money(statement.totals[field])}`, { indent: 15 });
+      });
+
+      doc.moveDown();
+      doc.fontSize(8).fillColor('#666666').text(
+        'This statement summarises activity recorded on StartupLink. Unrealized gains are estimates based on the latest '
+        + 'recorded valuation and are not tax advice.'
+      );
+
+      doc.end();
+    });
+  }
+}
+
+module.exports = new StatementService();
@@ -0,0 +1,744 @@
+const Startup = require('../models/Startup');
+const User = require('../models/User');
+const Investment = require('../models/Investment');
+const Syndicate = require('../models/Syndicate');
+const SyndicateCommitment = require('../models/SyndicateCommitment');
+const investmentService = require('./investmentService');
+const { InvestmentError } = require('./investmentService');
+const investmentLimitsService = require('./investmentLimitsService');
+const { InvestmentLimitError } = require('./investmentLimitsService');
+const ledgerService = require('./ledgerService');
+const { LedgerError } = require('./ledgerService');
+const emailService = require('./emailService');
+
+const { accounts } = ledgerService;
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+// How long a commitment may stay mid-change before the job resolves it
+const PROCESSING_TIMEOUT_MS = 5 * 60 * 1000;
+
+// How long after closing the lead has to invest before the syndicate is
+// cancelled and its followers refunded
+const INVEST_GRACE_DAYS = 7;
+
+// Commitments whose money is in the syndicate's pool
+const FUNDED_STATUSES = ['committed', 'invested'];
+
+class SyndicateError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'SyndicateError';
+    this.status = status;
+  }
+}
+
+class SyndicateService {
+  // Set up a syndicate around a startup that is raising. The lead gets a
+  // place of their own so they can commit alongside their followers.
+  async createSyndicate(leadId, { startupId, name, description, carry, minimumTicket, targetAmount, closesAt }) {
+    const startup = await Startup.findById(startupId);
+    if (!startup || startup.status !== 'active') {
+      throw new SyndicateError('Startup not found or not accepting investments', 404);
+    }
+
+    if (closesAt <= new Date()) {
+      throw new SyndicateError('The closing date must be in the future');
+    }
+
+    if (startup.funding.fundingDeadline && closesAt >= startup.funding.fundingDeadline) {
+      throw new SyndicateError(`The syndicate must close before ${startup.name}'s funding deadline`);
+    }
+
+    if (targetAmount && targetAmount < minimumTicket) {
+      throw new SyndicateError('The target cannot be below the minimum ticket');
+    }
+
+    const syndicate = await Syndicate.create({
+      lead: leadId,
+      startup: startup._id,
+      name,
+      description,
+      carry,
+      minimumTicket,
+      targetAmount,
+      currency: startup.funding.currency,
+      closesAt
+    });
+
+    await SyndicateCommitment.create({
+      syndicate: syndicate._id,
+      follower: leadId,
+      currency: syndicate.currency
+    });
+
+    return syndicate;
+  }
+
+  // Syndicates the user leads or has been invited to
+  async getSyndicates(userId) {
+    const commitments = await SyndicateCommitment.find({ follower: userId }).select('syndicate');
+
+    return Syndicate.find({
+      $or: [
+        { lead: userId },
+        { _id: { $in: commitments.map(commitment => commitment.syndicate) } }
+      ]
+    })
+      .sort({ createdAt: -1 })
+      .populate('startup', 'name logo')
+      .populate('lead', 'firstName lastName profilePicture');
+  }
+
+  // A syndicate with the user's own commitment. Only the lead and invited
+  // followers can see it.
+  async getSyndicate(syndicateId, userId) {
+    let syndicate = await Syndicate.findById(syndicateId);
+    if (!syndicate) {
+      throw new SyndicateError('Syndicate not found', 404);
+    }
+
+    const commitment = await SyndicateCommitment.findOne({ syndicate: syndicate._id, follower: userId });
+    if (!commitment) {
+      throw new SyndicateError('Syndicate not found', 404);
+    }
+
+    if (syndicate.status === 'investing') {
+      syndicate = await this.syncInvestment(syndicate);
+    }
+
+    await syndicate.populate([
+      { path: 'startup', select: 'name logo funding.stage funding.fundingDeadline' },
+      { path: 'lead', select: 'firstName lastName profilePicture' }
+    ]);
+
+    return {
+      syndicate,
+      totalCommitted: await this.getTotalCommitted(syndicate._id),
+      commitment
+    };
+  }
+
+  async getTotalCommitted(syndicateId) {
+    const [result] = await SyndicateCommitment.aggregate([
+      { $match: { syndicate: syndicateId, status: { $in: ['processing', ...FUNDED_STATUSES] } } },
+      { $group: { _id: null, total: { $sum: '$amount' } } }
+    ]);
+    return result ? roundMoney(result.total) : 0;
+  }
+
+  async getLedSyndicate(syndicateId, leadId) {
+    const syndicate = await Syndicate.findById(syndicateId);
+    if (!syndicate) {
+      throw new SyndicateError('Syndicate not found', 404);
+    }
+
+    if (String(syndicate.lead) !== String(leadId)) {
+      throw new SyndicateError('Only the lead can manage this syndicate', 403);
+    }
+
+    return syndicate;
+  }
+
+  // Invite registered investors by email. Resolves to the addresses that
+  // were invited, already invited or not found.
+  async invite(syndicateId, leadId, emails) {
+    const syndicate = await this.getLedSyndicate(syndicateId, leadId);
+    if (syndicate.status !== 'open') {
+      throw new SyndicateError('Followers can only be invited while the syndicate is open', 409);
+    }
+
+    const addresses = [...new Set(emails.map(email => email.toLowerCase()))];
+    const users = await User.find({
+      email: { $in: addresses },
+      userType: { $in: ['investor', 'both'] },
+      status: 'active'
+    }).select('email firstName');
+
+    const [lead, startup] = await Promise.all([
+      User.findById(leadId).select('firstName lastName'),
+      Startup.findById(syndicate.startup).select('name')
+    ]);
+
+    const result = { invited: [], alreadyInvited: [], notFound: [] };
+    for (const address of addresses) {
+      const user = users.find(item => item.email === address);
+      if (!user) {
+        result.notFound.push(address);
+        continue;
+      }
+
+      const upserted = await SyndicateCommitment.updateOne(
+        { syndicate: syndicate._id, follower: user._id },
+        { $setOnInsert: { currency: syndicate.currency, invitedAt: new Date() } },
+        { upsert: true }
+      );
+      if (!upserted.upsertedCount) {
+        result.alreadyInvited.push(address);
+        continue;
+      }
+
+      result.invited.push(address);
+      await emailService.sendSyndicateInvitation(user.email, user.firstName, syndicate, startup, lead);
+    }
+
+    return result;
+  }
+
+  // Commit capital to an open syndicate. The amount moves from the
+  // follower's wallet into the syndicate's pool and counts against their
+  // investment limit straight away.
+  async commit(syndicateId, followerId, amount) {
+    const syndicate = await Syndicate.findById(syndicateId);
+    const commitment = syndicate
+      && await SyndicateCommitment.findOne({ syndicate: syndicate._id, follower: followerId });
+    if (!commitment) {
+      throw new SyndicateError('Syndicate not found', 404);
+    }
+
+    this.assertOpen(syndicate);
+
+    if (FUNDED_STATUSES.includes(commitment.status) || commitment.status === 'processing') {
+      throw new SyndicateError('You have already committed to this syndicate; withdraw first to change the amount', 409);
+    }
+
+    if (amount < syndicate.minimumTicket) {
+      throw new SyndicateError(`The minimum ticket is ${syndicate.currency} ${syndicate.minimumTicket}`);
+    }
+
+    if (syndicate.targetAmount) {
+      const remaining = roundMoney(syndicate.targetAmount - await this.getTotalCommitted(syndicate._id));
+      if (amount > remaining) {
+        throw new SyndicateError(`Only ${syndicate.currency} ${Math.max(remaining, 0)} of the target is still open`, 409);
+      }
+    }
+
+    // The processing commitment counts against the follower's limit, so it
+    // is claimed while the limit check still holds
+    const previousStatus = commitment.status;
+    let reservation;
+    try {
+      reservation = await investmentLimitsService.reserve(followerId, amount, () => SyndicateCommitment.findOneAndUpdate(
+        { _id: commitment._id, status: previousStatus },
+        {
+          $set: { status: 'processing', pendingAction: 'commit', amount, committedAt: new Date(), updatedAt: new Date() },
+          $inc: { commitCount: 1 }
+        },
+        { new: true }
+      ));
+    } catch (error) {
+      if (error instanceof InvestmentLimitError) {
+        throw new SyndicateError(error.message, error.status);
+      }
+      throw error;
+    }
+
+    if (!reservation.limitCheck.allowed) {
+      throw new SyndicateError(reservation.limitCheck.warning, 403);
+    }
+
+    const claimed = reservation.result;
+    if (!claimed) {
+      throw new SyndicateError('Your commitment is already being changed', 409);
+    }
+
+    // The lead may have started investing or cancelled since we looked;
+    // invest() refuses to start while a commitment is processing
+    const current = await Syndicate.findById(syndicate._id).select('status closesAt');
+    try {
+      this.assertOpen(current);
+      await this.postCommitment(claimed, syndicate);
+    } catch (error) {
+      await SyndicateCommitment.updateOne(
+        { _id: claimed._id, status: 'processing' },
+        { $set: { status: previousStatus, amount: 0, updatedAt: new Date() }, $unset: { pendingAction: 1, committedAt: 1 } }
+      );
+      if (error instanceof LedgerError) {
+        throw new SyndicateError(error.message, error.status);
+      }
+      throw error;
+    }
+
+    return SyndicateCommitment.findOneAndUpdate(
+      { _id: claimed._id, status: 'processing' },
+      { $set: { status: 'committed', updatedAt: new Date() }, $unset: { pendingAction: 1 } },
+      { new: true }
+    );
+  }
+
+  assertOpen(syndicate) {
+    if (syndicate.status !== 'open') {
+      throw new SyndicateError(`The syndicate is ${syndicate.status} and no longer taking commitments`, 409);
+    }
+
+    if (syndicate.closesAt <= new Date()) {
+      throw new SyndicateError('The syndicate has closed for commitments', 409);
+    }
+  }
+
+  async postCommitment(commitment, syndicate) {
+    return ledgerService.post({
+      key: `syndicate_commitment:${commitment._id}:${commitment.commitCount}`,
+      type: 'syndicate_commitment',
+      currency: commitment.currency,
+      user: commitment.follower,
+      syndicate: syndicate._id,
+      memo: `Commitment to ${syndicate.name}`,
+      lines: [
+        { account: accounts.wallet(commitment.follower), debit: commitment.amount },
+        { account: accounts.syndicate(syndicate._id), credit: commitment.amount }
+      ]
+    });
+  }
+
+  // Return a commitment's money from the pool to the follower's wallet
+  async postRefund(commitment, syndicate, memo) {
+    return ledgerService.post({
+      key: `syndicate_refund:${commitment._id}:${commitment.commitCount}`,
+      type: 'syndicate_refund',
+      currency: commitment.currency,
+      user: commitment.follower,
+      syndicate: syndicate._id,
+      memo,
+      lines: [
+        { account: accounts.syndicate(syndicate._id), debit: commitment.amount },
+        { account: accounts.wallet(commitment.follower), credit: commitment.amount }
+      ]
+    });
+  }
+
+  // Take a commitment back while the syndicate is still open
+  async withdraw(syndicateId, followerId) {
+    const syndicate = await Syndicate.findById(syndicateId);
+    const commitment = syndicate
+      && await SyndicateCommitment.findOne({ syndicate: syndicate._id, follower: followerId });
+    if (!commitment) {
+      throw new SyndicateError('Syndicate not found', 404);
+    }
+
+    if (syndicate.status !== 'open') {
+      throw new SyndicateError(`Commitments cannot be withdrawn once the syndicate is ${syndicate.status}`, 409);
+    }
+
+    const claimed = await SyndicateCommitment.findOneAndUpdate(
+      { _id: commitment._id, status: 'committed' },
+      { $set: { status: 'processing', pendingAction: 'withdraw', updatedAt: new Date() } },
+      { new: true }
+    );
+    if (!claimed) {
+      throw new SyndicateError('You have no commitment to withdraw', 409);
+    }
+
+    const current = await Syndicate.findById(syndicate._id).select('status');
+    if (current.status !== 'open') {
+      await SyndicateCommitment.updateOne(
+        { _id: claimed._id, status: 'processing' },
+        { $set: { status: 'committed', updatedAt: new Date() }, $unset: { pendingAction: 1 } }
+      );
+      throw new SyndicateError(`Commitments cannot be withdrawn once the syndicate is ${current.status}`, 409);
+    }
+
+    await this.postRefund(claimed, syndicate, `Withdrawal from ${syndicate.name}`);
+
+    return SyndicateCommitment.findOneAndUpdate(
+      { _id: claimed._id, status: 'processing' },
+      { $set: { status: 'withdrawn', withdrawnAt: new Date(), updatedAt: new Date() }, $unset: { pendingAction: 1 } },
+      { new: true }
+    );
+  }
+
+  // Invest the pooled commitments in the startup as one investment held by
+  // the lead. The lead then signs its subscription agreement like any
+  // other investment, which confirms it.
+  async invest(syndicateId, leadId) {
+    const syndicate = await this.getLedSyndicate(syndicateId, leadId);
+    const claimed = await Syndicate.findOneAndUpdate(
+      { _id: syndicate._id, status: 'open' },
+      { $set: { status: 'investing', updatedAt: new Date() } },
+      { new: true }
+    );
+    if (!claimed) {
+      throw new SyndicateError(`A ${syndicate.status} syndicate cannot invest`, 409);
+    }
+
+    const reopen = () => Syndicate.updateOne(
+      { _id: claimed._id, status: 'investing' },
+      { $set: { status: 'open', updatedAt: new Date() } }
+    );
+
+    if (await SyndicateCommitment.exists({ syndicate: claimed._id, status: 'processing' })) {
+      await reopen();
+      throw new SyndicateError('Commitments are still being processed, please try again shortly', 409);
+    }
+
+    const commitments = await SyndicateCommitment.find({ syndicate: claimed._id, status: 'committed' });
+    const amount = roundMoney(commitments.reduce((sum, commitment) => sum + commitment.amount, 0));
+    if (amount <= 0) {
+      await reopen();
+      throw new SyndicateError('No capital has been committed to this syndicate yet', 409);
+    }
+
+    let result;
+    try {
+      result = await investmentService.createInvestmentIntent({
+        investorId: leadId,
+        startupId: claimed.startup,
+        amount,
+        gateway: 'syndicate',
+        syndicate: claimed._id
+      });
+    } catch (error) {
+      await reopen();
+      if (error instanceof InvestmentError) {
+        throw new SyndicateError(error.message, error.status);
+      }
+      throw error;
+    }
+
+    const investing = await Syndicate.findByIdAndUpdate(
+      claimed._id,
+      { $set: { investment: result.investment._id, updatedAt: new Date() } },
+      { new: true }
+    );
+
+    return { ...result, syndicate: investing };
+  }
+
+  // Follow the syndicate's investment: once confirmed the followers'
+  // commitments are invested; if it failed the syndicate opens again
+  async syncInvestment(syndicate) {
+    const investment = syndicate.investment && await Investment.findById(syndicate.investment);
+    if (!investment || investment.status === 'pending') {
+      return syndicate;
+    }
+
+    if (Investment.ACTIVE_STATUSES.includes(investment.status)) {
+      const invested = await Syndicate.findOneAndUpdate(
+        { _id: syndicate._id, status: 'investing' },
+        { $set: { status: 'invested', investedAt: investment.confirmedAt, updatedAt: new Date() } },
+        { new: true }
+      );
+      // No commitments can change while the syndicate is investing
+      await SyndicateCommitment.updateMany(
+        { syndicate: syndicate._id, status: 'committed' },
+        { $set: { status: 'invested', investedAt: investment.confirmedAt, updatedAt: new Date() } }
+      );
+      return invested || Syndicate.findById(syndicate._id);
+    }
+
+    const reopened = await Syndicate.findOneAndUpdate(
+      { _id: syndicate._id, status: 'investing', investment: investment._id },
+      { $set: { status: 'open', updatedAt: new Date() }, $unset: { investment: 1 } },
+      { new: true }
+    );
+    return reopened || Syndicate.findById(syndicate._id);
+  }
+
+  // Cancel an open syndicate and refund its followers
+  async cancelSyndicate(syndicateId, leadId) {
+    const syndicate = await this.getLedSyndicate(syndicateId, leadId);
+    const cancelled = await this.cancel(syndicate._id, 'Cancelled by the lead', { status: 'open' });
+    if (!cancelled) {
+      throw new SyndicateError(`A ${syndicate.status} syndicate cannot be cancelled`, 409);
+    }
+
+    await this.refundCommitments(cancelled);
+    return Syndicate.findById(cancelled._id);
+  }
+
+  async cancel(syndicateId, reason, filter) {
+    return Syndicate.findOneAndUpdate(
+      { ...filter, _id: syndicateId },
+      { $set: { status: 'cancelled', cancellationReason: reason, cancelledAt: new Date(), updatedAt: new Date() } },
+      { new: true }
+    );
+  }
+
+  // Refund every funded commitment of a cancelled syndicate and tell the
+  // followers. Safe to repeat: refunds post once per commitment.
+  async refundCommitments(syndicate) {
+    const startup = await Startup.findById(syndicate.startup).select('name');
+    const commitments = await SyndicateCommitment.find({ syndicate: syndicate._id, status: { $in: FUNDED_STATUSES } })
+      .populate('follower', 'email firstName');
+
+    let refunded = 0;
+    for (const commitment of commitments) {
+      await this.postRefund(
+        { ...commitment.toObject(), follower: commitment.follower._id },
+        syndicate,
+        `Refund from ${syndicate.name}`
+      );
+
+      const updated = await SyndicateCommitment.findOneAndUpdate(
+        { _id: commitment._id, status: { $in: FUNDED_STATUSES } },
+        { $set: { status: 'refunded', refundedAt: new Date(), updatedAt: new Date() } }
+      );
+      if (updated) {
+        refunded += 1;
+        await emailService.sendSyndicateCancelled(
+          commitment.follower.email,
+          commitment.follower.firstName,
+          syndicate,
+          startup,
+          commitment
+        );
+      }
+    }
+
+    return refunded;
+  }
+
+  // Followers' shares of the syndicate holdings they are invested in,
+  // valued through the syndicate's investment with the lead's carry on any
+  // profit taken off
+  async getLookThrough(followerId) {
+    const commitments = await SyndicateCommitment.find({ follower: followerId, status: 'invested' })
+      .populate({
+        path: 'syndicate',
+        select: 'name carry lead startup investment',
+        populate: [
+          { path: 'startup', select: 'name logo funding.stage' },
+          { path: 'lead', select: 'firstName lastName' }
+        ]
+      });
+
+    const investments = await Investment.find({
+      _id: { $in: commitments.map(commitment => commitment.syndicate.investment) }
+    });
+
+    const stakes = commitments.map(commitment => {
+      const { syndicate } = commitment;
+      const investment = investments.find(item => item._id.equals(syndicate.investment));
+      const fraction = investment ? commitment.amount / investment.amount : 0;
+      const value = investment ? roundMoney((investment.currentValue ?? investment.amount) * fraction) : 0;
+      const isLead = String(syndicate.lead._id) === String(followerId);
+      const carry = isLead ? 0 : roundMoney(Math.max(value - commitment.amount, 0) * syndicate.carry / 100);
+
+      return {
+        syndicate: {
+          _id: syndicate._id,
+          name: syndicate.name,
+          carry: syndicate.carry,
+          lead: syndicate.lead
+        },
+        startup: syndicate.startup,
+        status: investment ? investment.status : null,
+        invested: commitment.amount,
+        currency: commitment.currency,
+        fraction,
+        shares: investment && investment.shares ? investment.shares * fraction : null,
+        grossValue: value,
+        carry,
+        netValue: roundMoney(value - carry),
+        investedAt: commitment.investedAt
+      };
+    });
+
+    const held = stakes.filter(stake => stake.status === 'confirmed');
+    return {
+      stakes,
+      totals: {
+        invested: roundMoney(held.reduce((sum, stake) => sum + stake.invested, 0)),
+        netValue: roundMoney(held.reduce((sum, stake) => sum + stake.netValue, 0))
+      }
+    };
+  }
+
+  // Split the proceeds of a syndicate holding between its followers in
+  // proportion to their commitments, less the lead's carry on each
+  // follower's profit
+  async allocateProceeds(investment, shares, value) {
+    const syndicate = await Syndicate.findById(investment.syndicate);
+    const commitments = await SyndicateCommitment.find({ syndicate: investment.syndicate, status: 'invested' });
+    const total = commitments.reduce((sum, commitment) => sum + commitment.amount, 0);
+
+    let carryTotal = 0;
+    const stakes = commitments.map(commitment => {
+      const fraction = commitment.amount / total;
+      const gross = roundMoney(value * fraction);
+      const isLead = String(commitment.follower) === String(syndicate.lead);
+      const carry = isLead ? 0 : roundMoney(Math.max(gross - commitment.amount, 0) * syndicate.carry / 100);
+      carryTotal += carry;
+
+      return {
+        investor: commitment.follower,
+        syndicate: syndicate._id,
+        shares: shares * fraction,
+        invested: commitment.amount,
+        carry,
+        amount: roundMoney(gross - carry)
+      };
+    });
+
+    return { lead: syndicate.lead, carry: roundMoney(carryTotal), stakes };
+  }
+
+  // Commitment funnel and ticket sizes for the lead
+  async getAnalytics(syndicateId, leadId) {
+    const syndicate = await this.getLedSyndicate(syndicateId, leadId);
+    const commitments = await SyndicateCommitment.find({
+      syndicate: syndicate._id,
+      follower: { $ne: syndicate.lead }
+    })
+      .populate('follower', 'firstName lastName profilePicture')
+      .sort({ committedAt: 1 });
+
+    const funded = commitments.filter(commitment => FUNDED_STATUSES.includes(commitment.status));
+    const tickets = funded.map(commitment => commitment.amount).sort((a, b) => a - b);
+    const totalCommitted = await this.getTotalCommitted(syndicate._id);
+    const middle = Math.floor(tickets.length / 2);
+
+    const byDay = new Map();
+    funded.forEach(commitment => {
+      const day = commitment.committedAt.toISOString().slice(0, 10);
+      const entry = byDay.get(day) || { date: day, count: 0, amount: 0 };
+      entry.count += 1;
+      entry.amount = roundMoney(entry.amount + commitment.amount);
+      byDay.set(day, entry);
+    });
+
+    const countOf = (...statuses) => commitments.filter(commitment => statuses.includes(commitment.status)).length;
+
+    return {
+      syndicate: syndicate._id,
+      status: syndicate.status,
+      currency: syndicate.currency,
+      followers: {
+        invited: commitments.length,
+        committed: funded.length,
+        pending: countOf('invited'),
+        withdrawn: countOf('withdrawn'),
+        refunded: countOf('refunded')
+      },
+      conversionRate: commitments.length ? roundMoney(funded.length / commitments.length * 100) : 0,
+      totalCommitted,
+      targetAmount: syndicate.targetAmount || null,
+      targetProgress: syndicate.targetAmount ? roundMoney(totalCommitted / syndicate.targetAmount * 100) : null,
+      tickets: {
+        average: tickets.length ? roundMoney(tickets.reduce((sum, ticket) => sum + ticket, 0) / tickets.length) : 0,
+        median: tickets.length
+          ? (tickets.length % 2 ? tickets[middle] : roundMoney((tickets[middle - 1] + tickets[middle]) / 2))
+          : 0,
+        smallest: tickets.length ? tickets[0] : 0,
+        largest: tickets.length ? tickets[tickets.length - 1] : 0
+      },
+      commitmentsByDay: [...byDay.values()],
+      daysLeft: Math.max(Math.ceil((syndicate.closesAt - Date.now()) / (24 * 60 * 60 * 1000)), 0),
+      commitments: commitments.map(commitment => ({
+        follower: commitment.follower,
+        status: commitment.status,
+        amount: commitment.amount,
+        invitedAt: commitment.invitedAt,
+        committedAt: commitment.committedAt,
+        withdrawnAt: commitment.withdrawnAt
+      }))
+    };
+  }
+
+  // Scheduler sweep: follow investments in flight, cancel syndicates whose
+  // investment was refunded or that never invested, refund cancelled
+  // syndicates and resolve interrupted commitments
+  async processSyndicates() {
+    const now = new Date();
+    const counts = { invested: 0, reopened: 0, cancelled: 0, refunded: 0, resolved: 0 };
+
+    const run = async (items, action) => {
+      for (const item of items) {
+        try {
+          await action(item);
+        } catch (error) {
+          console.error(`Syndicate error for ${item._id}:`, error);
+        }
+      }
+    };
+
+    await run(await Syndicate.find({ status: 'investing' }), async (syndicate) => {
+      const synced = await this.syncInvestment(syndicate);
+      if (synced.status === 'invested') {
+        counts.invested += 1;
+      } else if (synced.status === 'open') {
+        counts.reopened += 1;
+      }
+    });
+
+    // Escrow refunds or cancellations during the cooling-off period
+    const refundedInvestments = await Investment.find({
+      syndicate: { $ne: null },
+      status: { $in: ['refunded', 'failed'] }
+    }).select('_id');
+    await run(
+      await Syndicate.find({ status: 'invested', investment: { $in: refundedInvestments.map(item => item._id) } }),
+      async (syndicate) => {
+        if (await this.cancel(syndicate._id, 'The investment was refunded', { status: 'invested' })) {
+          counts.cancelled += 1;
+        }
+      }
+    );
+
+    await run(
+      await Syndicate.find({
+        status: 'open',
+        closesAt: { $lte: new Date(now.getTime() - INVEST_GRACE_DAYS * 24 * 60 * 60 * 1000) }
+      }),
+      async (syndicate) => {
+        if (await this.cancel(syndicate._id, 'The lead did not invest before the deadline', { status: 'open' })) {
+          counts.cancelled += 1;
+        }
+      }
+    );
+
+    // Also picks up commitments that landed after a cancellation
+    const unrefunded = await SyndicateCommitment.distinct('syndicate', { status: { $in: FUNDED_STATUSES } });
+    await run(
+      await Syndicate.find({ _id: { $in: unrefunded }, status: 'cancelled' }),
+      async (syndicate) => {
+        counts.refunded += await this.refundCommitments(syndicate);
+      }
+    );
+
+    await run(
+      await SyndicateCommitment.find({
+        status: 'processing',
+        updatedAt: { $lte: new Date(now.getTime() - PROCESSING_TIMEOUT_MS) }
+      }),
+      async (commitment) => {
+        await this.resolveProcessing(commitment);
+        counts.resolved += 1;
+      }
+    );
+
+    return counts;
+  }
+
+  // Finish or undo a commitment change that was interrupted, depending on
+  // whether its ledger entry was posted
+  async resolveProcessing(commitment) {
+    const { commitCount } = commitment;
+    if (commitment.pendingAction === 'withdraw') {
+      const refund = await ledgerService.findEntry(`syndicate_refund:${commitment._id}:${commitCount}`);
+      return SyndicateCommitment.updateOne(
+        { _id: commitment._id, status: 'processing' },
+        {
+          $set: refund
+            ? { status: 'withdrawn', withdrawnAt: refund.postedAt, updatedAt: new Date() }
+            : { status: 'committed', updatedAt: new Date() },
+          $unset: { pendingAction: 1 }
+        }
+      );
+    }
+
+    const posted = await ledgerService.findEntry(`syndicate_commitment:${commitment._id}:${commitCount}`);
+    return SyndicateCommitment.updateOne(
+      { _id: commitment._id, status: 'processing' },
+      posted
+        ? { $set: { status: 'committed', updatedAt: new Date() }, $unset: { pendingAction: 1 } }
+        : {
+          $set: { status: commitCount > 1 ? 'withdrawn' : 'invited', amount: 0, updatedAt: new Date() },
+          $unset: { pendingAction: 1, committedAt: 1 }
+        }
+    );
+  }
+}
+
+module.exports = new SyndicateService();
+module.exports.SyndicateError = SyndicateError;
@@ -0,0 +1,444 @@
+const { Buffer } = require('buffer');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const AuditLog = require('../models/AuditLog');
+const sessionService = require('./sessionService');
+const emailService = require('./emailService');
+
+const JWT_SECRET = process.env.JWT_SECRET || 'fallback_secret';
+const ISSUER = 'StartupLink';
+
+// RFC 6238 defaults, which every authenticator app understands
+const TIME_STEP_SECONDS = 30;
+const ALLOWED_DRIFT_STEPS = 1;
+
+const ENROLLMENT_TTL_MINUTES = 15;
+const CHALLENGE_TTL = '5m';
+const BACKUP_CODE_COUNT = 10;
+const MAX_ATTEMPTS = 5;
+const LOCK_MINUTES = 15;
+
+// Secrets are encrypted at rest; backup codes are hashed with a server key
+// like email verification codes
+const ENCRYPTION_KEY = crypto
+  .createHash('sha256')
+  .update(process.env.TWO_FACTOR_ENCRYPTION_KEY || JWT_SECRET)
+  .digest();
+const HASH_KEY = process.env.TWO_FACTOR_ENCRYPTION_KEY || JWT_SECRET;
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+    value &= (1 << bits) - 1;
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+const encrypt = (plaintext) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', ENCRYPTION_KEY, iv);
+  const encrypted = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('hex')).join('.');
+};
+
+const decrypt = (stored) => {
+  const [iv, tag, encrypted] = stored.split('.').map(part => Buffer.from(part, 'hex'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', ENCRYPTION_KEY, iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+};
+
+// HOTP (RFC 4226) for one counter value
+const hotp = (key, counter) => {
+  const message = Buffer.alloc(8);
+  message.writeUInt32BE(Math.floor(counter / 0x100000000), 0);
+  message.writeUInt32BE(counter % 0x100000000, 4);
+
+  const hmac = crypto.createHmac('sha1', key).update(message).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const code = (hmac.readUInt32BE(offset) & 0x7fffffff) % 1000000;
+  return String(code).padStart(6, '0');
+};
+
+const hashBackupCode = (userId, code) => crypto
+  .createHmac('sha256', HASH_KEY)
+  .update(`${userId}:${code}`)
+  .digest('hex');
+
+// Backup codes are typed by hand, so spaces, dashes and case are ignored
+const normalizeCode = (code) => String(code).replace(/[\s-]/g, '').toUpperCase();
+
+class TwoFactorError extends Error {
+  constructor(message, status = 400, retryAfter) {
+    super(message);
+    this.name = 'TwoFactorError';
+    this.status = status;
+    this.retryAfter = retryAfter;
+  }
+}
+
+class TwoFactorService {
+  async getStatus(userId) {
+    const user = await User.findById(userId).select('+twoFactor.backupCodes');
+    if (!user) {
+      throw new TwoFactorError('User not found', 404);
+    }
+
+    const twoFactor = user.twoFactor || {};
+    return {
+      enabled: user.twoFactorEnabled,
+      enabledAt: twoFactor.enabledAt,
+      backupCodesRemaining: user.twoFactorEnabled
+        ? (twoFactor.backupCodes || []).filter(code => !code.usedAt).length
+        : 0,
+      recoveryRequestedAt: twoFactor.recoveryRequestedAt
+    };
+  }
+
+  // Create a new secret for the user to add to their authenticator app.
+  // Nothing changes until it is confirmed with a code.
+  async beginEnrollment(userId) {
+    const user = await User.findById(userId);
+    if (!user) {
+      throw new TwoFactorError('User not found', 404);
+    }
+    if (user.twoFactorEnabled) {
+      throw new TwoFactorError('Two-factor authentication is already enabled', 409);
+    }
+
+    const secret = crypto.randomBytes(20);
+    await User.updateOne(
+      { _id: userId, twoFactorEnabled: false },
+      {
+        $set: {
+          'twoFactor.pendingSecret': encrypt(secret.toString('hex')),
+          'twoFactor.pendingCreatedAt': new Date()
+        }
+      }
+    );
+
+    const key = base32Encode(secret);
+    const label = encodeURIComponent(`${ISSUER}:${user.email}`);
+    return {
+      secret: key,
+      otpauthUrl: `otpauth://totp/${label}?secret=${key}&issuer=${encodeURIComponent(ISSUER)}&algorithm=SHA1&digits=6&period=${TIME_STEP_SECONDS}`,
+      expiresAt: new Date(Date.now() + ENROLLMENT_TTL_MINUTES * 60 * 1000)
+    };
+  }
+
+  // Turn two-factor authentication on once the user shows their app
+  // produces the right codes. Resolves to backup codes, shown only once.
+  async confirmEnrollment(userId, code) {
+    const user = await User.findById(userId).select('+twoFactor.pendingSecret');
+    if (!user) {
+      throw new TwoFactorError('User not found', 404);
+    }
+    if (user.twoFactorEnabled) {
+      throw new TwoFactorError('Two-factor authentication is already enabled', 409);
+    }
+
+    const { pendingSecret, pendingCreatedAt } = user.twoFactor || {};
+    if (!pendingSecret || pendingCreatedAt.getTime() + ENROLLMENT_TTL_MINUTES * 60 * 1000 < Date.now()) {
+      throw new TwoFactorError('Two-factor setup has expired. Please start again.', 410);
+    }
+
+    const step = this.matchStep(decrypt(pendingSecret), normalizeCode(code));
+    if (step === null) {
+      throw new TwoFactorError('Invalid authentication code');
+    }
+
+    const { codes, hashes } = this.generateBackupCodes(user._id);
+    const enabledAt = new Date();
+    const enabled = await User.findOneAndUpdate(
+      { _id: userId, twoFactorEnabled: false, 'twoFactor.pendingSecret': pendingSecret },
+      {
+        $set: {
+          twoFactorEnabled: true,
+          'twoFactor.secret': pendingSecret,
+          'twoFactor.enabledAt': enabledAt,
+          'twoFactor.lastUsedStep': step,
+          'twoFactor.backupCodes': hashes,
+          'twoFactor.failedAttempts': 0
+        },
+        $unset: {
+          'twoFactor.pendingSecret': 1,
+          'twoFactor.pendingCreatedAt': 1,
+          'twoFactor.lockedUntil': 1,
+          'twoFactor.recoveryRequestedAt': 1,
+          'twoFactor.recoveryReason': 1
+        }
+      },
+      { new: true }
+    );
+    if (!enabled) {
+      throw new TwoFactorError('Two-factor setup was changed from another device. Please start again.', 409);
+    }
+
+    await emailService.sendTwoFactorStatusChanged(enabled.email, enabled.firstName, 'enabled');
+
+    return { enabledAt, backupCodes: codes };
+  }
+
+  async disable(userId, code) {
+    await this.verifyCode(userId, code);
+
+    const user = await User.findOneAndUpdate(
+      { _id: userId, twoFactorEnabled: true },
+      {
+        $set: { twoFactorEnabled: false, 'twoFactor.failedAttempts': 0 },
+        $unset: {
+          'twoFactor.secret': 1,
+          'twoFactor.backupCodes': 1,
+          'twoFactor.lastUsedStep': 1,
+          'twoFactor.enabledAt': 1,
+          'twoFactor.recoveryRequestedAt': 1,
+          'twoFactor.recoveryReason': 1
+        }
+      },
+      { new: true }
+    );
+    if (user) {
+      await emailService.sendTwoFactorStatusChanged(user.email, user.firstName, 'disabled');
+    }
+  }
+
+  // Replace every backup code, used or not
+  async regenerateBackupCodes(userId, code) {
+    await this.verifyCode(userId, code);
+
+    const { codes, hashes } = this.generateBackupCodes(userId);
+    await User.updateOne(
+      { _id: userId, twoFactorEnabled: true },
+      { $set: { 'twoFactor.backupCodes': hashes } }
+    );
+
+    return { backupCodes: codes };
+  }
+
+  // Check an authenticator code or unused backup code. Either works once.
+  // Too many wrong codes lock the second factor for a while.
+  async verifyCode(userId, code) {
+    const user = await User.findById(userId).select('+twoFactor.secret +twoFactor.backupCodes');
+    if (!user) {
+      throw new TwoFactorError('User not found', 404);
+    }
+    if (!user.twoFactorEnabled) {
+      throw new TwoFactorError('Two-factor authentication is not enabled');
+    }
+
+    const now = new Date();
+    if (user.twoFactor.lockedUntil && user.twoFactor.lockedUntil > now) {
+      const retryAfter = Math.ceil((user.twoFactor.lockedUntil.getTime() - now.getTime()) / 1000);
+      throw new TwoFactorError(
+        `Too many incorrect codes. Please try again in ${Math.ceil(retryAfter / 60)} minute(s).`,
+        429,
+        retryAfter
+      );
+    }
+
+    const normalized = normalizeCode(code);
+    let result = null;
+
+    if (/^\d{6}$/.test(normalized)) {
+      const step = this.matchStep(decrypt(user.twoFactor.secret), normalized);
+      if (step !== null) {
+        // Claiming the step stops the same code from being replayed
+        const claimed = await User.updateOne(
+          {
+            _id: userId,
+            $or: [
+              { 'twoFactor.lastUsedStep': null },
+              { 'twoFactor.lastUsedStep': { $lt: step } }
+            ]
+          },
+          { $set: { 'twoFactor.lastUsedStep': step, 'twoFactor.failedAttempts': 0 } }
+        );
+        if (claimed.modifiedCount) {
+          result = { method: 'totp' };
+        }
+      }
+    } else {
+      const claimed = await User.updateOne(
+        {
+          _id: userId,
+          'twoFactor.backupCodes': {
+            $elemMatch: { codeHash: hashBackupCode(userId, normalized), usedAt: null }
+          }
+        },
+        { $set: { 'twoFactor.backupCodes.$.usedAt': now, 'twoFactor.failedAttempts': 0 } }
+      );
+      if (claimed.modifiedCount) {
+        result = {
+          method: 'backup_code',
+          backupCodesRemaining: user.twoFactor.backupCodes.filter(backup => !backup.usedAt).length - 1
+        };
+      }
+    }
+
+    if (!result) {
+      await this.recordFailure(userId);
+      throw new TwoFactorError('Invalid authentication code');
+    }
+
+    return result;
+  }
+
+  async recordFailure(userId) {
+    const user = await User.findOneAndUpdate(
+      { _id: userId },
+      { $inc: { 'twoFactor.failedAttempts': 1 } },
+      { new: true }
+    );
+
+    if (user && user.twoFactor.failedAttempts >= MAX_ATTEMPTS) {
+      await User.updateOne(
+        { _id: userId, 'twoFactor.failedAttempts': { $gte: MAX_ATTEMPTS } },
+        {
+          $set: {
+            'twoFactor.failedAttempts': 0,
+            'twoFactor.lockedUntil': new Date(Date.now() + LOCK_MINUTES * 60 * 1000)
+          }
+        }
+      );
+    }
+  }
+
+  // The time step a code belongs to, allowing for clock drift, or null
+  matchStep(secretHex, code) {
+    const key = Buffer.from(secretHex, 'hex');
+    const current = Math.floor(Date.now() / 1000 / TIME_STEP_SECONDS);
+    const actual = Buffer.from(String(code));
+
+    for (let drift = -ALLOWED_DRIFT_STEPS; drift <= ALLOWED_DRIFT_STEPS; drift++) {
+      const expected = Buffer.from(hotp(key, current + drift));
+      if (expected.length === actual.length && crypto.timingSafeEqual(expected, actual)) {
+        return current + drift;
+      }
+    }
+
+    return null;
+  }
+
+  generateBackupCodes(userId) {
+    const codes = Array.from({ length: BACKUP_CODE_COUNT }, () => {
+      const code = base32Encode(crypto.randomBytes(5));
+      return `${code.slice(0, 4)}-${code.slice(4)}`;
+    });
+
+    return {
+      codes,
+      hashes: codes.map(code => ({ codeHash: hashBackupCode(userId, normalizeCode(code)) }))
+    };
+  }
+
+  // A short-lived token standing for a sign-in that has passed its first
+  // factor and still needs a code
+  createChallenge(user, method) {
+    return jwt.sign(
+      { userId: user._id, purpose: 'two_factor_login', method },
+      JWT_SECRET,
+      { expiresIn: CHALLENGE_TTL }
+    );
+  }
+
+  readChallenge(challengeToken) {
+    let payload;
+    try {
+      payload = jwt.verify(challengeToken, JWT_SECRET);
+    } catch (error) {
+      payload = null;
+    }
+
+    if (!payload || payload.purpose !== 'two_factor_login') {
+      throw new TwoFactorError('This sign-in has expired. Please sign in again.', 401);
+    }
+
+    return payload;
+  }
+
+  async completeChallenge(challengeToken, code) {
+    const { userId, method } = this.readChallenge(challengeToken);
+    const result = await this.verifyCode(userId, code);
+    return { userId, method, ...result };
+  }
+
+  // Ask support to turn off two-factor authentication for a user who has
+  // lost their authenticator and backup codes. Needs the first factor.
+  async requestRecovery(challengeToken, reason) {
+    const { userId } = this.readChallenge(challengeToken);
+
+    const user = await User.findOneAndUpdate(
+      { _id: userId, twoFactorEnabled: true },
+      { $set: { 'twoFactor.recoveryRequestedAt': new Date(), 'twoFactor.recoveryReason': reason } },
+      { new: true }
+    );
+    if (!user) {
+      throw new TwoFactorError('Two-factor authentication is not enabled');
+    }
+
+    await emailService.sendTwoFactorStatusChanged(user.email, user.firstName, 'recovery_requested');
+  }
+
+  async getRecoveryRequests() {
+    return User.find({ twoFactorEnabled: true, 'twoFactor.recoveryRequestedAt': { $ne: null } })
+      .select('firstName lastName email uniqueId phoneNumber kycStatus lastLogin twoFactor.enabledAt twoFactor.recoveryRequestedAt twoFactor.recoveryReason')
+      .sort({ 'twoFactor.recoveryRequestedAt': 1 });
+  }
+
+  // Turn off two-factor authentication for a user whose identity support
+  // has checked. Every session is signed out so the user starts afresh.
+  async adminReset(userId, adminId, reason, { ip, userAgent } = {}) {
+    const user = await User.findOneAndUpdate(
+      { _id: userId, twoFactorEnabled: true },
+      {
+        $set: {
+          twoFactorEnabled: false,
+          'twoFactor.failedAttempts': 0,
+          'twoFactor.resetAt': new Date(),
+          'twoFactor.resetBy': adminId,
+          'twoFactor.resetReason': reason
+        },
+        $unset: {
+          'twoFactor.secret': 1,
+          'twoFactor.pendingSecret': 1,
+          'twoFactor.pendingCreatedAt': 1,
+          'twoFactor.backupCodes': 1,
+          'twoFactor.lastUsedStep': 1,
+          'twoFactor.enabledAt': 1,
+          'twoFactor.lockedUntil': 1,
+          'twoFactor.recoveryRequestedAt': 1,
+          'twoFactor.recoveryReason': 1
+        }
+      },
+      { new: true }
+    );
+    if (!user) {
+      throw new TwoFactorError('User not found or two-factor authentication is not enabled', 404);
+    }
+
+    await AuditLog.create({ action: 'two_factor_reset', user: user._id, admin: adminId, reason, ip, userAgent });
+    await sessionService.revokeAll(user._id, { reason: 'two_factor_reset' });
+    await emailService.sendTwoFactorStatusChanged(user.email, user.firstName, 'reset');
+
+    return user;
+  }
+}
+
+module.exports = new TwoFactorService();
+module.exports.TwoFactorError = TwoFactorError;
@@ -0,0 +1,296 @@
+const Wallet = require('../models/Wallet');
+const WalletTransaction = require('../models/WalletTransaction');
+const Payout = require('../models/Payout');
+const paymentService = require('./paymentService');
+const ledgerService = require('./ledgerService');
+const { LedgerError } = require('./ledgerService');
+
+const { accounts } = ledgerService;
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+class WalletError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'WalletError';
+    this.status = status;
+  }
+}
+
+class WalletService {
+  async getWallets(userId) {
+    return Wallet.find({ user: userId }).sort({ currency: 1 });
+  }
+
+  async getActivity(userId, options) {
+    return ledgerService.getStatement(accounts.wallet(userId), options);
+  }
+
+  async getTransactions(userId) {
+    return WalletTransaction.find({ user: userId }).sort({ createdAt: -1 }).limit(50);
+  }
+
+  // Start a gateway payment that tops up the wallet once it succeeds
+  async createTopUp(userId, { amount, currency, gateway, country }) {
+    const transaction = await WalletTransaction.create({
+      user: userId,
+      type: 'top_up',
+      amount,
+      currency,
+      gateway: gateway || paymentService.selectGateway({ currency, country })
+    });
+
+    try {
+      const payment = await paymentService.createCharge(transaction.gateway, {
+        amount,
+        currency,
+        receipt: `TOPUP_${transaction._id}`,
+        metadata: {
+          walletTransactionId: transaction._id.toString(),
+          userId: userId.toString()
+        }
+      });
+
+      transaction.gatewayReference = payment.reference;
+      await transaction.save();
+
+      return { transaction, payment: payment.clientData };
+    } catch (error) {
+      await WalletTransaction.updateOne(
+        { _id: transaction._id },
+        { $set: { status: 'failed', failedAt: new Date(), failureReason: 'Payment could not be initiated' } }
+      );
+      throw error;
+    }
+  }
+
+  async verifyTopUp(transactionId, userId, { paymentId, signature }) {
+    const transaction = await WalletTransaction.findOne({ _id: transactionId, user: userId, type: 'top_up' });
+    if (!transaction) {
+      throw new WalletError('Top-up not found', 404);
+    }
+
+    const gatewayPaymentId = await paymentService.verifyPayment(transaction.gateway, {
+      reference: transaction.gatewayReference,
+      paymentId,
+      signature
+    });
+
+    if (!gatewayPaymentId) {
+      return { isValid: false, transaction };
+    }
+
+    return { isValid: true, transaction: await this.completeTopUp(transaction._id, { gatewayPaymentId }) };
+  }
+
+  // Credit a paid top-up. The ledger key makes this safe to call from both
+  // the app and the webhook; a payment that lands after the top-up was
+  // marked failed is still credited rather than lost.
+  async completeTopUp(transactionId, { gatewayPaymentId } = {}) {
+    const transaction = await WalletTransaction.findById(transactionId);
+    if (transaction.status === 'completed') {
+      return transaction;
+    }
+
+    await ledgerService.post({
+      key: `top_up:${transaction._id}`,
+      type: 'top_up',
+      currency: transaction.currency,
+      user: transaction.user,
+      walletTransaction: transaction._id,
+      memo: `Top-up via ${transaction.gateway}`,
+      lines: [
+        { account: accounts.gateway(transaction.gateway), debit: transaction.amount },
+        { account: accounts.wallet(transaction.user), credit: transaction.amount }
+      ]
+    });
+
+    return WalletTransaction.findByIdAndUpdate(
+      transaction._id,
+      {
+        $set: { status: 'completed', completedAt: new Date(), gatewayPaymentId },
+        $unset: { failureReason: 1 }
+      },
+      { new: true }
+    );
+  }
+
+  // Apply a verified gateway event to the top-up it refers to. Resolves to
+  // null when the event does not concern any top-up.
+  async handlePaymentEvent(gateway, { action, reference, paymentId, reason }) {
+    if (!action || !reference) {
+      return null;
+    }
+
+    const transaction = await WalletTransaction.findOne({ gateway, gatewayReference: reference, type: 'top_up' });
+    if (!transaction) {
+      return null;
+    }
+
+    switch (action) {
+      case 'succeeded':
+        return this.completeTopUp(transaction._id, { gatewayPaymentId: paymentId });
+      case 'failed':
+        return (await WalletTransaction.findOneAndUpdate(
+          { _id: transaction._id, status: 'pending' },
+          { $set: { status: 'failed', failedAt: new Date(), failureReason: reason } },
+          { new: true }
+        )) || transaction;
+      default:
+        return transaction;
+    }
+  }
+
+  // Move money out of the wallet into the pending withdrawals account,
+  // where it waits for the bank transfer to be settled
+  async requestWithdrawal(userId, { amount, currency }) {
+    const transaction = await WalletTransaction.create({
+      user: userId,
+      type: 'withdrawal',
+      amount,
+      currency
+    });
+
+    try {
+      await ledgerService.post({
+        key: `withdrawal:${transaction._id}`,
+        type: 'withdrawal',
+        currency,
+        user: userId,
+        walletTransaction: transaction._id,
+        memo: 'Withdrawal to bank account',
+        lines: [
+          { account: accounts.wallet(userId), debit: amount },
+          { account: accounts.withdrawalsPending, credit: amount }
+        ]
+      });
+    } catch (error) {
+      await WalletTransaction.updateOne(
+        { _id: transaction._id },
+        { $set: { status: 'failed', failedAt: new Date(), failureReason: error.message } }
+      );
+      if (error instanceof LedgerError) {
+        throw new WalletError(error.message, error.status);
+      }
+      throw error;
+    }
+
+    return transaction;
+  }
+
+  // Record the bank transfer behind a pending withdrawal (admin)
+  async settleWithdrawal(transactionId, adminId, { reference }) {
+    const transaction = await this.claimWithdrawal(transactionId, 'settle', adminId);
+
+    await ledgerService.post({
+      key: `withdrawal_settlement:${transaction._id}`,
+      type: 'withdrawal_settlement',
+      currency: transaction.currency,
+      user: transaction.user,
+      walletTransaction: transaction._id,
+      memo: `Bank transfer ${reference}`,
+      lines: [
+        { account: accounts.withdrawalsPending, debit: transaction.amount },
+        { account: accounts.bank, credit: transaction.amount }
+      ]
+    });
+
+    return WalletTransaction.findByIdAndUpdate(
+      transaction._id,
+      { $set: { status: 'completed', completedAt: new Date(), settlementReference: reference } },
+      { new: true }
+    );
+  }
+
+  // Return a withdrawal that could not be paid to the wallet (admin)
+  async rejectWithdrawal(transactionId, adminId, { reason }) {
+    const transaction = await this.claimWithdrawal(transactionId, 'return', adminId);
+
+    await ledgerService.post({
+      key: `withdrawal_reversal:${transaction._id}`,
+      type: 'withdrawal_reversal',
+      currency: transaction.currency,
+      user: transaction.user,
+      walletTransaction: transaction._id,
+      memo: `Withdrawal returned: ${reason}`,
+      lines: [
+        { account: accounts.withdrawalsPending, debit: transaction.amount },
+        { account: accounts.wallet(transaction.user), credit: transaction.amount }
+      ]
+    });
+
+    return WalletTransaction.findByIdAndUpdate(
+      transaction._id,
+      { $set: { status: 'failed', failedAt: new Date(), failureReason: reason } },
+      { new: true }
+    );
+  }
+
+  // Claim a pending withdrawal for one outcome, so it can never be both
+  // settled and returned. Retrying the same outcome is allowed.
+  async claimWithdrawal(transactionId, resolution, adminId) {
+    const claimed = await WalletTransaction.findOneAndUpdate(
+      {
+        _id: transactionId,
+        type: 'withdrawal',
+        status: 'pending',
+        resolution: { $in: [null, resolution] }
+      },
+      { $set: { resolution, settledBy: adminId } },
+      { new: true }
+    );
+
+    if (!claimed) {
+      const existing = await WalletTransaction.findOne({ _id: transactionId, type: 'withdrawal' });
+      if (!existing) {
+        throw new WalletError('Withdrawal not found', 404);
+      }
+      throw new WalletError(`Withdrawal is already ${existing.status === 'pending' ? 'being processed' : existing.status}`, 409);
+    }
+
+    return claimed;
+  }
+
+  // Pay an exit distribution into the investor's wallet, out of proceeds
+  // already received into the startup's exit proceeds account. Paying the
+  // same payout twice is a no-op, and a payout of nothing is simply closed.
+  async creditPayout(payout) {
+    if (roundMoney(payout.amount) <= 0) {
+      return Payout.findOneAndUpdate(
+        { _id: payout._id, status: { $ne: 'paid' } },
+        { $set: { status: 'paid', paidAt: new Date() } },
+        { new: true }
+      );
+    }
+
+    const key = `distribution:${payout._id}`;
+    if (!(await ledgerService.findEntry(key))) {
+      const available = await ledgerService.getBalance(accounts.exitProceeds(payout.startup), payout.currency);
+      if (roundMoney(payout.amount) > available) {
+        throw new WalletError('The exit proceeds for this payout have not been received', 409);
+      }
+    }
+
+    const entry = await ledgerService.post({
+      key,
+      type: 'distribution',
+      currency: payout.currency,
+      user: payout.investor,
+      payout: payout._id,
+      memo: 'Exit distribution',
+      lines: [
+        { account: accounts.exitProceeds(payout.startup), debit: payout.amount },
+        { account: accounts.wallet(payout.investor), credit: payout.amount }
+      ]
+    });
+
+    return Payout.findOneAndUpdate(
+      { _id: payout._id, status: { $ne: 'paid' } },
+      { $set: { status: 'paid', paidAt: entry.postedAt, reference: entry.key } },
+      { new: true }
+    );
+  }
+}
+
+module.exports = new WalletService();
+module.exports.WalletError = WalletError;
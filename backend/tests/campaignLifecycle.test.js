@@ -0,0 +1,54 @@
+const Startup = require('../models/Startup');
+const Investment = require('../models/Investment');
+const Wallet = require('../models/Wallet');
+const campaignLifecycleService = require('../services/campaignLifecycleService');
+const investmentService = require('../services/investmentService');
+const investmentDocumentService = require('../services/investmentDocumentService');
+const database = require('./helpers/database');
+const { createUser, createInvestor, createStartup, fundWallet } = require('./helpers/fixtures');
+
+describe('campaign lifecycle', () => {
+  beforeAll(async () => {
+    await database.connect();
+  });
+
+  beforeEach(() => {
+    jest.spyOn(investmentDocumentService, 'issueAgreement').mockResolvedValue({});
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await database.clear();
+  });
+
+  afterAll(async () => {
+    await database.disconnect();
+  });
+
+  it('refunds a prepaid investment left pending when a flexible campaign closes', async () => {
+    const founder = await createUser({ businessType: 'startup', userType: 'entrepreneur' });
+    const startup = await createStartup(founder, {
+      funding: { fundingDeadline: new Date(Date.now() + 60 * 60 * 1000) }
+    });
+    const investor = await createInvestor();
+    await fundWallet(investor, 1000);
+
+    const { investment } = await investmentService.createInvestmentIntent({
+      investorId: investor._id,
+      startupId: startup._id,
+      amount: 1000,
+      gateway: 'wallet'
+    });
+    expect((await Wallet.findOne({ user: investor._id })).balance).toBe(0);
+
+    await Startup.updateOne(
+      { _id: startup._id },
+      { $set: { 'funding.fundingDeadline': new Date(Date.now() - 1000) } }
+    );
+    expect(await campaignLifecycleService.closeExpiredCampaigns()).toEqual({ closed: 1 });
+
+    expect((await Investment.findById(investment._id)).status).toBe('failed');
+    expect((await Wallet.findOne({ user: investor._id })).balance).toBe(1000);
+    expect((await Startup.findById(startup._id).lean()).status).toBe('closed');
+  });
+});
@@ -0,0 +1,107 @@
+const express = require('express');
+const request = require('supertest');
+const User = require('../models/User');
+const authRoutes = require('../routes/auth');
+const emailService = require('../services/emailService');
+const database = require('./helpers/database');
+const { createUser, signIn } = require('./helpers/fixtures');
+
+const app = express();
+app.use(express.json());
+app.use('/api/auth', authRoutes);
+
+describe('email verification', () => {
+  let user;
+  let token;
+  let sentCodes;
+
+  beforeAll(async () => {
+    await database.connect();
+  });
+
+  beforeEach(async () => {
+    sentCodes = [];
+    jest.spyOn(emailService, 'sendEmailVerification').mockImplementation(async (email, name, code) => {
+      sentCodes.push(code);
+      return { success: true };
+    });
+
+    user = await createUser();
+    ({ token } = await signIn(user));
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await database.clear();
+  });
+
+  afterAll(async () => {
+    await database.disconnect();
+  });
+
+  const resend = () => request(app)
+    .post('/api/auth/verify-email/resend')
+    .set('Authorization', `Bearer ${token}`);
+
+  const verify = (verificationCode) => request(app)
+    .post('/api/auth/verify-email')
+    .set('Authorization', `Bearer ${token}`)
+    .send({ verificationCode });
+
+  // A six-digit code that is not the one emailed
+  const wrongCode = () => (sentCodes[0] === '123456' ? '654321' : '123456');
+
+  it('verifies the address with the emailed code', async () => {
+    expect((await resend()).status).toBe(200);
+    expect(sentCodes).toHaveLength(1);
+
+    const response = await verify(sentCodes[0]);
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.isEmailVerified).toBe(true);
+    const verified = await User.findById(user._id);
+    expect(verified.isEmailVerified).toBe(true);
+    expect(verified.emailVerification.codeHash).toBeUndefined();
+  });
+
+  it('refuses another code during the resend cooldown', async () => {
+    expect((await resend()).status).toBe(200);
+
+    const response = await resend();
+
+    expect(response.status).toBe(429);
+    expect(Number(response.headers['retry-after'])).toBeGreaterThan(0);
+    expect(sentCodes).toHaveLength(1);
+  });
+
+  it('lets the user ask again straight away when the email could not be sent', async () => {
+    emailService.sendEmailVerification.mockResolvedValueOnce({ success: false });
+    expect((await resend()).status).toBe(502);
+
+    expect((await resend()).status).toBe(200);
+  });
+
+  it('retires the code after five wrong guesses', async () => {
+    await resend();
+
+    for (let attempt = 1; attempt <= 5; attempt += 1) {
+      const response = await verify(wrongCode());
+      expect(response.status).toBe(400);
+    }
+
+    const response = await verify(sentCodes[0]);
+    expect(response.status).toBe(410);
+    expect((await User.findById(user._id)).isEmailVerified).toBe(false);
+  });
+
+  it('counts concurrent guesses against the same limit', async () => {
+    await resend();
+
+    const responses = await Promise.all(Array.from({ length: 8 }, () => verify(wrongCode())));
+    const statuses = responses.map(response => response.status);
+
+    expect(statuses.filter(status => status === 400)).toHaveLength(5);
+    expect(statuses.filter(status => status === 410)).toHaveLength(3);
+    expect((await User.findById(user._id)).emailVerification.attempts).toBe(5);
+  });
+});
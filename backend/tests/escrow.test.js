@@ -0,0 +1,166 @@
+const Startup = require('../models/Startup');
+const Investment = require('../models/Investment');
+const Wallet = require('../models/Wallet');
+const escrowService = require('../services/escrowService');
+const investmentService = require('../services/investmentService');
+const investmentDocumentService = require('../services/investmentDocumentService');
+const ledgerService = require('../services/ledgerService');
+const paymentService = require('../services/paymentService');
+const database = require('./helpers/database');
+const { createUser, createInvestor, createStartup, fundWallet, investAndConfirm } = require('./helpers/fixtures');
+
+const { accounts } = ledgerService;
+
+describe('campaign escrow', () => {
+  let founder;
+
+  beforeAll(async () => {
+    await database.connect();
+  });
+
+  beforeEach(async () => {
+    jest.spyOn(investmentDocumentService, 'issueAgreement').mockResolvedValue({});
+    jest.spyOn(investmentDocumentService, 'issueDocuments').mockResolvedValue(null);
+    founder = await createUser({ businessType: 'startup', userType: 'entrepreneur' });
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await database.clear();
+  });
+
+  afterAll(async () => {
+    await database.disconnect();
+  });
+
+  const createCampaign = (funding = {}) => createStartup(founder, {
+    funding: {
+      targetAmount: 10000,
+      fundingModel: 'all_or_nothing',
+      fundingDeadline: new Date(Date.now() + 60 * 60 * 1000),
+      ...funding
+    }
+  });
+
+  const passDeadline = (startup) => Startup.updateOne(
+    { _id: startup._id },
+    { $set: { 'funding.fundingDeadline': new Date(Date.now() - 1000) } }
+  );
+
+  const endCoolingOff = (investment) => Investment.updateOne(
+    { _id: investment._id },
+    { $set: { confirmedAt: new Date(Date.now() - (Investment.COOLING_OFF_HOURS + 1) * 60 * 60 * 1000) } }
+  );
+
+  it('releases every investment to the founder when the target is met', async () => {
+    const startup = await createCampaign();
+    const first = await investAndConfirm(await createInvestor(), startup, 4000);
+    const second = await investAndConfirm(await createInvestor(), startup, 6000);
+
+    // Nothing is released before the campaign settles
+    await endCoolingOff(first);
+    expect(await escrowService.releaseSettledInvestments()).toEqual({ released: 0 });
+
+    await passDeadline(startup);
+    const [result] = await escrowService.settleExpiredCampaigns();
+
+    expect(result.outcome).toBe('released');
+    expect(await ledgerService.getBalance(accounts.escrow(startup._id), 'USD')).toBe(0);
+    expect((await Wallet.findOne({ user: founder._id })).balance).toBe(10000);
+    for (const investment of [first, second]) {
+      expect(await ledgerService.findEntry(`escrow_release:${investment._id}`)).toBeTruthy();
+      expect((await Investment.findById(investment._id)).escrowReleasedAt).toBeTruthy();
+    }
+
+    expect(await escrowService.releaseSettledInvestments()).toEqual({ released: 0 });
+    expect((await Wallet.findOne({ user: founder._id })).balance).toBe(10000);
+  });
+
+  it('releases a flexible investment once it can no longer be cancelled', async () => {
+    const startup = await createStartup(founder);
+    const cooled = await investAndConfirm(await createInvestor(), startup, 1500);
+    const recent = await investAndConfirm(await createInvestor(), startup, 500);
+    await endCoolingOff(cooled);
+
+    expect(await escrowService.releaseSettledInvestments()).toEqual({ released: 1 });
+
+    expect((await Wallet.findOne({ user: founder._id })).balance).toBe(1500);
+    expect(await ledgerService.getBalance(accounts.escrow(startup._id), 'USD')).toBe(500);
+    expect((await Investment.findById(recent._id)).escrowReleasedAt).toBeUndefined();
+
+    // The investment still in its cooling-off period can be refunded in full
+    await investmentService.cancelInvestment(recent._id, recent.investor);
+    expect(await ledgerService.getBalance(accounts.escrow(startup._id), 'USD')).toBe(0);
+    expect(await escrowService.releaseSettledInvestments()).toEqual({ released: 0 });
+    expect((await ledgerService.reconcile()).balanced).toBe(true);
+  });
+
+  it('refunds every confirmed investor when the target is missed', async () => {
+    const startup = await createCampaign();
+    const investment = await investAndConfirm(await createInvestor(), startup, 2000);
+    expect(investment.status).toBe('confirmed');
+    expect(await ledgerService.getBalance(accounts.escrow(startup._id), 'USD')).toBe(2000);
+
+    await passDeadline(startup);
+    const [result] = await escrowService.settleExpiredCampaigns();
+
+    expect(result.outcome).toBe('refunded');
+    expect((await Investment.findById(investment._id)).status).toBe('refunded');
+    expect(await ledgerService.getBalance(accounts.escrow(startup._id), 'USD')).toBe(0);
+
+    const { status, funding } = await Startup.findById(startup._id).lean();
+    expect(status).toBe('closed');
+    expect(funding.escrow.status).toBe('refunded');
+  });
+
+  it('refunds a wallet payment still waiting for its signature', async () => {
+    const startup = await createCampaign();
+    const investor = await createInvestor();
+    await fundWallet(investor, 1500);
+
+    const { investment } = await investmentService.createInvestmentIntent({
+      investorId: investor._id,
+      startupId: startup._id,
+      amount: 1000,
+      gateway: 'wallet'
+    });
+    expect(investment.status).toBe('pending');
+    expect((await Wallet.findOne({ user: investor._id })).balance).toBe(500);
+
+    await passDeadline(startup);
+    await escrowService.settleExpiredCampaigns();
+
+    const failed = await Investment.findById(investment._id);
+    expect(failed.status).toBe('failed');
+    expect((await Wallet.findOne({ user: investor._id })).balance).toBe(1500);
+    expect(await ledgerService.getBalance(accounts.wallet(investor._id), 'USD')).toBe(1500);
+    expect(await ledgerService.getBalance(accounts.escrow(startup._id), 'USD')).toBe(0);
+    expect((await Startup.findById(startup._id).lean()).funding.reservedAmount).toBe(0);
+  });
+
+  it('refunds a gateway payment that arrived before the agreement was signed', async () => {
+    const startup = await createCampaign();
+    const { investment, payment } = await investmentService.createInvestmentIntent({
+      investorId: (await createInvestor())._id,
+      startupId: startup._id,
+      amount: 1000,
+      gateway: 'fake'
+    });
+    await paymentService.verifyPayment('fake', {
+      reference: investment.gatewayReference,
+      paymentId: payment.paymentId,
+      signature: payment.signature
+    });
+    const unsigned = await investmentService.confirmInvestment(investment._id, { gatewayPaymentId: payment.paymentId });
+    expect(unsigned.status).toBe('pending');
+    expect(unsigned.paymentReceivedAt).toBeTruthy();
+
+    await passDeadline(startup);
+    await escrowService.settleExpiredCampaigns();
+
+    expect((await Investment.findById(investment._id)).status).toBe('failed');
+    expect(await ledgerService.findEntry(`refund:${investment._id}`)).toBeTruthy();
+    expect(await ledgerService.getBalance(accounts.escrow(startup._id), 'USD')).toBe(0);
+    expect(paymentService.getGateway('fake').charges.get(investment.gatewayReference).refunds).toHaveLength(1);
+  });
+});
@@ -0,0 +1,129 @@
+const Startup = require('../models/Startup');
+const Investment = require('../models/Investment');
+const ExitEvent = require('../models/ExitEvent');
+const Payout = require('../models/Payout');
+const LedgerEntry = require('../models/LedgerEntry');
+const Wallet = require('../models/Wallet');
+const exitService = require('../services/exitService');
+const { ExitError } = require('../services/exitService');
+const walletService = require('../services/walletService');
+const { WalletError } = require('../services/walletService');
+const emailService = require('../services/emailService');
+const investmentDocumentService = require('../services/investmentDocumentService');
+const ledgerService = require('../services/ledgerService');
+const database = require('./helpers/database');
+const { createUser, createInvestor, createStartup, investAndConfirm } = require('./helpers/fixtures');
+
+describe('startup exits', () => {
+  let founder;
+  let startup;
+  let investors;
+  let holdings;
+
+  beforeAll(async () => {
+    await database.connect();
+  });
+
+  beforeEach(async () => {
+    jest.spyOn(investmentDocumentService, 'issueAgreement').mockResolvedValue({});
+    jest.spyOn(investmentDocumentService, 'issueDocuments').mockResolvedValue(null);
+    jest.spyOn(emailService, 'sendExitNotification').mockResolvedValue({ success: true });
+
+    // A priced round: 10,000,000 founding shares at 0.09 each
+    founder = await createUser({ businessType: 'startup', userType: 'entrepreneur' });
+    startup = await createStartup(founder, { funding: { targetAmount: 100000, valuation: 900000 } });
+    investors = [await createInvestor(), await createInvestor()];
+    holdings = [
+      await investAndConfirm(investors[0], startup, 9000),
+      await investAndConfirm(investors[1], startup, 27000)
+    ];
+    await Startup.updateOne({ _id: startup._id }, { $set: { status: 'closed' } });
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await database.clear();
+  });
+
+  afterAll(async () => {
+    await database.disconnect();
+  });
+
+  it('writes holdings off when the startup shuts down with nothing left', async () => {
+    const { exitEvent, payouts } = await exitService.recordExit(
+      startup._id,
+      { userId: founder._id, isAdmin: false },
+      { type: 'shutdown', proceeds: 0 }
+    );
+
+    expect(exitEvent.status).toBe('completed');
+    expect(exitEvent.totalDistributed).toBe(0);
+    expect(payouts).toHaveLength(2);
+    for (const payout of payouts) {
+      expect(payout.amount).toBe(0);
+      expect(payout.status).toBe('paid');
+      expect(payout.notifiedAt).toBeTruthy();
+    }
+    expect(await LedgerEntry.countDocuments({ type: 'distribution' })).toBe(0);
+
+    for (const holding of holdings) {
+      const written = await Investment.findById(holding._id);
+      expect(written.status).toBe('written_off');
+      expect(written.writtenOffAt).toBeTruthy();
+      expect(written.currentValue).toBe(0);
+    }
+
+    // The loss stays in the investor's portfolio
+    const summary = await Investment.getPortfolioSummary(investors[0]._id);
+    expect(summary.totalInvested).toBe(9000);
+    expect(summary.portfolioValue).toBe(0);
+    expect(summary.totalReturns).toBe(-9000);
+  });
+
+  it('does not leave a shutdown exit for the scheduler to retry', async () => {
+    await exitService.recordExit(startup._id, { userId: founder._id, isAdmin: false }, { type: 'shutdown', proceeds: 0 });
+
+    expect(await ExitEvent.countDocuments({ status: 'distributing' })).toBe(0);
+    expect(await exitService.resumeDistributions()).toEqual({ resumed: 0 });
+    expect(await Payout.countDocuments({ status: { $ne: 'paid' } })).toBe(0);
+  });
+
+  it('holds acquisition payouts until an admin confirms the proceeds arrived', async () => {
+    const admin = await createUser({ isAdmin: true });
+
+    // 400,000 investor shares on top of 10,000,000 founding shares, at 1.00 each
+    const recorded = await exitService.recordExit(
+      startup._id,
+      { userId: founder._id, isAdmin: false },
+      { type: 'acquisition', proceeds: 10400000, acquirer: 'Acme' }
+    );
+
+    expect(recorded.exitEvent.status).toBe('awaiting_proceeds');
+    expect(recorded.exitEvent.investorProceeds).toBe(400000);
+    expect(recorded.payouts.map(payout => payout.amount).sort((a, b) => a - b)).toEqual([100000, 300000]);
+    expect(recorded.payouts.every(payout => payout.status === 'pending')).toBe(true);
+    expect((await Investment.findById(holdings[0]._id)).status).toBe('exited');
+    expect(await Wallet.countDocuments()).toBe(0);
+    expect(emailService.sendExitNotification).not.toHaveBeenCalled();
+
+    // Nothing can be paid out of an account that has not been funded
+    expect(await exitService.resumeDistributions()).toEqual({ resumed: 0 });
+    await expect(walletService.creditPayout(recorded.payouts[0])).rejects.toBeInstanceOf(WalletError);
+    expect(await LedgerEntry.countDocuments({ type: 'distribution' })).toBe(0);
+
+    const { exitEvent, payouts } = await exitService.confirmProceeds(startup._id, admin._id, { reference: 'WIRE-1' });
+
+    expect(exitEvent.status).toBe('completed');
+    expect(exitEvent.proceedsReference).toBe('WIRE-1');
+    expect(exitEvent.totalDistributed).toBe(400000);
+    expect(payouts.every(payout => payout.status === 'paid')).toBe(true);
+    expect((await Wallet.findOne({ user: investors[0]._id })).balance).toBe(100000);
+    expect((await Wallet.findOne({ user: investors[1]._id })).balance).toBe(300000);
+    expect(await ledgerService.getBalance(ledgerService.accounts.exitProceeds(startup._id), 'USD')).toBe(0);
+    expect((await ledgerService.reconcile()).balanced).toBe(true);
+
+    await expect(exitService.confirmProceeds(startup._id, admin._id, { reference: 'WIRE-1' }))
+      .rejects.toBeInstanceOf(ExitError);
+    expect(await LedgerEntry.countDocuments({ type: 'exit_proceeds' })).toBe(1);
+  });
+});
@@ -0,0 +1,27 @@
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+
+let server;
+
+// Start a throwaway MongoDB and point mongoose at it
+async function connect() {
+  server = await MongoMemoryServer.create();
+  await mongoose.connect(server.getUri());
+
+  // Concurrency tests rely on unique indexes being in place up front
+  await Promise.all(mongoose.modelNames().map(name => mongoose.model(name).init()));
+}
+
+async function clear() {
+  const collections = await mongoose.connection.db.collections();
+  await Promise.all(collections.map(collection => collection.deleteMany({})));
+}
+
+async function disconnect() {
+  await mongoose.disconnect();
+  if (server) {
+    await server.stop();
+  }
+}
+
+module.exports = { connect, clear, disconnect };
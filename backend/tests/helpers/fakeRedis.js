@@ -0,0 +1,91 @@
+// An in-memory stand-in for the Redis commands sign-in protection uses.
+// Keys expire against a clock the test moves forward with `advance`.
+class FakeRedis {
+  constructor() {
+    this.isReady = true;
+    this.store = new Map();
+    this.now = Date.now();
+  }
+
+  advance(ms) {
+    this.now += ms;
+  }
+
+  entry(key) {
+    const entry = this.store.get(key);
+    if (entry && entry.expiresAt !== null && entry.expiresAt <= this.now) {
+      this.store.delete(key);
+      return undefined;
+    }
+    return entry;
+  }
+
+  async get(key) {
+    const entry = this.entry(key);
+    return entry ? entry.value : null;
+  }
+
+  async set(key, value, { EX, PX } = {}) {
+    const ttl = EX ? EX * 1000 : PX;
+    this.store.set(key, { value: String(value), expiresAt: ttl ? this.now + ttl : null });
+    return 'OK';
+  }
+
+  async incr(key) {
+    const entry = this.entry(key);
+    const value = (entry ? Number(entry.value) : 0) + 1;
+    this.store.set(key, { value: String(value), expiresAt: entry ? entry.expiresAt : null });
+    return value;
+  }
+
+  async expire(key, seconds) {
+    const entry = this.entry(key);
+    if (!entry) {
+      return false;
+    }
+    entry.expiresAt = this.now + seconds * 1000;
+    return true;
+  }
+
+  async pTTL(key) {
+    const entry = this.entry(key);
+    if (!entry) {
+      return -2;
+    }
+    return entry.expiresAt === null ? -1 : entry.expiresAt - this.now;
+  }
+
+  async del(keys) {
+    let deleted = 0;
+    for (const key of [].concat(keys)) {
+      if (this.entry(key)) {
+        this.store.delete(key);
+        deleted += 1;
+      }
+    }
+    return deleted;
+  }
+
+  // Queued commands run in order when the transaction is executed
+  multi() {
+    const queued = [];
+    const transaction = {
+      exec: async () => {
+        const results = [];
+        for (const run of queued) {
+          results.push(await run());
+        }
+        return results;
+      }
+    };
+    for (const command of ['get', 'set', 'incr', 'expire', 'pTTL', 'del']) {
+      transaction[command] = (...args) => {
+        queued.push(() => this[command](...args));
+        return transaction;
+      };
+    }
+    return transaction;
+  }
+}
+
+module.exports = FakeRedis;
@@ -0,0 +1,94 @@
+const User = require('../../models/User');
+const Startup = require('../../models/Startup');
+const Investment = require('../../models/Investment');
+const investmentService = require('../../services/investmentService');
+const ledgerService = require('../../services/ledgerService');
+const paymentService = require('../../services/paymentService');
+const sessionService = require('../../services/sessionService');
+
+let sequence = 0;
+
+async function createUser(overrides = {}) {
+  sequence += 1;
+  return User.create({
+    email: `user${sequence}@example.com`,
+    password: 'password123',
+    firstName: 'Test',
+    lastName: `User${sequence}`,
+    phoneNumber: `+1555${String(sequence).padStart(7, '0')}`,
+    dateOfBirth: new Date('1990-01-01'),
+    businessType: 'investor',
+    userType: 'investor',
+    ...overrides
+  });
+}
+
+// An investor whose 12-month limit will not get in the way
+async function createInvestor(overrides = {}) {
+  return createUser({
+    investorProfile: { annualIncome: 1000000, netWorth: 1000000 },
+    ...overrides
+  });
+}
+
+async function createStartup(founder, { funding = {}, ...overrides } = {}) {
+  return Startup.create({
+    name: 'Test Startup',
+    tagline: 'Testing in production, safely',
+    description: 'A startup created by the test suite',
+    founder: founder._id,
+    sector: 'FinTech',
+    businessModel: 'SaaS',
+    stage: 'mvp',
+    location: { city: 'Bengaluru', country: 'India' },
+    status: 'active',
+    funding: {
+      targetAmount: 10000,
+      minimumInvestment: 100,
+      currency: 'USD',
+      ...funding
+    },
+    ...overrides
+  });
+}
+
+// Credit a wallet the way a completed gateway top-up does
+async function fundWallet(user, amount, currency = 'USD') {
+  sequence += 1;
+  return ledgerService.post({
+    key: `top_up:test_${sequence}`,
+    type: 'top_up',
+    currency,
+    user: user._id,
+    memo: 'Test top-up',
+    lines: [
+      { account: ledgerService.accounts.gateway('fake'), debit: amount },
+      { account: ledgerService.accounts.wallet(user._id), credit: amount }
+    ]
+  });
+}
+
+// Pay for an investment through the fake gateway, sign it and confirm it.
+// Agreements and receipts should be mocked by the caller.
+async function investAndConfirm(investor, startup, amount) {
+  const { investment, payment } = await investmentService.createInvestmentIntent({
+    investorId: investor._id,
+    startupId: startup._id,
+    amount,
+    gateway: 'fake'
+  });
+  await paymentService.verifyPayment('fake', {
+    reference: investment.gatewayReference,
+    paymentId: payment.paymentId,
+    signature: payment.signature
+  });
+  await Investment.updateOne({ _id: investment._id }, { $set: { signedAt: new Date() } });
+  return investmentService.confirmInvestment(investment._id, { gatewayPaymentId: payment.paymentId });
+}
+
+// Start a session for a user, as a password sign-in does
+async function signIn(user, options = {}) {
+  return sessionService.createSession(user, { method: 'password', ip: '127.0.0.1', userAgent: 'jest', ...options });
+}
+
+module.exports = { createUser, createInvestor, createStartup, fundWallet, investAndConfirm, signIn };
@@ -0,0 +1,110 @@
+const Startup = require('../models/Startup');
+const Investment = require('../models/Investment');
+const investmentService = require('../services/investmentService');
+const investmentDocumentService = require('../services/investmentDocumentService');
+const { InvestmentError } = require('../services/investmentService');
+const database = require('./helpers/database');
+const { createUser, createInvestor, createStartup } = require('./helpers/fixtures');
+
+describe('investment capacity reservation', () => {
+  let founder;
+  let investors;
+
+  beforeAll(async () => {
+    await database.connect();
+  });
+
+  beforeEach(async () => {
+    // Agreements are rendered to disk and are not what is under test here
+    jest.spyOn(investmentDocumentService, 'issueAgreement').mockResolvedValue({});
+
+    founder = await createUser({ businessType: 'startup', userType: 'entrepreneur' });
+    investors = [];
+    for (let i = 0; i < 12; i += 1) {
+      investors.push(await createInvestor());
+    }
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await database.clear();
+  });
+
+  afterAll(async () => {
+    await database.disconnect();
+  });
+
+  // Fire one intent per investor at the same time, checking after every
+  // settled request that the campaign was never over-committed
+  async function investConcurrently(startup, amount) {
+    const overCommitted = [];
+
+    const results = await Promise.allSettled(investors.map(investor => (
+      investmentService.createInvestmentIntent({
+        investorId: investor._id,
+        startupId: startup._id,
+        amount
+      }).finally(async () => {
+        const { funding } = await Startup.findById(startup._id).lean();
+        if (funding.currentAmount + funding.reservedAmount > funding.targetAmount) {
+          overCommitted.push(funding);
+        }
+      })
+    )));
+
+    return { results, overCommitted };
+  }
+
+  it('never reserves more than the funding target', async () => {
+    const startup = await createStartup(founder, { funding: { targetAmount: 10000 } });
+
+    const { results, overCommitted } = await investConcurrently(startup, 1000);
+
+    const fulfilled = results.filter(result => result.status === 'fulfilled');
+    const rejected = results.filter(result => result.status === 'rejected');
+    expect(fulfilled).toHaveLength(10);
+    expect(rejected).toHaveLength(2);
+    for (const { reason } of rejected) {
+      expect(reason).toBeInstanceOf(InvestmentError);
+      expect(reason.message).toBe('Investment amount exceeds remaining funding requirement');
+    }
+    expect(overCommitted).toEqual([]);
+
+    const { funding } = await Startup.findById(startup._id).lean();
+    expect(funding.reservedAmount).toBe(10000);
+    expect(funding.currentAmount + funding.reservedAmount).toBeLessThanOrEqual(funding.targetAmount);
+    expect(await Investment.countDocuments({ startup: startup._id, status: 'pending' })).toBe(10);
+  });
+
+  it('counts raised and already reserved funds against the target', async () => {
+    const startup = await createStartup(founder, {
+      funding: { targetAmount: 10000, currentAmount: 4000, reservedAmount: 1500 }
+    });
+
+    const { results, overCommitted } = await investConcurrently(startup, 500);
+
+    expect(results.filter(result => result.status === 'fulfilled')).toHaveLength(9);
+    expect(results.filter(result => result.status === 'rejected')).toHaveLength(3);
+    expect(overCommitted).toEqual([]);
+
+    const { funding } = await Startup.findById(startup._id).lean();
+    expect(funding.currentAmount).toBe(4000);
+    expect(funding.reservedAmount).toBe(6000);
+    expect(await Investment.countDocuments({ startup: startup._id, status: 'pending' })).toBe(9);
+  });
+
+  it('hands capacity back when an intent cannot be paid for', async () => {
+    const startup = await createStartup(founder, { funding: { targetAmount: 2000 } });
+    jest.spyOn(investmentDocumentService, 'issueAgreement').mockRejectedValue(new Error('Storage unavailable'));
+
+    await expect(investmentService.createInvestmentIntent({
+      investorId: investors[0]._id,
+      startupId: startup._id,
+      amount: 1000
+    })).rejects.toThrow('Storage unavailable');
+
+    const { funding } = await Startup.findById(startup._id).lean();
+    expect(funding.reservedAmount).toBe(0);
+    expect(await Investment.countDocuments({ startup: startup._id, status: 'failed' })).toBe(1);
+  });
+});
@@ -0,0 +1,52 @@
+const Investment = require('../models/Investment');
+const investmentService = require('../services/investmentService');
+const investmentDocumentService = require('../services/investmentDocumentService');
+const { InvestmentError } = require('../services/investmentService');
+const database = require('./helpers/database');
+const { createUser, createStartup } = require('./helpers/fixtures');
+
+describe('investor limits', () => {
+  beforeAll(async () => {
+    await database.connect();
+  });
+
+  beforeEach(() => {
+    jest.spyOn(investmentDocumentService, 'issueAgreement').mockResolvedValue({});
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await database.clear();
+  });
+
+  afterAll(async () => {
+    await database.disconnect();
+  });
+
+  it('lets concurrent intents from one investor spend the limit only once', async () => {
+    const founder = await createUser({ businessType: 'startup', userType: 'entrepreneur' });
+    // No declared finances: the floor of 2500 applies
+    const investor = await createUser();
+    const startups = [];
+    for (let i = 0; i < 5; i += 1) {
+      startups.push(await createStartup(founder));
+    }
+
+    const results = await Promise.allSettled(startups.map(startup => (
+      investmentService.createInvestmentIntent({
+        investorId: investor._id,
+        startupId: startup._id,
+        amount: 1000
+      })
+    )));
+
+    const rejected = results.filter(result => result.status === 'rejected');
+    expect(results.filter(result => result.status === 'fulfilled')).toHaveLength(2);
+    expect(rejected).toHaveLength(3);
+    for (const { reason } of rejected) {
+      expect(reason).toBeInstanceOf(InvestmentError);
+      expect(reason.status).toBe(403);
+    }
+    expect(await Investment.countDocuments({ investor: investor._id, status: 'pending' })).toBe(2);
+  });
+});
@@ -0,0 +1,125 @@
+const LedgerEntry = require('../models/LedgerEntry');
+const Wallet = require('../models/Wallet');
+const ledgerService = require('../services/ledgerService');
+const database = require('./helpers/database');
+const { createUser, fundWallet } = require('./helpers/fixtures');
+
+const { accounts } = ledgerService;
+
+const hoursAgo = (hours) => new Date(Date.now() - hours * 60 * 60 * 1000);
+
+// A top-up entry written straight to the ledger, as an interrupted
+// posting would leave it
+const writeTopUp = (user, amount, fields = {}) => LedgerEntry.create({
+  key: `top_up:written_${user._id}_${amount}`,
+  type: 'top_up',
+  currency: 'USD',
+  lines: [
+    { account: accounts.gateway('fake'), debit: amount },
+    { account: accounts.wallet(user._id), credit: amount }
+  ],
+  ...fields
+});
+
+describe('ledger', () => {
+  let user;
+
+  beforeAll(async () => {
+    await database.connect();
+  });
+
+  beforeEach(async () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    user = await createUser();
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await database.clear();
+  });
+
+  afterAll(async () => {
+    await database.disconnect();
+  });
+
+  it('credits a wallet once when the same key is posted twice', async () => {
+    const post = () => ledgerService.post({
+      key: 'top_up:once',
+      type: 'top_up',
+      currency: 'USD',
+      lines: [
+        { account: accounts.gateway('fake'), debit: 250 },
+        { account: accounts.wallet(user._id), credit: 250 }
+      ]
+    });
+
+    const [first, second] = await Promise.all([post(), post()]);
+
+    expect(second._id.toString()).toBe(first._id.toString());
+    expect((await Wallet.findOne({ user: user._id })).balance).toBe(250);
+    const entry = await ledgerService.findEntry('top_up:once');
+    expect(entry.creditsPending).toBe(false);
+    expect(entry.creditsAppliedAt).toBeTruthy();
+    expect((await ledgerService.reconcile()).mismatched).toHaveLength(0);
+  });
+
+  it('applies credits left pending by an interrupted posting', async () => {
+    await writeTopUp(user, 400, { creditsPending: true, postedAt: hoursAgo(1) });
+
+    const report = await ledgerService.reconcile();
+    expect(report.pendingCredits).toBe(1);
+    expect(report.reapplied).toBe(0);
+    expect(await Wallet.countDocuments()).toBe(0);
+
+    const fixed = await ledgerService.reconcile({ fix: true });
+    expect(fixed.reapplied).toBe(1);
+    expect(fixed.mismatched).toHaveLength(0);
+    expect((await Wallet.findOne({ user: user._id })).balance).toBe(400);
+
+    const again = await ledgerService.reconcile({ fix: true });
+    expect(again.pendingCredits).toBe(0);
+    expect(again.reapplied).toBe(0);
+    expect((await Wallet.findOne({ user: user._id })).balance).toBe(400);
+  });
+
+  it('does not correct a wallet while a posting is still crediting it', async () => {
+    await writeTopUp(user, 100, { creditsPending: false, creditsAppliedAt: hoursAgo(2), postedAt: hoursAgo(2) });
+    await Wallet.create({ user: user._id, currency: 'USD', balance: 100, updatedAt: hoursAgo(2) });
+
+    // Written, but its credit not yet applied
+    const inFlight = await writeTopUp(user, 50, { creditsPending: true });
+
+    const report = await ledgerService.reconcile({ fix: true });
+    expect(report.mismatched).toHaveLength(1);
+    expect(report.corrected).toBe(0);
+    expect(report.reapplied).toBe(0);
+    expect((await Wallet.findOne({ user: user._id })).balance).toBe(100);
+
+    expect(await ledgerService.applyCredits(inFlight)).toBe(true);
+    expect(await ledgerService.applyCredits(inFlight)).toBe(false);
+    expect((await Wallet.findOne({ user: user._id })).balance).toBe(150);
+    expect((await ledgerService.reconcile()).mismatched).toHaveLength(0);
+  });
+
+  it('corrects a settled wallet that drifted from its postings', async () => {
+    await writeTopUp(user, 300, { creditsPending: false, creditsAppliedAt: hoursAgo(2), postedAt: hoursAgo(2) });
+    await Wallet.create({ user: user._id, currency: 'USD', balance: 0, updatedAt: hoursAgo(2) });
+
+    const report = await ledgerService.reconcile({ fix: true });
+
+    expect(report.corrected).toBe(1);
+    expect((await Wallet.findOne({ user: user._id })).balance).toBe(300);
+  });
+
+  it('refuses to change a posted entry', async () => {
+    await fundWallet(user, 100);
+    const entry = await LedgerEntry.findOne({ type: 'top_up' });
+
+    await expect(LedgerEntry.updateOne({ _id: entry._id }, { $set: { memo: 'Edited' } })).rejects.toThrow();
+    await expect(LedgerEntry.updateOne(
+      { _id: entry._id, creditsPending: true },
+      { $set: { creditsPending: false, lines: [] } }
+    )).rejects.toThrow();
+    await expect(LedgerEntry.deleteOne({ _id: entry._id })).rejects.toThrow();
+  });
+});
@@ -0,0 +1,138 @@
+const express = require('express');
+const request = require('supertest');
+const User = require('../models/User');
+const AuditLog = require('../models/AuditLog');
+const authRoutes = require('../routes/auth');
+const userRoutes = require('../routes/users');
+const emailService = require('../services/emailService');
+const loginProtectionService = require('../services/loginProtectionService');
+const database = require('./helpers/database');
+const FakeRedis = require('./helpers/fakeRedis');
+const { createUser, signIn } = require('./helpers/fixtures');
+
+const app = express();
+app.use(express.json());
+app.use('/api/auth', authRoutes);
+app.use('/api/users', userRoutes);
+
+describe('sign-in lockout', () => {
+  let redis;
+  let user;
+
+  beforeAll(async () => {
+    await database.connect();
+  });
+
+  beforeEach(async () => {
+    redis = new FakeRedis();
+    jest.spyOn(loginProtectionService, 'getClient').mockReturnValue(redis);
+    jest.spyOn(emailService, 'sendAccountLocked').mockResolvedValue({ success: true });
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    user = await createUser();
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await database.clear();
+  });
+
+  afterAll(async () => {
+    await database.disconnect();
+  });
+
+  const login = (password) => request(app)
+    .post('/api/auth/login')
+    .send({ email: user.email, password });
+
+  // Ten failures, each after the previous delay has passed
+  const lockAccount = async () => {
+    for (let attempt = 1; attempt <= 10; attempt += 1) {
+      redis.advance(60 * 1000);
+      expect((await login('wrong-password')).status).toBe(401);
+    }
+  };
+
+  it('makes each attempt wait longer after a few failures', async () => {
+    for (let attempt = 1; attempt <= 3; attempt += 1) {
+      expect((await login('wrong-password')).status).toBe(401);
+    }
+
+    const delayed = await login('password123');
+    expect(delayed.status).toBe(429);
+    expect(delayed.headers['retry-after']).toBe('1');
+
+    redis.advance(1000);
+    expect((await login('password123')).status).toBe(200);
+  });
+
+  it('locks the account after too many failures and emails the owner', async () => {
+    await lockAccount();
+
+    const locked = await login('password123');
+    expect(locked.status).toBe(429);
+    expect(Number(locked.headers['retry-after'])).toBe(15 * 60);
+    expect(emailService.sendAccountLocked).toHaveBeenCalledTimes(1);
+    expect(emailService.sendAccountLocked.mock.calls[0][0]).toBe(user.email);
+
+    redis.advance(15 * 60 * 1000);
+    expect((await login('password123')).status).toBe(200);
+  });
+
+  it('clears the failure count after a successful sign-in', async () => {
+    await login('wrong-password');
+    await login('wrong-password');
+    expect((await login('password123')).status).toBe(200);
+
+    const { account } = await loginProtectionService.getStatus({ email: user.email });
+    expect(account.failures).toBe(0);
+  });
+
+  it('lets an admin lift a lockout and records who did it', async () => {
+    const admin = await createUser({ isAdmin: true });
+    const { token } = await signIn(admin);
+    await lockAccount();
+    await User.updateOne({ _id: user._id }, { $set: { 'twoFactor.lockedUntil': new Date(Date.now() + 60 * 60 * 1000) } });
+
+    const response = await request(app)
+      .post(`/api/users/${user._id}/unlock`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ ip: '10.0.0.1' });
+
+    expect(response.status).toBe(200);
+    expect((await User.findById(user._id)).twoFactor.lockedUntil).toBeUndefined();
+
+    const [entry] = await AuditLog.find({ user: user._id });
+    expect(entry.action).toBe('sign_in_unlock');
+    expect(String(entry.admin)).toBe(String(admin._id));
+    expect(entry.unlockedIp).toBe('10.0.0.1');
+
+    expect((await login('password123')).status).toBe(200);
+  });
+
+  it('only lets admins lift a lockout', async () => {
+    const { token } = await signIn(await createUser());
+    await lockAccount();
+
+    const response = await request(app)
+      .post(`/api/users/${user._id}/unlock`)
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(response.status).toBe(403);
+    expect((await login('password123')).status).toBe(429);
+    expect(await AuditLog.countDocuments()).toBe(0);
+  });
+
+  it('refuses to unlock while Redis is unavailable', async () => {
+    const { token } = await signIn(await createUser({ isAdmin: true }));
+    loginProtectionService.getClient.mockReturnValue(null);
+
+    const response = await request(app)
+      .post(`/api/users/${user._id}/unlock`)
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(response.status).toBe(503);
+    // Sign-in still works without the checks
+    expect((await login('password123')).status).toBe(200);
+  });
+});
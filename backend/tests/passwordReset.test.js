@@ -0,0 +1,124 @@
+const express = require('express');
+const request = require('supertest');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const authRoutes = require('../routes/auth');
+const emailService = require('../services/emailService');
+const database = require('./helpers/database');
+const { createUser, signIn } = require('./helpers/fixtures');
+
+const app = express();
+app.use(express.json());
+app.use('/api/auth', authRoutes);
+
+describe('password reset and signing out', () => {
+  let user;
+  let links;
+
+  beforeAll(async () => {
+    await database.connect();
+  });
+
+  beforeEach(async () => {
+    links = [];
+    jest.spyOn(emailService, 'sendPasswordReset').mockImplementation(async (email, name, link) => {
+      links.push(link);
+      return { success: true };
+    });
+    jest.spyOn(emailService, 'sendPasswordChanged').mockResolvedValue({ success: true });
+
+    user = await createUser();
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await database.clear();
+  });
+
+  afterAll(async () => {
+    await database.disconnect();
+  });
+
+  const forgotPassword = (email) => request(app)
+    .post('/api/auth/forgot-password')
+    .send({ email });
+
+  const resetPassword = (token, newPassword = 'new-password-1') => request(app)
+    .post('/api/auth/reset-password')
+    .send({ token, newPassword });
+
+  const emailedToken = () => new URL(links[links.length - 1]).searchParams.get('token');
+
+  it('answers the same way for an address without an account', async () => {
+    const unknown = await forgotPassword('nobody@example.com');
+    const known = await forgotPassword(user.email);
+
+    expect(unknown.status).toBe(200);
+    expect(known.status).toBe(200);
+    expect(unknown.body.message).toBe(known.body.message);
+    expect(links).toHaveLength(1);
+  });
+
+  it('resets the password once and signs out every device', async () => {
+    await signIn(user);
+    await signIn(user, { userAgent: 'another device' });
+    await forgotPassword(user.email);
+    const token = emailedToken();
+
+    const response = await resetPassword(token);
+
+    expect(response.status).toBe(200);
+    expect(await (await User.findById(user._id)).comparePassword('new-password-1')).toBe(true);
+    expect(await Session.countDocuments({ user: user._id, revokedAt: null })).toBe(0);
+    expect(await Session.countDocuments({ user: user._id, revokedReason: 'password_reset' })).toBe(2);
+    expect(emailService.sendPasswordChanged).toHaveBeenCalledTimes(1);
+
+    const reused = await resetPassword(token, 'another-password');
+    expect(reused.status).toBe(400);
+    expect(await (await User.findById(user._id)).comparePassword('new-password-1')).toBe(true);
+  });
+
+  it('accepts a reset link only once when it is used twice at the same time', async () => {
+    await forgotPassword(user.email);
+    const token = emailedToken();
+
+    const responses = await Promise.all([resetPassword(token, 'first-password'), resetPassword(token, 'second-password')]);
+
+    expect(responses.map(response => response.status).sort()).toEqual([200, 400]);
+    expect(emailService.sendPasswordChanged).toHaveBeenCalledTimes(1);
+  });
+
+  it('does not send another link during the cooldown', async () => {
+    await forgotPassword(user.email);
+    const token = emailedToken();
+
+    expect((await forgotPassword(user.email)).status).toBe(200);
+    expect(links).toHaveLength(1);
+    expect((await resetPassword(token)).status).toBe(200);
+  });
+
+  it('rejects an expired link', async () => {
+    await forgotPassword(user.email);
+    await User.updateOne({ _id: user._id }, { $set: { 'passwordReset.expiresAt': new Date(Date.now() - 1000) } });
+
+    expect((await resetPassword(emailedToken())).status).toBe(400);
+  });
+
+  it('signs out every device, including the current one', async () => {
+    const { token } = await signIn(user);
+    await signIn(user, { userAgent: 'another device' });
+
+    const response = await request(app)
+      .delete('/api/auth/sessions')
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.revoked).toBe(2);
+    expect(await Session.countDocuments({ user: user._id, revokedAt: null })).toBe(0);
+
+    const after = await request(app)
+      .get('/api/auth/sessions')
+      .set('Authorization', `Bearer ${token}`);
+    expect(after.status).toBe(401);
+  });
+});
@@ -0,0 +1,199 @@
+const crypto = require('crypto');
+
+// Gateways read their secrets when paymentService is first loaded
+process.env.STRIPE_SECRET_KEY = 'sk_test_webhooks';
+process.env.STRIPE_WEBHOOK_SECRET = 'whsec_test_webhooks';
+process.env.RAZORPAY_WEBHOOK_SECRET = 'razorpay_test_webhooks';
+
+const express = require('express');
+const request = require('supertest');
+const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
+const Startup = require('../models/Startup');
+const Investment = require('../models/Investment');
+const LedgerEntry = require('../models/LedgerEntry');
+const PaymentEvent = require('../models/PaymentEvent');
+const paymentRoutes = require('../routes/payments');
+const investmentService = require('../services/investmentService');
+const investmentDocumentService = require('../services/investmentDocumentService');
+const fundingRoundService = require('../services/fundingRoundService');
+const database = require('./helpers/database');
+const { createUser, createInvestor, createStartup } = require('./helpers/fixtures');
+
+// The same raw-body capture server.js uses for signature checks
+const app = express();
+app.use(express.json({
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
+app.use('/api/payments', paymentRoutes);
+
+const gateways = {
+  stripe: {
+    succeeded: (reference, id = 'evt_succeeded') => ({
+      id,
+      object: 'event',
+      type: 'payment_intent.succeeded',
+      data: { object: { id: reference, object: 'payment_intent', status: 'succeeded' } }
+    }),
+    declined: (reference, id = 'evt_declined') => ({
+      id,
+      object: 'event',
+      type: 'payment_intent.payment_failed',
+      data: {
+        object: {
+          id: reference,
+          object: 'payment_intent',
+          status: 'requires_payment_method',
+          last_payment_error: { message: 'Your card was declined.' }
+        }
+      }
+    }),
+    headers: (payload, secret = process.env.STRIPE_WEBHOOK_SECRET) => ({
+      'stripe-signature': stripe.webhooks.generateTestHeaderString({ payload, secret })
+    })
+  },
+  razorpay: {
+    succeeded: (reference, id = 'evt_succeeded') => ({
+      id,
+      event: 'payment.captured',
+      payload: { payment: { entity: { id: 'pay_test_1', order_id: reference, status: 'captured' } } }
+    }),
+    declined: (reference, id = 'evt_declined') => ({
+      id,
+      event: 'payment.failed',
+      payload: {
+        payment: {
+          entity: { id: 'pay_test_1', order_id: reference, status: 'failed', error_description: 'Payment was declined by the bank' }
+        }
+      }
+    }),
+    headers: (payload, secret = process.env.RAZORPAY_WEBHOOK_SECRET) => ({
+      'x-razorpay-signature': crypto.createHmac('sha256', secret).update(payload).digest('hex'),
+      'x-razorpay-event-id': JSON.parse(payload).id
+    })
+  }
+};
+
+beforeAll(async () => {
+  await database.connect();
+});
+
+afterAll(async () => {
+  await database.disconnect();
+});
+
+describe.each(Object.keys(gateways))('%s webhooks', (gateway) => {
+  const fixtures = gateways[gateway];
+  const reference = gateway === 'stripe' ? 'pi_test_1' : 'order_test_1';
+  let startup;
+  let investment;
+
+  const deliver = (event, secret) => {
+    const payload = JSON.stringify(event);
+    return request(app)
+      .post(`/api/payments/webhooks/${gateway}`)
+      .set('Content-Type', 'application/json')
+      .set(fixtures.headers(payload, secret))
+      .send(payload);
+  };
+
+  beforeEach(async () => {
+    jest.spyOn(investmentDocumentService, 'issueDocuments').mockResolvedValue(null);
+
+    const founder = await createUser({ businessType: 'startup', userType: 'entrepreneur' });
+    const investor = await createInvestor();
+    startup = await createStartup(founder, { funding: { targetAmount: 10000, reservedAmount: 1000 } });
+    const round = await fundingRoundService.ensureCurrentRound(startup);
+
+    // A signed intent waiting only for its payment
+    investment = await Investment.create({
+      startup: startup._id,
+      investor: investor._id,
+      round: round._id,
+      amount: 1000,
+      currency: 'USD',
+      gateway,
+      gatewayReference: reference,
+      signedAt: new Date(),
+      expiresAt: new Date(Date.now() + 30 * 60 * 1000)
+    });
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await database.clear();
+  });
+
+  it('confirms the investment on a correctly signed event', async () => {
+    const res = await deliver(fixtures.succeeded(reference));
+
+    expect(res.status).toBe(200);
+    expect(res.body.success).toBe(true);
+    expect((await Investment.findById(investment._id)).status).toBe('confirmed');
+    expect((await PaymentEvent.findOne({ gateway, eventId: 'evt_succeeded' })).status).toBe('processed');
+
+    const { funding } = await Startup.findById(startup._id).lean();
+    expect(funding.currentAmount).toBe(1000);
+    expect(funding.reservedAmount).toBe(0);
+  });
+
+  it('rejects an event signed with the wrong secret', async () => {
+    const res = await deliver(fixtures.succeeded(reference), 'not_the_webhook_secret');
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('Invalid webhook signature');
+    expect((await Investment.findById(investment._id)).status).toBe('pending');
+    expect(await PaymentEvent.countDocuments()).toBe(0);
+  });
+
+  it('applies a replayed event only once', async () => {
+    const event = fixtures.succeeded(reference);
+
+    expect((await deliver(event)).status).toBe(200);
+    const replay = await deliver(event);
+
+    expect(replay.status).toBe(200);
+    expect(replay.body.message).toBe('Event already processed');
+    expect(await PaymentEvent.countDocuments({ gateway })).toBe(1);
+    expect(await LedgerEntry.countDocuments({ key: `payment:${investment._id}` })).toBe(1);
+
+    const { funding } = await Startup.findById(startup._id).lean();
+    expect(funding.currentAmount).toBe(1000);
+    expect(funding.investorCount).toBe(1);
+  });
+
+  it('processes an event again when the gateway retries after a failure', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(investmentService, 'handlePaymentEvent').mockRejectedValueOnce(new Error('Connection reset'));
+    const event = fixtures.succeeded(reference);
+
+    const failed = await deliver(event);
+    expect(failed.status).toBe(500);
+    expect((await PaymentEvent.findOne({ gateway, eventId: event.id })).status).toBe('failed');
+    expect((await Investment.findById(investment._id)).status).toBe('pending');
+
+    const retried = await deliver(event);
+    expect(retried.status).toBe(200);
+    expect(retried.body.message).toBeUndefined();
+
+    const paymentEvent = await PaymentEvent.findOne({ gateway, eventId: event.id });
+    expect(paymentEvent.status).toBe('processed');
+    expect(paymentEvent.error).toBeUndefined();
+    expect((await Investment.findById(investment._id)).status).toBe('confirmed');
+  });
+
+  it('keeps the investment payable after a declined attempt', async () => {
+    const declined = await deliver(fixtures.declined(reference));
+
+    expect(declined.status).toBe(200);
+    const pending = await Investment.findById(investment._id);
+    expect(pending.status).toBe('pending');
+    expect(pending.lastPaymentError).toBeTruthy();
+    expect((await Startup.findById(startup._id).lean()).funding.reservedAmount).toBe(1000);
+
+    // The investor tries again and the payment goes through
+    expect((await deliver(fixtures.succeeded(reference))).status).toBe(200);
+    expect((await Investment.findById(investment._id)).status).toBe('confirmed');
+  });
+});
@@ -0,0 +1,179 @@
+const Startup = require('../models/Startup');
+const Investment = require('../models/Investment');
+const SecondaryListing = require('../models/SecondaryListing');
+const SecondaryTrade = require('../models/SecondaryTrade');
+const Wallet = require('../models/Wallet');
+const secondaryMarketService = require('../services/secondaryMarketService');
+const { SecondaryMarketError } = require('../services/secondaryMarketService');
+const investmentDocumentService = require('../services/investmentDocumentService');
+const emailService = require('../services/emailService');
+const ledgerService = require('../services/ledgerService');
+const database = require('./helpers/database');
+const { createUser, createInvestor, createStartup, fundWallet, investAndConfirm } = require('./helpers/fixtures');
+
+const { accounts } = ledgerService;
+
+describe('secondary market', () => {
+  let founder;
+  let startup;
+  let seller;
+  let holding;
+  let buyer;
+
+  beforeAll(async () => {
+    await database.connect();
+  });
+
+  beforeEach(async () => {
+    jest.spyOn(investmentDocumentService, 'issueAgreement').mockResolvedValue({});
+    jest.spyOn(investmentDocumentService, 'issueDocuments').mockResolvedValue(null);
+    jest.spyOn(emailService, 'sendSecondaryTradeSettled').mockResolvedValue({ success: true });
+    jest.spyOn(emailService, 'sendRightOfFirstRefusalNotice').mockResolvedValue({ success: true });
+
+    // An unpriced round, so holdings are listed by subscription amount
+    founder = await createUser({ businessType: 'startup', userType: 'entrepreneur' });
+    startup = await createStartup(founder);
+    seller = await createInvestor();
+    holding = await investAndConfirm(seller, startup, 2000);
+    await endCoolingOff(holding);
+
+    buyer = await createInvestor();
+    await fundWallet(buyer, 1000);
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await database.clear();
+  });
+
+  afterAll(async () => {
+    await database.disconnect();
+  });
+
+  const endCoolingOff = (investment) => Investment.updateOne(
+    { _id: investment._id },
+    { $set: { confirmedAt: new Date(Date.now() - (Investment.COOLING_OFF_HOURS + 1) * 60 * 60 * 1000) } }
+  );
+
+  const walletBalance = async (user) => {
+    const wallet = await Wallet.findOne({ user: user._id });
+    return wallet ? wallet.balance : 0;
+  };
+
+  const listHalf = () => secondaryMarketService.createListing(seller._id, {
+    investmentId: holding._id,
+    principal: 1000,
+    askingPrice: 800
+  });
+
+  it('sells part of a holding for wallet money', async () => {
+    const listing = await listHalf();
+
+    const { trade } = await secondaryMarketService.buyListing(listing._id, buyer._id, { gateway: 'wallet' });
+
+    expect(trade.status).toBe('settled');
+    expect(await walletBalance(buyer)).toBe(200);
+    expect(await walletBalance(seller)).toBe(800);
+    expect(await ledgerService.getBalance(accounts.secondaryEscrow(trade._id), 'USD')).toBe(0);
+
+    const remaining = await Investment.findById(holding._id);
+    expect(remaining.status).toBe('confirmed');
+    expect(remaining.amount).toBe(1000);
+
+    const bought = await Investment.findById(trade.buyerInvestment);
+    expect(String(bought.investor)).toBe(String(buyer._id));
+    expect(bought.source).toBe('secondary');
+    expect(bought.amount).toBe(1000);
+    expect(bought.costBasis).toBe(800);
+
+    expect((await SecondaryListing.findById(listing._id)).status).toBe('sold');
+    expect(emailService.sendSecondaryTradeSettled).toHaveBeenCalledTimes(2);
+    expect((await ledgerService.reconcile()).balanced).toBe(true);
+  });
+
+  it('refuses to list a holding still in its cooling-off period', async () => {
+    const recent = await investAndConfirm(seller, startup, 500);
+
+    await expect(secondaryMarketService.createListing(seller._id, { investmentId: recent._id, askingPrice: 500 }))
+      .rejects.toMatchObject({ name: 'SecondaryMarketError', status: 409 });
+  });
+
+  it('refuses to list more than the holding has left', async () => {
+    await listHalf();
+
+    await expect(secondaryMarketService.createListing(seller._id, {
+      investmentId: holding._id,
+      principal: 1500,
+      askingPrice: 1500
+    })).rejects.toBeInstanceOf(SecondaryMarketError);
+  });
+
+  it('reserves a listing for only one of two buyers', async () => {
+    const listing = await listHalf();
+    const other = await createInvestor();
+    await fundWallet(other, 1000);
+
+    const results = await Promise.allSettled([
+      secondaryMarketService.buyListing(listing._id, buyer._id, { gateway: 'wallet' }),
+      secondaryMarketService.buyListing(listing._id, other._id, { gateway: 'wallet' })
+    ]);
+
+    expect(results.filter(result => result.status === 'fulfilled')).toHaveLength(1);
+    const [rejected] = results.filter(result => result.status === 'rejected');
+    expect(rejected.reason).toBeInstanceOf(SecondaryMarketError);
+    expect((await walletBalance(buyer)) + (await walletBalance(other))).toBe(1200);
+    expect((await Investment.findById(holding._id)).amount).toBe(1000);
+  });
+
+  it('lets the founder take a trade over and refunds the buyer', async () => {
+    await Startup.updateOne({ _id: startup._id }, { $set: { 'transferPolicy.rightOfFirstRefusal': true } });
+    await fundWallet(founder, 1000);
+    const listing = await listHalf();
+
+    const { trade } = await secondaryMarketService.buyListing(listing._id, buyer._id, { gateway: 'wallet' });
+    expect(trade.status).toBe('held');
+    expect(emailService.sendRightOfFirstRefusalNotice).toHaveBeenCalledTimes(1);
+
+    const founderTrade = await secondaryMarketService.decideRightOfFirstRefusal(trade._id, founder._id, 'exercised');
+
+    expect(founderTrade.status).toBe('settled');
+    expect(String(founderTrade.buyer)).toBe(String(founder._id));
+    expect(await walletBalance(founder)).toBe(200);
+    expect(await walletBalance(seller)).toBe(800);
+
+    const cancelled = await SecondaryTrade.findById(trade._id);
+    expect(cancelled.status).toBe('cancelled');
+    expect(cancelled.refundedAt).toBeTruthy();
+    expect(await walletBalance(buyer)).toBe(1000);
+    expect(await Investment.countDocuments({ investor: buyer._id })).toBe(0);
+  });
+
+  it('settles a held trade once the right of first refusal lapses', async () => {
+    await Startup.updateOne({ _id: startup._id }, { $set: { 'transferPolicy.rightOfFirstRefusal': true } });
+    const listing = await listHalf();
+    const { trade } = await secondaryMarketService.buyListing(listing._id, buyer._id, { gateway: 'wallet' });
+
+    expect((await secondaryMarketService.processTrades()).settled).toBe(0);
+
+    await SecondaryTrade.updateOne(
+      { _id: trade._id },
+      { $set: { 'rightOfFirstRefusal.deadline': new Date(Date.now() - 1000) } }
+    );
+    expect((await secondaryMarketService.processTrades()).settled).toBe(1);
+    expect((await SecondaryTrade.findById(trade._id)).status).toBe('settled');
+  });
+
+  it('puts a listing back on the market when the buyer does not pay', async () => {
+    const listing = await listHalf();
+    const { trade } = await secondaryMarketService.buyListing(listing._id, buyer._id, { gateway: 'fake' });
+    expect(trade.status).toBe('awaiting_payment');
+    expect((await SecondaryListing.findById(listing._id)).status).toBe('reserved');
+
+    await SecondaryTrade.updateOne({ _id: trade._id }, { $set: { expiresAt: new Date(Date.now() - 1000) } });
+    expect((await secondaryMarketService.processTrades()).cancelled).toBe(1);
+
+    expect((await SecondaryTrade.findById(trade._id)).status).toBe('cancelled');
+    expect((await SecondaryListing.findById(listing._id)).status).toBe('active');
+    expect((await Investment.findById(holding._id)).amount).toBe(2000);
+  });
+});
@@ -0,0 +1,87 @@
+const express = require('express');
+const request = require('supertest');
+const Session = require('../models/Session');
+const authRoutes = require('../routes/auth');
+const database = require('./helpers/database');
+const { createUser, signIn } = require('./helpers/fixtures');
+
+const app = express();
+app.use(express.json());
+app.use('/api/auth', authRoutes);
+
+const refresh = (refreshToken) => request(app)
+  .post('/api/auth/refresh')
+  .send({ refreshToken });
+
+describe('refresh token rotation', () => {
+  let tokens;
+
+  beforeAll(async () => {
+    await database.connect();
+  });
+
+  beforeEach(async () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    tokens = await signIn(await createUser());
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await database.clear();
+  });
+
+  afterAll(async () => {
+    await database.disconnect();
+  });
+
+  it('swaps a refresh token for a new one', async () => {
+    const first = await refresh(tokens.refreshToken);
+    expect(first.status).toBe(200);
+    expect(first.body.data.refreshToken).not.toBe(tokens.refreshToken);
+    expect(String(first.body.data.sessionId)).toBe(String(tokens.sessionId));
+
+    const second = await refresh(first.body.data.refreshToken);
+    expect(second.status).toBe(200);
+
+    const session = await Session.findById(tokens.sessionId);
+    expect(session.rotations).toBe(2);
+    expect(session.revokedAt).toBeUndefined();
+  });
+
+  it('revokes the session when a replaced token is presented again', async () => {
+    const rotated = await refresh(tokens.refreshToken);
+    expect(rotated.status).toBe(200);
+
+    // Long after the refresh that replaced it
+    await Session.updateOne({ _id: tokens.sessionId }, { $set: { rotatedAt: new Date(Date.now() - 60 * 60 * 1000) } });
+
+    const reused = await refresh(tokens.refreshToken);
+    expect(reused.status).toBe(401);
+
+    const session = await Session.findById(tokens.sessionId);
+    expect(session.revokedReason).toBe('refresh_token_reuse');
+    expect((await refresh(rotated.body.data.refreshToken)).status).toBe(401);
+  });
+
+  it('rejects a wrong token without signing the session out', async () => {
+    const guessed = await refresh(`${tokens.sessionId}.not-the-secret`);
+    expect(guessed.status).toBe(401);
+
+    const session = await Session.findById(tokens.sessionId);
+    expect(session.revokedAt).toBeUndefined();
+    expect((await refresh(tokens.refreshToken)).status).toBe(200);
+  });
+
+  it('lets one of two concurrent refreshes win without revoking the session', async () => {
+    const responses = await Promise.all([refresh(tokens.refreshToken), refresh(tokens.refreshToken)]);
+    const statuses = responses.map(response => response.status).sort();
+    expect(statuses).toEqual([200, 409]);
+
+    const session = await Session.findById(tokens.sessionId);
+    expect(session.revokedAt).toBeUndefined();
+    expect(session.rotations).toBe(1);
+
+    const winner = responses.find(response => response.status === 200);
+    expect((await refresh(winner.body.data.refreshToken)).status).toBe(200);
+  });
+});
@@ -0,0 +1,171 @@
+const Investment = require('../models/Investment');
+const Syndicate = require('../models/Syndicate');
+const SyndicateCommitment = require('../models/SyndicateCommitment');
+const Wallet = require('../models/Wallet');
+const syndicateService = require('../services/syndicateService');
+const { SyndicateError } = require('../services/syndicateService');
+const investmentService = require('../services/investmentService');
+const investmentDocumentService = require('../services/investmentDocumentService');
+const emailService = require('../services/emailService');
+const ledgerService = require('../services/ledgerService');
+const database = require('./helpers/database');
+const { createUser, createInvestor, createStartup, fundWallet } = require('./helpers/fixtures');
+
+const { accounts } = ledgerService;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('syndicates', () => {
+  let lead;
+  let followers;
+  let syndicate;
+
+  beforeAll(async () => {
+    await database.connect();
+  });
+
+  beforeEach(async () => {
+    jest.spyOn(investmentDocumentService, 'issueAgreement').mockResolvedValue({});
+    jest.spyOn(investmentDocumentService, 'issueDocuments').mockResolvedValue(null);
+    jest.spyOn(emailService, 'sendSyndicateInvitation').mockResolvedValue({ success: true });
+    jest.spyOn(emailService, 'sendSyndicateCancelled').mockResolvedValue({ success: true });
+
+    const founder = await createUser({ businessType: 'startup', userType: 'entrepreneur' });
+    const startup = await createStartup(founder, {
+      funding: { fundingDeadline: new Date(Date.now() + 30 * DAY_MS) }
+    });
+
+    lead = await createInvestor();
+    followers = [await createInvestor(), await createInvestor()];
+    for (const follower of followers) {
+      await fundWallet(follower, 3000);
+    }
+
+    syndicate = await syndicateService.createSyndicate(lead._id, {
+      startupId: startup._id,
+      name: 'Test Syndicate',
+      carry: 20,
+      minimumTicket: 500,
+      targetAmount: 5000,
+      closesAt: new Date(Date.now() + 7 * DAY_MS)
+    });
+    await syndicateService.invite(syndicate._id, lead._id, followers.map(follower => follower.email));
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await database.clear();
+  });
+
+  afterAll(async () => {
+    await database.disconnect();
+  });
+
+  const walletBalance = async (user) => (await Wallet.findOne({ user: user._id })).balance;
+  const poolBalance = () => ledgerService.getBalance(accounts.syndicate(syndicate._id), 'USD');
+
+  // Invest the pool and sign the lead's agreement
+  const investAndSign = async () => {
+    const { investment } = await syndicateService.invest(syndicate._id, lead._id);
+    await Investment.updateOne({ _id: investment._id }, { $set: { signedAt: new Date() } });
+    return investmentService.confirmInvestment(investment._id);
+  };
+
+  it('moves committed capital into the pool and back on withdrawal', async () => {
+    await syndicateService.commit(syndicate._id, followers[0]._id, 2000);
+    expect(await walletBalance(followers[0])).toBe(1000);
+    expect(await poolBalance()).toBe(2000);
+
+    const withdrawn = await syndicateService.withdraw(syndicate._id, followers[0]._id);
+    expect(withdrawn.status).toBe('withdrawn');
+    expect(await walletBalance(followers[0])).toBe(3000);
+    expect(await poolBalance()).toBe(0);
+
+    const recommitted = await syndicateService.commit(syndicate._id, followers[0]._id, 1500);
+    expect(recommitted.status).toBe('committed');
+    expect(recommitted.commitCount).toBe(2);
+    expect(await poolBalance()).toBe(1500);
+  });
+
+  it('refuses a commitment the wallet cannot cover', async () => {
+    await expect(syndicateService.commit(syndicate._id, followers[0]._id, 4000))
+      .rejects.toMatchObject({ name: 'SyndicateError', status: 422 });
+
+    const commitment = await SyndicateCommitment.findOne({ syndicate: syndicate._id, follower: followers[0]._id });
+    expect(commitment.status).toBe('invited');
+    expect(commitment.amount).toBe(0);
+    expect(await walletBalance(followers[0])).toBe(3000);
+    expect(await poolBalance()).toBe(0);
+  });
+
+  it('refuses a commitment beyond the target', async () => {
+    await syndicateService.commit(syndicate._id, followers[0]._id, 3000);
+
+    await expect(syndicateService.commit(syndicate._id, followers[1]._id, 2500))
+      .rejects.toBeInstanceOf(SyndicateError);
+    expect(await poolBalance()).toBe(3000);
+  });
+
+  it('invests the pool as one holding and marks the followers invested', async () => {
+    await syndicateService.commit(syndicate._id, followers[0]._id, 2000);
+    await syndicateService.commit(syndicate._id, followers[1]._id, 3000);
+
+    const investment = await investAndSign();
+    expect(investment.status).toBe('confirmed');
+    expect(investment.amount).toBe(5000);
+    expect(investment.gateway).toBe('syndicate');
+    expect(await poolBalance()).toBe(0);
+
+    expect((await syndicateService.processSyndicates()).invested).toBe(1);
+    expect((await Syndicate.findById(syndicate._id)).status).toBe('invested');
+    expect(await SyndicateCommitment.countDocuments({ syndicate: syndicate._id, status: 'invested' })).toBe(2);
+
+    const { stakes, totals } = await syndicateService.getLookThrough(followers[0]._id);
+    expect(stakes).toHaveLength(1);
+    expect(stakes[0].fraction).toBe(0.4);
+    expect(totals.invested).toBe(2000);
+  });
+
+  it('keeps followers invested when the holding is written off', async () => {
+    await syndicateService.commit(syndicate._id, followers[0]._id, 2000);
+    const investment = await investAndSign();
+    await syndicateService.processSyndicates();
+
+    await Investment.updateOne(
+      { _id: investment._id },
+      { $set: { status: 'written_off', writtenOffAt: new Date(), currentValue: 0 } }
+    );
+    const counts = await syndicateService.processSyndicates();
+
+    expect(counts.cancelled).toBe(0);
+    expect(counts.refunded).toBe(0);
+    expect((await Syndicate.findById(syndicate._id)).status).toBe('invested');
+    expect(await walletBalance(followers[0])).toBe(1000);
+  });
+
+  it('refunds every follower when the lead cancels', async () => {
+    await syndicateService.commit(syndicate._id, followers[0]._id, 2000);
+    await syndicateService.commit(syndicate._id, followers[1]._id, 1000);
+
+    const cancelled = await syndicateService.cancelSyndicate(syndicate._id, lead._id);
+
+    expect(cancelled.status).toBe('cancelled');
+    expect(await walletBalance(followers[0])).toBe(3000);
+    expect(await walletBalance(followers[1])).toBe(3000);
+    expect(await poolBalance()).toBe(0);
+    expect(await SyndicateCommitment.countDocuments({ syndicate: syndicate._id, status: 'refunded' })).toBe(2);
+    expect(emailService.sendSyndicateCancelled).toHaveBeenCalledTimes(2);
+  });
+
+  it('cancels and refunds a syndicate the lead never invested', async () => {
+    await syndicateService.commit(syndicate._id, followers[0]._id, 2000);
+    await Syndicate.updateOne({ _id: syndicate._id }, { $set: { closesAt: new Date(Date.now() - 8 * DAY_MS) } });
+
+    const counts = await syndicateService.processSyndicates();
+
+    expect(counts.cancelled).toBe(1);
+    expect(counts.refunded).toBe(1);
+    expect(await walletBalance(followers[0])).toBe(3000);
+    expect((await ledgerService.reconcile()).balanced).toBe(true);
+  });
+});
@@ -0,0 +1,141 @@
+const { Buffer } = require('buffer');
+const crypto = require('crypto');
+const express = require('express');
+const request = require('supertest');
+const User = require('../models/User');
+const authRoutes = require('../routes/auth');
+const emailService = require('../services/emailService');
+const database = require('./helpers/database');
+const { createUser, signIn } = require('./helpers/fixtures');
+
+const app = express();
+app.use(express.json());
+app.use('/api/auth', authRoutes);
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const base32Decode = (encoded) => {
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const character of encoded) {
+    value = (value << 5) | BASE32_ALPHABET.indexOf(character);
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+};
+
+// What an authenticator app shows for a time step (RFC 6238)
+const totp = (secret, step) => {
+  const message = Buffer.alloc(8);
+  message.writeUInt32BE(Math.floor(step / 0x100000000), 0);
+  message.writeUInt32BE(step % 0x100000000, 4);
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(message).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  return String((hmac.readUInt32BE(offset) & 0x7fffffff) % 1000000).padStart(6, '0');
+};
+
+const currentStep = () => Math.floor(Date.now() / 1000 / 30);
+
+describe('two-factor codes', () => {
+  let user;
+  let token;
+  let secret;
+  let backupCodes;
+  let enabledStep;
+
+  beforeAll(async () => {
+    await database.connect();
+  });
+
+  beforeEach(async () => {
+    jest.spyOn(emailService, 'sendTwoFactorStatusChanged').mockResolvedValue({ success: true });
+
+    user = await createUser();
+    ({ token } = await signIn(user));
+
+    const setup = await request(app)
+      .post('/api/auth/2fa/setup')
+      .set('Authorization', `Bearer ${token}`);
+    secret = setup.body.data.secret;
+
+    enabledStep = currentStep();
+    const enabled = await request(app)
+      .post('/api/auth/2fa/enable')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ code: totp(secret, enabledStep) });
+    expect(enabled.status).toBe(200);
+    backupCodes = enabled.body.data.backupCodes;
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await database.clear();
+  });
+
+  afterAll(async () => {
+    await database.disconnect();
+  });
+
+  const verify = (code) => request(app)
+    .post('/api/auth/2fa/verify')
+    .set('Authorization', `Bearer ${token}`)
+    .send({ code });
+
+  it('accepts each authenticator code once', async () => {
+    // The code used to turn two-factor on is already spent
+    expect((await verify(totp(secret, enabledStep))).status).toBe(400);
+
+    const next = totp(secret, enabledStep + 1);
+    const accepted = await verify(next);
+    expect(accepted.status).toBe(200);
+    expect(accepted.body.data.method).toBe('totp');
+
+    expect((await verify(next)).status).toBe(400);
+  });
+
+  it('accepts a code only once when it is sent twice at the same time', async () => {
+    const next = totp(secret, enabledStep + 1);
+
+    const responses = await Promise.all([verify(next), verify(next)]);
+
+    expect(responses.map(response => response.status).sort()).toEqual([200, 400]);
+  });
+
+  it('does not accept an older code after a newer one', async () => {
+    await User.updateOne({ _id: user._id }, { $set: { 'twoFactor.lastUsedStep': enabledStep + 1 } });
+
+    expect((await verify(totp(secret, enabledStep))).status).toBe(400);
+  });
+
+  it('accepts each backup code once', async () => {
+    const accepted = await verify(backupCodes[0].toLowerCase());
+    expect(accepted.status).toBe(200);
+    expect(accepted.body.data).toEqual({ method: 'backup_code', backupCodesRemaining: 9 });
+
+    expect((await verify(backupCodes[0])).status).toBe(400);
+    expect((await verify(backupCodes[1])).status).toBe(200);
+  });
+
+  it('locks the second factor after five wrong codes', async () => {
+    for (let attempt = 1; attempt <= 5; attempt += 1) {
+      expect((await verify('WRONG-CODE')).status).toBe(400);
+    }
+
+    // Even the right code is refused while locked
+    const locked = await verify(totp(secret, enabledStep + 1));
+    expect(locked.status).toBe(429);
+    expect(Number(locked.headers['retry-after'])).toBeGreaterThan(0);
+
+    const stored = await User.findById(user._id);
+    expect(stored.twoFactor.lockedUntil.getTime()).toBeGreaterThan(Date.now());
+    expect(stored.twoFactor.lastUsedStep).toBe(enabledStep);
+
+    await User.updateOne({ _id: user._id }, { $set: { 'twoFactor.lockedUntil': new Date(Date.now() - 1000) } });
+    expect((await verify(totp(secret, enabledStep + 1))).status).toBe(200);
+  });
+});
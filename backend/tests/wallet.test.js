@@ -0,0 +1,110 @@
+const Wallet = require('../models/Wallet');
+const WalletTransaction = require('../models/WalletTransaction');
+const walletService = require('../services/walletService');
+const { WalletError } = require('../services/walletService');
+const ledgerService = require('../services/ledgerService');
+const database = require('./helpers/database');
+const { createUser, fundWallet } = require('./helpers/fixtures');
+
+const { accounts } = ledgerService;
+
+describe('wallet', () => {
+  let user;
+  let admin;
+
+  beforeAll(async () => {
+    await database.connect();
+  });
+
+  beforeEach(async () => {
+    user = await createUser();
+    admin = await createUser({ isAdmin: true });
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await database.clear();
+  });
+
+  afterAll(async () => {
+    await database.disconnect();
+  });
+
+  const walletBalance = async () => {
+    const wallet = await Wallet.findOne({ user: user._id, currency: 'USD' });
+    return wallet ? wallet.balance : 0;
+  };
+
+  it('credits a paid top-up once, however often it is reported', async () => {
+    const { transaction, payment } = await walletService.createTopUp(user._id, {
+      amount: 500,
+      currency: 'USD',
+      gateway: 'fake'
+    });
+
+    const verified = await walletService.verifyTopUp(transaction._id, user._id, {
+      paymentId: payment.paymentId,
+      signature: payment.signature
+    });
+    expect(verified.isValid).toBe(true);
+    expect(verified.transaction.status).toBe('completed');
+
+    await walletService.handlePaymentEvent('fake', { action: 'succeeded', reference: transaction.gatewayReference });
+    await walletService.completeTopUp(transaction._id);
+
+    expect(await walletBalance()).toBe(500);
+    expect(await ledgerService.getBalance(accounts.wallet(user._id), 'USD')).toBe(500);
+  });
+
+  it('refuses a withdrawal the wallet cannot cover', async () => {
+    await fundWallet(user, 100);
+
+    await expect(walletService.requestWithdrawal(user._id, { amount: 150, currency: 'USD' }))
+      .rejects.toMatchObject({ name: 'WalletError', status: 422 });
+
+    expect(await walletBalance()).toBe(100);
+    expect((await WalletTransaction.findOne({ type: 'withdrawal' })).status).toBe('failed');
+  });
+
+  it('does not let concurrent withdrawals overdraw the wallet', async () => {
+    await fundWallet(user, 1000);
+
+    const results = await Promise.allSettled([
+      walletService.requestWithdrawal(user._id, { amount: 700, currency: 'USD' }),
+      walletService.requestWithdrawal(user._id, { amount: 700, currency: 'USD' })
+    ]);
+
+    expect(results.filter(result => result.status === 'fulfilled')).toHaveLength(1);
+    expect(await walletBalance()).toBe(300);
+    expect(await ledgerService.getBalance(accounts.withdrawalsPending, 'USD')).toBe(700);
+  });
+
+  it('settles a withdrawal to the bank', async () => {
+    await fundWallet(user, 1000);
+    const withdrawal = await walletService.requestWithdrawal(user._id, { amount: 400, currency: 'USD' });
+
+    const settled = await walletService.settleWithdrawal(withdrawal._id, admin._id, { reference: 'BANK-1' });
+
+    expect(settled.status).toBe('completed');
+    expect(settled.settlementReference).toBe('BANK-1');
+    expect(await walletBalance()).toBe(600);
+    expect(await ledgerService.getBalance(accounts.withdrawalsPending, 'USD')).toBe(0);
+    expect((await ledgerService.reconcile()).balanced).toBe(true);
+
+    await expect(walletService.rejectWithdrawal(withdrawal._id, admin._id, { reason: 'Too late' }))
+      .rejects.toBeInstanceOf(WalletError);
+  });
+
+  it('returns a rejected withdrawal to the wallet and never settles it', async () => {
+    await fundWallet(user, 1000);
+    const withdrawal = await walletService.requestWithdrawal(user._id, { amount: 400, currency: 'USD' });
+
+    const rejected = await walletService.rejectWithdrawal(withdrawal._id, admin._id, { reason: 'Account closed' });
+
+    expect(rejected.status).toBe('failed');
+    expect(await walletBalance()).toBe(1000);
+    await expect(walletService.settleWithdrawal(withdrawal._id, admin._id, { reference: 'BANK-2' }))
+      .rejects.toMatchObject({ status: 409 });
+    expect(await ledgerService.getBalance(accounts.bank, 'USD')).toBe(0);
+  });
+});
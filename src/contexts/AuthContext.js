@@ -1,4 +1,4 @@
-import React, { createContext, useContext, useReducer, useEffect } from 'react';
+import React, { createContext, useContext, useReducer, useEffect, useRef } from 'react';
 import AsyncStorage from '@react-native-async-storage/async-storage';
 import { authAPI } from '../services/api';
 
@@ -6,6 +6,8 @@ import { authAPI } from '../services/api';
 const initialState = {
   user: null,
   token: null,
+  refreshToken: null,
+  expiresIn: null,
   isLoading: true,
   error: null,
 };
@@ -14,6 +16,7 @@ const initialState = {
 const AUTH_ACTIONS = {
   SET_LOADING: 'SET_LOADING',
   LOGIN_SUCCESS: 'LOGIN_SUCCESS',
+  TOKENS_REFRESHED: 'TOKENS_REFRESHED',
   LOGOUT: 'LOGOUT',
   SET_ERROR: 'SET_ERROR',
   CLEAR_ERROR: 'CLEAR_ERROR',
@@ -34,15 +37,27 @@ function authReducer(state, action) {
         ...state,
         user: action.payload.user,
         token: action.payload.token,
+        refreshToken: action.payload.refreshToken,
+        expiresIn: action.payload.expiresIn,
         isLoading: false,
         error: null,
       };
     
+    case AUTH_ACTIONS.TOKENS_REFRESHED:
+      return {
+        ...state,
+        token: action.payload.token,
+        refreshToken: action.payload.refreshToken,
+        expiresIn: action.payload.expiresIn,
+      };
+    
     case AUTH_ACTIONS.LOGOUT:
       return {
         ...state,
         user: null,
         token: null,
+        refreshToken: null,
+        expiresIn: null,
         isLoading: false,
         error: null,
       };
@@ -78,31 +93,45 @@ const AuthContext = createContext();
 export function AuthProvider({ children }) {
   const [state, dispatch] = useReducer(authReducer, initialState);
 
+  const refreshTimer = useRef(null);
+
   // Load stored auth data on app start
   useEffect(() => {
     loadStoredAuth();
   }, []);
 
+  // Access tokens are short-lived: renew them a minute before they expire
+  useEffect(() => {
+    clearTimeout(refreshTimer.current);
+    if (state.refreshToken && state.expiresIn) {
+      refreshTimer.current = setTimeout(
+        () => refreshSession(state.refreshToken),
+        Math.max(state.expiresIn - 60, 10) * 1000
+      );
+    }
+    return () => clearTimeout(refreshTimer.current);
+  }, [state.refreshToken, state.expiresIn]);
+
   const loadStoredAuth = async () => {
     try {
-      const token = await AsyncStorage.getItem('token');
+      const refreshToken = await AsyncStorage.getItem('refreshToken');
       const userData = await AsyncStorage.getItem('user');
       
-      if (token && userData) {
-        const user = JSON.parse(userData);
-        
-        // Verify token is still valid
+      if (refreshToken && userData) {
+        // Swap the stored refresh token for a fresh session
         try {
-          const response = await authAPI.getProfile(token);
+          const { data: tokens } = await authAPI.refresh(refreshToken);
+          const response = await authAPI.getProfile(tokens.token);
+          await storeAuth(tokens, response.data);
           dispatch({
             type: AUTH_ACTIONS.LOGIN_SUCCESS,
             payload: {
               user: response.data,
-              token,
+              ...tokens,
             },
           });
         } catch (error) {
-          // Token is invalid, clear stored data
+          // Session is no longer valid, clear stored data
           await clearStoredAuth();
           dispatch({ type: AUTH_ACTIONS.SET_LOADING, payload: false });
         }
@@ -115,9 +144,25 @@ export function AuthProvider({ children }) {
     }
   };
 
-  const storeAuth = async (token, user) => {
+  const refreshSession = async (refreshToken) => {
+    try {
+      const { data: tokens } = await authAPI.refresh(refreshToken);
+      await AsyncStorage.setItem('token', tokens.token);
+      await AsyncStorage.setItem('refreshToken', tokens.refreshToken);
+      dispatch({ type: AUTH_ACTIONS.TOKENS_REFRESHED, payload: tokens });
+    } catch (error) {
+      // The session was revoked or has expired
+      if (error.response?.status === 401) {
+        await clearStoredAuth();
+        dispatch({ type: AUTH_ACTIONS.LOGOUT });
+      }
+    }
+  };
+
+  const storeAuth = async ({ token, refreshToken }, user) => {
     try {
       await AsyncStorage.setItem('token', token);
+      await AsyncStorage.setItem('refreshToken', refreshToken);
       await AsyncStorage.setItem('user', JSON.stringify(user));
     } catch (error) {
       // console.error('Error storing auth data:', error);
@@ -127,6 +172,7 @@ export function AuthProvider({ children }) {
   const clearStoredAuth = async () => {
     try {
       await AsyncStorage.removeItem('token');
+      await AsyncStorage.removeItem('refreshToken');
       await AsyncStorage.removeItem('user');
     } catch (error) {
       console.error('Error clearing auth data:', error);
@@ -140,13 +186,13 @@ export function AuthProvider({ children }) {
       
       const response = await authAPI.register(userData);
       
-      const { user, token } = response.data;
+      const { user, ...tokens } = response.data;
       
-      await storeAuth(token, user);
+      await storeAuth(tokens, user);
       
       dispatch({
         type: AUTH_ACTIONS.LOGIN_SUCCESS,
-        payload: { user, token },
+        payload: { user, ...tokens },
       });
       
       return { success: true };
@@ -166,14 +212,20 @@ export function AuthProvider({ children }) {
       dispatch({ type: AUTH_ACTIONS.CLEAR_ERROR });
       
       const response = await authAPI.login(email, password);
+
+      // Accounts with two-factor authentication need a code to finish
+      if (response.data.twoFactorRequired) {
+        dispatch({ type: AUTH_ACTIONS.SET_LOADING, payload: false });
+        return { success: true, twoFactorRequired: true, challengeToken: response.data.challengeToken };
+      }
       
-      const { user, token } = response.data;
+      const { user, ...tokens } = response.data;
       
-      await storeAuth(token, user);
+      await storeAuth(tokens, user);
       
       dispatch({
         type: AUTH_ACTIONS.LOGIN_SUCCESS,
-        payload: { user, token },
+        payload: { user, ...tokens },
       });
       
       return { success: true };
@@ -214,14 +266,19 @@ export function AuthProvider({ children }) {
       dispatch({ type: AUTH_ACTIONS.CLEAR_ERROR });
       
       const response = await authAPI.verifyOTP(email, uniqueId, otp);
+
+      if (response.data.twoFactorRequired) {
+        dispatch({ type: AUTH_ACTIONS.SET_LOADING, payload: false });
+        return { success: true, twoFactorRequired: true, challengeToken: response.data.challengeToken };
+      }
       
-      const { user, token } = response.data;
+      const { user, ...tokens } = response.data;
       
-      await storeAuth(token, user);
+      await storeAuth(tokens, user);
       
       dispatch({
         type: AUTH_ACTIONS.LOGIN_SUCCESS,
-        payload: { user, token },
+        payload: { user, ...tokens },
       });
       
       return { success: true };
@@ -235,6 +292,55 @@ export function AuthProvider({ children }) {
     }
   };
 
+  // Two-factor authentication methods
+  const verifyTwoFactorLogin = async (challengeToken, code) => {
+    try {
+      dispatch({ type: AUTH_ACTIONS.SET_LOADING, payload: true });
+      dispatch({ type: AUTH_ACTIONS.CLEAR_ERROR });
+
+      const response = await authAPI.verifyTwoFactorLogin(challengeToken, code);
+
+      const { user, backupCodesRemaining, ...tokens } = response.data;
+
+      await storeAuth(tokens, user);
+
+      dispatch({
+        type: AUTH_ACTIONS.LOGIN_SUCCESS,
+        payload: { user, ...tokens },
+      });
+
+      return { success: true, backupCodesRemaining };
+    } catch (error) {
+      const errorMessage = error.response?.data?.message || 'Code verification failed';
+      dispatch({
+        type: AUTH_ACTIONS.SET_ERROR,
+        payload: errorMessage,
+      });
+      return { success: false, error: errorMessage };
+    }
+  };
+
+  const requestTwoFactorRecovery = async (challengeToken, reason) => {
+    try {
+      const response = await authAPI.requestTwoFactorRecovery(challengeToken, reason);
+      return { success: true, message: response.message };
+    } catch (error) {
+      const errorMessage = error.response?.data?.message || 'Failed to request recovery';
+      return { success: false, error: errorMessage };
+    }
+  };
+
+  // Give a code before a sensitive action
+  const verifyTwoFactor = async (code) => {
+    try {
+      await authAPI.verifyTwoFactor(code, state.token);
+      return { success: true };
+    } catch (error) {
+      const errorMessage = error.response?.data?.message || 'Code verification failed';
+      return { success: false, error: errorMessage };
+    }
+  };
+
   const logout = async () => {
     try {
       if (state.token) {
@@ -279,6 +385,27 @@ export function AuthProvider({ children }) {
     }
   };
 
+  // Password reset methods (signed out)
+  const forgotPassword = async (email) => {
+    try {
+      const response = await authAPI.forgotPassword(email);
+      return { success: true, message: response.message };
+    } catch (error) {
+      const errorMessage = error.response?.data?.message || 'Failed to request password reset';
+      return { success: false, error: errorMessage };
+    }
+  };
+
+  const resetPassword = async (token, newPassword) => {
+    try {
+      const response = await authAPI.resetPassword(token, newPassword);
+      return { success: true, message: response.message };
+    } catch (error) {
+      const errorMessage = error.response?.data?.message || 'Password reset failed';
+      return { success: false, error: errorMessage };
+    }
+  };
+
   // Document upload methods
   const uploadDocuments = async (documents) => {
     try {
@@ -310,9 +437,14 @@ export function AuthProvider({ children }) {
     login,
     loginWithOTP,
     verifyOTP,
+    verifyTwoFactorLogin,
+    requestTwoFactorRecovery,
+    verifyTwoFactor,
     logout,
     updateProfile,
     changePassword,
+    forgotPassword,
+    resetPassword,
     uploadDocuments,
     getRequiredDocuments,
     clearError,
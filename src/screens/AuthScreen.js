@@ -1,4 +1,4 @@
-import React, { useState } from 'react';
+import React, { useEffect, useState } from 'react';
 import {
   View,
   ScrollView,
@@ -20,7 +20,7 @@ import LinearGradient from 'react-native-linear-gradient';
 import { useAuth } from '../contexts/AuthContext';
 import { theme, commonStyles } from '../styles/theme';
 
-export default function AuthScreen() {
+export default function AuthScreen({ navigation, route }) {
   const [isLogin, setIsLogin] = useState(true);
   const [formData, setFormData] = useState({
     email: '',
@@ -41,6 +41,14 @@ export default function AuthScreen() {
 
   const { login, register, isLoading, error, clearError } = useAuth();
 
+  // Confirmation passed back after a password reset
+  useEffect(() => {
+    if (route?.params?.message) {
+      setSnackbarMessage(route.params.message);
+      setShowSnackbar(true);
+    }
+  }, [route?.params?.message]);
+
   const handleInputChange = (field, value) => {
     if (field.includes('.')) {
       const [parent, child] = field.split('.');
@@ -109,6 +117,8 @@ export default function AuthScreen() {
       const result = await login(formData.email, formData.password);
       if (!result.success) {
         showMessage(result.error);
+      } else if (result.twoFactorRequired) {
+        navigation.navigate('TwoFactor', { challengeToken: result.challengeToken });
       }
     } else {
       const result = await register(formData);
@@ -279,6 +289,15 @@ export default function AuthScreen() {
                 secureTextEntry
               />
 
+              {isLogin && (
+                <Text
+                  style={[styles.linkText, styles.forgotPassword]}
+                  onPress={() => navigation.navigate('ForgotPassword')}
+                >
+                  Forgot password?
+                </Text>
+              )}
+
               {!isLogin && (
                 <TextInput
                   label="Confirm Password"
@@ -436,6 +455,10 @@ const styles = StyleSheet.create({
     color: theme.colors.primary,
     fontWeight: '500',
   },
+  forgotPassword: {
+    ...theme.typography.body2,
+    textAlign: 'right',
+  },
   snackbar: {
     backgroundColor: theme.colors.error,
   },
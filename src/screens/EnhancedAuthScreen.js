@@ -26,7 +26,7 @@ import DocumentPicker from 'react-native-document-picker';
 import { useAuth } from '../contexts/AuthContext';
 import { theme, commonStyles } from '../styles/theme';
 
-export default function EnhancedAuthScreen() {
+export default function EnhancedAuthScreen({ navigation }) {
   const [authMode, setAuthMode] = useState('login'); // 'login', 'register', 'otp-login', 'otp-verify'
   const [formData, setFormData] = useState({
     email: '',
@@ -168,6 +168,8 @@ export default function EnhancedAuthScreen() {
 
       if (result && !result.success) {
         showMessage(result.error || 'Operation failed');
+      } else if (result && result.twoFactorRequired) {
+        navigation.navigate('TwoFactor', { challengeToken: result.challengeToken });
       }
     } catch (error) {
       showMessage(error.message || 'An error occurred');
@@ -0,0 +1,210 @@
+import React, { useState } from 'react';
+import {
+  View,
+  ScrollView,
+  StyleSheet,
+  KeyboardAvoidingView,
+  Platform,
+} from 'react-native';
+import {
+  Text,
+  TextInput,
+  Button,
+  Card,
+  Snackbar,
+  ActivityIndicator,
+} from 'react-native-paper';
+import LinearGradient from 'react-native-linear-gradient';
+import { useAuth } from '../contexts/AuthContext';
+import { theme } from '../styles/theme';
+
+export default function ForgotPasswordScreen({ navigation }) {
+  const [email, setEmail] = useState('');
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [sent, setSent] = useState(false);
+  const [showSnackbar, setShowSnackbar] = useState(false);
+  const [snackbarMessage, setSnackbarMessage] = useState('');
+
+  const { forgotPassword } = useAuth();
+
+  const showMessage = (message) => {
+    setSnackbarMessage(message);
+    setShowSnackbar(true);
+  };
+
+  const handleSubmit = async () => {
+    if (!email) {
+      showMessage('Please enter your email address');
+      return;
+    }
+
+    setIsSubmitting(true);
+    const result = await forgotPassword(email.trim());
+    setIsSubmitting(false);
+
+    if (result.success) {
+      setSent(true);
+    } else {
+      showMessage(result.error);
+    }
+  };
+
+  return (
+    <LinearGradient
+      colors={theme.colors.gradient.primary}
+      style={styles.container}
+    >
+      <KeyboardAvoidingView
+        behavior={Platform.OS === 'ios' ? 'padding' : 'height'}
+        style={styles.keyboardAvoid}
+      >
+        <ScrollView
+          contentContainerStyle={styles.scrollContent}
+          showsVerticalScrollIndicator={false}
+        >
+          {/* Header */}
+          <View style={styles.header}>
+            <Text style={styles.title}>Forgot password</Text>
+            <Text style={styles.subtitle}>
+              {sent
+                ? 'Check your inbox'
+                : "Enter your email and we'll send you a link to reset your password"
+              }
+            </Text>
+          </View>
+
+          <Card style={styles.formCard}>
+            <Card.Content>
+              {sent ? (
+                <Text style={styles.bodyText}>
+                  If an account exists for {email.trim()}, we've sent it a password reset link.
+                  The link expires in an hour and can only be used once.
+                </Text>
+              ) : (
+                <TextInput
+                  label="Email"
+                  value={email}
+                  onChangeText={setEmail}
+                  style={styles.input}
+                  mode="outlined"
+                  keyboardType="email-address"
+                  autoCapitalize="none"
+                />
+              )}
+
+              {sent ? (
+                <Button
+                  mode="outlined"
+                  onPress={() => navigation.navigate('ResetPassword')}
+                  style={styles.submitButton}
+                >
+                  I have a reset link
+                </Button>
+              ) : (
+                <Button
+                  mode="contained"
+                  onPress={handleSubmit}
+                  style={styles.submitButton}
+                  disabled={isSubmitting}
+                  contentStyle={styles.submitButtonContent}
+                >
+                  {isSubmitting ? (
+                    <ActivityIndicator size="small" color={theme.colors.onPrimary} />
+                  ) : (
+                    <Text style={styles.submitButtonText}>Send Reset Link</Text>
+                  )}
+                </Button>
+              )}
+
+              <Text style={styles.footerText}>
+                Remembered it?{' '}
+                <Text
+                  style={styles.linkText}
+                  onPress={() => navigation.navigate('Auth')}
+                >
+                  Sign In
+                </Text>
+              </Text>
+            </Card.Content>
+          </Card>
+        </ScrollView>
+      </KeyboardAvoidingView>
+
+      <Snackbar
+        visible={showSnackbar}
+        onDismiss={() => setShowSnackbar(false)}
+        duration={4000}
+        style={styles.snackbar}
+      >
+        {snackbarMessage}
+      </Snackbar>
+    </LinearGradient>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+  },
+  keyboardAvoid: {
+    flex: 1,
+  },
+  scrollContent: {
+    flexGrow: 1,
+    justifyContent: 'center',
+    padding: theme.spacing.md,
+  },
+  header: {
+    alignItems: 'center',
+    marginBottom: theme.spacing.xl,
+    paddingTop: theme.spacing.xl,
+  },
+  title: {
+    ...theme.typography.h2,
+    color: theme.colors.onPrimary,
+    marginBottom: theme.spacing.sm,
+    fontWeight: '700',
+  },
+  subtitle: {
+    ...theme.typography.subtitle1,
+    color: theme.colors.onPrimary,
+    textAlign: 'center',
+    opacity: 0.9,
+  },
+  formCard: {
+    ...theme.shadows.large,
+    marginBottom: theme.spacing.xl,
+  },
+  input: {
+    marginBottom: theme.spacing.md,
+    backgroundColor: theme.colors.background,
+  },
+  bodyText: {
+    ...theme.typography.body1,
+    color: theme.colors.textSecondary,
+    lineHeight: 22,
+  },
+  submitButton: {
+    marginTop: theme.spacing.lg,
+    marginBottom: theme.spacing.md,
+  },
+  submitButtonContent: {
+    paddingVertical: theme.spacing.sm,
+  },
+  submitButtonText: {
+    ...theme.typography.button,
+    color: theme.colors.onPrimary,
+  },
+  footerText: {
+    ...theme.typography.body2,
+    textAlign: 'center',
+    color: theme.colors.textSecondary,
+  },
+  linkText: {
+    color: theme.colors.primary,
+    fontWeight: '500',
+  },
+  snackbar: {
+    backgroundColor: theme.colors.error,
+  },
+});
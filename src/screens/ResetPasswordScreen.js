@@ -0,0 +1,224 @@
+import React, { useState } from 'react';
+import {
+  View,
+  ScrollView,
+  StyleSheet,
+  KeyboardAvoidingView,
+  Platform,
+} from 'react-native';
+import {
+  Text,
+  TextInput,
+  Button,
+  Card,
+  Snackbar,
+  ActivityIndicator,
+} from 'react-native-paper';
+import LinearGradient from 'react-native-linear-gradient';
+import { useAuth } from '../contexts/AuthContext';
+import { theme } from '../styles/theme';
+
+// Opened from the emailed link (startuplink://reset-password?token=...), or
+// from the forgot password screen with the token pasted in by hand
+export default function ResetPasswordScreen({ navigation, route }) {
+  const [token, setToken] = useState(route.params?.token || '');
+  const [password, setPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [showSnackbar, setShowSnackbar] = useState(false);
+  const [snackbarMessage, setSnackbarMessage] = useState('');
+
+  const { resetPassword } = useAuth();
+
+  const showMessage = (message) => {
+    setSnackbarMessage(message);
+    setShowSnackbar(true);
+  };
+
+  const validateForm = () => {
+    if (!token) {
+      showMessage('Please open the link from your email or paste its reset code');
+      return false;
+    }
+
+    if (password.length < 6) {
+      showMessage('Password must be at least 6 characters');
+      return false;
+    }
+
+    if (password !== confirmPassword) {
+      showMessage('Passwords do not match');
+      return false;
+    }
+
+    return true;
+  };
+
+  const handleSubmit = async () => {
+    if (!validateForm()) return;
+
+    setIsSubmitting(true);
+    const result = await resetPassword(token.trim(), password);
+    setIsSubmitting(false);
+
+    if (result.success) {
+      navigation.navigate('Auth', { message: result.message });
+    } else {
+      showMessage(result.error);
+    }
+  };
+
+  return (
+    <LinearGradient
+      colors={theme.colors.gradient.primary}
+      style={styles.container}
+    >
+      <KeyboardAvoidingView
+        behavior={Platform.OS === 'ios' ? 'padding' : 'height'}
+        style={styles.keyboardAvoid}
+      >
+        <ScrollView
+          contentContainerStyle={styles.scrollContent}
+          showsVerticalScrollIndicator={false}
+        >
+          {/* Header */}
+          <View style={styles.header}>
+            <Text style={styles.title}>Reset password</Text>
+            <Text style={styles.subtitle}>
+              Choose a new password. You'll be signed out on every device.
+            </Text>
+          </View>
+
+          <Card style={styles.formCard}>
+            <Card.Content>
+              {!route.params?.token && (
+                <TextInput
+                  label="Reset code"
+                  value={token}
+                  onChangeText={setToken}
+                  style={styles.input}
+                  mode="outlined"
+                  autoCapitalize="none"
+                  autoCorrect={false}
+                />
+              )}
+
+              <TextInput
+                label="New Password"
+                value={password}
+                onChangeText={setPassword}
+                style={styles.input}
+                mode="outlined"
+                secureTextEntry
+              />
+
+              <TextInput
+                label="Confirm New Password"
+                value={confirmPassword}
+                onChangeText={setConfirmPassword}
+                style={styles.input}
+                mode="outlined"
+                secureTextEntry
+              />
+
+              <Button
+                mode="contained"
+                onPress={handleSubmit}
+                style={styles.submitButton}
+                disabled={isSubmitting}
+                contentStyle={styles.submitButtonContent}
+              >
+                {isSubmitting ? (
+                  <ActivityIndicator size="small" color={theme.colors.onPrimary} />
+                ) : (
+                  <Text style={styles.submitButtonText}>Reset Password</Text>
+                )}
+              </Button>
+
+              <Text style={styles.footerText}>
+                Link expired?{' '}
+                <Text
+                  style={styles.linkText}
+                  onPress={() => navigation.navigate('ForgotPassword')}
+                >
+                  Request a new one
+                </Text>
+              </Text>
+            </Card.Content>
+          </Card>
+        </ScrollView>
+      </KeyboardAvoidingView>
+
+      <Snackbar
+        visible={showSnackbar}
+        onDismiss={() => setShowSnackbar(false)}
+        duration={4000}
+        style={styles.snackbar}
+      >
+        {snackbarMessage}
+      </Snackbar>
+    </LinearGradient>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+  },
+  keyboardAvoid: {
+    flex: 1,
+  },
+  scrollContent: {
+    flexGrow: 1,
+    justifyContent: 'center',
+    padding: theme.spacing.md,
+  },
+  header: {
+    alignItems: 'center',
+    marginBottom: theme.spacing.xl,
+    paddingTop: theme.spacing.xl,
+  },
+  title: {
+    ...theme.typography.h2,
+    color: theme.colors.onPrimary,
+    marginBottom: theme.spacing.sm,
+    fontWeight: '700',
+  },
+  subtitle: {
+    ...theme.typography.subtitle1,
+    color: theme.colors.onPrimary,
+    textAlign: 'center',
+    opacity: 0.9,
+  },
+  formCard: {
+    ...theme.shadows.large,
+    marginBottom: theme.spacing.xl,
+  },
+  input: {
+    marginBottom: theme.spacing.md,
+    backgroundColor: theme.colors.background,
+  },
+  submitButton: {
+    marginTop: theme.spacing.lg,
+    marginBottom: theme.spacing.md,
+  },
+  submitButtonContent: {
+    paddingVertical: theme.spacing.sm,
+  },
+  submitButtonText: {
+    ...theme.typography.button,
+    color: theme.colors.onPrimary,
+  },
+  footerText: {
+    ...theme.typography.body2,
+    textAlign: 'center',
+    color: theme.colors.textSecondary,
+  },
+  linkText: {
+    color: theme.colors.primary,
+    fontWeight: '500',
+  },
+  snackbar: {
+    backgroundColor: theme.colors.error,
+  },
+});
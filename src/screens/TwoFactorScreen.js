@@ -0,0 +1,282 @@
+import React, { useState } from 'react';
+import {
+  View,
+  ScrollView,
+  StyleSheet,
+  KeyboardAvoidingView,
+  Platform,
+} from 'react-native';
+import {
+  Text,
+  TextInput,
+  Button,
+  Card,
+  Snackbar,
+  ActivityIndicator,
+} from 'react-native-paper';
+import LinearGradient from 'react-native-linear-gradient';
+import { useAuth } from '../contexts/AuthContext';
+import { theme } from '../styles/theme';
+
+// Second step of signing in for accounts with two-factor authentication
+export default function TwoFactorScreen({ navigation, route }) {
+  const { challengeToken } = route.params;
+  const [mode, setMode] = useState('code'); // code, backup or recovery
+  const [code, setCode] = useState('');
+  const [reason, setReason] = useState('');
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [recoveryRequested, setRecoveryRequested] = useState(false);
+  const [showSnackbar, setShowSnackbar] = useState(false);
+  const [snackbarMessage, setSnackbarMessage] = useState('');
+
+  const { verifyTwoFactorLogin, requestTwoFactorRecovery } = useAuth();
+
+  const showMessage = (message) => {
+    setSnackbarMessage(message);
+    setShowSnackbar(true);
+  };
+
+  const handleVerify = async () => {
+    if (mode === 'code' && !/^\d{6}$/.test(code.trim())) {
+      showMessage('Enter the 6-digit code from your authenticator app');
+      return;
+    }
+    if (mode === 'backup' && !code.trim()) {
+      showMessage('Enter one of your backup codes');
+      return;
+    }
+
+    setIsSubmitting(true);
+    const result = await verifyTwoFactorLogin(challengeToken, code.trim());
+    setIsSubmitting(false);
+
+    if (!result.success) {
+      showMessage(result.error);
+    }
+  };
+
+  const handleRecovery = async () => {
+    if (!reason.trim()) {
+      showMessage('Please tell us what happened');
+      return;
+    }
+
+    setIsSubmitting(true);
+    const result = await requestTwoFactorRecovery(challengeToken, reason.trim());
+    setIsSubmitting(false);
+
+    if (result.success) {
+      setRecoveryRequested(true);
+    } else {
+      showMessage(result.error);
+    }
+  };
+
+  const switchMode = (nextMode) => {
+    setMode(nextMode);
+    setCode('');
+  };
+
+  const subtitles = {
+    code: 'Enter the 6-digit code from your authenticator app',
+    backup: 'Enter one of the backup codes you saved when setting up two-factor authentication',
+    recovery: 'Lost your authenticator app and backup codes? Our support team can help once they have verified your identity.',
+  };
+
+  return (
+    <LinearGradient
+      colors={theme.colors.gradient.primary}
+      style={styles.container}
+    >
+      <KeyboardAvoidingView
+        behavior={Platform.OS === 'ios' ? 'padding' : 'height'}
+        style={styles.keyboardAvoid}
+      >
+        <ScrollView
+          contentContainerStyle={styles.scrollContent}
+          showsVerticalScrollIndicator={false}
+        >
+          {/* Header */}
+          <View style={styles.header}>
+            <Text style={styles.title}>Two-factor authentication</Text>
+            <Text style={styles.subtitle}>{subtitles[mode]}</Text>
+          </View>
+
+          <Card style={styles.formCard}>
+            <Card.Content>
+              {mode === 'recovery' ? (
+                recoveryRequested ? (
+                  <Text style={styles.bodyText}>
+                    Recovery requested. We've emailed you and our support team will be in touch to verify your identity.
+                  </Text>
+                ) : (
+                  <>
+                    <TextInput
+                      label="What happened?"
+                      value={reason}
+                      onChangeText={setReason}
+                      style={styles.input}
+                      mode="outlined"
+                      multiline
+                      numberOfLines={4}
+                      maxLength={500}
+                    />
+                    <Button
+                      mode="contained"
+                      onPress={handleRecovery}
+                      style={styles.submitButton}
+                      disabled={isSubmitting}
+                      contentStyle={styles.submitButtonContent}
+                    >
+                      {isSubmitting ? (
+                        <ActivityIndicator size="small" color={theme.colors.onPrimary} />
+                      ) : (
+                        <Text style={styles.submitButtonText}>Request Recovery</Text>
+                      )}
+                    </Button>
+                  </>
+                )
+              ) : (
+                <>
+                  <TextInput
+                    label={mode === 'code' ? 'Authentication code' : 'Backup code'}
+                    value={code}
+                    onChangeText={setCode}
+                    style={styles.input}
+                    mode="outlined"
+                    keyboardType={mode === 'code' ? 'number-pad' : 'default'}
+                    autoCapitalize="characters"
+                    autoCorrect={false}
+                    maxLength={mode === 'code' ? 6 : 9}
+                  />
+                  <Button
+                    mode="contained"
+                    onPress={handleVerify}
+                    style={styles.submitButton}
+                    disabled={isSubmitting}
+                    contentStyle={styles.submitButtonContent}
+                  >
+                    {isSubmitting ? (
+                      <ActivityIndicator size="small" color={theme.colors.onPrimary} />
+                    ) : (
+                      <Text style={styles.submitButtonText}>Verify</Text>
+                    )}
+                  </Button>
+                </>
+              )}
+
+              {/* Other ways to sign in */}
+              {mode !== 'code' && (
+                <Text style={[styles.linkText, styles.option]} onPress={() => switchMode('code')}>
+                  Use my authenticator app
+                </Text>
+              )}
+              {mode !== 'backup' && (
+                <Text style={[styles.linkText, styles.option]} onPress={() => switchMode('backup')}>
+                  Use a backup code
+                </Text>
+              )}
+              {mode !== 'recovery' && (
+                <Text style={[styles.linkText, styles.option]} onPress={() => switchMode('recovery')}>
+                  I lost access to my authenticator
+                </Text>
+              )}
+
+              <Text style={styles.footerText}>
+                <Text
+                  style={styles.linkText}
+                  onPress={() => navigation.navigate('Auth')}
+                >
+                  Back to Sign In
+                </Text>
+              </Text>
+            </Card.Content>
+          </Card>
+        </ScrollView>
+      </KeyboardAvoidingView>
+
+      <Snackbar
+        visible={showSnackbar}
+        onDismiss={() => setShowSnackbar(false)}
+        duration={4000}
+        style={styles.snackbar}
+      >
+        {snackbarMessage}
+      </Snackbar>
+    </LinearGradient>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+  },
+  keyboardAvoid: {
+    flex: 1,
+  },
+  scrollContent: {
+    flexGrow: 1,
+    justifyContent: 'center',
+    padding: theme.spacing.md,
+  },
+  header: {
+    alignItems: 'center',
+    marginBottom: theme.spacing.xl,
+    paddingTop: theme.spacing.xl,
+  },
+  title: {
+    ...theme.typography.h2,
+    color: theme.colors.onPrimary,
+    marginBottom: theme.spacing.sm,
+    fontWeight: '700',
+    textAlign: 'center',
+  },
+  subtitle: {
+    ...theme.typography.subtitle1,
+    color: theme.colors.onPrimary,
+    textAlign: 'center',
+    opacity: 0.9,
+  },
+  formCard: {
+    ...theme.shadows.large,
+    marginBottom: theme.spacing.xl,
+  },
+  input: {
+    marginBottom: theme.spacing.md,
+    backgroundColor: theme.colors.background,
+  },
+  bodyText: {
+    ...theme.typography.body1,
+    color: theme.colors.textSecondary,
+    lineHeight: 22,
+  },
+  submitButton: {
+    marginTop: theme.spacing.lg,
+    marginBottom: theme.spacing.md,
+  },
+  submitButtonContent: {
+    paddingVertical: theme.spacing.sm,
+  },
+  submitButtonText: {
+    ...theme.typography.button,
+    color: theme.colors.onPrimary,
+  },
+  option: {
+    ...theme.typography.body2,
+    textAlign: 'center',
+    marginBottom: theme.spacing.sm,
+  },
+  footerText: {
+    ...theme.typography.body2,
+    textAlign: 'center',
+    color: theme.colors.textSecondary,
+    marginTop: theme.spacing.md,
+  },
+  linkText: {
+    color: theme.colors.primary,
+    fontWeight: '500',
+  },
+  snackbar: {
+    backgroundColor: theme.colors.error,
+  },
+});
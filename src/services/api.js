@@ -52,11 +52,27 @@ export const authAPI = {
   loginWithOTP: (email, uniqueId) => api.post('/auth/login-otp', { email, uniqueId }),
   verifyOTP: (email, uniqueId, otp) => api.post('/auth/verify-otp', { email, uniqueId, otp }),
   logout: (token) => api.post('/auth/logout', {}, withAuth(token)),
+  refresh: (refreshToken) => api.post('/auth/refresh', { refreshToken }),
+  getSessions: (token) => api.get('/auth/sessions', withAuth(token)),
+  revokeSession: (id, token) => api.delete(`/auth/sessions/${id}`, withAuth(token)),
+  revokeAllSessions: (token) => api.delete('/auth/sessions', withAuth(token)),
   getProfile: (token) => api.get('/auth/me', withAuth(token)),
   updateProfile: (data, token) => api.put('/auth/profile', data, withAuth(token)),
   changePassword: (currentPassword, newPassword, token) => 
     api.put('/auth/change-password', { currentPassword, newPassword }, withAuth(token)),
+  forgotPassword: (email) => api.post('/auth/forgot-password', { email }),
+  resetPassword: (token, newPassword) => api.post('/auth/reset-password', { token, newPassword }),
+  changeEmail: (newEmail, password, token) => api.put('/auth/email', { newEmail, password }, withAuth(token)),
+  verifyTwoFactorLogin: (challengeToken, code) => api.post('/auth/2fa/login', { challengeToken, code }),
+  requestTwoFactorRecovery: (challengeToken, reason) => api.post('/auth/2fa/recovery', { challengeToken, reason }),
+  getTwoFactorStatus: (token) => api.get('/auth/2fa', withAuth(token)),
+  setupTwoFactor: (token) => api.post('/auth/2fa/setup', {}, withAuth(token)),
+  enableTwoFactor: (code, token) => api.post('/auth/2fa/enable', { code }, withAuth(token)),
+  disableTwoFactor: (password, code, token) => api.post('/auth/2fa/disable', { password, code }, withAuth(token)),
+  regenerateBackupCodes: (code, token) => api.post('/auth/2fa/backup-codes', { code }, withAuth(token)),
+  verifyTwoFactor: (code, token) => api.post('/auth/2fa/verify', { code }, withAuth(token)),
   verifyEmail: (code, token) => api.post('/auth/verify-email', { verificationCode: code }, withAuth(token)),
+  resendVerificationEmail: (token) => api.post('/auth/verify-email/resend', {}, withAuth(token)),
   uploadDocuments: (formData, token) => {
     return api.post('/auth/upload-documents', formData, {
       ...withAuth(token),
@@ -78,8 +94,15 @@ export const startupsAPI = {
   getFeatured: (limit = 10) => api.get(`/startups/featured?limit=${limit}`),
   getTrending: (limit = 20) => api.get(`/startups/trending?limit=${limit}`),
   getById: (id, token) => api.get(`/startups/${id}`, token ? withAuth(token) : {}),
+  getCapTable: (id, token) => api.get(`/startups/${id}/cap-table`, withAuth(token)),
+  getRounds: (id) => api.get(`/startups/${id}/rounds`),
+  openRound: (id, roundData, token) => api.post(`/startups/${id}/rounds`, roundData, withAuth(token)),
+  recordExit: (id, exitData, token) => api.post(`/startups/${id}/exit`, exitData, withAuth(token)),
+  getExit: (id, token) => api.get(`/startups/${id}/exit`, withAuth(token)),
+  updateTransferPolicy: (id, policy, token) => api.put(`/startups/${id}/transfer-policy`, policy, withAuth(token)),
   create: (data, token) => api.post('/startups', data, withAuth(token)),
   update: (id, data, token) => api.put(`/startups/${id}`, data, withAuth(token)),
+  publish: (id, fundingStartDate, token) => api.post(`/startups/${id}/publish`, { fundingStartDate }, withAuth(token)),
   delete: (id, token) => api.delete(`/startups/${id}`, withAuth(token)),
   like: (id, token) => api.post(`/startups/${id}/like`, {}, withAuth(token)),
   bookmark: (id, token) => api.post(`/startups/${id}/bookmark`, {}, withAuth(token)),
@@ -103,6 +126,75 @@ export const startupsAPI = {
 export const investmentsAPI = {
   create: (data, token) => api.post('/investments', data, withAuth(token)),
   getPortfolio: (token) => api.get('/investments/portfolio', withAuth(token)),
+  cancel: (id, token) => api.post(`/investments/${id}/cancel`, {}, withAuth(token)),
+  getLimits: (token) => api.get('/investments/limits', withAuth(token)),
+  getPayouts: (token) => api.get('/investments/payouts', withAuth(token)),
+  getDocuments: (id, token) => api.get(`/investments/${id}/documents`, withAuth(token)),
+  downloadDocument: (id, type, token) => api.get(`/investments/${id}/documents/${type}`, {
+    ...withAuth(token),
+    responseType: 'blob',
+  }),
+  signAgreement: (id, documentHash, token) =>
+    api.post(`/investments/${id}/sign`, { documentHash, consent: true }, withAuth(token)),
+  getSignature: (id, token) => api.get(`/investments/${id}/signature`, withAuth(token)),
+  getStatement: (year, format, token) => api.get(`/investments/statements/${year}?format=${format}`, {
+    ...withAuth(token),
+    responseType: format === 'json' ? 'json' : 'blob',
+  }),
+};
+
+// Wallet API
+export const walletAPI = {
+  getBalances: (token) => api.get('/wallet', withAuth(token)),
+  getActivity: (params, token) => api.get('/wallet/activity', { ...withAuth(token), params }),
+  getTransactions: (token) => api.get('/wallet/transactions', withAuth(token)),
+  topUp: (data, token) => api.post('/wallet/top-ups', data, withAuth(token)),
+  verifyTopUp: (id, data, token) => api.post(`/wallet/top-ups/${id}/verify`, data, withAuth(token)),
+  withdraw: (data, token) => api.post('/wallet/withdrawals', data, withAuth(token)),
+};
+
+// Auto-invest API
+export const autoInvestAPI = {
+  getRules: (token) => api.get('/auto-invest/rules', withAuth(token)),
+  createRule: (data, token) => api.post('/auto-invest/rules', { ...data, consent: true }, withAuth(token)),
+  updateRule: (id, data, token) => api.put(`/auto-invest/rules/${id}`, data, withAuth(token)),
+  cancelRule: (id, token) => api.delete(`/auto-invest/rules/${id}`, withAuth(token)),
+  getExecutions: (id, params, token) => api.get(`/auto-invest/rules/${id}/executions`, { ...withAuth(token), params }),
+};
+
+// Secondary market API
+export const secondaryAPI = {
+  getListings: (params) => api.get('/secondary/listings', { params }),
+  getMyListings: (token) => api.get('/secondary/listings/mine', withAuth(token)),
+  createListing: (data, token) => api.post('/secondary/listings', data, withAuth(token)),
+  cancelListing: (id, token) => api.delete(`/secondary/listings/${id}`, withAuth(token)),
+  buy: (id, gateway, token) => api.post(`/secondary/listings/${id}/buy`, { gateway }, withAuth(token)),
+  verifyPayment: (id, paymentData, token) => api.post(`/secondary/trades/${id}/verify`, paymentData, withAuth(token)),
+  getTrades: (token) => api.get('/secondary/trades', withAuth(token)),
+  getRightOfFirstRefusalTrades: (token) => api.get('/secondary/right-of-first-refusal', withAuth(token)),
+  decideRightOfFirstRefusal: (id, decision, token) =>
+    api.post(`/secondary/trades/${id}/right-of-first-refusal`, { decision }, withAuth(token)),
+};
+
+// Syndicates API
+export const syndicatesAPI = {
+  getAll: (token) => api.get('/syndicates', withAuth(token)),
+  getById: (id, token) => api.get(`/syndicates/${id}`, withAuth(token)),
+  create: (data, token) => api.post('/syndicates', data, withAuth(token)),
+  invite: (id, emails, token) => api.post(`/syndicates/${id}/invitations`, { emails }, withAuth(token)),
+  commit: (id, amount, token) => api.post(`/syndicates/${id}/commit`, { amount }, withAuth(token)),
+  withdraw: (id, token) => api.post(`/syndicates/${id}/withdraw`, {}, withAuth(token)),
+  invest: (id, token) => api.post(`/syndicates/${id}/invest`, {}, withAuth(token)),
+  cancel: (id, token) => api.delete(`/syndicates/${id}`, withAuth(token)),
+  getAnalytics: (id, token) => api.get(`/syndicates/${id}/analytics`, withAuth(token)),
+};
+
+// Signatures API
+export const signaturesAPI = {
+  verify: (formData) => api.post('/signatures/verify', formData, {
+    headers: { 'Content-Type': 'multipart/form-data' },
+  }),
+  verifyHash: (documentHash) => api.post('/signatures/verify', { documentHash }),
 };
 
 // Payments API
@@ -119,6 +211,11 @@ export const paymentsAPI = {
 export const usersAPI = {
   getById: (id) => api.get(`/users/${id}`),
   getTopInvestors: (limit = 10) => api.get(`/users/leaderboard/investors?limit=${limit}`),
+  getTwoFactorRecoveryRequests: (token) => api.get('/users/two-factor/recovery-requests', withAuth(token)),
+  resetTwoFactor: (id, reason, token) => api.post(`/users/${id}/two-factor/reset`, { reason }, withAuth(token)),
+  getLoginProtection: (id, ip, token) => api.get(`/users/${id}/login-protection${ip ? `?ip=${encodeURIComponent(ip)}` : ''}`, withAuth(token)),
+  unlockAccount: (id, ip, token) => api.post(`/users/${id}/unlock`, ip ? { ip } : {}, withAuth(token)),
+  setAccreditation: (id, isAccredited, note, token) => api.put(`/users/${id}/accreditation`, { isAccredited, note }, withAuth(token)),
 };
 
 // Community API
@@ -129,7 +226,7 @@ export const communityAPI = {
 // Analytics API
 export const analyticsAPI = {
   getInvestmentsBySector: (token) => api.get('/analytics/investments/by-sector', withAuth(token)),
-  getPortfolioPerformance: (token) => api.get('/analytics/portfolio/performance', withAuth(token)),
+  getPortfolioPerformance: (token, days = 90) => api.get(`/analytics/portfolio/performance?days=${days}`, withAuth(token)),
   getAIInsights: (targetId, targetType, analysisType, token) => 
     api.post('/analytics/ai-insights', { targetId, targetType, analysisType }, withAuth(token)),
 };